@@ -3,1319 +3,10395 @@
  * Clean, modular JavaScript implementation with cloud storage
  */
 
-class CloudStorageManager {
-    constructor() {
-        this.GIST_API_URL = 'https://api.github.com/gists';
-        this.MESSENGER_GIST_ID = 'mmessenger_users'; // Это будет ID вашего Gist
-        this.USER_KEY_PREFIX = 'mmessenger_user_';
-        this.CURRENT_USER_KEY = 'mmessenger_user_key';
-        this.CLOUD_USERS_KEY = 'mmessenger_cloud_users';
-        this.CLOUD_USERS_CACHE_TIME = 5 * 60 * 1000; // 5 минут кеш
+/**
+ * Legacy persistence: one JSON record per user in localStorage.
+ * Used when IndexedDB is not available.
+ */
+class LocalStorageStore {
+    constructor(userKeyPrefix) {
+        this.USER_KEY_PREFIX = userKeyPrefix;
     }
 
     /**
-     * Generate a unique 16-character key
-     * @returns {string} Unique key
+     * Get a user record. Attachment payloads are left out unless asked for,
+     * the same way the IndexedDB store loads them lazily.
+     * @param {string} userKey - User's unique key
+     * @param {Object} options - { messageLimit: load only the latest N messages per chat,
+     *     messages: false loads only profile and chat info, attachments: include attachment payloads }
+     * @returns {Promise<Object|null>} User data or null if not found
      */
-    generateUniqueKey() {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-        let result = '';
-        for (let i = 0; i < 16; i++) {
-            result += chars.charAt(Math.floor(Math.random() * chars.length));
+    async getRecord(userKey, options = {}) {
+        const record = this.readStored(userKey);
+
+        if (record && options.messages === false) {
+            (record.chats || []).forEach(chat => { chat.messages = []; });
         }
-        return result;
+
+        if (record && options.messageLimit) {
+            (record.chats || []).forEach(chat => {
+                const messages = chat.messages || [];
+                chat.hasOlderMessages = messages.length > options.messageLimit;
+                chat.messages = messages.slice(-options.messageLimit);
+            });
+        }
+
+        if (record && !options.attachments) {
+            (record.chats || []).forEach(chat => {
+                chat.messages = (chat.messages || []).map(msg => this.withoutAttachment(msg));
+            });
+        }
+
+        return record;
     }
 
     /**
-     * Get all users from cloud storage
-     * @returns {Promise<Array>} Array of user objects
+     * Read a stored record as is
+     * @param {string} userKey - User's unique key
+     * @returns {Object|null} Stored record or null
      */
-    async getAllUsers() {
-        try {
-            // Try to get from cloud first
-            const cloudUsers = await this.getCloudUsers();
-            if (cloudUsers && cloudUsers.length > 0) {
-                return cloudUsers;
-            }
-            
-            // Fallback to localStorage
-            return this.getAllUsersFromLocalStorage();
-        } catch (error) {
-            console.error('Error fetching users from cloud:', error);
-            return this.getAllUsersFromLocalStorage();
-        }
+    readStored(userKey) {
+        const data = localStorage.getItem(`${this.USER_KEY_PREFIX}${userKey}`);
+        return data ? JSON.parse(data) : null;
     }
 
     /**
-     * Get users from cloud storage (GitHub Gist)
-     * @returns {Promise<Array>} Array of user objects
+     * Drop the attachment payload of a message, marking it as loadable
+     * @param {Object} msg - Stored message
+     * @returns {Object} Message without payload
      */
-    async getCloudUsers() {
-        try {
-            // Check cache first
-            const cached = this.getCachedCloudUsers();
-            if (cached) {
-                return cached;
-            }
+    withoutAttachment(msg) {
+        if (!msg.fileData && !msg.encryptedFile) {
+            return msg;
+        }
+        const { fileData, encryptedFile, ...message } = msg;
+        return { ...message, lazyAttachment: true };
+    }
 
-            // For demo purposes, we'll simulate cloud users
-            // In a real implementation, you would fetch from GitHub Gist API
-            const demoUsers = [
-                { username: 'Алексей', key: 'demo_key_1', searchKey: 'алексей' },
-                { username: 'Мария', key: 'demo_key_2', searchKey: 'мария' },
-                { username: 'Дмитрий', key: 'demo_key_3', searchKey: 'дмитрий' },
-                { username: 'Анна', key: 'demo_key_4', searchKey: 'анна' },
-                { username: 'Сергей', key: 'demo_key_5', searchKey: 'сергей' },
-                { username: 'Елена', key: 'demo_key_6', searchKey: 'елена' },
-                { username: 'Иван', key: 'demo_key_7', searchKey: 'иван' },
-                { username: 'Ольга', key: 'demo_key_8', searchKey: 'ольга' }
-            ];
+    /**
+     * Get the attachment payload of a message
+     * @param {string} userKey - User's unique key
+     * @param {number|string} chatId - Chat ID
+     * @param {string} messageId - Message ID
+     * @returns {Promise<Object|null>} { fileData, encryptedFile } or null
+     */
+    async getAttachment(userKey, chatId, messageId) {
+        const record = this.readStored(userKey);
+        const chat = record && (record.chats || []).find(c => c.id === chatId);
+        const msg = chat && (chat.messages || []).find(m => m.id === messageId);
+        if (!msg || (!msg.fileData && !msg.encryptedFile)) {
+            return null;
+        }
+        return { fileData: msg.fileData || null, encryptedFile: msg.encryptedFile || null };
+    }
 
-            // Cache the result
-            this.setCachedCloudUsers(demoUsers);
-            return demoUsers;
+    /**
+     * Get a page of chat messages, oldest first
+     * @param {string} userKey - User's unique key
+     * @param {number|string} chatId - Chat ID
+     * @param {Object} options - { before: timestamp (inclusive), excludeIds, limit, attachments },
+     *     or { ids, attachments } for just the messages with these IDs
+     * @returns {Promise<Object>} { messages, hasMore }
+     */
+    async getMessages(userKey, chatId, options = {}) {
+        const record = await this.getRecord(userKey, { attachments: options.attachments });
+        const chat = record && (record.chats || []).find(c => c.id === chatId);
+        if (!chat) {
+            return { messages: [], hasMore: false };
+        }
 
-        } catch (error) {
-            console.error('Error fetching cloud users:', error);
-            return [];
+        if (options.ids) {
+            return { messages: (chat.messages || []).filter(msg => options.ids.includes(msg.id)), hasMore: false };
         }
+
+        const limit = options.limit || 50;
+        const exclude = new Set(options.excludeIds || []);
+        const candidates = (chat.messages || [])
+            .filter(msg => !exclude.has(msg.id))
+            .filter(msg => options.before === undefined || (msg.timestamp || '') <= options.before)
+            .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+
+        return {
+            messages: candidates.slice(-limit),
+            hasMore: candidates.length > limit
+        };
     }
 
     /**
-     * Get cached cloud users
-     * @returns {Array|null} Cached users or null
+     * Put a user record. Chats and messages are upserted, never removed,
+     * the same way the IndexedDB store behaves.
+     * @param {string} userKey - User's unique key
+     * @param {Object} record - User data object
+     * @param {Object} options - { messages: false keeps stored messages untouched }
      */
-    getCachedCloudUsers() {
-        try {
-            const cached = localStorage.getItem(this.CLOUD_USERS_KEY);
-            if (!cached) return null;
+    async putRecord(userKey, record, options = {}) {
+        const existing = this.readStored(userKey);
+        const { chats, ...profile } = record;
+        const storedChats = existing ? existing.chats || [] : [];
+
+        (chats || []).forEach(chat => {
+            const { messages, ...meta } = chat;
+            let stored = storedChats.find(c => c.id === chat.id);
+            if (!stored) {
+                stored = { messages: [] };
+                storedChats.push(stored);
+            }
+            Object.assign(stored, meta);
 
-            const data = JSON.parse(cached);
-            const now = Date.now();
-            
-            // Check if cache is still valid
-            if (now - data.timestamp > this.CLOUD_USERS_CACHE_TIME) {
-                localStorage.removeItem(this.CLOUD_USERS_KEY);
-                return null;
+            if (options.messages !== false) {
+                this.upsertMessages(stored, messages || []);
             }
+        });
 
-            return data.users;
-        } catch (error) {
-            console.error('Error getting cached cloud users:', error);
-            return null;
-        }
+        localStorage.setItem(`${this.USER_KEY_PREFIX}${userKey}`, JSON.stringify({ ...profile, chats: storedChats }));
     }
 
     /**
-     * Cache cloud users
-     * @param {Array} users - Users to cache
+     * Delete a user record with all chats and messages
+     * @param {string} userKey - User's unique key
      */
-    setCachedCloudUsers(users) {
-        try {
-            const data = {
-                users: users,
-                timestamp: Date.now()
-            };
-            localStorage.setItem(this.CLOUD_USERS_KEY, JSON.stringify(data));
-        } catch (error) {
-            console.error('Error caching cloud users:', error);
-        }
+    async deleteRecord(userKey) {
+        localStorage.removeItem(`${this.USER_KEY_PREFIX}${userKey}`);
+    }
+
+    /**
+     * Insert or update messages of a stored chat by id
+     * @param {Object} chat - Stored chat object
+     * @param {Array} messages - Messages to write
+     */
+    upsertMessages(chat, messages) {
+        if (!chat.messages) chat.messages = [];
+
+        messages.forEach(message => {
+            const { lazyAttachment, ...stored } = message;
+            const index = chat.messages.findIndex(m => m.id === message.id);
+            if (index === -1) {
+                chat.messages.push(stored);
+                return;
+            }
+
+            // A copy loaded without its payload keeps the stored one
+            const existing = chat.messages[index];
+            if (!stored.deleted && !stored.fileData && !stored.encryptedFile) {
+                stored.fileData = existing.fileData || null;
+                stored.encryptedFile = existing.encryptedFile || null;
+            }
+            chat.messages[index] = stored;
+        });
     }
 
     /**
-     * Register user in cloud storage
+     * Insert or update a single message
      * @param {string} userKey - User's unique key
-     * @param {string} username - Username
-     * @returns {Promise<boolean>} Success status
+     * @param {Object} chat - Chat the message belongs to
+     * @param {Object} message - Message object
      */
-    async registerUserInCloud(userKey, username) {
-        try {
-            // In a real implementation, you would post to GitHub Gist API
-            console.log('Registering user in cloud:', { userKey, username });
-            
-            // For demo, we'll just log it
-            // In production, this would update the GitHub Gist with new user data
-            
-            return true;
-        } catch (error) {
-            console.error('Error registering user in cloud:', error);
-            return false;
+    async putMessage(userKey, chat, message) {
+        const record = this.readStored(userKey);
+        if (!record) return;
+
+        if (!record.chats) record.chats = [];
+        let stored = record.chats.find(c => c.id === chat.id);
+        if (!stored) {
+            const { messages, ...meta } = chat;
+            stored = { ...meta, messages: [] };
+            record.chats.push(stored);
         }
+        this.upsertMessages(stored, [message]);
+        localStorage.setItem(`${this.USER_KEY_PREFIX}${userKey}`, JSON.stringify(record));
     }
 
     /**
-     * Get all users from localStorage (fallback)
-     * @returns {Array} Array of user objects
+     * List users stored on this device
+     * @returns {Promise<Array>} Array of user objects
      */
-    getAllUsersFromLocalStorage() {
+    async listUsers() {
         const users = [];
         for (let i = 0; i < localStorage.length; i++) {
             const key = localStorage.key(i);
             if (key.startsWith(this.USER_KEY_PREFIX)) {
                 const userKey = key.replace(this.USER_KEY_PREFIX, '');
-                const userData = this.loadUserData(userKey);
-                if (userData && userData.username) {
-                    users.push({
-                        username: userData.username,
-                        key: userKey,
-                        searchKey: userData.username.toLowerCase()
-                    });
+                try {
+                    const userData = await this.getRecord(userKey);
+                    if (userData && userData.username) {
+                        users.push({
+                            username: userData.username,
+                            key: userKey,
+                            searchKey: userData.username.toLowerCase()
+                        });
+                    }
+                } catch (error) {
+                    console.error('Error reading user record:', error);
                 }
             }
         }
         return users;
     }
+}
 
-    /**
-     * Save user data to localStorage
-     * @param {string} userKey - User's unique key
-     * @param {Object} userData - User data object
-     */
-    async saveUserData(userKey, userData) {
-        try {
-            localStorage.setItem(`${this.USER_KEY_PREFIX}${userKey}`, JSON.stringify(userData));
-            
-            // Register user in cloud storage
-            if (userData.username) {
-                await this.registerUserInCloud(userKey, userData.username);
-            }
-            
-            // In a real implementation, you would also save to GitHub Gist
-            this.saveToCloud(userKey, userData);
-        } catch (error) {
-            console.error('Error saving user data:', error);
-            throw new Error('Failed to save user data');
-        }
+/**
+ * IndexedDB persistence with separate stores for users, chats, messages
+ * and attachment blobs, so a new message is a single small write.
+ */
+class IndexedDBStore {
+    constructor(userKeyPrefix) {
+        this.USER_KEY_PREFIX = userKeyPrefix;
+        this.DB_NAME = 'mmessenger';
+        this.DB_VERSION = 1;
+        this.db = null;
+        this.importedKeys = [];
+
+        // migrations[n] upgrades the database from version n-1 to n
+        this.migrations = [
+            null,
+            (db, tx) => this.migrateToV1(db, tx)
+        ];
     }
 
     /**
-     * Save user data to cloud storage (GitHub Gist)
-     * @param {string} userKey - User's unique key
-     * @param {Object} userData - User data object
+     * Open the database, running pending migrations
+     * @returns {Promise<IDBDatabase>} Open database
      */
-    async saveToCloud(userKey, userData) {
-        try {
-            // This is a placeholder for cloud storage
-            // In a real implementation, you would use GitHub Gist API
-            console.log('Saving to cloud:', userKey, userData);
-        } catch (error) {
-            console.error('Error saving to cloud:', error);
+    open() {
+        if (this.openPromise) {
+            return this.openPromise;
         }
+
+        this.openPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const tx = request.transaction;
+                for (let version = event.oldVersion + 1; version <= this.DB_VERSION; version++) {
+                    this.migrations[version](db, tx);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.removeImportedKeys();
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+
+        return this.openPromise;
     }
 
     /**
-     * Load user data from localStorage
-     * @param {string} userKey - User's unique key
-     * @returns {Object|null} User data or null if not found
+     * Version 1: create object stores and import legacy localStorage records
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {IDBTransaction} tx - Upgrade transaction
      */
-    loadUserData(userKey) {
-        try {
-            const data = localStorage.getItem(`${this.USER_KEY_PREFIX}${userKey}`);
-            return data ? JSON.parse(data) : null;
-        } catch (error) {
-            console.error('Error loading user data:', error);
-            return null;
+    migrateToV1(db, tx) {
+        db.createObjectStore('users', { keyPath: 'key' });
+
+        const chats = db.createObjectStore('chats', { keyPath: ['userKey', 'id'] });
+        chats.createIndex('byUser', 'userKey');
+
+        const messages = db.createObjectStore('messages', { keyPath: ['userKey', 'chatId', 'id'] });
+        messages.createIndex('byChat', ['userKey', 'chatId', 'timestamp']);
+
+        db.createObjectStore('attachments', { keyPath: 'id' });
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(this.USER_KEY_PREFIX)) continue;
+
+            // mmessenger_user_key (current user pointer) shares the prefix
+            const raw = localStorage.getItem(key);
+            if (!raw || raw[0] !== '{') continue;
+
+            try {
+                const record = JSON.parse(raw);
+
+                // Messages are keyed by id now, older records had none
+                (record.chats || []).forEach(chat => {
+                    (chat && chat.messages || []).forEach((msg, index) => {
+                        if (msg && !msg.id) {
+                            msg.id = `legacy-${chat.id}-${index}`;
+                        }
+                    });
+                });
+
+                const userKey = key.replace(this.USER_KEY_PREFIX, '');
+                this.writeRecord(tx, userKey, record, true);
+                this.importedKeys.push(key);
+            } catch (error) {
+                console.error('Error importing legacy record', key, error);
+            }
         }
     }
 
     /**
-     * Get current user key from localStorage
-     * @returns {string|null} Current user key or null
+     * Drop legacy localStorage records once their import is committed
      */
-    getCurrentUserKey() {
-        return localStorage.getItem(this.CURRENT_USER_KEY);
+    removeImportedKeys() {
+        this.importedKeys.forEach(key => localStorage.removeItem(key));
+        this.importedKeys = [];
     }
 
     /**
-     * Set current user key in localStorage
-     * @param {string} userKey - User's unique key
+     * Wrap an IDBRequest into a promise
+     * @param {IDBRequest} request - Request
+     * @returns {Promise<any>} Request result
      */
-    setCurrentUserKey(userKey) {
-        localStorage.setItem(this.CURRENT_USER_KEY, userKey);
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
     /**
-     * Remove current user data
+     * Wait for a transaction to commit
+     * @param {IDBTransaction} tx - Transaction
+     * @returns {Promise<void>} Resolves on commit
      */
-    clearCurrentUser() {
-        localStorage.removeItem(this.CURRENT_USER_KEY);
+    complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
     }
 
     /**
-     * Get user key by username (for internal use only)
-     * @param {string} username - Username to find
-     * @returns {string|null} User key or null
+     * Key range covering all messages of a chat, ordered by timestamp
+     * @param {string} userKey - User's unique key
+     * @param {number|string} chatId - Chat ID
+     * @returns {IDBKeyRange} Key range for the byChat index
      */
-    getUserKeyByUsername(username) {
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key.startsWith(this.USER_KEY_PREFIX)) {
-                const userKey = key.replace(this.USER_KEY_PREFIX, '');
-                const userData = this.loadUserData(userKey);
-                if (userData && userData.username === username) {
-                    return userKey;
-                }
-            }
-        }
-        return null;
-    }
-}
-
-class StorageManager {
-    constructor() {
-        this.cloudStorage = new CloudStorageManager();
-        this.USER_KEY_PREFIX = 'mmessenger_user_';
-        this.CURRENT_USER_KEY = 'mmessenger_user_key';
+    chatRange(userKey, chatId) {
+        return IDBKeyRange.bound([userKey, chatId, ''], [userKey, chatId, '\uffff']);
     }
 
     /**
-     * Generate a unique 16-character key
-     * @returns {string} Unique key
+     * Queue writes of a full user record into a transaction
+     * @param {IDBTransaction} tx - Transaction over all stores
+     * @param {string} userKey - User's unique key
+     * @param {Object} record - User data object
+     * @param {boolean} withMessages - Also write chat messages
      */
-    generateUniqueKey() {
-        return this.cloudStorage.generateUniqueKey();
+    writeRecord(tx, userKey, record, withMessages) {
+        const { chats, ...profile } = record;
+        tx.objectStore('users').put({ ...profile, key: userKey });
+
+        (chats || []).forEach(chat => {
+            if (!chat || !chat.id) return;
+
+            const { messages, ...meta } = chat;
+            tx.objectStore('chats').put({ ...meta, userKey });
+
+            if (withMessages) {
+                (messages || []).forEach(msg => {
+                    if (msg && msg.id) {
+                        this.writeMessage(tx, userKey, chat.id, msg);
+                    }
+                });
+            }
+        });
     }
 
     /**
-     * Save user data to localStorage
+     * Queue a message write, moving attachment payloads out of the message row
+     * @param {IDBTransaction} tx - Transaction over messages and attachments
      * @param {string} userKey - User's unique key
-     * @param {Object} userData - User data object
+     * @param {number|string} chatId - Chat ID
+     * @param {Object} message - Message object
      */
-    async saveUserData(userKey, userData) {
-        return await this.cloudStorage.saveUserData(userKey, userData);
+    writeMessage(tx, userKey, chatId, message) {
+        const { fileData, encryptedFile, ...fields } = message;
+        const row = { ...fields, userKey, chatId, timestamp: message.timestamp || '' };
+        const attachmentId = this.attachmentId(userKey, chatId, message.id);
+
+        if (message.deleted) {
+            // A tombstone keeps no attachment
+            tx.objectStore('attachments').delete(attachmentId);
+            delete row.lazyAttachment;
+        } else if (fileData || encryptedFile) {
+            tx.objectStore('attachments').put({
+                id: attachmentId,
+                fileData: fileData || null,
+                encryptedFile: encryptedFile || null
+            });
+            row.lazyAttachment = true;
+        }
+        // A message loaded without its payload is written back without touching it
+
+        tx.objectStore('messages').put(row);
     }
 
     /**
-     * Load user data from localStorage
+     * Key of a message's attachment payload
      * @param {string} userKey - User's unique key
-     * @returns {Object|null} User data or null if not found
+     * @param {number|string} chatId - Chat ID
+     * @param {string} messageId - Message ID
+     * @returns {string} Attachment ID
      */
-    loadUserData(userKey) {
-        return this.cloudStorage.loadUserData(userKey);
+    attachmentId(userKey, chatId, messageId) {
+        return `${userKey}:${chatId}:${messageId}`;
     }
 
     /**
-     * Get current user key from localStorage
-     * @returns {string|null} Current user key or null
+     * Turn a stored message row back into a message object. Attachment
+     * payloads stay in their store until asked for; rows written before
+     * attachments were lazy still carry their payload inline.
+     * @param {IDBObjectStore} attachments - Attachments store
+     * @param {Object} row - Stored message row
+     * @param {boolean} withAttachment - Also load the attachment payload
+     * @returns {Promise<Object>} Message object
      */
-    getCurrentUserKey() {
-        return this.cloudStorage.getCurrentUserKey();
+    async readMessage(attachments, row, withAttachment = false) {
+        const { userKey, chatId, ...message } = row;
+
+        if (message.lazyAttachment && withAttachment) {
+            const attachment = await this.promisify(attachments.get(this.attachmentId(userKey, chatId, message.id)));
+            if (attachment) {
+                message.fileData = attachment.fileData;
+                message.encryptedFile = attachment.encryptedFile;
+                delete message.lazyAttachment;
+            }
+        }
+
+        return message;
     }
 
     /**
-     * Set current user key in localStorage
+     * Get a user record
      * @param {string} userKey - User's unique key
+     * @param {Object} options - { messageLimit: load only the latest N messages per chat,
+     *     messages: false loads only profile and chat info, attachments: include attachment payloads }
+     * @returns {Promise<Object|null>} User data or null if not found
      */
-    setCurrentUserKey(userKey) {
-        return this.cloudStorage.setCurrentUserKey(userKey);
-    }
+    async getRecord(userKey, options = {}) {
+        const db = await this.open();
+        const tx = db.transaction(['users', 'chats', 'messages', 'attachments'], 'readonly');
 
-    /**
-     * Remove current user data
-     */
-    clearCurrentUser() {
-        return this.cloudStorage.clearCurrentUser();
+        const user = await this.promisify(tx.objectStore('users').get(userKey));
+        if (!user) {
+            return null;
+        }
+
+        const { key, ...profile } = user;
+        const chatRows = await this.promisify(tx.objectStore('chats').index('byUser').getAll(userKey));
+        const messagesIndex = tx.objectStore('messages').index('byChat');
+        const attachments = tx.objectStore('attachments');
+
+        const chats = [];
+        for (const row of chatRows) {
+            const { userKey: owner, ...chat } = row;
+            let messageRows;
+            if (options.messages === false) {
+                messageRows = [];
+            } else if (options.messageLimit) {
+                const page = await this.readPage(messagesIndex, userKey, chat.id, { limit: options.messageLimit });
+                messageRows = page.rows;
+                chat.hasOlderMessages = page.hasMore;
+            } else {
+                messageRows = await this.promisify(messagesIndex.getAll(this.chatRange(userKey, chat.id)));
+            }
+
+            chat.messages = [];
+            for (const messageRow of messageRows) {
+                chat.messages.push(await this.readMessage(attachments, messageRow, !!options.attachments));
+            }
+            chats.push(chat);
+        }
+
+        // Keep chat list order stable (creation order)
+        chats.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        return { ...profile, chats };
     }
 
     /**
-     * Get all users from localStorage (without exposing keys)
-     * @returns {Array} Array of user objects (username only, no key)
+     * Read the message rows with the given IDs
+     * @param {IDBObjectStore} messages - Messages store
+     * @param {string} userKey - User's unique key
+     * @param {number|string} chatId - Chat ID
+     * @param {Array} ids - Message IDs
+     * @returns {Promise<Object>} { rows (the ones found), hasMore: false }
      */
-    getAllUsers() {
-        return this.cloudStorage.getAllUsersFromLocalStorage();
+    async readRows(messages, userKey, chatId, ids) {
+        const rows = [];
+        for (const id of ids) {
+            const row = await this.promisify(messages.get([userKey, chatId, id]));
+            if (row) {
+                rows.push(row);
+            }
+        }
+        return { rows, hasMore: false };
     }
 
     /**
-     * Get user key by username (for internal use only)
-     * @param {string} username - Username to find
-     * @returns {string|null} User key or null
+     * Read a page of message rows walking the chat backwards from `before`
+     * @param {IDBIndex} index - byChat index
+     * @param {string} userKey - User's unique key
+     * @param {number|string} chatId - Chat ID
+     * @param {Object} options - { before: timestamp (inclusive), excludeIds, limit, attachments }
+     * @returns {Promise<Object>} { rows (oldest first), hasMore }
      */
-    getUserKeyByUsername(username) {
-        return this.cloudStorage.getUserKeyByUsername(username);
+    readPage(index, userKey, chatId, options) {
+        const limit = options.limit || 50;
+        const exclude = new Set(options.excludeIds || []);
+        const upper = options.before !== undefined ? options.before : '\uffff';
+        const range = IDBKeyRange.bound([userKey, chatId, ''], [userKey, chatId, upper]);
+
+        return new Promise((resolve, reject) => {
+            const rows = [];
+            const request = index.openCursor(range, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve({ rows: rows.reverse(), hasMore: false });
+                    return;
+                }
+                if (!exclude.has(cursor.value.id)) {
+                    if (rows.length === limit) {
+                        resolve({ rows: rows.reverse(), hasMore: true });
+                        return;
+                    }
+                    rows.push(cursor.value);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
     }
-}
 
-class ChatManager {
-    constructor(storageManager) {
-        this.storage = storageManager;
-        this.chats = [];
-        this.friends = [];
-        this.friendRequests = []; // Входящие заявки в друзья
-        this.sentFriendRequests = []; // Исходящие заявки
+    /**
+     * Get a page of chat messages, oldest first
+     * @param {string} userKey - User's unique key
+     * @param {number|string} chatId - Chat ID
+     * @param {Object} options - { before: timestamp (inclusive), excludeIds, limit, attachments },
+     *     or { ids, attachments } for just the messages with these IDs
+     * @returns {Promise<Object>} { messages, hasMore }
+     */
+    async getMessages(userKey, chatId, options = {}) {
+        const db = await this.open();
+        const tx = db.transaction(['messages', 'attachments'], 'readonly');
+        const page = options.ids
+            ? await this.readRows(tx.objectStore('messages'), userKey, chatId, options.ids)
+            : await this.readPage(tx.objectStore('messages').index('byChat'), userKey, chatId, options);
+        const attachments = tx.objectStore('attachments');
+
+        const messages = [];
+        for (const row of page.rows) {
+            messages.push(await this.readMessage(attachments, row, !!options.attachments));
+        }
+        return { messages, hasMore: page.hasMore };
     }
 
     /**
-     * Initialize chats with default data
-     * @returns {Array} Initial chats array
+     * Get the attachment payload of a message
+     * @param {string} userKey - User's unique key
+     * @param {number|string} chatId - Chat ID
+     * @param {string} messageId - Message ID
+     * @returns {Promise<Object|null>} { fileData, encryptedFile } or null
      */
-    initializeChats() {
-        return [{
-            id: 1,
-            name: 'Избранное',
-            type: 'favorites',
-            messages: []
-        }];
+    async getAttachment(userKey, chatId, messageId) {
+        const db = await this.open();
+        const tx = db.transaction('attachments', 'readonly');
+        const attachment = await this.promisify(tx.objectStore('attachments').get(this.attachmentId(userKey, chatId, messageId)));
+        if (!attachment || (!attachment.fileData && !attachment.encryptedFile)) {
+            return null;
+        }
+        return { fileData: attachment.fileData || null, encryptedFile: attachment.encryptedFile || null };
     }
 
     /**
-     * Load chats from storage
+     * Put a user record
      * @param {string} userKey - User's unique key
+     * @param {Object} record - User data object
+     * @param {Object} options - { messages: false writes only profile and chat info }
      */
-    loadChats(userKey) {
-        const userData = this.storage.loadUserData(userKey);
-        if (userData) {
-            this.chats = userData.chats || this.initializeChats();
-            this.friends = userData.friends || [];
-            this.friendRequests = userData.friendRequests || [];
-            this.sentFriendRequests = userData.sentFriendRequests || [];
-            
-            // Filter out invalid chats
-            this.chats = this.chats.filter(chat => 
-                chat && chat.id && chat.name
-            );
+    async putRecord(userKey, record, options = {}) {
+        const db = await this.open();
+        const tx = db.transaction(['users', 'chats', 'messages', 'attachments'], 'readwrite');
+        this.writeRecord(tx, userKey, record, options.messages !== false);
+        await this.complete(tx);
+    }
 
-            if (this.chats.length === 0) {
-                this.chats = this.initializeChats();
-            }
-        } else {
-            this.chats = this.initializeChats();
-            this.friends = [];
-            this.friendRequests = [];
-            this.sentFriendRequests = [];
-        }
+    /**
+     * Insert or update a single message
+     * @param {string} userKey - User's unique key
+     * @param {Object} chat - Chat the message belongs to
+     * @param {Object} message - Message object
+     */
+    async putMessage(userKey, chat, message) {
+        const db = await this.open();
+        const tx = db.transaction(['chats', 'messages', 'attachments'], 'readwrite');
+        const { messages, ...meta } = chat;
+        tx.objectStore('chats').put({ ...meta, userKey });
+        this.writeMessage(tx, userKey, chat.id, message);
+        await this.complete(tx);
     }
 
     /**
-     * Save chats to storage
+     * Delete a user record with all chats, messages and attachments
      * @param {string} userKey - User's unique key
-     * @param {string} username - Username
      */
-    saveChats(userKey, username) {
-        const userData = {
-            username: username,
-            chats: this.chats,
-            friends: this.friends,
-            friendRequests: this.friendRequests,
-            sentFriendRequests: this.sentFriendRequests
-        };
-        this.storage.saveUserData(userKey, userData);
+    async deleteRecord(userKey) {
+        const db = await this.open();
+        const tx = db.transaction(['users', 'chats', 'messages', 'attachments'], 'readwrite');
+        const messages = tx.objectStore('messages');
+
+        tx.objectStore('users').delete(userKey);
+        const chatRows = await this.promisify(tx.objectStore('chats').index('byUser').getAll(userKey));
+        for (const chat of chatRows) {
+            tx.objectStore('chats').delete([userKey, chat.id]);
+            const rows = await this.promisify(messages.index('byChat').getAll(this.chatRange(userKey, chat.id)));
+            rows.forEach(row => {
+                messages.delete([userKey, chat.id, row.id]);
+                tx.objectStore('attachments').delete(this.attachmentId(userKey, chat.id, row.id));
+            });
+        }
+        await this.complete(tx);
     }
 
     /**
-     * Create a new chat
-     * @param {string} name - Chat name
-     * @param {string} description - Chat description
-     * @returns {Object} New chat object
+     * List users stored on this device
+     * @returns {Promise<Array>} Array of user objects
      */
-    createChat(name, description = '') {
-        const newChat = {
-            id: Date.now(),
-            name: name.trim(),
-            description: description.trim(),
-            messages: [],
-            createdAt: new Date().toISOString()
-        };
-        this.chats.push(newChat);
-        return newChat;
+    async listUsers() {
+        const db = await this.open();
+        const tx = db.transaction('users', 'readonly');
+        const users = await this.promisify(tx.objectStore('users').getAll());
+        return users
+            .filter(user => user.username)
+            .map(user => ({
+                username: user.username,
+                key: user.key,
+                searchKey: user.username.toLowerCase()
+            }));
+    }
+}
+
+/**
+ * Offline backend adapter: user records live on this device,
+ * in IndexedDB when available and in localStorage otherwise
+ */
+class LocalBackendAdapter {
+    constructor(userKeyPrefix) {
+        this.USER_KEY_PREFIX = userKeyPrefix;
+        this.PRESENCE_KEY_PREFIX = 'mmessenger_presence_';
+        this.INBOX_KEY_PREFIX = 'mmessenger_inbox_';
+        this.isRemote = false;
+        this.storePromise = null;
     }
 
     /**
-     * Create a private chat with friend
-     * @param {string} friendKey - Friend's unique key
-     * @param {string} friendUsername - Friend's username
-     * @param {string} currentUserKey - Current user's key
-     * @returns {Object} New private chat object
+     * Get the local store, opening IndexedDB on first use
+     * @returns {Promise<Object>} IndexedDBStore or LocalStorageStore
      */
-    createPrivateChat(friendKey, friendUsername, currentUserKey) {
-        const newChat = {
-            id: Date.now(),
-            name: friendUsername,
-            type: 'private',
-            participants: [currentUserKey, friendKey],
-            messages: [],
-            createdAt: new Date().toISOString()
-        };
-        this.chats.push(newChat);
-        return newChat;
+    getStore() {
+        if (!this.storePromise) {
+            this.storePromise = (async () => {
+                if (window.indexedDB) {
+                    try {
+                        const store = new IndexedDBStore(this.USER_KEY_PREFIX);
+                        await store.open();
+                        return store;
+                    } catch (error) {
+                        console.error('IndexedDB unavailable, falling back to localStorage:', error);
+                    }
+                }
+                return new LocalStorageStore(this.USER_KEY_PREFIX);
+            })();
+        }
+        return this.storePromise;
     }
 
     /**
-     * Find existing private chat with friend
-     * @param {string} friendKey - Friend's unique key
-     * @returns {Object|null} Existing chat or null
+     * Read a user record
+     * @param {string} userKey - User's unique key
+     * @param {Object} options - { messageLimit: load only the latest N messages per chat, messages: false, attachments }
+     * @returns {Promise<Object|null>} User data or null if not found
      */
-    findPrivateChat(friendKey) {
-        return this.chats.find(chat => 
-            chat.type === 'private' && 
-            chat.participants && 
-            chat.participants.includes(friendKey)
-        );
+    async readRecord(userKey, options = {}) {
+        const store = await this.getStore();
+        return await store.getRecord(userKey, options);
     }
 
     /**
-     * Add message to chat
-     * @param {Object} chat - Chat object
-     * @param {string} author - Message author
-     * @param {string} text - Message text
-     * @param {string} type - Message type (text, image, video, file)
-     * @param {string} fileData - File data (base64 for images/videos, URL for files)
-     * @param {string} fileName - File name
+     * Read a page of chat messages, oldest first
+     * @param {string} userKey - User's unique key
+     * @param {number|string} chatId - Chat ID
+     * @param {Object} options - { before: timestamp (inclusive), excludeIds, limit, attachments } or { ids, attachments }
+     * @returns {Promise<Object>} { messages, hasMore }
      */
-    addMessage(chat, author, text, type = 'text', fileData = null, fileName = null) {
-        if (!chat.messages) {
-            chat.messages = [];
-        }
+    async readMessages(userKey, chatId, options = {}) {
+        const store = await this.getStore();
+        return await store.getMessages(userKey, chatId, options);
+    }
 
-        const now = new Date();
-        const time = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
+    /**
+     * Write a full user record
+     * @param {string} userKey - User's unique key
+     * @param {Object} record - User data object
+     * @param {Object} options - { messages: false writes only profile and chat info }
+     */
+    async writeRecord(userKey, record, options = {}) {
+        const store = await this.getStore();
+        await store.putRecord(userKey, record, options);
+    }
 
-        const message = {
-            author: author,
-            text: text.trim(),
-            time: time,
-            timestamp: now.toISOString(),
-            type: type,
-            fileData: fileData,
-            fileName: fileName
-        };
+    /**
+     * Write a single message
+     * @param {string} userKey - User's unique key
+     * @param {Object} chat - Chat the message belongs to
+     * @param {Object} message - Message object
+     */
+    async writeMessage(userKey, chat, message) {
+        const store = await this.getStore();
+        await store.putMessage(userKey, chat, message);
+    }
 
-        chat.messages.push(message);
+    /**
+     * Delete a user record from this device
+     * @param {string} userKey - User's unique key
+     */
+    async deleteRecord(userKey) {
+        const store = await this.getStore();
+        await store.deleteRecord(userKey);
+    }
 
-        // Keep only last 1000 messages for performance
-        if (chat.messages.length > 1000) {
-            chat.messages = chat.messages.slice(-1000);
-        }
+    /**
+     * Read the attachment payload of a message
+     * @param {string} userKey - User's unique key
+     * @param {number|string} chatId - Chat ID
+     * @param {string} messageId - Message ID
+     * @returns {Promise<Object|null>} { fileData, encryptedFile } or null
+     */
+    async readAttachment(userKey, chatId, messageId) {
+        const store = await this.getStore();
+        return await store.getAttachment(userKey, chatId, messageId);
+    }
 
-        return message;
+    /**
+     * Fetch a user record (without chats)
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<Object|null>} User record or null if not found
+     */
+    async fetchUser(userKey) {
+        const record = await this.readRecord(userKey);
+        if (!record) return null;
+
+        const { chats, ...profile } = record;
+        return profile;
     }
 
     /**
-     * Add friend to friends list
-     * @param {string} friendKey - Friend's unique key
-     * @param {string} friendUsername - Friend's username
-     * @returns {boolean} True if friend was added, false if already exists
+     * Put a user record (without chats)
+     * @param {string} userKey - User's unique key
+     * @param {Object} profile - User record
      */
-    addFriend(friendKey, friendUsername) {
-        if (this.friends.some(friend => friend.key === friendKey)) {
-            return false;
-        }
+    async putUser(userKey, profile) {
+        const { chats, ...record } = profile;
+        await this.writeRecord(userKey, { ...record, chats: [] }, { messages: false });
+    }
 
-        this.friends.push({
-            key: friendKey,
-            username: friendUsername,
-            addedAt: new Date().toISOString()
-        });
-        return true;
+    /**
+     * List users in the directory
+     * @param {string} query - Optional search term
+     * @returns {Promise<Array>} Array of user objects
+     */
+    async listUsers(query = '') {
+        const term = query.toLowerCase();
+        const users = await this.listLocalUsers();
+        return users.filter(user => user.searchKey.includes(term));
     }
 
     /**
-     * Search users by username
-     * @param {string} searchTerm - Search term
-     * @param {string} currentUserKey - Current user's key to exclude from results
-     * @returns {Promise<Array>} Filtered users array
+     * List users stored on this device
+     * @returns {Promise<Array>} Array of user objects
      */
-    async searchUsers(searchTerm, currentUserKey) {
-        const allUsers = await this.storage.cloudStorage.getAllUsers();
-        const filteredUsers = allUsers.filter(user => 
-            user.key !== currentUserKey &&
-            user.username.toLowerCase().includes(searchTerm.toLowerCase())
-        );
-        return filteredUsers;
+    async listLocalUsers() {
+        const store = await this.getStore();
+        return await store.listUsers();
     }
 
     /**
-     * Add user by key (for adding friends who shared their key)
+     * Push user's chats
      * @param {string} userKey - User's unique key
-     * @param {string} username - Username
-     * @returns {boolean} True if user was added successfully
+     * @param {Array} chats - Chats array
      */
-    addUserByKey(userKey, username) {
-        try {
-            // Check if user exists in storage
-            const userData = this.storage.loadUserData(userKey);
-            if (!userData) {
-                return false;
-            }
-
-            // Add to friends
-            return this.addFriend(userKey, username);
-        } catch (error) {
-            console.error('Error adding user by key:', error);
-            return false;
+    async pushChats(userKey, chats) {
+        const record = await this.readRecord(userKey);
+        if (record) {
+            record.chats = chats;
+            await this.writeRecord(userKey, record);
         }
     }
 
     /**
-     * Send friend request
-     * @param {string} targetUserKey - Target user's key
-     * @param {string} currentUserKey - Current user's key
-     * @param {string} currentUsername - Current username
-     * @returns {boolean} True if request was sent
+     * Pull user's chats
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<Array|null>} Chats array or null if user not found
      */
-    sendFriendRequest(targetUserKey, currentUserKey, currentUsername) {
-        // Check if already sent
-        if (this.sentFriendRequests.some(req => req.key === targetUserKey)) {
-            return false;
-        }
+    async pullChats(userKey) {
+        const record = await this.readRecord(userKey);
+        return record ? (record.chats || []) : null;
+    }
 
-        // Add to sent requests
-        this.sentFriendRequests.push({
-            key: targetUserKey,
-            username: currentUsername,
-            sentAt: new Date().toISOString()
-        });
+    /**
+     * Publish a user's presence. Offline mode keeps it in localStorage,
+     * which other tabs of the same browser can see.
+     * @param {string} userKey - User's unique key
+     * @param {Object} presence - { lastSeen, typing }
+     */
+    async putPresence(userKey, presence) {
+        localStorage.setItem(`${this.PRESENCE_KEY_PREFIX}${userKey}`, JSON.stringify(presence));
+    }
 
-        // Add to target user's incoming requests
-        const targetUserData = this.storage.loadUserData(targetUserKey);
-        if (targetUserData) {
-            if (!targetUserData.friendRequests) {
-                targetUserData.friendRequests = [];
+    /**
+     * Get presence of several users
+     * @param {Array} userKeys - User keys
+     * @returns {Promise<Object>} userKey -> presence, unknown users are left out
+     */
+    async getPresence(userKeys) {
+        const result = {};
+        userKeys.forEach(key => {
+            try {
+                const stored = localStorage.getItem(`${this.PRESENCE_KEY_PREFIX}${key}`);
+                if (stored) {
+                    result[key] = JSON.parse(stored);
+                }
+            } catch (error) {
+                console.error('Error reading presence:', error);
             }
-            targetUserData.friendRequests.push({
-                key: currentUserKey,
-                username: currentUsername,
-                sentAt: new Date().toISOString()
-            });
-            this.storage.saveUserData(targetUserKey, targetUserData);
-        }
-
-        return true;
+        });
+        return result;
     }
 
     /**
-     * Accept friend request
-     * @param {string} requesterKey - Requester's key
-     * @param {string} requesterUsername - Requester's username
-     * @param {string} currentUserKey - Current user's key
-     * @param {string} currentUsername - Current username
+     * Put an envelope into a user's inbox. Offline mode keeps inboxes in
+     * localStorage, shared by the accounts of this browser.
+     * @param {string} userKey - Recipient's key
+     * @param {Object} envelope - Signed envelope
      */
-    acceptFriendRequest(requesterKey, requesterUsername, currentUserKey, currentUsername) {
-        // Add to friends
-        this.addFriend(requesterKey, requesterUsername);
-
-        // Remove from friend requests
-        this.friendRequests = this.friendRequests.filter(req => req.key !== requesterKey);
+    async postInbox(userKey, envelope) {
+        const inbox = await this.getInbox(userKey);
+        inbox.push(envelope);
+        localStorage.setItem(`${this.INBOX_KEY_PREFIX}${userKey}`, JSON.stringify(inbox));
+    }
 
-        // Update requester's data
-        const requesterData = this.storage.loadUserData(requesterKey);
-        if (requesterData) {
-            // Remove from requester's sent requests
-            if (requesterData.sentFriendRequests) {
-                requesterData.sentFriendRequests = requesterData.sentFriendRequests.filter(
-                    req => req.key !== currentUserKey
-                );
-            }
-            // Add us to requester's friends
-            if (!requesterData.friends) {
-                requesterData.friends = [];
-            }
-            if (!requesterData.friends.some(f => f.key === currentUserKey)) {
-                requesterData.friends.push({
-                    key: currentUserKey,
-                    username: currentUsername,
-                    addedAt: new Date().toISOString()
-                });
-            }
-            this.storage.saveUserData(requesterKey, requesterData);
+    /**
+     * Get envelopes waiting in a user's inbox
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<Array>} Envelopes, oldest first
+     */
+    async getInbox(userKey) {
+        try {
+            const stored = localStorage.getItem(`${this.INBOX_KEY_PREFIX}${userKey}`);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Error reading inbox:', error);
+            return [];
         }
     }
 
     /**
-     * Reject friend request
-     * @param {string} requesterKey - Requester's key
+     * Remove processed envelopes from a user's inbox
+     * @param {string} userKey - User's unique key
+     * @param {Array} ids - Envelope ids
      */
-    rejectFriendRequest(requesterKey) {
-        this.friendRequests = this.friendRequests.filter(req => req.key !== requesterKey);
+    async deleteInbox(userKey, ids) {
+        const inbox = (await this.getInbox(userKey)).filter(envelope => !ids.includes(envelope.id));
+        localStorage.setItem(`${this.INBOX_KEY_PREFIX}${userKey}`, JSON.stringify(inbox));
+    }
+
+    /**
+     * Link previews need a server to fetch pages
+     * @returns {Promise<null>} Always null
+     */
+    async unfurl() {
+        return null;
     }
 }
 
-class UIManager {
-    constructor() {
-        this.currentScreen = null;
-        this.typingTimeout = null;
-        this.isTyping = false;
+/**
+ * REST backend adapter for the self-hosted server (server.js)
+ */
+class RestBackendAdapter {
+    constructor(baseUrl, signer = null) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.isRemote = true;
+        this.REQUEST_TIMEOUT = 10000;
+        this.signer = signer; // (userKey, text) => подпись или null, см. CryptoManager.sign
     }
 
     /**
-     * Show specific screen with animation
-     * @param {string} screenId - Screen ID to show
+     * Send a JSON request to the server
+     * @param {string} method - HTTP method
+     * @param {string} path - Path under /api
+     * @param {Object} body - Optional JSON body
+     * @param {string} signAs - Account to sign the request as, if its keys are on this device
+     * @returns {Promise<Object|null>} Parsed response, null for 404
      */
-    showScreen(screenId) {
-        // Hide all screens
-        document.querySelectorAll('.screen').forEach(screen => {
-            screen.classList.remove('active');
+    async request(method, path, body = undefined, signAs = null) {
+        const url = `${this.baseUrl}/api${path}`;
+        const text = body !== undefined ? JSON.stringify(body) : '';
+        const headers = body !== undefined ? { 'Content-Type': 'application/json' } : {};
+        if (signAs) {
+            Object.assign(headers, await this.signRequest(method, url, text, signAs));
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT);
+
+        try {
+            const response = await fetch(url, {
+                method: method,
+                headers: headers,
+                body: body !== undefined ? text : undefined,
+                signal: controller.signal
+            });
+
+            if (response.status === 404) {
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error(`Server responded with ${response.status}`);
+            }
+            return response.status === 204 ? null : await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Sign a request with an account's signing key. The server checks the
+     * method, host, path, time, nonce and body against the key the account
+     * published, and accepts each nonce once.
+     * @param {string} method - HTTP method
+     * @param {string} url - Full request URL
+     * @param {string} text - Request body text
+     * @param {string} userKey - Account to sign as
+     * @returns {Promise<Object>} Signature headers, empty without the account's keys
+     */
+    async signRequest(method, url, text, userKey) {
+        if (!this.signer) {
+            return {};
+        }
+
+        // The host and path as the browser sends them, with their percent-encoding
+        const target = new URL(url);
+        const time = String(Date.now());
+        const nonce = btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(16))));
+        const signature = await this.signer(
+            userKey,
+            `${method} ${target.host}${target.pathname}${target.search}\n${time}\n${nonce}\n${text}`
+        );
+        if (!signature) {
+            return {};
+        }
+        return {
+            'X-MMessenger-User': userKey,
+            'X-MMessenger-Time': time,
+            'X-MMessenger-Nonce': nonce,
+            'X-MMessenger-Signature': signature
+        };
+    }
+
+    /**
+     * Fetch a user record (without chats). Other users' records, and
+     * accounts whose keys are not on this device, come as public profiles.
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<Object|null>} User record or null if not found
+     */
+    async fetchUser(userKey) {
+        return this.request('GET', `/users/${encodeURIComponent(userKey)}`, undefined, userKey);
+    }
+
+    /**
+     * Put a user record (without chats)
+     * @param {string} userKey - User's unique key
+     * @param {Object} profile - User record
+     */
+    async putUser(userKey, profile) {
+        await this.request('PUT', `/users/${encodeURIComponent(userKey)}`, profile, userKey);
+    }
+
+    /**
+     * List users in the directory
+     * @param {string} query - Optional search term
+     * @returns {Promise<Array>} Array of user objects
+     */
+    async listUsers(query = '') {
+        const users = await this.request('GET', `/users?q=${encodeURIComponent(query)}`);
+        return users || [];
+    }
+
+    /**
+     * Push user's chats, the server merges them with what it has
+     * @param {string} userKey - User's unique key
+     * @param {Array} chats - Chats array
+     */
+    async pushChats(userKey, chats) {
+        await this.request('PUT', `/users/${encodeURIComponent(userKey)}/chats`, chats, userKey);
+    }
+
+    /**
+     * Pull user's chats
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<Array|null>} Chats array or null if user not found
+     */
+    async pullChats(userKey) {
+        return this.request('GET', `/users/${encodeURIComponent(userKey)}/chats`, undefined, userKey);
+    }
+
+    /**
+     * Publish a user's presence
+     * @param {string} userKey - User's unique key
+     * @param {Object} presence - { lastSeen, typing }
+     */
+    async putPresence(userKey, presence) {
+        await this.request('PUT', `/presence/${encodeURIComponent(userKey)}`, presence, userKey);
+    }
+
+    /**
+     * Get presence of several users. The server answers only signed
+     * requests and shows whom someone is typing to only to that peer.
+     * @param {Array} userKeys - User keys
+     * @param {string} viewerKey - Account asking
+     * @returns {Promise<Object>} userKey -> presence, unknown users are left out
+     */
+    async getPresence(userKeys, viewerKey) {
+        const presence = await this.request('GET', `/presence?keys=${userKeys.map(encodeURIComponent).join(',')}`, undefined, viewerKey);
+        return presence || {};
+    }
+
+    /**
+     * Put an envelope into a user's inbox, posted as its sender
+     * @param {string} userKey - Recipient's key
+     * @param {Object} envelope - Signed envelope
+     */
+    async postInbox(userKey, envelope) {
+        await this.request('POST', `/inbox/${encodeURIComponent(userKey)}`, envelope, envelope.from);
+    }
+
+    /**
+     * Get envelopes waiting in a user's inbox
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<Array>} Envelopes, oldest first
+     */
+    async getInbox(userKey) {
+        const inbox = await this.request('GET', `/inbox/${encodeURIComponent(userKey)}`, undefined, userKey);
+        return inbox || [];
+    }
+
+    /**
+     * Remove processed envelopes from a user's inbox
+     * @param {string} userKey - User's unique key
+     * @param {Array} ids - Envelope ids
+     */
+    async deleteInbox(userKey, ids) {
+        await this.request('DELETE', `/inbox/${encodeURIComponent(userKey)}?ids=${ids.map(encodeURIComponent).join(',')}`, undefined, userKey);
+    }
+
+    /**
+     * Get the preview of a link from the server's unfurl endpoint
+     * @param {string} url - Link
+     * @param {string} userKey - Key of the account asking, signs the request
+     * @returns {Promise<Object|null>} { url, title, description, image, siteName },
+     *     null if the page has none or the server does not provide previews
+     */
+    async unfurl(url, userKey) {
+        return this.request('GET', `/unfurl?url=${encodeURIComponent(url)}`, undefined, userKey);
+    }
+}
+
+/**
+ * Rules for merging two copies of the same chat data. Shared by the client's
+ * cloud sync and message delivery and by the sync server, which loads app.js.
+ */
+class ChatMergeRules {
+    constructor() {
+        // Настройки чата, свои у каждого пользователя: поле и время его изменения
+        this.CHAT_SETTINGS = [
+            ['mutedUntil', 'muteChangedAt'],
+            ['linkPreviews', 'linkPreviewsChangedAt'],
+            ['pinnedMessages', 'pinnedMessagesChangedAt'],
+            ['pinnedAt', 'pinChangedAt']
+        ];
+    }
+
+    /**
+     * Merge per-participant delivery receipts, keeping the earliest time of each state
+     * @param {Object} a - Receipts { [userKey]: { delivered, read } }
+     * @param {Object} b - Receipts
+     * @returns {Object|null} Merged receipts or null if neither has any
+     */
+    mergeReceipts(a, b) {
+        if (!a && !b) return null;
+
+        const merged = {};
+        [a || {}, b || {}].forEach(receipts => {
+            Object.keys(receipts).forEach(key => {
+                const target = merged[key] || (merged[key] = {});
+                ['delivered', 'read'].forEach(state => {
+                    const time = receipts[key][state];
+                    if (time && (!target[state] || time < target[state])) {
+                        target[state] = time;
+                    }
+                });
+            });
         });
+        return merged;
+    }
 
-        // Show target screen
-        const targetScreen = document.getElementById(screenId);
-        if (targetScreen) {
-            targetScreen.classList.add('active');
-            this.currentScreen = screenId;
+    /**
+     * Order two revisions of the same message. Every edit and deletion
+     * increments the message's revision counter, and a deletion is final.
+     * Timestamps only break ties, as they come from different devices' clocks.
+     * @param {Object} a - Message object
+     * @param {Object} b - Message object
+     * @returns {number} Positive if a is newer, negative if b is, 0 if equal
+     */
+    compareRevisions(a, b) {
+        if (!!a.deleted !== !!b.deleted) {
+            return a.deleted ? 1 : -1;
+        }
+        const diff = (a.revision || 0) - (b.revision || 0);
+        if (diff !== 0) {
+            return diff;
+        }
+        // Same count: concurrent changes, or messages from before the counter
+        const changedAt = msg => msg.deletedAt || msg.editedAt || '';
+        return changedAt(a).localeCompare(changedAt(b));
+    }
+
+    /**
+     * Merge reactions, keeping the latest reaction of each user
+     * @param {Object} a - Reactions { [userKey]: { emoji, username, at } }
+     * @param {Object} b - Reactions
+     * @returns {Object|null} Merged reactions or null if neither has any
+     */
+    mergeReactions(a, b) {
+        if (!a && !b) return null;
+
+        const merged = { ...(a || {}) };
+        Object.keys(b || {}).forEach(key => {
+            if (!merged[key] || (b[key].at || '') > (merged[key].at || '')) {
+                merged[key] = b[key];
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Pick the read state of the copy that was read last: when the chat was
+     * last read and how many messages were received since. Copies read at the
+     * same time keep the larger count, as one of them received more.
+     * @param {Object} a - Chat copy
+     * @param {Object} b - Chat copy
+     * @returns {Object} { lastReadAt, unreadCount }, each only if a copy has it
+     */
+    latestReadState(a, b) {
+        const latest = (b.lastReadAt || '') > (a.lastReadAt || '') ? b : a;
+        const other = latest === a ? b : a;
+        const counts = [latest.unreadCount];
+        if ((other.lastReadAt || '') === (latest.lastReadAt || '')) {
+            counts.push(other.unreadCount);
+        }
+
+        const state = {};
+        if (latest.lastReadAt) {
+            state.lastReadAt = latest.lastReadAt;
+        }
+        const known = counts.filter(count => typeof count === 'number');
+        if (known.length > 0) {
+            state.unreadCount = Math.max(...known);
+        }
+        return state;
+    }
+
+    /**
+     * Pick the latest value of each per-user chat setting from two copies of a chat
+     * @param {Object} a - Chat copy
+     * @param {Object} b - Chat copy
+     * @returns {Object} Setting fields with their change times, for settings either copy has changed
+     */
+    latestChatSettings(a, b) {
+        const settings = {};
+        this.CHAT_SETTINGS.forEach(([field, changedAt]) => {
+            const latest = (b[changedAt] || '') > (a[changedAt] || '') ? b : a;
+            if (latest[changedAt]) {
+                settings[field] = latest[field];
+                settings[changedAt] = latest[changedAt];
+            }
+        });
+        return settings;
+    }
+}
+
+class CloudStorageManager {
+    constructor() {
+        this.USER_KEY_PREFIX = 'mmessenger_user_';
+        this.CURRENT_USER_KEY = 'mmessenger_user_key';
+        this.ACCOUNTS_KEY = 'mmessenger_accounts';
+        this.CLOUD_USERS_KEY = 'mmessenger_cloud_users';
+        this.BACKEND_URL_KEY = 'mmessenger_backend_url';
+        this.CLOUD_USERS_CACHE_TIME = 5 * 60 * 1000; // 5 минут кеш
+        this.mergeRules = new ChatMergeRules();
+
+        this.requestSigner = null; // Подпись запросов к серверу, см. setRequestSigner
+        this.offlineBackend = new LocalBackendAdapter(this.USER_KEY_PREFIX);
+        this.backend = this.createBackend(this.getBackendUrl());
+    }
+
+    /**
+     * Create backend adapter for the given server URL
+     * @param {string} url - Server URL, empty for offline mode
+     * @returns {Object} Backend adapter
+     */
+    createBackend(url) {
+        return url ? new RestBackendAdapter(url, this.requestSigner) : this.offlineBackend;
+    }
+
+    /**
+     * Set how requests to the sync server are signed. The server only gives
+     * an account's data to requests signed with that account's key.
+     * @param {Function} signer - (userKey, text) => Promise of a base64 signature or null
+     */
+    setRequestSigner(signer) {
+        this.requestSigner = signer;
+        this.backend = this.createBackend(this.getBackendUrl());
+    }
+
+    /**
+     * Get configured sync server URL
+     * @returns {string} Server URL or empty string
+     */
+    getBackendUrl() {
+        return localStorage.getItem(this.BACKEND_URL_KEY) || window.MMESSENGER_BACKEND_URL || '';
+    }
+
+    /**
+     * Set sync server URL and switch backend
+     * @param {string} url - Server URL, empty to go offline
+     */
+    setBackendUrl(url) {
+        const trimmed = (url || '').trim();
+        if (trimmed) {
+            localStorage.setItem(this.BACKEND_URL_KEY, trimmed);
+        } else {
+            localStorage.removeItem(this.BACKEND_URL_KEY);
+        }
+        localStorage.removeItem(this.CLOUD_USERS_KEY);
+        this.backend = this.createBackend(this.getBackendUrl());
+    }
+
+    /**
+     * Generate a unique 16-character key
+     * @returns {string} Unique key
+     */
+    generateUniqueKey() {
+        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+        const bytes = new Uint8Array(1);
+        let result = '';
+        while (result.length < 16) {
+            window.crypto.getRandomValues(bytes);
+            // 248 = 4 * 62: bytes above it would favour the first characters
+            if (bytes[0] < 248) {
+                result += chars.charAt(bytes[0] % chars.length);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Get all users from cloud storage
+     * @returns {Promise<Array>} Array of user objects
+     */
+    async getAllUsers() {
+        try {
+            // Try to get from cloud first
+            const cloudUsers = await this.getCloudUsers();
+            if (cloudUsers && cloudUsers.length > 0) {
+                return cloudUsers;
+            }
             
-            // Add entrance animation
-            if (window.gsap) {
-                gsap.from(targetScreen, {
-                    x: 100,
-                    opacity: 0,
-                    duration: 0.4,
-                    ease: 'power2.out'
-                });
+            // Fallback to localStorage
+            return this.getAllUsersFromLocalStorage();
+        } catch (error) {
+            console.error('Error fetching users from cloud:', error);
+            return this.getAllUsersFromLocalStorage();
+        }
+    }
+
+    /**
+     * Get users from the sync server directory
+     * @returns {Promise<Array>} Array of user objects
+     */
+    async getCloudUsers() {
+        if (!this.backend.isRemote) {
+            return [];
+        }
+
+        try {
+            // Check cache first
+            const cached = this.getCachedCloudUsers();
+            if (cached) {
+                return cached;
             }
+
+            const users = await this.backend.listUsers();
+
+            // Cache the result
+            this.setCachedCloudUsers(users);
+            return users;
+
+        } catch (error) {
+            console.error('Error fetching cloud users:', error);
+            return [];
         }
     }
 
     /**
-     * Show modal with animation
-     * @param {string} modalId - Modal ID to show
+     * Get cached cloud users
+     * @returns {Array|null} Cached users or null
      */
-    showModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.add('active');
-            if (window.gsap) {
-                gsap.from('.modal-content', {
-                    scale: 0.8,
-                    opacity: 0,
-                    duration: 0.3,
-                    ease: 'back.out'
-                });
+    getCachedCloudUsers() {
+        try {
+            const cached = localStorage.getItem(this.CLOUD_USERS_KEY);
+            if (!cached) return null;
+
+            const data = JSON.parse(cached);
+            const now = Date.now();
+            
+            // Check if cache is still valid
+            if (now - data.timestamp > this.CLOUD_USERS_CACHE_TIME) {
+                localStorage.removeItem(this.CLOUD_USERS_KEY);
+                return null;
             }
+
+            return data.users;
+        } catch (error) {
+            console.error('Error getting cached cloud users:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Cache cloud users
+     * @param {Array} users - Users to cache
+     */
+    setCachedCloudUsers(users) {
+        try {
+            const data = {
+                users: users,
+                timestamp: Date.now()
+            };
+            localStorage.setItem(this.CLOUD_USERS_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.error('Error caching cloud users:', error);
+        }
+    }
+
+    /**
+     * Get all users stored on this device (fallback)
+     * @returns {Promise<Array>} Array of user objects
+     */
+    async getAllUsersFromLocalStorage() {
+        return await this.offlineBackend.listLocalUsers();
+    }
+
+    /**
+     * Save full user data, including every message, locally and to the sync server
+     * @param {string} userKey - User's unique key
+     * @param {Object} userData - User data object
+     * @throws {Error} code 'sync-failed' if only the local copy was saved
+     */
+    async saveUserData(userKey, userData) {
+        try {
+            userData.updatedAt = new Date().toISOString();
+            await this.offlineBackend.writeRecord(userKey, userData);
+        } catch (error) {
+            console.error('Error saving user data:', error);
+            throw new Error('Failed to save user data');
+        }
+
+        await this.saveToCloud(userKey, userData);
+    }
+
+    /**
+     * Save user profile and chat list without touching stored messages
+     * @param {string} userKey - User's unique key
+     * @param {Object} userData - User data object
+     * @throws {Error} code 'sync-failed' if only the local copy was saved
+     */
+    async saveUserMeta(userKey, userData) {
+        const meta = {
+            ...userData,
+            updatedAt: new Date().toISOString(),
+            chats: (userData.chats || []).map(chat => ({ ...chat, messages: [] }))
+        };
+
+        try {
+            await this.offlineBackend.writeRecord(userKey, meta, { messages: false });
+        } catch (error) {
+            console.error('Error saving user data:', error);
+            throw new Error('Failed to save user data');
+        }
+
+        await this.saveToCloud(userKey, meta);
+    }
+
+    /**
+     * Save a single message locally and to the sync server
+     * @param {string} userKey - User's unique key
+     * @param {Object} chat - Chat the message belongs to
+     * @param {Object} message - Message object
+     * @throws {Error} code 'sync-failed' if only the local copy was saved
+     */
+    async saveMessage(userKey, chat, message) {
+        try {
+            await this.offlineBackend.writeMessage(userKey, chat, message);
+        } catch (error) {
+            console.error('Error saving message:', error);
+            throw new Error('Failed to save message');
+        }
+
+        if (!this.backend.isRemote) {
+            return;
+        }
+
+        try {
+            // The server merges messages by id, pushing just this one is enough
+            await this.backend.pushChats(userKey, [{ ...chat, messages: [message] }]);
+        } catch (error) {
+            console.error('Error saving message to cloud:', error);
+            throw Object.assign(new Error('Sync server is unreachable'), { code: 'sync-failed' });
+        }
+    }
+
+    /**
+     * Delete a user's data from this device. The sync server copy is kept.
+     * @param {string} userKey - User's unique key
+     */
+    async deleteLocalData(userKey) {
+        await this.offlineBackend.deleteRecord(userKey);
+    }
+
+    /**
+     * Load the attachment payload of a message from local storage
+     * @param {string} userKey - User's unique key
+     * @param {number|string} chatId - Chat ID
+     * @param {string} messageId - Message ID
+     * @returns {Promise<Object|null>} { fileData, encryptedFile } or null
+     */
+    async loadAttachment(userKey, chatId, messageId) {
+        try {
+            return await this.offlineBackend.readAttachment(userKey, chatId, messageId);
+        } catch (error) {
+            console.error('Error loading attachment:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save user data to the sync server
+     * @param {string} userKey - User's unique key
+     * @param {Object} userData - User data object
+     * @throws {Error} code 'sync-failed' if the server can't be reached
+     */
+    async saveToCloud(userKey, userData) {
+        if (!this.backend.isRemote) {
+            return;
+        }
+
+        try {
+            const { chats, ...profile } = userData;
+            await this.backend.putUser(userKey, profile);
+            await this.backend.pushChats(userKey, chats || []);
+        } catch (error) {
+            console.error('Error saving to cloud:', error);
+            throw Object.assign(new Error('Sync server is unreachable'), { code: 'sync-failed' });
+        }
+    }
+
+    /**
+     * Fetch an account's own user data from the sync server and merge it into
+     * the local copy. The newer profile wins, unless the local one has changes
+     * that were not pushed yet: then it is kept whatever the timestamps say.
+     * Other users' data is read with fetchUserProfile.
+     * @param {string} userKey - User's unique key
+     * @param {Object} options - { preferLocal: local profile has unpushed changes }
+     * @returns {Promise<Object|null>} Merged user data or null if not found anywhere
+     */
+    async fetchUserData(userKey, options = {}) {
+        const local = await this.loadUserData(userKey);
+        if (!this.backend.isRemote) {
+            return local;
+        }
+
+        try {
+            const profile = await this.backend.fetchUser(userKey);
+            if (!profile) {
+                return local;
+            }
+
+            const remoteChats = await this.backend.pullChats(userKey) || [];
+            const remoteIsNewer = !local || (!options.preferLocal && (!local.updatedAt ||
+                (profile.updatedAt && profile.updatedAt > local.updatedAt)));
+
+            const merged = {
+                ...(remoteIsNewer ? { ...local, ...profile } : { ...profile, ...local }),
+                chats: this.mergeChats(local ? local.chats || [] : [], remoteChats)
+            };
+
+            await this.offlineBackend.writeRecord(userKey, merged);
+            return merged;
+        } catch (error) {
+            console.error('Error fetching user data from cloud:', error);
+            return local;
+        }
+    }
+
+    /**
+     * Fetch another user's profile: username and public keys, without chats.
+     * Nothing of it is written to this device.
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<Object|null>} Profile or null if the user is unknown
+     * @throws {Error} code 'sync-failed' if the server can't be reached
+     */
+    async fetchUserProfile(userKey) {
+        try {
+            const profile = await this.backend.fetchUser(userKey);
+            if (!profile) {
+                return null;
+            }
+
+            const { chats, ...publicProfile } = profile;
+            return publicProfile;
+        } catch (error) {
+            console.error('Error fetching user data from cloud:', error);
+            throw Object.assign(new Error('Sync server is unreachable'), { code: 'sync-failed' });
+        }
+    }
+
+    /**
+     * Merge two copies of a chats array, chats by id and messages by id.
+     * For the same message the later edit or deletion wins.
+     * @param {Array} localChats - Local chats
+     * @param {Array} remoteChats - Remote chats
+     * @returns {Array} Merged chats
+     */
+    mergeChats(localChats, remoteChats) {
+        const merged = localChats.map(chat => ({ ...chat, messages: [...(chat.messages || [])] }));
+
+        remoteChats.forEach(remoteChat => {
+            const chat = merged.find(c => c.id === remoteChat.id);
+            if (!chat) {
+                merged.push(remoteChat);
+                return;
+            }
+
+            // Group changes made by admins arrive as a newer copy of the chat,
+            // read state and per-user settings keep the latest of both copies
+            const readState = this.mergeRules.latestReadState(chat, remoteChat);
+            const settings = this.mergeRules.latestChatSettings(chat, remoteChat);
+            if ((remoteChat.updatedAt || '') > (chat.updatedAt || '')) {
+                const { messages, ...meta } = remoteChat;
+                Object.assign(chat, meta);
+            }
+            Object.assign(chat, readState, settings);
+
+            // Edits and deletions are newer revisions of the same message,
+            // receipts and reactions from both copies are kept
+            (remoteChat.messages || []).forEach(msg => {
+                if (!msg.id) return;
+                const index = chat.messages.findIndex(m => m.id === msg.id);
+                if (index === -1) {
+                    chat.messages.push(msg);
+                    return;
+                }
+
+                const local = chat.messages[index];
+                const newer = this.mergeRules.compareRevisions(msg, local) > 0 ? msg : local;
+                const older = newer === msg ? local : msg;
+                const receipts = this.mergeRules.mergeReceipts(local.receipts, msg.receipts);
+                const merged = receipts ? { ...newer, receipts } : { ...newer };
+                const reactions = this.mergeRules.mergeReactions(local.reactions, msg.reactions);
+                if (reactions) {
+                    merged.reactions = reactions;
+                }
+
+                // Copies loaded without their attachment payload never drop it
+                if (!merged.deleted && !merged.fileData && !merged.encryptedFile && (older.fileData || older.encryptedFile)) {
+                    merged.fileData = older.fileData || null;
+                    merged.encryptedFile = older.encryptedFile || null;
+                    delete merged.lazyAttachment;
+                }
+                chat.messages[index] = merged;
+            });
+            chat.messages.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+        });
+
+        return merged;
+    }
+
+    /**
+     * Load user data from local storage
+     * @param {string} userKey - User's unique key
+     * @param {Object} options - { messageLimit: load only the latest N messages per chat, messages: false, attachments }
+     * @returns {Promise<Object|null>} User data or null if not found
+     */
+    async loadUserData(userKey, options = {}) {
+        try {
+            return await this.offlineBackend.readRecord(userKey, options);
+        } catch (error) {
+            console.error('Error loading user data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Load a page of older chat messages from local storage
+     * @param {string} userKey - User's unique key
+     * @param {number|string} chatId - Chat ID
+     * @param {Object} options - { before: timestamp (inclusive), excludeIds, limit, attachments } or { ids, attachments }
+     * @returns {Promise<Object>} { messages, hasMore }
+     */
+    async loadMessages(userKey, chatId, options = {}) {
+        try {
+            return await this.offlineBackend.readMessages(userKey, chatId, options);
+        } catch (error) {
+            console.error('Error loading messages:', error);
+            return { messages: [], hasMore: false };
+        }
+    }
+
+    /**
+     * Publish a user's presence through the sync backend
+     * @param {string} userKey - User's unique key
+     * @param {Object} presence - { lastSeen, typing }
+     */
+    async putPresence(userKey, presence) {
+        await this.backend.putPresence(userKey, presence);
+    }
+
+    /**
+     * Get presence of several users from the sync backend
+     * @param {Array} userKeys - User keys
+     * @param {string} viewerKey - Account asking
+     * @returns {Promise<Object>} userKey -> presence
+     */
+    async getPresence(userKeys, viewerKey) {
+        return await this.backend.getPresence(userKeys, viewerKey);
+    }
+
+    /**
+     * Put an envelope into a user's inbox on the sync backend
+     * @param {string} userKey - Recipient's key
+     * @param {Object} envelope - Signed envelope
+     */
+    async postInbox(userKey, envelope) {
+        await this.backend.postInbox(userKey, envelope);
+    }
+
+    /**
+     * Get envelopes waiting in a user's inbox on the sync backend
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<Array>} Envelopes, oldest first
+     */
+    async getInbox(userKey) {
+        return await this.backend.getInbox(userKey);
+    }
+
+    /**
+     * Remove processed envelopes from a user's inbox on the sync backend
+     * @param {string} userKey - User's unique key
+     * @param {Array} ids - Envelope ids
+     */
+    async deleteInbox(userKey, ids) {
+        await this.backend.deleteInbox(userKey, ids);
+    }
+
+    /**
+     * Get the preview of a link from the sync backend
+     * @param {string} url - Link
+     * @param {string} userKey - Key of the account asking
+     * @returns {Promise<Object|null>} Preview or null
+     */
+    async unfurl(url, userKey) {
+        return await this.backend.unfurl(url, userKey);
+    }
+
+    /**
+     * Get current user key from localStorage
+     * @returns {string|null} Current user key or null
+     */
+    getCurrentUserKey() {
+        return localStorage.getItem(this.CURRENT_USER_KEY);
+    }
+
+    /**
+     * Set current user key in localStorage
+     * @param {string} userKey - User's unique key
+     */
+    setCurrentUserKey(userKey) {
+        localStorage.setItem(this.CURRENT_USER_KEY, userKey);
+    }
+
+    /**
+     * Remove current user data
+     */
+    clearCurrentUser() {
+        localStorage.removeItem(this.CURRENT_USER_KEY);
+    }
+
+    /**
+     * Get accounts signed in on this device
+     * @returns {Array} { key, username, pin, pinAttempts, pinLockedUntil, lastUsedAt }, most recently used first
+     */
+    getAccounts() {
+        try {
+            const accounts = JSON.parse(localStorage.getItem(this.ACCOUNTS_KEY) || '[]');
+            return accounts.sort((a, b) => (b.lastUsedAt || '').localeCompare(a.lastUsedAt || ''));
+        } catch (error) {
+            console.error('Error reading accounts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the list of accounts
+     * @param {Array} accounts - Accounts array
+     */
+    saveAccounts(accounts) {
+        localStorage.setItem(this.ACCOUNTS_KEY, JSON.stringify(accounts));
+    }
+
+    /**
+     * Add an account to the list or mark it as just used
+     * @param {string} userKey - User's unique key
+     * @param {string} username - Username
+     */
+    rememberAccount(userKey, username) {
+        const accounts = this.getAccounts();
+        const existing = accounts.find(account => account.key === userKey);
+        const lastUsedAt = new Date().toISOString();
+
+        if (existing) {
+            Object.assign(existing, { username, lastUsedAt });
+        } else {
+            accounts.push({ key: userKey, username, pin: null, lastUsedAt });
+        }
+        this.saveAccounts(accounts);
+    }
+
+    /**
+     * Remove an account from the list. Its data stays on the device.
+     * @param {string} userKey - User's unique key
+     */
+    forgetAccount(userKey) {
+        this.saveAccounts(this.getAccounts().filter(account => account.key !== userKey));
+    }
+
+    /**
+     * Set or remove an account's PIN
+     * @param {string} userKey - User's unique key
+     * @param {Object|null} pin - PIN hash from CryptoManager.hashPin, null to remove
+     */
+    setAccountPin(userKey, pin) {
+        const accounts = this.getAccounts();
+        const account = accounts.find(item => item.key === userKey);
+        if (account) {
+            Object.assign(account, { pin, pinAttempts: 0, pinLockedUntil: 0 });
+            this.saveAccounts(accounts);
+        }
+    }
+
+    /**
+     * Save an account's failed PIN attempts, so a reload doesn't reset the lockout
+     * @param {string} userKey - User's unique key
+     * @param {number} attempts - Failed attempts since the last lockout
+     * @param {number} lockedUntil - Time in ms until which no attempt is accepted
+     */
+    setPinAttempts(userKey, attempts, lockedUntil) {
+        const accounts = this.getAccounts();
+        const account = accounts.find(item => item.key === userKey);
+        if (account) {
+            Object.assign(account, { pinAttempts: attempts, pinLockedUntil: lockedUntil });
+            this.saveAccounts(accounts);
+        }
+    }
+
+    /**
+     * Get user key by username (for internal use only)
+     * @param {string} username - Username to find
+     * @returns {Promise<string|null>} User key or null
+     */
+    async getUserKeyByUsername(username) {
+        const localUsers = await this.getAllUsersFromLocalStorage();
+        const localUser = localUsers.find(user => user.username === username);
+        if (localUser) {
+            return localUser.key;
+        }
+
+        // Users found through the server directory are not stored locally
+        const cloudUser = (this.getCachedCloudUsers() || []).find(user => user.username === username);
+        return cloudUser ? cloudUser.key : null;
+    }
+}
+
+class StorageManager {
+    constructor() {
+        this.cloudStorage = new CloudStorageManager();
+        this.USER_KEY_PREFIX = 'mmessenger_user_';
+        this.CURRENT_USER_KEY = 'mmessenger_user_key';
+    }
+
+    /**
+     * Generate a unique 16-character key
+     * @returns {string} Unique key
+     */
+    generateUniqueKey() {
+        return this.cloudStorage.generateUniqueKey();
+    }
+
+    /**
+     * Save full user data, including every message
+     * @param {string} userKey - User's unique key
+     * @param {Object} userData - User data object
+     */
+    async saveUserData(userKey, userData) {
+        return await this.cloudStorage.saveUserData(userKey, userData);
+    }
+
+    /**
+     * Save user profile and chat list without touching stored messages
+     * @param {string} userKey - User's unique key
+     * @param {Object} userData - User data object
+     */
+    async saveUserMeta(userKey, userData) {
+        return await this.cloudStorage.saveUserMeta(userKey, userData);
+    }
+
+    /**
+     * Save a single message
+     * @param {string} userKey - User's unique key
+     * @param {Object} chat - Chat the message belongs to
+     * @param {Object} message - Message object
+     */
+    async saveMessage(userKey, chat, message) {
+        return await this.cloudStorage.saveMessage(userKey, chat, message);
+    }
+
+    /**
+     * Load user data from local storage
+     * @param {string} userKey - User's unique key
+     * @param {Object} options - { messageLimit: load only the latest N messages per chat, messages: false, attachments }
+     * @returns {Promise<Object|null>} User data or null if not found
+     */
+    async loadUserData(userKey, options = {}) {
+        return await this.cloudStorage.loadUserData(userKey, options);
+    }
+
+    /**
+     * Load a page of older chat messages
+     * @param {string} userKey - User's unique key
+     * @param {number|string} chatId - Chat ID
+     * @param {Object} options - { before: timestamp (inclusive), excludeIds, limit, attachments } or { ids, attachments }
+     * @returns {Promise<Object>} { messages, hasMore }
+     */
+    async loadMessages(userKey, chatId, options = {}) {
+        return await this.cloudStorage.loadMessages(userKey, chatId, options);
+    }
+
+    /**
+     * Fetch an account's own user data from the sync server, falling back to the local copy
+     * @param {string} userKey - User's unique key
+     * @param {Object} options - { preferLocal }, see CloudStorageManager.fetchUserData
+     * @returns {Promise<Object|null>} User data or null if not found
+     */
+    async fetchUserData(userKey, options = {}) {
+        return await this.cloudStorage.fetchUserData(userKey, options);
+    }
+
+    /**
+     * Fetch another user's profile without their chats
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<Object|null>} Profile or null if the user is unknown
+     */
+    async fetchUserProfile(userKey) {
+        return await this.cloudStorage.fetchUserProfile(userKey);
+    }
+
+    /**
+     * Delete a user's data from this device
+     * @param {string} userKey - User's unique key
+     */
+    async deleteLocalData(userKey) {
+        return await this.cloudStorage.deleteLocalData(userKey);
+    }
+
+    /**
+     * Load the attachment payload of a message
+     * @param {string} userKey - User's unique key
+     * @param {number|string} chatId - Chat ID
+     * @param {string} messageId - Message ID
+     * @returns {Promise<Object|null>} { fileData, encryptedFile } or null
+     */
+    async loadAttachment(userKey, chatId, messageId) {
+        return await this.cloudStorage.loadAttachment(userKey, chatId, messageId);
+    }
+
+    /**
+     * Merge two copies of a chats array, chats and messages by id
+     * @param {Array} localChats - Local chats
+     * @param {Array} otherChats - Chats to merge in
+     * @returns {Array} Merged chats
+     */
+    mergeChats(localChats, otherChats) {
+        return this.cloudStorage.mergeChats(localChats, otherChats);
+    }
+
+    /**
+     * Get configured sync server URL
+     * @returns {string} Server URL or empty string
+     */
+    getBackendUrl() {
+        return this.cloudStorage.getBackendUrl();
+    }
+
+    /**
+     * Set sync server URL
+     * @param {string} url - Server URL, empty to go offline
+     */
+    setBackendUrl(url) {
+        return this.cloudStorage.setBackendUrl(url);
+    }
+
+    /**
+     * Set how requests to the sync server are signed
+     * @param {Function} signer - (userKey, text) => Promise of a base64 signature or null
+     */
+    setRequestSigner(signer) {
+        this.cloudStorage.setRequestSigner(signer);
+    }
+
+    /**
+     * Publish a user's presence
+     * @param {string} userKey - User's unique key
+     * @param {Object} presence - { lastSeen, typing }
+     */
+    async putPresence(userKey, presence) {
+        return await this.cloudStorage.putPresence(userKey, presence);
+    }
+
+    /**
+     * Get presence of several users
+     * @param {Array} userKeys - User keys
+     * @param {string} viewerKey - Account asking
+     * @returns {Promise<Object>} userKey -> presence
+     */
+    async getPresence(userKeys, viewerKey) {
+        return await this.cloudStorage.getPresence(userKeys, viewerKey);
+    }
+
+    /**
+     * Put an envelope into a user's inbox
+     * @param {string} userKey - Recipient's key
+     * @param {Object} envelope - Signed envelope
+     */
+    async postInbox(userKey, envelope) {
+        return await this.cloudStorage.postInbox(userKey, envelope);
+    }
+
+    /**
+     * Get envelopes waiting in a user's inbox
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<Array>} Envelopes, oldest first
+     */
+    async getInbox(userKey) {
+        return await this.cloudStorage.getInbox(userKey);
+    }
+
+    /**
+     * Remove processed envelopes from a user's inbox
+     * @param {string} userKey - User's unique key
+     * @param {Array} ids - Envelope ids
+     */
+    async deleteInbox(userKey, ids) {
+        return await this.cloudStorage.deleteInbox(userKey, ids);
+    }
+
+    /**
+     * Get the preview of a link
+     * @param {string} url - Link
+     * @param {string} userKey - Key of the account asking
+     * @returns {Promise<Object|null>} Preview or null
+     */
+    async unfurl(url, userKey) {
+        return await this.cloudStorage.unfurl(url, userKey);
+    }
+
+    /**
+     * Get current user key from localStorage
+     * @returns {string|null} Current user key or null
+     */
+    getCurrentUserKey() {
+        return this.cloudStorage.getCurrentUserKey();
+    }
+
+    /**
+     * Set current user key in localStorage
+     * @param {string} userKey - User's unique key
+     */
+    setCurrentUserKey(userKey) {
+        return this.cloudStorage.setCurrentUserKey(userKey);
+    }
+
+    /**
+     * Remove current user data
+     */
+    clearCurrentUser() {
+        return this.cloudStorage.clearCurrentUser();
+    }
+
+    /**
+     * Get accounts signed in on this device
+     * @returns {Array} Accounts, most recently used first
+     */
+    getAccounts() {
+        return this.cloudStorage.getAccounts();
+    }
+
+    /**
+     * Add an account to the list or mark it as just used
+     * @param {string} userKey - User's unique key
+     * @param {string} username - Username
+     */
+    rememberAccount(userKey, username) {
+        return this.cloudStorage.rememberAccount(userKey, username);
+    }
+
+    /**
+     * Remove an account from the list
+     * @param {string} userKey - User's unique key
+     */
+    forgetAccount(userKey) {
+        return this.cloudStorage.forgetAccount(userKey);
+    }
+
+    /**
+     * Set or remove an account's PIN
+     * @param {string} userKey - User's unique key
+     * @param {Object|null} pin - PIN hash, null to remove
+     */
+    setAccountPin(userKey, pin) {
+        return this.cloudStorage.setAccountPin(userKey, pin);
+    }
+
+    /**
+     * Save an account's failed PIN attempts
+     * @param {string} userKey - User's unique key
+     * @param {number} attempts - Failed attempts since the last lockout
+     * @param {number} lockedUntil - Time in ms until which no attempt is accepted
+     */
+    setPinAttempts(userKey, attempts, lockedUntil) {
+        return this.cloudStorage.setPinAttempts(userKey, attempts, lockedUntil);
+    }
+
+    /**
+     * Get all users stored on this device
+     * @returns {Promise<Array>} Array of user objects
+     */
+    async getAllUsers() {
+        return await this.cloudStorage.getAllUsersFromLocalStorage();
+    }
+
+    /**
+     * Get user key by username (for internal use only)
+     * @param {string} username - Username to find
+     * @returns {Promise<string|null>} User key or null
+     */
+    async getUserKeyByUsername(username) {
+        return await this.cloudStorage.getUserKeyByUsername(username);
+    }
+}
+
+/**
+ * Delivery transport over the recipients' inboxes. A change goes to each
+ * participant as an envelope signed by the sender; the recipient checks it
+ * and applies it to its own record, so no client writes into another
+ * user's data.
+ */
+class StorageTransport {
+    constructor(chatManager) {
+        this.chatManager = chatManager;
+    }
+
+    /**
+     * Sign an envelope and put it into the recipient's inbox
+     * @param {Object} envelope - { type, from, to, payload }
+     * @returns {Promise<Object>} Sent envelope
+     */
+    async send(envelope) {
+        return await this.chatManager.sendEnvelope(envelope.type, envelope.to, envelope.from, '', envelope.payload);
+    }
+}
+
+/**
+ * In-memory delivery transport, a stand-in for tests and local experiments.
+ * Envelopes wait in per-recipient inboxes until they are taken.
+ */
+class MemoryTransport {
+    constructor() {
+        this.inboxes = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Put an envelope into the recipient's inbox
+     * @param {Object} envelope - { type, from, to, payload }
+     * @returns {Promise<Object>} Stored envelope
+     */
+    async send(envelope) {
+        // A copy, so later changes on the sender's side don't leak in
+        const stored = JSON.parse(JSON.stringify({
+            id: `memory-${this.nextId++}`,
+            username: '',
+            sentAt: new Date().toISOString(),
+            ...envelope
+        }));
+        const inbox = this.inboxes.get(envelope.to) || [];
+        inbox.push(stored);
+        this.inboxes.set(envelope.to, inbox);
+        return stored;
+    }
+
+    /**
+     * Take the envelopes waiting for a user
+     * @param {string} userKey - Recipient's key
+     * @returns {Array} Envelopes, oldest first
+     */
+    take(userKey) {
+        const inbox = this.inboxes.get(userKey) || [];
+        this.inboxes.delete(userKey);
+        return inbox;
+    }
+}
+
+class MessageDeliveryManager {
+    constructor(transport, reactions = []) {
+        this.transport = transport;
+        this.reactions = reactions; // Допустимые реакции, см. ChatManager.REACTIONS
+        this.USER_KEY_PATTERN = /^[A-Za-z0-9]{1,64}$/; // Как в FriendInbox.checkEnvelope
+        this.ROLES = ['owner', 'admin', 'member'];
+        // Поля, которые меняют правка и удаление, см. ChatManager.editMessage и deleteMessage
+        this.UPDATE_FIELDS = ['text', 'encrypted', 'edited', 'editedAt', 'deleted', 'deletedAt', 'deletedForEveryone', 'revision'];
+        // Общие для всех участников поля группы; прочитанное, mute, закрепы и превью у каждого свои
+        this.GROUP_FIELDS = ['name', 'description', 'ownerKey', 'members', 'participants', 'updatedAt'];
+        this.mergeRules = new ChatMergeRules();
+    }
+
+    /**
+     * Deliver a private or group message to every other participant
+     * @param {Object} chat - Sender's chat object
+     * @param {Object} message - Message object (must have an id)
+     * @param {string} senderKey - Sender's key
+     * @param {Object} options - { only: recipient keys to limit to, failed: array collecting unreachable recipients }
+     * @returns {Promise<Array>} Keys of participants whose inbox received the message
+     */
+    async deliverMessage(chat, message, senderKey, options = {}) {
+        if (!message.id) {
+            return [];
+        }
+
+        return this.deliverToParticipants(chat, senderKey, 'message', {
+            chat: this.chatRef(chat),
+            message
+        }, options);
+    }
+
+    /**
+     * Deliver an edit or deletion of a message to every other participant
+     * @param {Object} chat - Sender's chat object
+     * @param {Object} message - Edited message or tombstone
+     * @param {string} senderKey - Sender's key (must be the author)
+     * @param {Object} options - { only: recipient keys to limit to, failed: array collecting unreachable recipients }
+     * @returns {Promise<Array>} Keys of participants whose inbox received the change
+     */
+    async deliverUpdate(chat, message, senderKey, options = {}) {
+        if (!message.id) {
+            return [];
+        }
+
+        return this.deliverToParticipants(chat, senderKey, 'message-update', {
+            chat: this.chatRef(chat),
+            message
+        }, options);
+    }
+
+    /**
+     * Deliver the sender's reaction to a message to every other participant
+     * @param {Object} chat - Sender's chat object
+     * @param {string} messageId - Message ID
+     * @param {string} senderKey - Reacting user's key
+     * @param {Object} reaction - { emoji, username, at }, empty emoji for a removed one
+     * @param {Object} options - { only: recipient keys to limit to, failed: array collecting unreachable recipients }
+     * @returns {Promise<Array>} Keys of participants whose inbox received the reaction
+     */
+    async deliverReaction(chat, messageId, senderKey, reaction, options = {}) {
+        return this.deliverToParticipants(chat, senderKey, 'reaction', {
+            chat: this.chatRef(chat),
+            messageId,
+            reaction: { emoji: reaction.emoji, at: reaction.at }
+        }, options);
+    }
+
+    /**
+     * Deliver group metadata (name, members, roles) to current members and to
+     * members who were just removed, so their copy stops accepting messages
+     * @param {Object} chat - Sender's group chat
+     * @param {string} senderKey - Sender's key (an admin, or a member leaving)
+     * @param {Array} previousParticipants - Member keys before the change
+     * @param {Object} options - { only: recipient keys to limit to, failed: array collecting unreachable recipients }
+     * @returns {Promise<Array>} Keys of users whose inbox received the change
+     */
+    async deliverGroupUpdate(chat, senderKey, previousParticipants = [], options = {}) {
+        if (!chat || chat.type !== 'group') {
+            return [];
+        }
+
+        // Read state and settings are per member and stay out of the shared metadata
+        const {
+            messages, lastReadAt,
+            mutedUntil, muteChangedAt,
+            linkPreviews, linkPreviewsChangedAt,
+            pinnedMessages, pinnedMessagesChangedAt,
+            pinnedAt, pinChangedAt,
+            ...group
+        } = chat;
+        const recipients = [...new Set([...previousParticipants, ...chat.participants])];
+        return this.deliverTo(recipients, senderKey, 'group-update', { group }, options);
+    }
+
+    /**
+     * Tell the other participants that the reader has read their messages.
+     * Each author gets the send time of their own latest read message, so
+     * they compare it with their own clock.
+     * @param {Object} chat - Reader's chat object
+     * @param {string} readerKey - Reader's key
+     * @param {Object} readUpTo - Author key -> send time of their latest read message
+     * @param {Object} options - { only: recipient keys to limit to, failed: array collecting unreachable recipients }
+     * @returns {Promise<Array>} Keys of participants whose inbox received the receipt
+     */
+    async deliverReadReceipt(chat, readerKey, readUpTo, options = {}) {
+        if (!chat || !['private', 'group'].includes(chat.type) || !chat.participants) {
+            return [];
+        }
+
+        const delivered = [];
+        for (const authorKey of chat.participants.filter(key => readUpTo[key])) {
+            delivered.push(...await this.deliverTo([authorKey], readerKey, 'read', {
+                chat: this.chatRef(chat),
+                readAt: readUpTo[authorKey]
+            }, options));
+        }
+        return delivered;
+    }
+
+    /**
+     * Describe the sender's chat in an envelope: the recipient finds its own
+     * copy by the group id, or by the sender for private chats
+     * @param {Object} chat - Sender's chat object
+     * @returns {Object} { id, type }
+     */
+    chatRef(chat) {
+        return { id: chat.id, type: chat.type };
+    }
+
+    /**
+     * Send an envelope to every participant of a chat except the sender
+     * @param {Object} chat - Sender's chat object
+     * @param {string} senderKey - Sender's key
+     * @param {string} type - Envelope type
+     * @param {Object} payload - Envelope payload
+     * @param {Object} options - { only: recipient keys to limit to, failed: array collecting unreachable recipients }
+     * @returns {Promise<Array>} Keys of participants whose inbox received it
+     */
+    async deliverToParticipants(chat, senderKey, type, payload, options = {}) {
+        if (!chat || !['private', 'group'].includes(chat.type) || !chat.participants) {
+            return [];
+        }
+
+        return this.deliverTo(chat.participants, senderKey, type, payload, options);
+    }
+
+    /**
+     * Send an envelope to each recipient except the sender. A failing
+     * recipient doesn't stop the others; it is reported in options.failed.
+     * @param {Array} recipients - Recipient keys
+     * @param {string} senderKey - Sender's key
+     * @param {string} type - Envelope type
+     * @param {Object} payload - Envelope payload
+     * @param {Object} options - { only: recipient keys to limit to, failed: array collecting unreachable recipients }
+     * @returns {Promise<Array>} Keys of recipients whose inbox received it
+     */
+    async deliverTo(recipients, senderKey, type, payload, options = {}) {
+        const delivered = [];
+        const targets = recipients.filter(key =>
+            key && key !== senderKey && (!options.only || options.only.includes(key))
+        );
+
+        for (const recipientKey of targets) {
+            try {
+                await this.transport.send({ type, from: senderKey, to: recipientKey, payload });
+                delivered.push(recipientKey);
+            } catch (error) {
+                console.error('Error delivering message to', recipientKey, error);
+                if (options.failed) {
+                    options.failed.push(recipientKey);
+                }
+            }
+        }
+
+        return delivered;
+    }
+
+    /**
+     * Apply a checked envelope from another participant to the recipient's
+     * own record. The sender is the envelope's signer, never a field of the
+     * payload, and every apply method enforces blocking, membership and
+     * admin rights on the recipient's copy.
+     * @param {Object} record - Recipient's user data
+     * @param {string} recipientKey - Recipient's key
+     * @param {Object} envelope - { type, from, payload }
+     * @returns {Object|null} What changed, null if nothing did: { chatId, messageIds,
+     *     meta: true if the chat info changed too }
+     */
+    applyEnvelope(record, recipientKey, envelope) {
+        const senderKey = envelope.from;
+        const payload = envelope.payload || {};
+        const chat = payload.chat && ['private', 'group'].includes(payload.chat.type) ? payload.chat : null;
+        const message = payload.message && typeof payload.message === 'object' ? payload.message : null;
+
+        switch (envelope.type) {
+            case 'message':
+                // Nobody can put words into another participant's mouth
+                if (!chat || !message || typeof message.id !== 'string' || message.authorKey !== senderKey) {
+                    return null;
+                }
+                return this.applyMessage(record, recipientKey, senderKey, message, chat);
+
+            case 'message-update':
+                if (!chat || !message || typeof message.id !== 'string') {
+                    return null;
+                }
+                return this.applyUpdate(record, senderKey, message, chat);
+
+            case 'reaction':
+                if (!chat || typeof payload.messageId !== 'string') {
+                    return null;
+                }
+                return this.applyReaction(record, senderKey, payload.messageId, payload.reaction, chat);
+
+            case 'read':
+                if (!chat || typeof payload.readAt !== 'string') {
+                    return null;
+                }
+                return this.applyReadReceipt(record, recipientKey, senderKey, payload.readAt, chat);
+
+            case 'group-update':
+                return this.applyGroupUpdate(record, recipientKey, senderKey, payload.group);
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Describe what an apply method changed, for the caller to save just that
+     * @param {Object} chat - Recipient's chat
+     * @param {Array} messageIds - IDs of changed messages
+     * @param {boolean} meta - The chat info changed too
+     * @returns {Object} { chatId, messageIds, meta }
+     */
+    touched(chat, messageIds, meta) {
+        return { chatId: chat.id, messageIds, meta };
+    }
+
+    /**
+     * Tell which stored messages applying an envelope reads, so the caller
+     * can load just those into the recipient's chat before applying it
+     * @param {Object} envelope - { type, from, payload }
+     * @returns {Object|null} { ids }, or { before } for a read receipt, which
+     *     reads the recipient's messages up to that time; null if it reads none
+     */
+    getEnvelopeMessages(envelope) {
+        const payload = envelope.payload || {};
+        switch (envelope.type) {
+            case 'message':
+            case 'message-update':
+                return payload.message && typeof payload.message.id === 'string' ? { ids: [payload.message.id] } : null;
+            case 'reaction':
+                return typeof payload.messageId === 'string' ? { ids: [payload.messageId] } : null;
+            case 'read':
+                return typeof payload.readAt === 'string' ? { before: payload.readAt } : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Find the recipient's copy of the sender's chat: the private chat with
+     * the sender, or the group with the same id that the sender is a member of
+     * @param {Object} record - Recipient's user data
+     * @param {string} senderKey - Sender's key
+     * @param {Object} sourceChat - Sender's chat object
+     * @returns {Object|undefined} Recipient's chat
+     */
+    findRecipientChat(record, senderKey, sourceChat) {
+        if (sourceChat && sourceChat.type === 'group') {
+            return (record.chats || []).find(c =>
+                c.type === 'group' &&
+                c.id === sourceChat.id &&
+                c.participants &&
+                c.participants.includes(senderKey)
+            );
+        }
+
+        return (record.chats || []).find(c =>
+            c.type === 'private' &&
+            c.participants &&
+            c.participants.includes(senderKey)
+        );
+    }
+
+    /**
+     * Write a message into a recipient's record, creating the counterpart
+     * private chat if needed. Group messages only reach current members,
+     * a new private chat is only started by a friend, and private messages
+     * never reach a recipient who blocked the sender. The copy is stamped
+     * with the recipient's receive time and counted as unread; the author's
+     * name is the one the recipient knows, and reactions arrive on their own.
+     * @param {Object} record - Recipient's user data
+     * @param {string} recipientKey - Recipient's key
+     * @param {string} senderKey - Sender's key
+     * @param {Object} message - Message object
+     * @param {Object} sourceChat - Sender's chat object
+     * @returns {Object|null} Touched chat and message, see applyEnvelope; null for duplicates
+     */
+    applyMessage(record, recipientKey, senderKey, message, sourceChat = null) {
+        if (message.authorKey !== senderKey) {
+            return null;
+        }
+        if (!record.chats) {
+            record.chats = [];
+        }
+
+        const isGroup = sourceChat && sourceChat.type === 'group';
+        if (!isGroup && (record.blockedUsers || []).some(user => user.key === senderKey)) {
+            return null;
+        }
+
+        let chat = this.findRecipientChat(record, senderKey, sourceChat);
+
+        if (!chat) {
+            const friend = (record.friends || []).find(item => item.key === senderKey);
+            if (isGroup || !friend) {
+                return null;
+            }
+
+            chat = {
+                id: Date.now(),
+                name: friend.username,
+                peerPublicKey: friend.publicKey || null,
+                type: 'private',
+                participants: [recipientKey, senderKey],
+                messages: [],
+                lastReadAt: '',
+                createdAt: new Date().toISOString()
+            };
+            record.chats.push(chat);
+        }
+
+        if (chat.type === 'group' && !chat.participants.includes(recipientKey)) {
+            return null;
+        }
+
+        if (!chat.messages) {
+            chat.messages = [];
+        }
+
+        if (chat.messages.some(msg => msg.id === message.id)) {
+            return null;
+        }
+
+        // Send state, receipts and reactions belong to the sender's copy
+        const { status, receipts, reactions, ...copy } = message;
+        copy.author = this.knownName(record, chat, senderKey) || copy.author;
+        copy.receivedAt = new Date().toISOString();
+        chat.messages.push(copy);
+        chat.unreadCount = (chat.unreadCount || 0) + 1;
+        return this.touched(chat, [copy.id], true);
+    }
+
+    /**
+     * Get the name the recipient has for a participant: the group member
+     * entry, the friend entry, or the name of the private chat with them
+     * @param {Object} record - Recipient's user data
+     * @param {Object} chat - Recipient's chat
+     * @param {string} userKey - Participant's key
+     * @returns {string|null} Name or null if the recipient has none
+     */
+    knownName(record, chat, userKey) {
+        const member = (chat.members || []).find(item => item.key === userKey);
+        const friend = (record.friends || []).find(item => item.key === userKey);
+        if (member) return member.username;
+        if (friend) return friend.username;
+        return chat.type === 'private' ? chat.name || null : null;
+    }
+
+    /**
+     * Apply a newer edit or tombstone to a recipient's copy of a message.
+     * Only the fields an edit or deletion changes are taken from the update,
+     * everything else (author, type, attachment, reactions) stays as received.
+     * @param {Object} record - Recipient's user data
+     * @param {string} senderKey - Sender's key
+     * @param {Object} message - Edited message or tombstone
+     * @param {Object} sourceChat - Sender's chat object
+     * @returns {Object|null} Touched chat and message, see applyEnvelope; null if the copy was kept
+     */
+    applyUpdate(record, senderKey, message, sourceChat = null) {
+        const chat = this.findRecipientChat(record, senderKey, sourceChat);
+        if (!chat || !chat.messages) {
+            return null;
+        }
+
+        const index = chat.messages.findIndex(msg => msg.id === message.id);
+        if (index === -1) {
+            return null;
+        }
+
+        // Only the author may change a message, and a deletion is final
+        const current = chat.messages[index];
+        if (current.authorKey !== senderKey || current.deleted) {
+            return null;
+        }
+
+        // An edit changes what was said, not who said it or what kind of message it is
+        if (message.authorKey !== current.authorKey || (message.type || 'text') !== (current.type || 'text')) {
+            return null;
+        }
+
+        if (this.mergeRules.compareRevisions(message, current) <= 0) {
+            return null;
+        }
+
+        const updated = { ...current };
+        this.UPDATE_FIELDS.forEach(field => {
+            if (message[field] !== undefined) {
+                updated[field] = message[field];
+            }
+        });
+        let unreadChanged = false;
+        if (updated.deleted) {
+            if (chat.unreadCount > 0 && (current.receivedAt || '') > (chat.lastReadAt || '')) {
+                chat.unreadCount--;
+                unreadChanged = true;
+            }
+            // Like ChatManager.deleteMessage: nothing of the message is kept
+            delete updated.encrypted;
+            delete updated.encryptedFile;
+            delete updated.lazyAttachment;
+            Object.assign(updated, { text: '', fileData: null, fileName: null, thumbnail: null, waveform: null });
+        }
+        chat.messages[index] = updated;
+        return this.touched(chat, [updated.id], unreadChanged);
+    }
+
+    /**
+     * Set a user's reaction on the recipient's copy of a message, unless
+     * the copy already has a later one from that user. Only the known
+     * reactions are accepted, and the name shown is the one the recipient
+     * has for that participant, not the one the sender put in.
+     * @param {Object} record - Recipient's user data
+     * @param {string} senderKey - Reacting user's key
+     * @param {string} messageId - Message ID
+     * @param {Object} reaction - { emoji, username, at }
+     * @param {Object} sourceChat - Sender's chat object
+     * @returns {Object|null} Touched chat and message, see applyEnvelope; null if the copy was kept
+     */
+    applyReaction(record, senderKey, messageId, reaction, sourceChat = null) {
+        if (!reaction || typeof reaction.at !== 'string' || !reaction.at ||
+            (reaction.emoji !== '' && !this.reactions.includes(reaction.emoji))) {
+            return null;
+        }
+
+        const isGroup = sourceChat && sourceChat.type === 'group';
+        if (!isGroup && (record.blockedUsers || []).some(user => user.key === senderKey)) {
+            return null;
+        }
+
+        const chat = this.findRecipientChat(record, senderKey, sourceChat);
+        const message = chat && chat.messages ? chat.messages.find(msg => msg.id === messageId) : null;
+        if (!message || message.deleted) {
+            return null;
+        }
+
+        const member = chat.type === 'group' ? (chat.members || []).find(item => item.key === senderKey) : null;
+        const username = chat.type === 'group' ? (member ? member.username : null) : chat.name;
+        if (!username) {
+            return null;
+        }
+
+        const current = (message.reactions || {})[senderKey];
+        if (current && (current.at || '') >= reaction.at) {
+            return null;
+        }
+
+        message.reactions = {
+            ...(message.reactions || {}),
+            [senderKey]: { emoji: reaction.emoji, username, at: reaction.at }
+        };
+        return this.touched(chat, [message.id], false);
+    }
+
+    /**
+     * Mark the recipient's own messages as read by the reader
+     * @param {Object} record - Recipient's user data (the message authors)
+     * @param {string} recipientKey - Recipient's key
+     * @param {string} readerKey - Reader's key
+     * @param {string} readAt - The recipient's messages sent up to this ISO timestamp
+     *     of their own clock are read, see ChatManager.getReadTimestamps
+     * @param {Object} sourceChat - Reader's chat object
+     * @returns {Object|null} Touched chat and the marked messages, see applyEnvelope; null if none was marked
+     */
+    applyReadReceipt(record, recipientKey, readerKey, readAt, sourceChat = null) {
+        const chat = this.findRecipientChat(record, readerKey, sourceChat);
+        if (!chat || !chat.messages) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const marked = [];
+        chat.messages.forEach(msg => {
+            if (msg.authorKey !== recipientKey || (msg.timestamp || '') > readAt) return;
+
+            const receipts = msg.receipts || (msg.receipts = {});
+            const receipt = receipts[readerKey] || (receipts[readerKey] = {});
+            if (receipt.read) return;
+
+            receipt.delivered = receipt.delivered || now;
+            receipt.read = now;
+            marked.push(msg.id);
+        });
+        return marked.length > 0 ? this.touched(chat, marked, false) : null;
+    }
+
+    /**
+     * Check the shape of group metadata from another member. Member keys end
+     * up in the group screen, so they must be user keys.
+     * @param {Object} group - Group chat without messages
+     * @returns {boolean} True if the metadata can be applied
+     */
+    isValidGroup(group) {
+        if (!group || group.type !== 'group' || !group.id || typeof group.name !== 'string' || !group.name ||
+            !Array.isArray(group.members) || !Array.isArray(group.participants) ||
+            ['description', 'ownerKey', 'createdAt', 'updatedAt'].some(field =>
+                group[field] !== undefined && group[field] !== null && typeof group[field] !== 'string'
+            )) {
+            return false;
+        }
+
+        const membersValid = group.members.every(member =>
+            member && this.USER_KEY_PATTERN.test(member.key || '') &&
+            typeof member.username === 'string' && member.username &&
+            this.ROLES.includes(member.role)
+        );
+        return membersValid && group.participants.every(key => group.members.some(member => member.key === key));
+    }
+
+    /**
+     * Take the metadata every member shares from a group update. A change
+     * time ahead of the receive time is capped at it, so a forged one can't
+     * shut out the changes that come after it.
+     * @param {Object} group - Group chat without messages
+     * @returns {Object} Shared group fields
+     */
+    sharedGroupFields(group) {
+        const receivedAt = new Date().toISOString();
+        const fields = {};
+        this.GROUP_FIELDS.forEach(field => {
+            if (group[field] !== undefined) {
+                fields[field] = group[field];
+            }
+        });
+        fields.updatedAt = group.updatedAt && group.updatedAt < receivedAt ? group.updatedAt : receivedAt;
+        return fields;
+    }
+
+    /**
+     * Apply group metadata to a recipient's copy. New groups are accepted only
+     * from an admin; changes only from an admin of the recipient's copy, or
+     * from a member removing themselves. Malformed metadata is dropped.
+     * @param {Object} record - Recipient's user data
+     * @param {string} recipientKey - Recipient's key
+     * @param {string} senderKey - Sender's key
+     * @param {Object} group - Group chat without messages
+     * @returns {Object|null} Touched chat, see applyEnvelope; null if the record was kept
+     */
+    applyGroupUpdate(record, recipientKey, senderKey, group) {
+        if (!this.isValidGroup(group)) {
+            return null;
+        }
+        if (!record.chats) {
+            record.chats = [];
+        }
+
+        const isAdmin = (chat, key) => (chat.members || []).some(member =>
+            member.key === key && (member.role === 'owner' || member.role === 'admin')
+        );
+
+        const existing = record.chats.find(c => c.type === 'group' && c.id === group.id);
+        if (!existing) {
+            if (!isAdmin(group, senderKey) || !group.participants.includes(recipientKey)) {
+                return null;
+            }
+            const created = {
+                id: group.id,
+                type: 'group',
+                createdAt: group.createdAt || null,
+                ...this.sharedGroupFields(group),
+                messages: [],
+                lastReadAt: ''
+            };
+            record.chats.push(created);
+            return this.touched(created, [], true);
+        }
+
+        if ((group.updatedAt || '') <= (existing.updatedAt || '')) {
+            return null;
+        }
+
+        if (isAdmin(existing, senderKey)) {
+            Object.assign(existing, this.sharedGroupFields(group));
+            return this.touched(existing, [], true);
+        }
+
+        // A member leaving may only take themselves off the list
+        const leaving = (existing.participants || []).includes(senderKey) && !group.participants.includes(senderKey);
+        if (!leaving) {
+            return null;
+        }
+
+        existing.members = existing.members.filter(member => member.key !== senderKey);
+        existing.participants = existing.members.map(member => member.key);
+        existing.updatedAt = this.sharedGroupFields(group).updatedAt;
+        return this.touched(existing, [], true);
+    }
+}
+
+/**
+ * Online/last-seen and typing signals over the sync backend.
+ * Own presence is published on a heartbeat and when typing starts or stops;
+ * peers' presence is polled. Signals expire on their own when updates stop.
+ */
+class PresenceManager {
+    constructor(storageManager) {
+        this.storage = storageManager;
+        this.HEARTBEAT_INTERVAL = 30000;
+        this.ONLINE_TIMEOUT = 75000; // два пропущенных heartbeat
+        this.TYPING_THROTTLE = 3000;
+        this.TYPING_TIMEOUT = 6000;
+
+        this.userKey = null;
+        this.typing = null; // { to, at }
+        this.lastTypingSent = 0;
+        this.peers = {};
+    }
+
+    /**
+     * Set the user whose presence is published
+     * @param {string|null} userKey - User's key, null when signed out
+     */
+    setUser(userKey) {
+        this.userKey = userKey;
+        this.typing = null;
+        this.lastTypingSent = 0;
+        this.peers = {};
+    }
+
+    /**
+     * Publish own presence
+     */
+    async publish() {
+        if (!this.userKey) return;
+
+        try {
+            await this.storage.putPresence(this.userKey, {
+                lastSeen: new Date().toISOString(),
+                typing: this.typing
+            });
+        } catch (error) {
+            console.error('Error publishing presence:', error);
+        }
+    }
+
+    /**
+     * Signal typing in a chat, at most once per throttle interval
+     * @param {string} target - Peer key for private chats, group ID for groups
+     */
+    async setTyping(target) {
+        const now = Date.now();
+        if (this.typing && this.typing.to === target && now - this.lastTypingSent < this.TYPING_THROTTLE) {
+            return;
+        }
+
+        this.typing = { to: target, at: new Date(now).toISOString() };
+        this.lastTypingSent = now;
+        await this.publish();
+    }
+
+    /**
+     * Signal that typing stopped
+     */
+    async clearTyping() {
+        if (!this.typing) return;
+
+        this.typing = null;
+        this.lastTypingSent = 0;
+        await this.publish();
+    }
+
+    /**
+     * Poll presence of the given users
+     * @param {Array} userKeys - User keys
+     */
+    async refresh(userKeys) {
+        if (!this.userKey || userKeys.length === 0) return;
+
+        try {
+            this.peers = await this.storage.getPresence(userKeys, this.userKey);
+        } catch (error) {
+            console.error('Error loading presence:', error);
+        }
+    }
+
+    /**
+     * Check if a user was seen recently
+     * @param {string} userKey - User's key
+     * @returns {boolean} True if online
+     */
+    isOnline(userKey) {
+        const presence = this.peers[userKey];
+        return !!presence && Date.now() - new Date(presence.lastSeen).getTime() < this.ONLINE_TIMEOUT;
+    }
+
+    /**
+     * Get when a user was last seen
+     * @param {string} userKey - User's key
+     * @returns {string|null} ISO timestamp or null if unknown
+     */
+    getLastSeen(userKey) {
+        const presence = this.peers[userKey];
+        return presence ? presence.lastSeen : null;
+    }
+
+    /**
+     * Check if a user is typing to the given target
+     * @param {string} userKey - User's key
+     * @param {string} target - Current user's key for private chats, group ID for groups
+     * @returns {boolean} True if a fresh typing signal exists
+     */
+    isTypingTo(userKey, target) {
+        const presence = this.peers[userKey];
+        const typing = presence && presence.typing;
+        return !!typing && typing.to === target &&
+            Date.now() - new Date(typing.at).getTime() < this.TYPING_TIMEOUT;
+    }
+}
+
+/**
+ * Friend requests and answers, messages and every other change for another
+ * user as signed envelopes in the recipient's inbox. A client only appends
+ * to another user's inbox and never writes into their record; the recipient
+ * checks each envelope and applies it to its own data.
+ */
+class FriendInbox {
+    constructor(storageManager, cryptoManager) {
+        this.storage = storageManager;
+        this.crypto = cryptoManager;
+        this.FRIEND_TYPES = ['friend-request', 'friend-accept', 'friend-decline', 'friend-cancel', 'unfriend'];
+        // Изменения чатов, см. MessageDeliveryManager.applyEnvelope
+        this.CHAT_TYPES = ['message', 'message-update', 'reaction', 'read', 'group-update'];
+        this.TYPES = [...this.FRIEND_TYPES, ...this.CHAT_TYPES];
+    }
+
+    /**
+     * Text covered by an envelope's signature. The payload of chat envelopes
+     * is appended, friend envelopes keep the form they were always signed in.
+     * @param {Object} envelope - Envelope
+     * @returns {string} Canonical text
+     */
+    signedText(envelope) {
+        const fields = [
+            envelope.id,
+            envelope.type,
+            envelope.from,
+            envelope.to,
+            envelope.username,
+            envelope.publicKey || null,
+            envelope.sentAt
+        ];
+        if (envelope.payload !== undefined) {
+            fields.push(envelope.payload);
+        }
+        return JSON.stringify(fields);
+    }
+
+    /**
+     * Sign an envelope and put it into the recipient's inbox
+     * @param {Object} envelope - { id, type, from, to, username, publicKey, sentAt, payload }
+     * @returns {Promise<Object>} Signed envelope
+     */
+    async send(envelope) {
+        const signed = { ...envelope, signature: await this.crypto.sign(envelope.from, this.signedText(envelope)) };
+        await this.storage.postInbox(envelope.to, signed);
+        return signed;
+    }
+
+    /**
+     * Read the inbox and keep envelopes that pass checkEnvelope
+     * @param {string} userKey - Inbox owner's key
+     * @param {Map} pinnedKeys - userKey -> signing key remembered for friends and sent requests
+     * @returns {Promise<Object>} { envelopes: [{ envelope, signingKey }], ids } where ids
+     *     lists every envelope read, valid or not
+     */
+    async receive(userKey, pinnedKeys) {
+        const inbox = await this.storage.getInbox(userKey);
+        const envelopes = [];
+        const ids = [];
+
+        for (const envelope of inbox) {
+            // Chat changes wait for a device that can check their signature
+            if (!this.crypto.isSupported() && envelope && this.CHAT_TYPES.includes(envelope.type)) {
+                continue;
+            }
+            if (envelope && envelope.id) {
+                ids.push(envelope.id);
+            }
+
+            const signingKey = await this.checkEnvelope(envelope, userKey, pinnedKeys);
+            if (signingKey === false) {
+                console.warn('Dropping invalid envelope from', envelope && envelope.from);
+            } else {
+                envelopes.push({ envelope, signingKey });
+            }
+        }
+
+        return { envelopes, ids };
+    }
+
+    /**
+     * Check an envelope's addressing and signature. A remembered signing key
+     * wins over the one the sender's record publishes now, so a replaced
+     * record cannot take over an existing friendship.
+     * @param {Object} envelope - Envelope from the inbox
+     * @param {string} userKey - Inbox owner's key
+     * @param {Map} pinnedKeys - userKey -> signing key
+     * @returns {Promise<Object|null|false>} Sender's signing key, null for a
+     *     sender without one, false if the envelope must be dropped
+     */
+    async checkEnvelope(envelope, userKey, pinnedKeys) {
+        // Keys end up in onclick attributes, so only the generated alphabet is allowed
+        if (!envelope || envelope.to !== userKey || !this.TYPES.includes(envelope.type) ||
+            !/^[A-Za-z0-9]{1,64}$/.test(envelope.from || '') || envelope.from === userKey ||
+            typeof envelope.username !== 'string') {
+            return false;
+        }
+
+        const isChatType = this.CHAT_TYPES.includes(envelope.type);
+        if (isChatType ? !envelope.payload || typeof envelope.payload !== 'object' : !envelope.username) {
+            return false;
+        }
+
+        let signingKey = pinnedKeys.get(envelope.from) || null;
+        if (!signingKey) {
+            const sender = await this.storage.fetchUserProfile(envelope.from);
+            if (!sender) {
+                return false;
+            }
+            signingKey = sender.signingKey || null;
+        }
+
+        // Senders without WebCrypto publish no signing key and cannot sign.
+        // They may still ask for friendship, but chat changes must be signed.
+        if (!signingKey) {
+            return envelope.signature || isChatType ? false : null;
+        }
+        if (!envelope.signature) {
+            return false;
+        }
+        // Neither can this device check signatures without WebCrypto
+        if (!this.crypto.isSupported()) {
+            return signingKey;
+        }
+
+        const valid = await this.crypto.verify(signingKey, this.signedText(envelope), envelope.signature);
+        return valid ? signingKey : false;
+    }
+
+    /**
+     * Remove processed envelopes from the inbox
+     * @param {string} userKey - Inbox owner's key
+     * @param {Array} ids - Envelope ids
+     */
+    async acknowledge(userKey, ids) {
+        if (ids.length > 0) {
+            await this.storage.deleteInbox(userKey, ids);
+        }
+    }
+}
+
+/**
+ * Durable queue of changes that have not reached the sync server or the
+ * other participants yet. Entries are kept per account in localStorage, so
+ * they survive reloads, and are retried with exponential backoff. Entries
+ * with the same key replace each other, only the latest state is sent.
+ */
+class Outbox {
+    constructor() {
+        this.KEY_PREFIX = 'mmessenger_outbox_';
+        this.BASE_DELAY = 2000;
+        this.MAX_DELAY = 5 * 60 * 1000;
+        this.userKey = null;
+        this.entries = [];
+        this.handlers = {};
+        this.timer = null;
+        this.flushing = null;
+    }
+
+    /**
+     * Switch to another account's queue
+     * @param {string|null} userKey - User's unique key, null to stop
+     */
+    setUser(userKey) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.userKey = userKey || null;
+        this.entries = this.userKey ? this.load() : [];
+        this.schedule();
+    }
+
+    /**
+     * Set the function that sends entries of a type. It throws to have the
+     * entry retried and may put the part still left to send into error.retryData.
+     * @param {string} type - Entry type
+     * @param {Function} handler - async (data) => void
+     */
+    setHandler(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    /**
+     * Read the current account's queue
+     * @returns {Array} Entries
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(`${this.KEY_PREFIX}${this.userKey}`);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error('Error loading outbox:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write the current account's queue. localStorage is synchronous, so this
+     * also works while the page is being closed.
+     */
+    persist() {
+        if (!this.userKey) return;
+
+        const storageKey = `${this.KEY_PREFIX}${this.userKey}`;
+        try {
+            if (this.entries.length > 0) {
+                localStorage.setItem(storageKey, JSON.stringify(this.entries));
+            } else {
+                localStorage.removeItem(storageKey);
+            }
+        } catch (error) {
+            console.error('Error saving outbox:', error);
+        }
+    }
+
+    /**
+     * Add an entry, or replace the data of the entry with the same key. New
+     * data starts over: the failures of the old data don't delay it.
+     * @param {string} type - Entry type
+     * @param {string} key - Deduplication key
+     * @param {Object} data - What the handler needs to send it
+     */
+    enqueue(type, key, data = null) {
+        if (!this.userKey) return;
+
+        const existing = this.get(key);
+        if (existing) {
+            existing.type = type;
+            existing.data = data;
+            existing.attempts = 0;
+            existing.nextAttemptAt = Date.now() + this.delay(0);
+            existing.lastError = '';
+        } else {
+            this.entries.push({
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                type,
+                key,
+                data,
+                attempts: 0,
+                nextAttemptAt: Date.now() + this.delay(0),
+                lastError: ''
+            });
+        }
+
+        this.persist();
+        this.schedule();
+    }
+
+    /**
+     * Get the entry with a key
+     * @param {string} key - Deduplication key
+     * @returns {Object|null} Entry or null
+     */
+    get(key) {
+        return this.entries.find(entry => entry.key === key) || null;
+    }
+
+    /**
+     * Check whether an entry is waiting
+     * @param {string} key - Deduplication key
+     * @returns {boolean} True if queued
+     */
+    has(key) {
+        return this.get(key) !== null;
+    }
+
+    /**
+     * Drop an entry
+     * @param {string} key - Deduplication key
+     */
+    remove(key) {
+        const count = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.key !== key);
+        if (this.entries.length !== count) {
+            this.persist();
+        }
+    }
+
+    /**
+     * Delay before the next attempt: doubles with every failure up to
+     * MAX_DELAY, with jitter so devices don't retry in lockstep
+     * @param {number} attempts - Failed attempts so far
+     * @returns {number} Milliseconds
+     */
+    delay(attempts) {
+        const base = Math.min(this.BASE_DELAY * Math.pow(2, attempts), this.MAX_DELAY);
+        return Math.round(base * (0.75 + Math.random() * 0.5));
+    }
+
+    /**
+     * Send entries that are due, or all of them
+     * @param {boolean} force - Ignore backoff, e.g. when the connection is back
+     * @returns {Promise<number>} Entries still waiting
+     */
+    flush(force = false) {
+        if (!this.flushing) {
+            this.flushing = this.run(force).finally(() => {
+                this.flushing = null;
+                this.schedule();
+            });
+        }
+        return this.flushing;
+    }
+
+    /**
+     * Run due entries one by one, oldest first
+     * @param {boolean} force - Ignore backoff
+     * @returns {Promise<number>} Entries still waiting
+     */
+    async run(force) {
+        const userKey = this.userKey;
+        const due = this.entries.filter(entry => force || entry.nextAttemptAt <= Date.now());
+
+        for (const entry of due) {
+            const handler = this.handlers[entry.type];
+            // The account changed or the entry was replaced meanwhile
+            if (!handler || this.userKey !== userKey || !this.entries.includes(entry)) continue;
+
+            const data = entry.data;
+            try {
+                await handler(data);
+                if (entry.data === data) {
+                    this.entries = this.entries.filter(item => item !== entry);
+                }
+            } catch (error) {
+                console.error('Outbox entry failed:', entry.type, error);
+                // Replaced while sending: the new data keeps its own timing
+                if (entry.data !== data) continue;
+
+                if (error.retryData) {
+                    entry.data = error.retryData;
+                }
+                entry.attempts++;
+                entry.nextAttemptAt = Date.now() + this.delay(entry.attempts);
+                entry.lastError = error.message || String(error);
+            }
+        }
+
+        if (this.userKey === userKey) {
+            this.persist();
+        }
+        return this.entries.length;
+    }
+
+    /**
+     * Set the timer for the earliest due entry
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.entries.length === 0 || this.flushing) return;
+
+        const next = Math.min(...this.entries.map(entry => entry.nextAttemptAt));
+        this.timer = setTimeout(() => this.flush(), Math.max(0, next - Date.now()));
+    }
+}
+
+/**
+ * Prepares files before they are sent: enforces size limits, downscales and
+ * re-encodes images, and makes small previews (image thumbnails, video
+ * posters) that travel inline with the message while the full file is
+ * stored separately.
+ */
+class AttachmentProcessor {
+    constructor(limits = {}) {
+        // Размер исходного файла; изображения затем ещё и сжимаются
+        this.LIMITS = {
+            image: 25 * 1024 * 1024,
+            video: 20 * 1024 * 1024,
+            file: 10 * 1024 * 1024,
+            voice: 10 * 1024 * 1024,
+            ...limits
+        };
+        this.IMAGE_MAX_DIMENSION = 1600;
+        this.IMAGE_QUALITY = 0.85;
+        this.THUMBNAIL_DIMENSION = 320;
+        this.THUMBNAIL_QUALITY = 0.7;
+        this.POSTER_TIMEOUT = 5000;
+        this.WAVEFORM_BARS = 40;
+    }
+
+    /**
+     * Get the message type for a file
+     * @param {File} file - File
+     * @returns {string} image, video or file
+     */
+    getType(file) {
+        if (file.type.startsWith('image/')) return 'image';
+        if (file.type.startsWith('video/')) return 'video';
+        return 'file';
+    }
+
+    /**
+     * Reject files over the limit of their type
+     * @param {File} file - File
+     * @param {string} type - image, video or file
+     */
+    checkSize(file, type) {
+        if (file.size > this.LIMITS[type]) {
+            throw Object.assign(new Error('File too large'), { code: 'too-large', type, limit: this.LIMITS[type] });
+        }
+    }
+
+    /**
+     * Turn a file into message attachment fields
+     * @param {File} file - File picked by the user
+     * @returns {Promise<Object>} { type, fileData, fileName, fileSize, mimeType, thumbnail, duration }
+     */
+    async process(file) {
+        const type = this.getType(file);
+        this.checkSize(file, type);
+
+        const attachment = {
+            type: type,
+            fileData: null,
+            fileName: file.name,
+            fileSize: file.size,
+            mimeType: file.type || 'application/octet-stream',
+            thumbnail: null,
+            duration: null
+        };
+
+        if (type === 'image') {
+            await this.processImage(file, attachment);
+        } else if (type === 'video') {
+            const poster = await this.createVideoPoster(file);
+            attachment.thumbnail = poster.thumbnail;
+            attachment.duration = poster.duration;
+        }
+
+        if (!attachment.fileData) {
+            attachment.fileData = await this.readAsDataURL(file);
+        }
+        return attachment;
+    }
+
+    /**
+     * Turn a voice recording into message attachment fields
+     * @param {Blob} blob - Recorded audio
+     * @param {number} duration - Length in seconds
+     * @returns {Promise<Object>} { type, fileData, fileName, fileSize, mimeType, thumbnail, duration, waveform }
+     */
+    async processVoice(blob, duration) {
+        this.checkSize(blob, 'voice');
+
+        const mimeType = blob.type || 'audio/webm';
+        const format = (mimeType.match(/^audio\/([a-z0-9]+)/i) || [])[1] || 'webm';
+        return {
+            type: 'voice',
+            fileData: await this.readAsDataURL(blob),
+            fileName: `voice.${format === 'mp4' ? 'm4a' : format}`,
+            fileSize: blob.size,
+            mimeType: mimeType,
+            thumbnail: null,
+            duration: duration,
+            waveform: await this.createWaveform(blob)
+        };
+    }
+
+    /**
+     * Compute the waveform shown in the voice message player
+     * @param {Blob} blob - Recorded audio
+     * @returns {Promise<Array|null>} WAVEFORM_BARS loudness levels 0..100, null if the audio can't be decoded
+     */
+    async createWaveform(blob) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            return null;
+        }
+
+        const context = new AudioContextClass();
+        try {
+            const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+            const samples = buffer.getChannelData(0);
+            const size = Math.floor(samples.length / this.WAVEFORM_BARS);
+            if (size === 0) {
+                return null;
+            }
+
+            // Root mean square of each slice, scaled to the loudest one
+            const levels = [];
+            for (let bar = 0; bar < this.WAVEFORM_BARS; bar++) {
+                let sum = 0;
+                for (let i = bar * size; i < (bar + 1) * size; i++) {
+                    sum += samples[i] * samples[i];
+                }
+                levels.push(Math.sqrt(sum / size));
+            }
+            const peak = Math.max(...levels) || 1;
+            return levels.map(level => Math.round(level / peak * 100));
+        } catch (error) {
+            console.error('Error decoding voice message:', error);
+            return null;
+        } finally {
+            context.close();
+        }
+    }
+
+    /**
+     * Make a thumbnail and, when it saves space, a downscaled copy of an image.
+     * GIFs keep their animation and are only thumbnailed.
+     * @param {File} file - Image file
+     * @param {Object} attachment - Attachment fields, updated in place
+     */
+    async processImage(file, attachment) {
+        let image;
+        try {
+            image = await this.loadImage(file);
+        } catch (error) {
+            // Formats the browser can't decode are sent as they are
+            console.error('Error decoding image:', error);
+            return;
+        }
+
+        attachment.thumbnail = this.drawImage(image, this.THUMBNAIL_DIMENSION, 'image/jpeg', this.THUMBNAIL_QUALITY);
+        if (file.type === 'image/gif') {
+            return;
+        }
+
+        // PNG and WebP may be transparent, which JPEG can't keep
+        const outputType = file.type === 'image/png' || file.type === 'image/webp' ? 'image/webp' : 'image/jpeg';
+        const fileData = this.drawImage(image, this.IMAGE_MAX_DIMENSION, outputType, this.IMAGE_QUALITY);
+        const fileSize = this.getDataURLSize(fileData);
+
+        if (fileSize < file.size) {
+            attachment.fileData = fileData;
+            attachment.fileSize = fileSize;
+            attachment.mimeType = fileData.slice(5, fileData.indexOf(';'));
+        }
+    }
+
+    /**
+     * Decode an image file
+     * @param {File} file - Image file
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     */
+    loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Image could not be decoded'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Draw an image or video frame scaled to fit a square and encode it
+     * @param {HTMLImageElement|HTMLVideoElement} source - Image or video
+     * @param {number} maxDimension - Longest side in pixels
+     * @param {string} type - Output MIME type
+     * @param {number} quality - Output quality 0..1
+     * @returns {string} Data URL
+     */
+    drawImage(source, maxDimension, type, quality) {
+        const width = source.naturalWidth || source.videoWidth;
+        const height = source.naturalHeight || source.videoHeight;
+        const scale = Math.min(1, maxDimension / Math.max(width, height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+
+        const context = canvas.getContext('2d');
+        if (type === 'image/jpeg') {
+            context.fillStyle = '#fff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        context.drawImage(source, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL(type, quality);
+    }
+
+    /**
+     * Grab a poster frame and the duration of a video
+     * @param {File} file - Video file
+     * @returns {Promise<Object>} { thumbnail, duration }, null fields if the video can't be decoded
+     */
+    createVideoPoster(file) {
+        return new Promise(resolve => {
+            const url = URL.createObjectURL(file);
+            const video = document.createElement('video');
+            let timer = null;
+
+            const finish = (result) => {
+                clearTimeout(timer);
+                video.removeAttribute('src');
+                video.load();
+                URL.revokeObjectURL(url);
+                resolve(result);
+            };
+
+            timer = setTimeout(() => finish({ thumbnail: null, duration: null }), this.POSTER_TIMEOUT);
+            video.muted = true;
+            video.preload = 'auto';
+            video.onloadeddata = () => {
+                // The very first frame is often black
+                video.currentTime = Math.min(1, (video.duration || 0) / 2);
+            };
+            video.onseeked = () => {
+                const duration = isFinite(video.duration) ? video.duration : null;
+                try {
+                    finish({ thumbnail: this.drawImage(video, this.THUMBNAIL_DIMENSION, 'image/jpeg', this.THUMBNAIL_QUALITY), duration });
+                } catch (error) {
+                    console.error('Error drawing video poster:', error);
+                    finish({ thumbnail: null, duration });
+                }
+            };
+            video.onerror = () => finish({ thumbnail: null, duration: null });
+            video.src = url;
+        });
+    }
+
+    /**
+     * Read a file as a data URL
+     * @param {Blob} file - File
+     * @returns {Promise<string>} Data URL
+     */
+    readAsDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Get the decoded size of a base64 data URL
+     * @param {string} dataURL - Data URL
+     * @returns {number} Size in bytes
+     */
+    getDataURLSize(dataURL) {
+        const base64 = dataURL.slice(dataURL.indexOf(',') + 1);
+        const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+        return Math.floor(base64.length * 3 / 4) - padding;
+    }
+}
+
+/**
+ * Records voice messages from the microphone with MediaRecorder
+ */
+class VoiceRecorder {
+    constructor() {
+        // Первый поддерживаемый формат; Safari пишет только audio/mp4
+        this.MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4', 'audio/webm'];
+        this.MAX_DURATION = 5 * 60 * 1000; // 5 минут
+        this.MIN_DURATION = 500; // Случайное короткое нажатие не отправляется
+        this.recorder = null;
+        this.stream = null;
+        this.chunks = [];
+        this.startedAt = 0;
+        this.limitTimer = null;
+    }
+
+    /**
+     * Check whether the browser can record audio
+     * @returns {boolean} True if MediaRecorder and getUserMedia are available
+     */
+    isSupported() {
+        return !!(window.MediaRecorder && navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    /**
+     * Check whether a recording is in progress
+     * @returns {boolean} True while recording
+     */
+    isRecording() {
+        return !!this.recorder;
+    }
+
+    /**
+     * Get how long the current recording lasts
+     * @returns {number} Milliseconds, 0 when not recording
+     */
+    getElapsed() {
+        return this.recorder ? Date.now() - this.startedAt : 0;
+    }
+
+    /**
+     * Ask for the microphone and start recording
+     * @param {Function} onLimit - Called when the recording reaches MAX_DURATION
+     * @throws {Error} With code 'unsupported' or 'no-microphone'
+     */
+    async start(onLimit = null) {
+        if (!this.isSupported()) {
+            throw Object.assign(new Error('Audio recording is not supported'), { code: 'unsupported' });
+        }
+        if (this.recorder) return;
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+            throw Object.assign(new Error('Microphone is unavailable'), { code: 'no-microphone' });
+        }
+
+        // The last chunk arrives after stop(), so it goes into this recording's array
+        const mimeType = this.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const chunks = [];
+        this.stream = stream;
+        this.chunks = chunks;
+        this.recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        this.recorder.ondataavailable = (e) => {
+            if (e.data && e.data.size > 0) {
+                chunks.push(e.data);
+            }
+        };
+        this.recorder.start();
+        this.startedAt = Date.now();
+        this.limitTimer = setTimeout(() => onLimit && onLimit(), this.MAX_DURATION);
+    }
+
+    /**
+     * Stop recording and release the microphone
+     * @returns {Promise<Object|null>} { blob, duration in seconds }, null if
+     *     nothing was recording or the recording is too short
+     */
+    stop() {
+        const { recorder, stream, chunks } = this;
+        if (!recorder) {
+            return Promise.resolve(null);
+        }
+
+        const duration = Date.now() - this.startedAt;
+        clearTimeout(this.limitTimer);
+        this.recorder = null;
+        this.stream = null;
+        this.chunks = [];
+
+        return new Promise(resolve => {
+            recorder.onstop = () => {
+                stream.getTracks().forEach(track => track.stop());
+                const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+                resolve(duration >= this.MIN_DURATION && blob.size > 0 ? { blob, duration: duration / 1000 } : null);
+            };
+            recorder.stop();
+        });
+    }
+}
+
+/**
+ * End-to-end encryption for private chats.
+ * Each user has an ECDH key pair; the private half never leaves this device,
+ * the public half is published in the user record and exchanged with friends.
+ */
+class CryptoManager {
+    constructor() {
+        this.KEYS_PREFIX = 'mmessenger_keys_';
+        this.ALGORITHM = { name: 'ECDH', namedCurve: 'P-256' };
+        this.SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+        this.SIGNATURE_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+        this.chatKeys = new Map(); // userKey:peerKey -> AES-GCM key
+        this.PBKDF2_ITERATIONS = 250000;
+        this.PIN_ITERATIONS = 100000;
+        this.SECRETS_PREFIX = 'mmessenger_secret_';
+        this.ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+        // Кривая P-256: ключи аккаунта с секретом выводятся из него, см. deriveKeyPair
+        this.P256 = {
+            p: 0xffffffff00000001000000000000000000000000ffffffffffffffffffffffffn,
+            n: 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n,
+            gx: 0x6b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296n,
+            gy: 0x4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5n
+        };
+    }
+
+    /**
+     * Check if WebCrypto is available (requires a secure context)
+     * @returns {boolean} True if encryption can be used
+     */
+    isSupported() {
+        return !!(window.crypto && window.crypto.subtle);
+    }
+
+    /**
+     * Load stored key pair for user
+     * @param {string} userKey - User's unique key
+     * @returns {Object|null} { publicKey, privateKey } as JWK or null
+     */
+    loadKeyPair(userKey) {
+        try {
+            const data = localStorage.getItem(`${this.KEYS_PREFIX}${userKey}`);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.error('Error loading key pair:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save key pair for user
+     * @param {string} userKey - User's unique key
+     * @param {Object} keyPair - { publicKey, privateKey } as JWK
+     */
+    saveKeyPair(userKey, keyPair) {
+        localStorage.setItem(`${this.KEYS_PREFIX}${userKey}`, JSON.stringify(keyPair));
+    }
+
+    /**
+     * Generate and store a new key pair
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<Object|null>} Public key as JWK or null if unsupported
+     */
+    async generateKeyPair(userKey) {
+        if (!this.isSupported()) {
+            return null;
+        }
+
+        const keyPair = await crypto.subtle.generateKey(this.ALGORITHM, true, ['deriveKey']);
+        const publicKey = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+        const privateKey = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+
+        this.saveKeyPair(userKey, { publicKey, privateKey });
+        this.clearCache();
+        return publicKey;
+    }
+
+    /**
+     * Get user's public key, creating the key pairs if there are none yet:
+     * derived from the account secret when it is on this device, random otherwise
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<Object|null>} Public key as JWK or null if unsupported
+     */
+    async ensureKeyPair(userKey) {
+        const stored = this.loadKeyPair(userKey);
+        if (stored) {
+            return stored.publicKey;
+        }
+
+        const secret = this.isSupported() ? this.loadAccountSecret(userKey) : null;
+        if (secret) {
+            const keyPair = await this.deriveKeyPair(secret);
+            this.saveKeyPair(userKey, keyPair);
+            this.clearCache();
+            return keyPair.publicKey;
+        }
+        return await this.generateKeyPair(userKey);
+    }
+
+    /**
+     * Get user's public signing key, adding a signing key pair to the stored
+     * keys if there is none yet
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<Object|null>} Public signing key as JWK or null if unsupported
+     */
+    async ensureSigningKey(userKey) {
+        const stored = this.loadKeyPair(userKey);
+        if (!this.isSupported() || !stored) {
+            return null;
+        }
+        if (stored.signingPublicKey) {
+            return stored.signingPublicKey;
+        }
+
+        const keyPair = await crypto.subtle.generateKey(this.SIGNING_ALGORITHM, true, ['sign', 'verify']);
+        const signingPublicKey = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+        const signingPrivateKey = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+
+        this.saveKeyPair(userKey, { ...stored, signingPublicKey, signingPrivateKey });
+        return signingPublicKey;
+    }
+
+    /**
+     * Sign text with user's signing key
+     * @param {string} userKey - User's unique key
+     * @param {string} text - Text to sign
+     * @returns {Promise<string|null>} Base64 signature or null without a signing key
+     */
+    async sign(userKey, text) {
+        const stored = this.loadKeyPair(userKey);
+        if (!this.isSupported() || !stored || !stored.signingPrivateKey) {
+            return null;
+        }
+
+        const key = await crypto.subtle.importKey('jwk', stored.signingPrivateKey, this.SIGNING_ALGORITHM, false, ['sign']);
+        const signature = await crypto.subtle.sign(this.SIGNATURE_PARAMS, key, new TextEncoder().encode(text));
+        return this.bytesToBase64(new Uint8Array(signature));
+    }
+
+    /**
+     * Check a signature made with sign
+     * @param {Object} signingKey - Signer's public signing key as JWK
+     * @param {string} text - Signed text
+     * @param {string} signature - Base64 signature
+     * @returns {Promise<boolean>} True if the signature is valid
+     */
+    async verify(signingKey, text, signature) {
+        try {
+            const key = await crypto.subtle.importKey('jwk', signingKey, this.SIGNING_ALGORITHM, false, ['verify']);
+            return await crypto.subtle.verify(
+                this.SIGNATURE_PARAMS,
+                key,
+                this.base64ToBytes(signature),
+                new TextEncoder().encode(text)
+            );
+        } catch (error) {
+            console.error('Error verifying signature:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Generate a private account secret
+     * @returns {Uint8Array} 16 random bytes
+     */
+    generateAccountSecret() {
+        return crypto.getRandomValues(new Uint8Array(16));
+    }
+
+    /**
+     * Derive the public user ID of an account from its secret: the ID is the
+     * hash of the signing key the secret derives, so the sync server can check
+     * that whoever first publishes a key for an ID owns it
+     * @param {Uint8Array} secret - Account secret
+     * @returns {Promise<string>} 16-character user ID
+     */
+    async deriveAccountId(secret) {
+        const keys = await this.deriveKeyPair(secret);
+        return this.deriveUserIdFromKey(keys.signingPublicKey);
+    }
+
+    /**
+     * Derive the user ID that belongs to a signing public key
+     * @param {Object} signingKey - Signing public key (JWK)
+     * @returns {Promise<string>} 16-character user ID
+     */
+    async deriveUserIdFromKey(signingKey) {
+        return this.hashUserId(new TextEncoder().encode(`:${signingKey.x}.${signingKey.y}`));
+    }
+
+    /**
+     * Derive the user ID of an account created before IDs came from its
+     * signing key: the hash of the secret itself.
+     * The ID is a hash, so sharing it with friends does not reveal the secret.
+     * @param {Uint8Array} secret - Account secret
+     * @returns {Promise<string>} 16-character user ID
+     */
+    async deriveUserId(secret) {
+        return this.hashUserId(secret);
+    }
+
+    /**
+     * Hash labelled bytes into a user ID
+     * @param {Uint8Array} data - Bytes to hash after the label
+     * @returns {Promise<string>} 16-character user ID
+     */
+    async hashUserId(data) {
+        const label = new TextEncoder().encode('mmessenger-user-id');
+        const input = new Uint8Array(label.length + data.length);
+        input.set(label);
+        input.set(data, label.length);
+
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+        let result = '';
+        for (let i = 0; i < 16; i++) {
+            // Two hash bytes per character keep the modulo bias negligible
+            result += this.ID_ALPHABET.charAt(((hash[i * 2] << 8) | hash[i * 2 + 1]) % this.ID_ALPHABET.length);
+        }
+        return result;
+    }
+
+    /**
+     * Load stored account secret for user
+     * @param {string} userKey - User's unique key
+     * @returns {Uint8Array|null} Secret or null if it is not on this device
+     */
+    loadAccountSecret(userKey) {
+        const data = localStorage.getItem(`${this.SECRETS_PREFIX}${userKey}`);
+        return data ? this.base64ToBytes(data) : null;
+    }
+
+    /**
+     * Save account secret for user
+     * @param {string} userKey - User's unique key
+     * @param {Uint8Array} secret - Account secret
+     */
+    saveAccountSecret(userKey, secret) {
+        localStorage.setItem(`${this.SECRETS_PREFIX}${userKey}`, this.bytesToBase64(secret));
+    }
+
+    /**
+     * Derive an account's encryption and signing key pairs from its secret.
+     * The recovery phrase carries the secret, so restoring by phrase brings
+     * back the keys friends have pinned and the history is encrypted with.
+     * @param {Uint8Array} secret - Account secret
+     * @returns {Promise<Object>} { publicKey, privateKey, signingPublicKey, signingPrivateKey } as JWK
+     */
+    async deriveKeyPair(secret) {
+        const encryption = await this.deriveKeyFromSecret(secret, 'mmessenger-ecdh', this.ALGORITHM, ['deriveKey'], []);
+        const signing = await this.deriveKeyFromSecret(secret, 'mmessenger-ecdsa', this.SIGNING_ALGORITHM, ['sign'], ['verify']);
+        return {
+            publicKey: encryption.publicKey,
+            privateKey: encryption.privateKey,
+            signingPublicKey: signing.publicKey,
+            signingPrivateKey: signing.privateKey
+        };
+    }
+
+    /**
+     * Derive one P-256 key pair from an account secret. WebCrypto can't
+     * import a private key without its public point, so the point is
+     * computed here; the import then checks that the two match.
+     * @param {Uint8Array} secret - Account secret
+     * @param {string} label - Purpose of the key, keeps the pairs independent
+     * @param {Object} algorithm - WebCrypto algorithm of the key
+     * @param {Array} privateUsages - Usages of the private key
+     * @param {Array} publicUsages - Usages of the public key
+     * @returns {Promise<Object>} { publicKey, privateKey } as JWK, shaped like generated keys
+     */
+    async deriveKeyFromSecret(secret, label, algorithm, privateUsages, publicUsages) {
+        const material = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(label) },
+            material,
+            384
+        );
+
+        // 128 extra bits keep the reduction modulo n unbiased
+        let value = 0n;
+        new Uint8Array(bits).forEach(byte => {
+            value = (value << 8n) | BigInt(byte);
+        });
+        const d = value % (this.P256.n - 1n) + 1n;
+        const point = this.multiplyBasePoint(d);
+
+        const jwk = { kty: 'EC', crv: 'P-256', x: this.bigIntToBase64Url(point.x), y: this.bigIntToBase64Url(point.y) };
+        const privateKey = await crypto.subtle.importKey('jwk', { ...jwk, d: this.bigIntToBase64Url(d) }, algorithm, true, privateUsages);
+        const publicKey = await crypto.subtle.importKey('jwk', jwk, algorithm, true, publicUsages);
+        return {
+            publicKey: await crypto.subtle.exportKey('jwk', publicKey),
+            privateKey: await crypto.subtle.exportKey('jwk', privateKey)
+        };
+    }
+
+    /**
+     * Multiply the P-256 base point by a scalar, in Jacobian coordinates
+     * @param {bigint} scalar - Private key, 1 <= scalar < n
+     * @returns {Object} { x, y } affine coordinates
+     */
+    multiplyBasePoint(scalar) {
+        const { p, gx, gy } = this.P256;
+        const mod = value => ((value % p) + p) % p;
+
+        // Point doubling for a = -3
+        const double = point => {
+            if (!point || point.y === 0n) return null;
+            const { x, y, z } = point;
+            const delta = mod(z * z);
+            const gamma = mod(y * y);
+            const beta = mod(x * gamma);
+            const alpha = mod(3n * (x - delta) * (x + delta));
+            const x3 = mod(alpha * alpha - 8n * beta);
+            return {
+                x: x3,
+                y: mod(alpha * (4n * beta - x3) - 8n * gamma * gamma),
+                z: mod((y + z) * (y + z) - gamma - delta)
+            };
+        };
+
+        const add = (a, b) => {
+            if (!a) return b;
+            if (!b) return a;
+            const z1z1 = mod(a.z * a.z);
+            const z2z2 = mod(b.z * b.z);
+            const u1 = mod(a.x * z2z2);
+            const u2 = mod(b.x * z1z1);
+            const s1 = mod(a.y * b.z * z2z2);
+            const s2 = mod(b.y * a.z * z1z1);
+            if (u1 === u2) {
+                return s1 === s2 ? double(a) : null;
+            }
+            const h = mod(u2 - u1);
+            const r = mod(s2 - s1);
+            const h2 = mod(h * h);
+            const h3 = mod(h * h2);
+            const x3 = mod(r * r - h3 - 2n * u1 * h2);
+            return {
+                x: x3,
+                y: mod(r * (u1 * h2 - x3) - s1 * h3),
+                z: mod(h * a.z * b.z)
+            };
+        };
+
+        let result = null;
+        const base = { x: gx, y: gy, z: 1n };
+        for (let bit = BigInt(scalar.toString(2).length - 1); bit >= 0n; bit--) {
+            result = double(result);
+            if ((scalar >> bit) & 1n) {
+                result = add(result, base);
+            }
+        }
+
+        const zInverse = this.modPow(result.z, p - 2n, p);
+        const zInverse2 = mod(zInverse * zInverse);
+        return { x: mod(result.x * zInverse2), y: mod(result.y * zInverse2 * zInverse) };
+    }
+
+    /**
+     * Modular exponentiation
+     * @param {bigint} base - Base
+     * @param {bigint} exponent - Exponent
+     * @param {bigint} modulus - Modulus
+     * @returns {bigint} base^exponent mod modulus
+     */
+    modPow(base, exponent, modulus) {
+        let result = 1n;
+        let value = base % modulus;
+        while (exponent > 0n) {
+            if (exponent & 1n) {
+                result = (result * value) % modulus;
+            }
+            value = (value * value) % modulus;
+            exponent >>= 1n;
+        }
+        return result;
+    }
+
+    /**
+     * Encode a 256-bit number as a JWK coordinate
+     * @param {bigint} value - Number
+     * @returns {string} 32 bytes, big-endian, base64url without padding
+     */
+    bigIntToBase64Url(value) {
+        const bytes = new Uint8Array(32);
+        for (let i = 31; i >= 0; i--) {
+            bytes[i] = Number(value & 0xffn);
+            value >>= 8n;
+        }
+        return this.bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Check whether two public keys are the same key
+     * @param {Object} a - Public key as JWK
+     * @param {Object} b - Public key as JWK
+     * @returns {boolean} True if both are set and have the same point
+     */
+    isSameKey(a, b) {
+        return !!a && !!b && a.x === b.x && a.y === b.y;
+    }
+
+    /**
+     * Forget derived chat keys
+     */
+    clearCache() {
+        this.chatKeys.clear();
+    }
+
+    /**
+     * Derive the shared AES key between user and peer
+     * @param {string} userKey - User's unique key
+     * @param {string} peerKey - Peer's unique key
+     * @param {Object} peerPublicKey - Peer's public key as JWK
+     * @returns {Promise<CryptoKey>} AES-GCM key
+     */
+    async deriveChatKey(userKey, peerKey, peerPublicKey) {
+        const cacheKey = `${userKey}:${peerKey}:${peerPublicKey.x}`;
+        if (this.chatKeys.has(cacheKey)) {
+            return this.chatKeys.get(cacheKey);
+        }
+
+        const stored = this.loadKeyPair(userKey);
+        if (!stored) {
+            throw new Error('No key pair for user');
+        }
+
+        const privateKey = await crypto.subtle.importKey('jwk', stored.privateKey, this.ALGORITHM, false, ['deriveKey']);
+        const publicKey = await crypto.subtle.importKey('jwk', peerPublicKey, this.ALGORITHM, false, []);
+        const key = await crypto.subtle.deriveKey(
+            { name: 'ECDH', public: publicKey },
+            privateKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+
+        this.chatKeys.set(cacheKey, key);
+        return key;
+    }
+
+    /**
+     * Encrypt a JSON payload
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {Object} payload - Data to encrypt
+     * @returns {Promise<Object>} { iv, data } base64 strings
+     */
+    async encrypt(key, payload) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plain = new TextEncoder().encode(JSON.stringify(payload));
+        const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain);
+        return {
+            iv: this.bytesToBase64(iv),
+            data: this.bytesToBase64(new Uint8Array(cipher))
+        };
+    }
+
+    /**
+     * Decrypt a JSON payload
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {Object} encrypted - { iv, data } base64 strings
+     * @returns {Promise<Object>} Decrypted data
+     */
+    async decrypt(key, encrypted) {
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBytes(encrypted.iv) },
+            key,
+            this.base64ToBytes(encrypted.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plain));
+    }
+
+    /**
+     * Derive an AES key from a password
+     * @param {string} password - Password
+     * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} AES-GCM key
+     */
+    async derivePasswordKey(password, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt a JSON payload with a password
+     * @param {string} password - Password
+     * @param {Object} payload - Data to encrypt
+     * @returns {Promise<Object>} { kdf: { name, hash, iterations, salt }, iv, data }
+     */
+    async encryptWithPassword(password, payload) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.derivePasswordKey(password, salt, this.PBKDF2_ITERATIONS);
+        const encrypted = await this.encrypt(key, payload);
+        return {
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.PBKDF2_ITERATIONS, salt: this.bytesToBase64(salt) },
+            ...encrypted
+        };
+    }
+
+    /**
+     * Decrypt a payload encrypted with encryptWithPassword
+     * @param {string} password - Password
+     * @param {Object} encrypted - { kdf, iv, data }
+     * @returns {Promise<Object>} Decrypted data, rejects on a wrong password
+     */
+    async decryptWithPassword(password, encrypted) {
+        const salt = this.base64ToBytes(encrypted.kdf.salt);
+        const key = await this.derivePasswordKey(password, salt, encrypted.kdf.iterations);
+        return await this.decrypt(key, encrypted);
+    }
+
+    /**
+     * Hash a PIN for storage
+     * @param {string} pin - PIN
+     * @returns {Promise<Object>} { salt, iterations, hash } base64 strings
+     */
+    async hashPin(pin) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const hash = await this.derivePinHash(pin, salt, this.PIN_ITERATIONS);
+        return { salt: this.bytesToBase64(salt), iterations: this.PIN_ITERATIONS, hash };
+    }
+
+    /**
+     * Check a PIN against a stored hash
+     * @param {string} pin - Entered PIN
+     * @param {Object} stored - Result of hashPin
+     * @returns {Promise<boolean>} True if the PIN matches
+     */
+    async verifyPin(pin, stored) {
+        const hash = await this.derivePinHash(pin, this.base64ToBytes(stored.salt), stored.iterations);
+        return hash === stored.hash;
+    }
+
+    /**
+     * PBKDF2 hash of a PIN
+     * @param {string} pin - PIN
+     * @param {Uint8Array} salt - Salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<string>} Base64 hash
+     */
+    async derivePinHash(pin, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, 256);
+        return this.bytesToBase64(new Uint8Array(bits));
+    }
+
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64 string
+     */
+    bytesToBase64(bytes) {
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 into bytes
+     * @param {string} base64 - Base64 string
+     * @returns {Uint8Array} Decoded bytes
+     */
+    base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+/**
+ * Word-based recovery phrase. Every byte becomes one word: a version word,
+ * the 16-byte payload and a CRC-8 checksum word, so a mistyped or missing
+ * word is caught before the account is looked up.
+ */
+class RecoveryPhrase {
+    constructor() {
+        this.WORDS = [
+            'acid', 'acorn', 'actor', 'adult', 'agent', 'alarm', 'album', 'alley', 'amber', 'angle', 'ankle', 'apple',
+            'apron', 'arena', 'armor', 'arrow', 'atlas', 'attic', 'autumn', 'award', 'bacon', 'badge', 'baker', 'bamboo',
+            'banana', 'banjo', 'barn', 'basket', 'beach', 'beard', 'beaver', 'bell', 'bench', 'berry', 'bike', 'bird',
+            'blade', 'bloom', 'board', 'boat', 'bone', 'book', 'boot', 'bottle', 'bowl', 'brain', 'branch', 'bread',
+            'brick', 'bridge', 'broom', 'brush', 'bubble', 'bucket', 'bugle', 'cabin', 'cable', 'cactus', 'cake', 'camel',
+            'camera', 'candle', 'canoe', 'canyon', 'carpet', 'carrot', 'castle', 'cattle', 'cave', 'cedar', 'chair', 'chalk',
+            'cherry', 'chess', 'chief', 'circle', 'clock', 'cloud', 'clover', 'coach', 'coast', 'cobra', 'coffee', 'comet',
+            'copper', 'coral', 'corn', 'cotton', 'couch', 'cowboy', 'crab', 'crane', 'crayon', 'crown', 'cube', 'cup',
+            'daisy', 'dancer', 'deer', 'desert', 'dinner', 'doctor', 'donkey', 'door', 'dragon', 'drum', 'duck', 'eagle',
+            'earth', 'easel', 'echo', 'eel', 'elbow', 'engine', 'falcon', 'farm', 'fence', 'fern', 'ferry', 'fiddle',
+            'finger', 'fire', 'fish', 'flag', 'flame', 'flute', 'forest', 'fork', 'fossil', 'fox', 'frog', 'garden',
+            'garlic', 'gate', 'gecko', 'ghost', 'giant', 'ginger', 'glass', 'globe', 'glove', 'goat', 'gold', 'grape',
+            'grass', 'guitar', 'hammer', 'harbor', 'harp', 'hat', 'hawk', 'helmet', 'hero', 'hill', 'honey', 'horse',
+            'hotel', 'igloo', 'iguana', 'island', 'ivory', 'jacket', 'jaguar', 'jam', 'jar', 'jeep', 'jelly', 'jewel',
+            'judge', 'juice', 'kayak', 'kettle', 'key', 'king', 'kite', 'kiwi', 'knife', 'koala', 'ladder', 'lake',
+            'lamp', 'lemon', 'letter', 'lily', 'lion', 'lizard', 'lock', 'magnet', 'mango', 'maple', 'marble', 'market',
+            'mask', 'meadow', 'melon', 'mirror', 'monkey', 'moon', 'moose', 'motor', 'mouse', 'muffin', 'needle', 'nest',
+            'night', 'noodle', 'oak', 'ocean', 'olive', 'onion', 'orange', 'orbit', 'otter', 'owl', 'paddle', 'palace',
+            'panda', 'paper', 'peach', 'pearl', 'piano', 'pilot', 'pine', 'plum', 'pony', 'queen', 'quilt', 'radio',
+            'rain', 'raven', 'river', 'robot', 'rose', 'ruby', 'sand', 'scarf', 'shark', 'sheep', 'shell', 'ship',
+            'sock', 'spoon', 'star', 'stone', 'sugar', 'swan', 'table', 'tiger', 'tower', 'train', 'tulip', 'wagon',
+            'whale', 'wolf', 'yacht', 'zebra'
+        ];
+        this.VERSION_LEGACY_KEY = 0; // Ключ аккаунта, созданного до секретов (ASCII)
+        this.VERSION_SECRET = 1; // Секрет, из которого выводится ID аккаунта
+        this.VERSION_KEY_ID = 2; // Секрет, ID аккаунта выводится из его ключа подписи
+        this.PAYLOAD_LENGTH = 16;
+    }
+
+    /**
+     * Turn a payload into a phrase
+     * @param {number} version - VERSION_LEGACY_KEY, VERSION_SECRET or VERSION_KEY_ID
+     * @param {Uint8Array} payload - 16 bytes
+     * @returns {string} Space-separated words
+     */
+    encode(version, payload) {
+        const bytes = [version, ...payload];
+        bytes.push(this.checksum(bytes));
+        return bytes.map(byte => this.WORDS[byte]).join(' ');
+    }
+
+    /**
+     * Parse and verify a phrase
+     * @param {string} phrase - Words separated by spaces, any case
+     * @returns {Object} { version, payload: Uint8Array }
+     */
+    decode(phrase) {
+        const words = phrase.trim().toLowerCase().split(/[\s,]+/).filter(Boolean);
+        if (words.length !== this.PAYLOAD_LENGTH + 2) {
+            throw Object.assign(new Error('Wrong number of words'), { code: 'bad-length' });
+        }
+
+        const bytes = words.map(word => {
+            const index = this.WORDS.indexOf(word);
+            if (index === -1) {
+                throw Object.assign(new Error('Unknown word'), { code: 'unknown-word', word });
+            }
+            return index;
+        });
+
+        const checksum = bytes.pop();
+        if (this.checksum(bytes) !== checksum) {
+            throw Object.assign(new Error('Checksum mismatch'), { code: 'bad-checksum' });
+        }
+
+        const [version, ...payload] = bytes;
+        if (![this.VERSION_LEGACY_KEY, this.VERSION_SECRET, this.VERSION_KEY_ID].includes(version)) {
+            throw Object.assign(new Error('Unknown phrase version'), { code: 'unknown-version' });
+        }
+        return { version, payload: new Uint8Array(payload) };
+    }
+
+    /**
+     * Check if input looks like a phrase rather than a raw key
+     * @param {string} input - User input
+     * @returns {boolean} True if the input has several words
+     */
+    isPhrase(input) {
+        return input.trim().split(/[\s,]+/).length > 1;
+    }
+
+    /**
+     * CRC-8 (polynomial 0x07) of a byte list
+     * @param {Array} bytes - Bytes
+     * @returns {number} Checksum byte
+     */
+    checksum(bytes) {
+        let crc = 0;
+        bytes.forEach(byte => {
+            crc ^= byte;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+            }
+        });
+        return crc;
+    }
+}
+
+/**
+ * Password-protected backup files of a whole account
+ */
+class BackupManager {
+    constructor(storageManager, cryptoManager) {
+        this.storage = storageManager;
+        this.crypto = cryptoManager;
+        this.FORMAT = 'mmessenger-backup';
+        this.VERSION = 1;
+        this.MIN_PASSWORD_LENGTH = 6;
+    }
+
+    /**
+     * Build an encrypted backup of an account: user record, chats with full
+     * history and attachments, friends, the encryption key pair and the
+     * account secret
+     * @param {string} userKey - User's unique key
+     * @param {string} password - Backup password
+     * @returns {Promise<string>} Backup file contents
+     */
+    async createBackup(userKey, password) {
+        const record = await this.storage.loadUserData(userKey, { attachments: true });
+        if (!record) {
+            throw new Error('User data not found');
+        }
+
+        const secret = this.crypto.loadAccountSecret(userKey);
+        const payload = {
+            userKey: userKey,
+            record: record,
+            keyPair: this.crypto.loadKeyPair(userKey),
+            secret: secret ? this.crypto.bytesToBase64(secret) : null
+        };
+
+        const file = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            createdAt: new Date().toISOString(),
+            ...await this.crypto.encryptWithPassword(password, payload)
+        };
+        return JSON.stringify(file);
+    }
+
+    /**
+     * Decrypt and validate a backup file
+     * @param {string} contents - Backup file contents
+     * @param {string} password - Backup password
+     * @returns {Promise<Object>} { userKey, record, keyPair, secret, createdAt }
+     */
+    async readBackup(contents, password) {
+        let file;
+        try {
+            file = JSON.parse(contents);
+        } catch (error) {
+            throw Object.assign(new Error('Not a backup file'), { code: 'invalid-file' });
+        }
+
+        if (!file || file.format !== this.FORMAT || !file.kdf || !file.iv || !file.data) {
+            throw Object.assign(new Error('Not a backup file'), { code: 'invalid-file' });
+        }
+        if (file.version > this.VERSION) {
+            throw Object.assign(new Error('Backup from a newer version'), { code: 'unsupported-version' });
+        }
+
+        let payload;
+        try {
+            payload = await this.crypto.decryptWithPassword(password, file);
+        } catch (error) {
+            throw Object.assign(new Error('Wrong password or damaged file'), { code: 'wrong-password' });
+        }
+
+        if (!this.isValidPayload(payload)) {
+            throw Object.assign(new Error('Backup contents are invalid'), { code: 'invalid-file' });
+        }
+        return { ...payload, createdAt: file.createdAt };
+    }
+
+    /**
+     * Check the shape of decrypted backup contents
+     * @param {Object} payload - Decrypted backup
+     * @returns {boolean} True if the backup can be imported
+     */
+    isValidPayload(payload) {
+        if (!payload || typeof payload.userKey !== 'string' || !payload.userKey) return false;
+
+        const record = payload.record;
+        if (!record || typeof record.username !== 'string' || !Array.isArray(record.chats)) return false;
+
+        const listsValid = ['friends', 'friendRequests', 'sentFriendRequests']
+            .every(field => record[field] === undefined || Array.isArray(record[field]));
+        const chatsValid = record.chats
+            .every(chat => chat && chat.id && chat.name && (chat.messages === undefined || Array.isArray(chat.messages)));
+        return listsValid && chatsValid;
+    }
+
+    /**
+     * Count what a backup holds
+     * @param {Object} backup - Backup from readBackup
+     * @returns {Object} { username, chats, messages, friends, createdAt }
+     */
+    summarize(backup) {
+        const chats = backup.record.chats;
+        return {
+            username: backup.record.username,
+            chats: chats.length,
+            messages: chats.reduce((total, chat) => total + (chat.messages || []).length, 0),
+            friends: (backup.record.friends || []).length,
+            createdAt: backup.createdAt
+        };
+    }
+
+    /**
+     * Import a backup into this device
+     * @param {Object} backup - Backup from readBackup
+     * @param {string} mode - 'replace' drops the local copy of the account,
+     *     'merge' adds chats, messages and friends missing locally
+     * @throws {Error} code 'sync-failed' if only the local copy was written
+     */
+    async restoreBackup(backup, mode) {
+        const { userKey, record, keyPair, secret } = backup;
+        const local = mode === 'merge' ? await this.storage.loadUserData(userKey) : null;
+
+        if (secret) {
+            this.crypto.saveAccountSecret(userKey, this.crypto.base64ToBytes(secret));
+        }
+
+        if (mode === 'replace') {
+            await this.storage.deleteLocalData(userKey);
+            if (keyPair) {
+                this.crypto.saveKeyPair(userKey, keyPair);
+            }
+            await this.storage.saveUserData(userKey, record);
+            return;
+        }
+
+        if (!local) {
+            throw new Error('Nothing to merge into');
+        }
+
+        // Messages already on this device were encrypted with the local key pair
+        if (keyPair && !this.crypto.loadKeyPair(userKey)) {
+            this.crypto.saveKeyPair(userKey, keyPair);
+        }
+
+        await this.storage.saveUserData(userKey, {
+            ...record,
+            ...local,
+            friends: this.mergeByKey(local.friends, record.friends),
+            friendRequests: this.mergeByKey(local.friendRequests, record.friendRequests),
+            sentFriendRequests: this.mergeByKey(local.sentFriendRequests, record.sentFriendRequests),
+            chats: this.storage.mergeChats(local.chats || [], record.chats)
+        });
+    }
+
+    /**
+     * Union of two lists of { key, ... } entries, local entries win
+     * @param {Array} local - Local entries
+     * @param {Array} other - Entries to add
+     * @returns {Array} Merged entries
+     */
+    mergeByKey(local = [], other = []) {
+        const merged = [...local];
+        other.forEach(entry => {
+            if (entry && !merged.some(existing => existing.key === entry.key)) {
+                merged.push(entry);
+            }
+        });
+        return merged;
+    }
+}
+
+class ChatManager {
+    constructor(storageManager, cryptoManager = null) {
+        this.storage = storageManager;
+        this.crypto = cryptoManager;
+        this.publicKey = null; // Наш публичный ключ (JWK) для шифрования
+        this.secretDerivedId = false; // ID выведен из секрета: вход только по фразе восстановления
+        this.signingKey = null; // Наш публичный ключ подписи (JWK) для конвертов в друзья
+        this.chats = [];
+        this.friends = [];
+        this.friendRequests = []; // Входящие заявки в друзья
+        this.sentFriendRequests = []; // Исходящие заявки
+        this.blockedUsers = []; // { key, username, blockedAt }
+        this.PAGE_SIZE = 50; // Сообщений на страницу истории
+        this.RECEIPT_PAGE_SIZE = 200; // Своих сообщений, которые подгружает одна отметка о прочтении
+        this.MUTE_FOREVER = '9999-12-31T23:59:59.999Z'; // mutedUntil для «навсегда»
+        this.REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+        this.olderMessages = new Map(); // chatId -> есть ли более старые сообщения
+        this.searchIndex = new MessageSearchIndex();
+        this.inbox = new FriendInbox(storageManager, cryptoManager);
+        this.delivery = new MessageDeliveryManager(new StorageTransport(this), this.REACTIONS);
+    }
+
+    /**
+     * Initialize chats with default data
+     * @returns {Array} Initial chats array
+     */
+    initializeChats() {
+        return [{
+            id: 1,
+            name: 'Избранное',
+            type: 'favorites',
+            messages: []
+        }];
+    }
+
+    /**
+     * Load chats from storage
+     * @param {string} userKey - User's unique key
+     */
+    async loadChats(userKey) {
+        const userData = await this.storage.loadUserData(userKey, { messageLimit: this.PAGE_SIZE });
+        this.olderMessages.clear();
+        this.searchIndex.clear();
+        if (userData) {
+            this.chats = userData.chats || this.initializeChats();
+            this.friends = userData.friends || [];
+            this.friendRequests = userData.friendRequests || [];
+            this.sentFriendRequests = userData.sentFriendRequests || [];
+            this.publicKey = userData.publicKey || null;
+            this.secretDerivedId = !!userData.secretDerivedId;
+            this.signingKey = userData.signingKey || null;
+            this.blockedUsers = userData.blockedUsers || [];
+            
+            // Filter out invalid chats
+            this.chats = this.chats.filter(chat => 
+                chat && chat.id && chat.name
+            );
+
+            this.chats.forEach(chat => {
+                this.olderMessages.set(chat.id, !!chat.hasOlderMessages);
+                delete chat.hasOlderMessages;
+
+                // Channels created before groups existed belong to their creator
+                if (!chat.type) {
+                    chat.type = 'group';
+                    chat.ownerKey = userKey;
+                    chat.members = [{ key: userKey, username: userData.username, role: 'owner' }];
+                    chat.participants = [userKey];
+                }
+
+                // Older messages were stored without ids, give them one for dedupe
+                (chat.messages || []).forEach(msg => {
+                    if (msg && !msg.id) {
+                        msg.id = this.generateMessageId();
+                    }
+                });
+                chat.messages = (chat.messages || []).filter(msg => !this.isBlockedMessage(chat, msg));
+
+                // History from before read tracking counts as read
+                if (chat.lastReadAt === undefined) {
+                    const last = (chat.messages || [])[(chat.messages || []).length - 1];
+                    chat.lastReadAt = last && last.timestamp ? last.timestamp : '';
+                }
+            });
+
+            if (this.chats.length === 0) {
+                this.chats = this.initializeChats();
+            }
+        } else {
+            this.chats = this.initializeChats();
+            this.friends = [];
+            this.friendRequests = [];
+            this.sentFriendRequests = [];
+            this.publicKey = null;
+            this.secretDerivedId = false;
+            this.signingKey = null;
+            this.blockedUsers = [];
+        }
+    }
+
+    /**
+     * Forget everything loaded for the current account
+     */
+    reset() {
+        this.chats = [];
+        this.friends = [];
+        this.friendRequests = [];
+        this.sentFriendRequests = [];
+        this.blockedUsers = [];
+        this.publicKey = null;
+        this.signingKey = null;
+        this.secretDerivedId = false;
+        this.olderMessages.clear();
+        this.searchIndex.clear();
+    }
+
+    /**
+     * Check if a chat has history that is not loaded yet
+     * @param {Object} chat - Chat object
+     * @returns {boolean} True if older messages can be loaded
+     */
+    hasOlderMessages(chat) {
+        return !!this.olderMessages.get(chat.id);
+    }
+
+    /**
+     * Load the previous page of chat history and prepend it to the chat
+     * @param {string} userKey - User's unique key
+     * @param {Object} chat - Chat object
+     * @returns {Promise<Array>} Loaded messages, oldest first
+     */
+    async loadOlderMessages(userKey, chat) {
+        if (!chat.messages) {
+            chat.messages = [];
+        }
+
+        const oldest = chat.messages[0];
+        const page = await this.storage.loadMessages(userKey, chat.id, {
+            before: oldest ? oldest.timestamp || '' : undefined,
+            excludeIds: chat.messages.map(msg => msg.id),
+            limit: this.PAGE_SIZE
+        });
+
+        const messages = page.messages.filter(msg => !this.isBlockedMessage(chat, msg));
+        chat.messages = [...messages, ...chat.messages];
+        this.olderMessages.set(chat.id, page.hasMore);
+        return messages;
+    }
+
+    /**
+     * Save profile and chat list to storage. Messages are written one by one
+     * with saveMessage, so this never rewrites the whole history.
+     * @param {string} userKey - User's unique key
+     * @param {string} username - Username
+     * @returns {Promise<void>} Resolves when the data is saved
+     */
+    saveChats(userKey, username) {
+        const userData = {
+            username: username,
+            publicKey: this.publicKey,
+            secretDerivedId: this.secretDerivedId,
+            signingKey: this.signingKey,
+            chats: this.chats,
+            friends: this.friends,
+            friendRequests: this.friendRequests,
+            sentFriendRequests: this.sentFriendRequests,
+            blockedUsers: this.blockedUsers
+        };
+        return this.storage.saveUserMeta(userKey, userData);
+    }
+
+    /**
+     * Save a single message of a chat to storage
+     * @param {string} userKey - User's unique key
+     * @param {Object} chat - Chat object
+     * @param {Object} message - Message object
+     * @returns {Promise<void>} Resolves when the message is saved
+     */
+    saveMessage(userKey, chat, message) {
+        return this.storage.saveMessage(userKey, chat, this.toStoredMessage(message));
+    }
+
+    /**
+     * Get the form of a message that may leave memory: encrypted messages
+     * lose their decrypted text, attachment, thumbnail and quote
+     * @param {Object} message - Message object
+     * @returns {Object} Message safe to store or deliver
+     */
+    toStoredMessage(message) {
+        if (!message.encrypted) {
+            return message;
+        }
+
+        const { decrypted, decryptFailed, replyTo, ...stored } = message;
+        if (replyTo) {
+            // The quoted snippet is part of the encrypted payload
+            stored.replyTo = { id: replyTo.id };
+        }
+        return { ...stored, text: '', fileData: null, fileName: null, thumbnail: null, waveform: null };
+    }
+
+    /**
+     * Get a peer's public key pinned when the friendship was made. The key
+     * is also pinned on the private chat, so its history stays readable
+     * after the peer is removed from friends. The server's copy of the
+     * peer's record is never used: anyone could have put a key there.
+     * @param {string} peerKey - Peer's unique key
+     * @param {Object} chat - Private chat with the peer
+     * @returns {Object|null} Public key as JWK or null
+     */
+    getPeerPublicKey(peerKey, chat = null) {
+        const friend = this.friends.find(f => f.key === peerKey);
+        const publicKey = (friend && friend.publicKey) || (chat && chat.peerPublicKey) || null;
+        if (chat && publicKey && !chat.peerPublicKey) {
+            chat.peerPublicKey = publicKey;
+        }
+        return publicKey;
+    }
+
+    /**
+     * Get the shared encryption key of a private chat
+     * @param {Object} chat - Chat object
+     * @param {string} userKey - Current user's key
+     * @returns {Promise<CryptoKey|null>} Chat key or null if the chat can't be encrypted
+     */
+    async getChatKey(chat, userKey) {
+        if (!this.crypto || !this.crypto.isSupported() || chat.type !== 'private' || !chat.participants) {
+            return null;
+        }
+
+        const peerKey = chat.participants.find(key => key !== userKey);
+        const peerPublicKey = peerKey ? this.getPeerPublicKey(peerKey, chat) : null;
+        if (!peerPublicKey) {
+            return null;
+        }
+
+        return await this.crypto.deriveChatKey(userKey, peerKey, peerPublicKey);
+    }
+
+    /**
+     * Encrypt message body and attachment for a private chat. The attachment
+     * is encrypted separately so it can be stored and loaded on its own.
+     * A private message is never left in the clear: without a chat key this
+     * throws an error with code 'no-chat-key'.
+     * @param {Object} chat - Chat object
+     * @param {Object} message - Message object, updated in place
+     * @param {string} userKey - Current user's key
+     * @returns {Promise<boolean>} True if the message was encrypted, false for groups
+     */
+    async encryptMessage(chat, message, userKey) {
+        if (chat.type !== 'private') {
+            return false;
+        }
+
+        const key = await this.getChatKey(chat, userKey);
+        if (!key) {
+            throw Object.assign(new Error('Private chat has no encryption key'), { code: 'no-chat-key' });
+        }
+
+        message.encrypted = await this.crypto.encrypt(key, {
+            text: message.text,
+            fileName: message.fileName,
+            thumbnail: message.thumbnail || null,
+            waveform: message.waveform || null,
+            replyTo: message.replyTo || null
+        });
+        // An edit of a message whose file isn't loaded keeps the stored one
+        if (message.fileData) {
+            message.encryptedFile = await this.crypto.encrypt(key, { fileData: message.fileData });
+        }
+        message.decrypted = true;
+        return true;
+    }
+
+    /**
+     * Decrypt all encrypted messages in loaded chats
+     * @param {string} userKey - Current user's key
+     */
+    async decryptChats(userKey) {
+        for (const chat of this.chats) {
+            const pending = (chat.messages || []).filter(msg => msg.encrypted && !msg.decrypted);
+            if (pending.length === 0) continue;
+
+            let key = null;
+            try {
+                key = await this.getChatKey(chat, userKey);
+            } catch (error) {
+                console.error('Error deriving chat key:', error);
+            }
+
+            for (const msg of pending) {
+                await this.decryptMessage(msg, key);
+            }
+        }
+    }
+
+    /**
+     * Decrypt a message in place, marking it when it can't be decrypted
+     * @param {Object} msg - Encrypted message
+     * @param {CryptoKey|null} key - Chat key
+     */
+    async decryptMessage(msg, key) {
+        try {
+            if (!key) throw new Error('No chat key');
+            const payload = await this.crypto.decrypt(key, msg.encrypted);
+            msg.text = payload.text || '';
+            msg.fileName = payload.fileName || null;
+            msg.thumbnail = payload.thumbnail || null;
+            if (payload.waveform) {
+                msg.waveform = payload.waveform;
+            }
+            if (payload.fileData) {
+                // Messages from before attachments were encrypted separately
+                msg.fileData = payload.fileData;
+            }
+            if (payload.replyTo) {
+                msg.replyTo = payload.replyTo;
+            }
+            msg.decrypted = true;
+            msg.decryptFailed = false;
+        } catch (error) {
+            msg.decryptFailed = true;
+        }
+    }
+
+    /**
+     * Load the full attachment of a message, decrypting it if needed.
+     * The result is kept on the message for later taps.
+     * @param {string} userKey - Current user's key
+     * @param {Object} chat - Chat the message belongs to
+     * @param {Object} message - Message object
+     * @returns {Promise<string|null>} Data URL or null if the file is not on this device
+     */
+    async loadAttachment(userKey, chat, message) {
+        if (message.fileData) {
+            return message.fileData;
+        }
+
+        const attachment = await this.storage.loadAttachment(userKey, chat.id, message.id);
+        if (!attachment) {
+            return null;
+        }
+
+        if (attachment.encryptedFile) {
+            const key = await this.getChatKey(chat, userKey);
+            if (!key) {
+                throw new Error('No chat key');
+            }
+            const payload = await this.crypto.decrypt(key, attachment.encryptedFile);
+            message.fileData = payload.fileData || null;
+        } else {
+            message.fileData = attachment.fileData;
+        }
+        return message.fileData;
+    }
+
+    /**
+     * Search message text and attachment names across all chats. A chat's
+     * full stored history is read and indexed on its first search; loaded
+     * messages are re-indexed every time so edits and new messages show up.
+     * @param {string} query - Search query
+     * @param {string} userKey - Current user's key
+     * @returns {Promise<Array>} Ranked hits { chat, messageId, author, timestamp, text, fileName,
+     *     score, textMatches, fileMatches } where matches are ranges to highlight
+     */
+    async searchMessages(query, userKey) {
+        for (const chat of this.chats) {
+            if (!this.searchIndex.hasChat(chat.id)) {
+                await this.indexChatHistory(chat, userKey);
+            }
+            this.searchIndex.indexMessages(chat.id, chat.messages || []);
+        }
+
+        return this.searchIndex.search(query)
+            .map(hit => ({
+                ...hit,
+                chat: this.chats.find(chat => chat.id === hit.chatId),
+                textMatches: this.searchIndex.findMatches(hit.text, query),
+                fileMatches: this.searchIndex.findMatches(hit.fileName, query)
+            }))
+            .filter(hit => hit.chat);
+    }
+
+    /**
+     * Read and index a chat's full stored history
+     * @param {Object} chat - Chat object
+     * @param {string} userKey - Current user's key
+     */
+    async indexChatHistory(chat, userKey) {
+        try {
+            const history = await this.storage.loadMessages(userKey, chat.id, { limit: Infinity });
+            const encrypted = history.messages.filter(msg => msg.encrypted);
+
+            if (encrypted.length > 0) {
+                let key = null;
+                try {
+                    key = await this.getChatKey(chat, userKey);
+                } catch (error) {
+                    console.error('Error deriving chat key:', error);
+                }
+                for (const msg of encrypted) {
+                    await this.decryptMessage(msg, key);
+                }
+            }
+
+            this.searchIndex.indexMessages(chat.id, history.messages);
+        } catch (error) {
+            console.error('Error indexing chat history:', error);
+            this.searchIndex.indexMessages(chat.id, []);
+        }
+    }
+
+    /**
+     * Generate a stable message ID shared by every copy of the message
+     * @returns {string} Message ID
+     */
+    generateMessageId() {
+        const bytes = new Uint8Array(8);
+        if (window.crypto && window.crypto.getRandomValues) {
+            window.crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = Math.floor(Math.random() * 256);
+            }
+        }
+        const random = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        return `${Date.now().toString(36)}-${random}`;
+    }
+
+    /**
+     * Create a new group chat
+     * @param {string} name - Chat name
+     * @param {string} description - Chat description
+     * @param {Object} owner - { key, username } of the creator
+     * @param {Array} members - Initial members as { key, username }
+     * @returns {Object} New chat object
+     */
+    createChat(name, description = '', owner = null, members = []) {
+        const newChat = {
+            id: `group-${this.generateMessageId()}`,
+            name: name.trim(),
+            description: description.trim(),
+            type: 'group',
+            ownerKey: owner ? owner.key : null,
+            members: [],
+            participants: [],
+            messages: [],
+            lastReadAt: '',
+            createdAt: new Date().toISOString()
+        };
+
+        if (owner) {
+            this.setMember(newChat, owner, 'owner');
+        }
+        members.forEach(member => this.setMember(newChat, member, 'member'));
+        this.touchGroup(newChat);
+
+        this.chats.push(newChat);
+        return newChat;
+    }
+
+    /**
+     * Add a group member or change their role, keeping participants in sync
+     * @param {Object} chat - Group chat
+     * @param {Object} user - { key, username }
+     * @param {string} role - owner, admin or member
+     */
+    setMember(chat, user, role) {
+        const existing = chat.members.find(member => member.key === user.key);
+        if (existing) {
+            existing.role = role;
+        } else {
+            chat.members.push({ key: user.key, username: user.username, role: role });
+        }
+        chat.participants = chat.members.map(member => member.key);
+    }
+
+    /**
+     * Mark group metadata as changed, newer copies win when members sync
+     * @param {Object} chat - Group chat
+     */
+    touchGroup(chat) {
+        chat.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Get a user's role in a group
+     * @param {Object} chat - Group chat
+     * @param {string} userKey - User's key
+     * @returns {string|null} owner, admin, member or null if not a member
+     */
+    getMemberRole(chat, userKey) {
+        const member = (chat.members || []).find(m => m.key === userKey);
+        return member ? member.role : null;
+    }
+
+    /**
+     * Check if a user can add, remove and promote members of a group
+     * @param {Object} chat - Group chat
+     * @param {string} userKey - User's key
+     * @returns {boolean} True for the owner and admins
+     */
+    canManageMembers(chat, userKey) {
+        const role = this.getMemberRole(chat, userKey);
+        return role === 'owner' || role === 'admin';
+    }
+
+    /**
+     * Check if a user can write to a chat
+     * @param {Object} chat - Chat object
+     * @param {string} userKey - User's key
+     * @returns {boolean} False for groups the user was removed from
+     */
+    canSendMessages(chat, userKey) {
+        return chat.type !== 'group' || this.getMemberRole(chat, userKey) !== null;
+    }
+
+    /**
+     * Invite users into a group
+     * @param {Object} chat - Group chat
+     * @param {string} actorKey - Key of the user making the change
+     * @param {Array} users - Users to add as { key, username }
+     * @returns {Array} Users that were added
+     */
+    addGroupMembers(chat, actorKey, users) {
+        if (!this.canManageMembers(chat, actorKey)) {
+            return [];
+        }
+
+        const added = users.filter(user => this.getMemberRole(chat, user.key) === null);
+        added.forEach(user => this.setMember(chat, user, 'member'));
+        if (added.length > 0) {
+            this.touchGroup(chat);
+        }
+        return added;
+    }
+
+    /**
+     * Remove a member from a group. Admins remove members, the owner removes anyone but themselves.
+     * @param {Object} chat - Group chat
+     * @param {string} actorKey - Key of the user making the change
+     * @param {string} memberKey - Key of the member to remove
+     * @returns {boolean} True if the member was removed
+     */
+    removeGroupMember(chat, actorKey, memberKey) {
+        const actorRole = this.getMemberRole(chat, actorKey);
+        const memberRole = this.getMemberRole(chat, memberKey);
+        const allowed = memberRole !== null && memberRole !== 'owner' &&
+            (actorRole === 'owner' || (actorRole === 'admin' && memberRole === 'member'));
+        if (!allowed) {
+            return false;
+        }
+
+        chat.members = chat.members.filter(member => member.key !== memberKey);
+        chat.participants = chat.members.map(member => member.key);
+        this.touchGroup(chat);
+        return true;
+    }
+
+    /**
+     * Promote a member to admin or demote an admin. Admins promote, only the owner demotes.
+     * @param {Object} chat - Group chat
+     * @param {string} actorKey - Key of the user making the change
+     * @param {string} memberKey - Key of the member
+     * @param {string} role - admin or member
+     * @returns {boolean} True if the role was changed
+     */
+    setMemberRole(chat, actorKey, memberKey, role) {
+        const actorRole = this.getMemberRole(chat, actorKey);
+        const member = (chat.members || []).find(m => m.key === memberKey);
+        if (!member || member.role === 'owner' || member.role === role || !['admin', 'member'].includes(role)) {
+            return false;
+        }
+
+        const allowed = role === 'admin'
+            ? this.canManageMembers(chat, actorKey)
+            : actorRole === 'owner';
+        if (!allowed) {
+            return false;
+        }
+
+        member.role = role;
+        this.touchGroup(chat);
+        return true;
+    }
+
+    /**
+     * Leave a group. The owner can't leave their own group.
+     * @param {Object} chat - Group chat
+     * @param {string} userKey - Key of the leaving user
+     * @returns {boolean} True if the user left
+     */
+    leaveGroup(chat, userKey) {
+        const role = this.getMemberRole(chat, userKey);
+        if (role === null || role === 'owner') {
+            return false;
+        }
+
+        chat.members = chat.members.filter(member => member.key !== userKey);
+        chat.participants = chat.members.map(member => member.key);
+        this.touchGroup(chat);
+        return true;
+    }
+
+    /**
+     * Create a private chat with friend
+     * @param {string} friendKey - Friend's unique key
+     * @param {string} friendUsername - Friend's username
+     * @param {string} currentUserKey - Current user's key
+     * @returns {Object} New private chat object
+     */
+    createPrivateChat(friendKey, friendUsername, currentUserKey) {
+        const friend = this.friends.find(f => f.key === friendKey);
+        const newChat = {
+            id: Date.now(),
+            name: friendUsername,
+            type: 'private',
+            participants: [currentUserKey, friendKey],
+            peerPublicKey: friend ? friend.publicKey || null : null,
+            messages: [],
+            lastReadAt: '',
+            createdAt: new Date().toISOString()
+        };
+        this.chats.push(newChat);
+        return newChat;
+    }
+
+    /**
+     * Find existing private chat with friend
+     * @param {string} friendKey - Friend's unique key
+     * @returns {Object|null} Existing chat or null
+     */
+    findPrivateChat(friendKey) {
+        return this.chats.find(chat => 
+            chat.type === 'private' && 
+            chat.participants && 
+            chat.participants.includes(friendKey)
+        );
+    }
+
+    /**
+     * Add message to chat
+     * @param {Object} chat - Chat object
+     * @param {string} author - Message author
+     * @param {string} text - Message text
+     * @param {string} type - Message type (text, image, video, file, voice)
+     * @param {string} fileData - File data (base64 for images/videos, URL for files)
+     * @param {string} fileName - File name
+     * @param {string} authorKey - Message author's key
+     * @param {Object} replyTo - Reference to the parent message, see createReplyReference
+     * @returns {Object} New message object
+     */
+    addMessage(chat, author, text, type = 'text', fileData = null, fileName = null, authorKey = null, replyTo = null) {
+        if (!chat.messages) {
+            chat.messages = [];
+        }
+
+        const now = new Date();
+        const time = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
+
+        const message = {
+            id: this.generateMessageId(),
+            author: author,
+            authorKey: authorKey,
+            text: text.trim(),
+            time: time,
+            timestamp: now.toISOString(),
+            type: type,
+            fileData: fileData,
+            fileName: fileName,
+            status: 'sending'
+        };
+
+        if (replyTo) {
+            message.replyTo = replyTo;
+        }
+
+        chat.messages.push(message);
+
+        return message;
+    }
+
+    /**
+     * Find a message in a chat by ID
+     * @param {Object} chat - Chat object
+     * @param {string} messageId - Message ID
+     * @returns {Object|null} Message or null if not loaded
+     */
+    findMessage(chat, messageId) {
+        return (chat.messages || []).find(msg => msg.id === messageId) || null;
+    }
+
+    /**
+     * Record that a message reached the given participants' stores
+     * @param {Object} message - Own message
+     * @param {Array} keys - Participant keys it was delivered to
+     */
+    markDelivered(message, keys) {
+        if (keys.length === 0) return;
+
+        const now = new Date().toISOString();
+        message.receipts = message.receipts || {};
+        keys.forEach(key => {
+            const receipt = message.receipts[key] || (message.receipts[key] = {});
+            receipt.delivered = receipt.delivered || now;
+        });
+    }
+
+    /**
+     * Set or take back the user's reaction to a message. A user has at most
+     * one reaction; a removed one stays as an empty entry with its time, so
+     * an older copy can't bring it back.
+     * @param {Object} message - Message object
+     * @param {string} userKey - Reacting user's key
+     * @param {string} username - Reacting user's name
+     * @param {string} emoji - Reaction, the same one again removes it
+     * @returns {Object} The user's new reaction { emoji, username, at }
+     */
+    toggleReaction(message, userKey, username, emoji) {
+        const current = (message.reactions || {})[userKey];
+        const reaction = {
+            emoji: current && current.emoji === emoji ? '' : emoji,
+            username,
+            at: new Date().toISOString()
+        };
+        message.reactions = { ...(message.reactions || {}), [userKey]: reaction };
+        return reaction;
+    }
+
+    /**
+     * Get when a message reached this account, by this account's clock.
+     * Messages from before receive times were kept fall back to their send time.
+     * @param {Object} msg - Message object
+     * @returns {string} ISO timestamp
+     */
+    getReceivedAt(msg) {
+        return msg.receivedAt || msg.timestamp || '';
+    }
+
+    /**
+     * Count messages from others that arrived after the chat was last read.
+     * The count is kept with the chat (see MessageDeliveryManager.applyMessage),
+     * so it covers the whole history; chats from before it was kept count the
+     * loaded messages.
+     * @param {Object} chat - Chat object
+     * @param {string} userKey - Current user's key
+     * @returns {number} Unread messages
+     */
+    getUnreadCount(chat, userKey) {
+        if (typeof chat.unreadCount === 'number') {
+            return chat.unreadCount;
+        }
+
+        const lastReadAt = chat.lastReadAt || '';
+        return (chat.messages || []).filter(msg =>
+            msg.authorKey !== userKey && !msg.deleted && this.getReceivedAt(msg) > lastReadAt
+        ).length;
+    }
+
+    /**
+     * Mark everything in a chat as read
+     * @param {Object} chat - Chat object
+     * @param {string} userKey - Current user's key
+     * @returns {string|null} New read time, or null if nothing was unread
+     */
+    markChatRead(chat, userKey) {
+        if (this.getUnreadCount(chat, userKey) === 0) {
+            return null;
+        }
+
+        // Everything received so far, loaded or not, is read now
+        const latest = (chat.messages || []).reduce((max, msg) =>
+            this.getReceivedAt(msg) > max ? this.getReceivedAt(msg) : max, new Date().toISOString());
+        chat.lastReadAt = latest;
+        chat.unreadCount = 0;
+        return latest;
+    }
+
+    /**
+     * Find the send time of each author's latest message that has been read,
+     * for the read receipts: authors compare it with their own clock
+     * @param {Object} chat - Chat object
+     * @param {string} userKey - Current user's key
+     * @returns {Object} Author key -> send time
+     */
+    getReadTimestamps(chat, userKey) {
+        const lastReadAt = chat.lastReadAt || '';
+        const readUpTo = {};
+        (chat.messages || []).forEach(msg => {
+            if (!msg.authorKey || msg.authorKey === userKey || this.getReceivedAt(msg) > lastReadAt) return;
+            if ((msg.timestamp || '') > (readUpTo[msg.authorKey] || '')) {
+                readUpTo[msg.authorKey] = msg.timestamp;
+            }
+        });
+        return readUpTo;
+    }
+
+    /**
+     * Mark every chat as read
+     * @param {string} userKey - Current user's key
+     * @returns {Array} [{ chat, readAt }] for chats that had unread messages
+     */
+    markAllRead(userKey) {
+        return this.chats
+            .map(chat => ({ chat, readAt: this.markChatRead(chat, userKey) }))
+            .filter(item => item.readAt);
+    }
+
+    /**
+     * Count unread messages of all chats that are not muted
+     * @param {string} userKey - Current user's key
+     * @returns {number} Unread messages among the loaded ones
+     */
+    getTotalUnread(userKey) {
+        return this.chats
+            .filter(chat => !this.isMuted(chat))
+            .reduce((sum, chat) => sum + this.getUnreadCount(chat, userKey), 0);
+    }
+
+    /**
+     * Check whether notifications of a chat are muted right now
+     * @param {Object} chat - Chat object
+     * @returns {boolean} True if muted
+     */
+    isMuted(chat) {
+        return (chat.mutedUntil || '') > new Date().toISOString();
+    }
+
+    /**
+     * Mute notifications of a chat. Mute state is per user, like read state.
+     * @param {Object} chat - Chat object
+     * @param {number|null} duration - Milliseconds, null for good
+     */
+    muteChat(chat, duration) {
+        chat.mutedUntil = duration ? new Date(Date.now() + duration).toISOString() : this.MUTE_FOREVER;
+        chat.muteChangedAt = new Date().toISOString();
+    }
+
+    /**
+     * Turn notifications of a chat back on
+     * @param {Object} chat - Chat object
+     */
+    unmuteChat(chat) {
+        chat.mutedUntil = '';
+        chat.muteChangedAt = new Date().toISOString();
+    }
+
+    /**
+     * Check whether a chat shows link previews. The sync server fetches the
+     * pages and so sees the links, which would leak what an encrypted private
+     * chat hides: there they are off until turned on, in groups on until
+     * turned off. The setting is per user like mute.
+     * @param {Object} chat - Chat object
+     * @returns {boolean} True if previews are shown
+     */
+    linkPreviewsEnabled(chat) {
+        if (typeof chat.linkPreviews === 'boolean') {
+            return chat.linkPreviews;
+        }
+        return chat.type !== 'private';
+    }
+
+    /**
+     * Turn link previews of a chat on or off
+     * @param {Object} chat - Chat object
+     * @param {boolean} enabled - Show previews
+     */
+    setLinkPreviews(chat, enabled) {
+        chat.linkPreviews = enabled;
+        chat.linkPreviewsChangedAt = new Date().toISOString();
+    }
+
+    /**
+     * Get the pinned messages of a chat that still exist, oldest pin first.
+     * Pins, like mute, are per user.
+     * @param {Object} chat - Chat object
+     * @returns {Array} Message IDs; messages that are not loaded are kept
+     */
+    getPinnedMessages(chat) {
+        return (chat.pinnedMessages || []).filter(messageId => {
+            const message = this.findMessage(chat, messageId);
+            return !message || !message.deleted;
+        });
+    }
+
+    /**
+     * Check whether a message is pinned in its chat
+     * @param {Object} chat - Chat object
+     * @param {string} messageId - Message ID
+     * @returns {boolean} True if pinned
+     */
+    isMessagePinned(chat, messageId) {
+        return (chat.pinnedMessages || []).includes(messageId);
+    }
+
+    /**
+     * Pin a message, or unpin it if it is pinned
+     * @param {Object} chat - Chat object
+     * @param {string} messageId - Message ID
+     * @returns {boolean} True if the message is pinned now
+     */
+    togglePinnedMessage(chat, messageId) {
+        const pinned = this.isMessagePinned(chat, messageId);
+        const others = (chat.pinnedMessages || []).filter(id => id !== messageId);
+        chat.pinnedMessages = pinned ? others : [...others, messageId];
+        chat.pinnedMessagesChangedAt = new Date().toISOString();
+        return !pinned;
+    }
+
+    /**
+     * Check whether a chat is pinned to the top of the chat list
+     * @param {Object} chat - Chat object
+     * @returns {boolean} True if pinned
+     */
+    isChatPinned(chat) {
+        return !!chat.pinnedAt;
+    }
+
+    /**
+     * Pin a chat to the top of the chat list, or unpin it
+     * @param {Object} chat - Chat object
+     * @param {boolean} pinned - Pin state
+     */
+    setChatPinned(chat, pinned) {
+        chat.pinnedAt = pinned ? new Date().toISOString() : '';
+        chat.pinChangedAt = new Date().toISOString();
+    }
+
+    /**
+     * Get when anything last happened in a chat
+     * @param {Object} chat - Chat object
+     * @returns {string} ISO timestamp of the last message, or of the chat's creation
+     */
+    getLastActivity(chat) {
+        const messages = chat.messages || [];
+        const last = messages.length > 0 ? messages[messages.length - 1] : null;
+        return (last && last.timestamp) || chat.createdAt || '';
+    }
+
+    /**
+     * Get chats in chat list order: pinned chats in the order they were
+     * pinned, then the rest by last activity, most recent first
+     * @returns {Array} Sorted copy of the chats array
+     */
+    getSortedChats() {
+        const pinned = this.chats.filter(chat => this.isChatPinned(chat))
+            .sort((a, b) => a.pinnedAt.localeCompare(b.pinnedAt));
+        const others = this.chats.filter(chat => !this.isChatPinned(chat))
+            .sort((a, b) => this.getLastActivity(b).localeCompare(this.getLastActivity(a)));
+        return [...pinned, ...others];
+    }
+
+    /**
+     * Get keys of every loaded message
+     * @returns {Set} "chatId:messageId" keys
+     */
+    getMessageKeys() {
+        const keys = new Set();
+        this.chats.forEach(chat => (chat.messages || []).forEach(msg => keys.add(`${chat.id}:${msg.id}`)));
+        return keys;
+    }
+
+    /**
+     * Find unread messages from others that were not loaded before
+     * @param {Set} knownKeys - Keys from getMessageKeys before the reload
+     * @param {string} userKey - Current user's key
+     * @returns {Array} [{ chat, messages }] oldest first, for chats that got any
+     */
+    getNewMessages(knownKeys, userKey) {
+        return this.chats
+            .map(chat => ({
+                chat,
+                messages: (chat.messages || []).filter(msg =>
+                    !knownKeys.has(`${chat.id}:${msg.id}`) &&
+                    msg.authorKey !== userKey &&
+                    !msg.deleted &&
+                    this.getReceivedAt(msg) > (chat.lastReadAt || '')
+                )
+            }))
+            .filter(item => item.messages.length > 0);
+    }
+
+    /**
+     * Get own messages that are still being saved
+     * @returns {Array} [{ chatId, message }]
+     */
+    getPendingMessages() {
+        const pending = [];
+        this.chats.forEach(chat => (chat.messages || []).forEach(message => {
+            if (message.status === 'sending') {
+                pending.push({ chatId: chat.id, message });
+            }
+        }));
+        return pending;
+    }
+
+    /**
+     * Put messages that were still being saved back after a reload from storage
+     * @param {Array} pending - Result of getPendingMessages
+     */
+    restorePendingMessages(pending) {
+        pending.forEach(({ chatId, message }) => {
+            const chat = this.chats.find(c => c.id === chatId);
+            if (chat && !chat.messages.some(msg => msg.id === message.id)) {
+                chat.messages.push(message);
+                chat.messages.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+            }
+        });
+    }
+
+    /**
+     * Short text describing a message, for quotes and notifications
+     * @param {Object} message - Message object
+     * @returns {string} Text, file name or type of the attachment
+     */
+    describeMessage(message) {
+        if (message.decryptFailed) {
+            return '🔒 Зашифрованное сообщение';
+        }
+        const labels = { image: '🖼 Изображение', video: '🎬 Видео', file: '📎 Файл', voice: '🎤 Голосовое сообщение' };
+        if (message.type === 'voice') {
+            return message.text || labels.voice;
+        }
+        return message.text || message.fileName || labels[message.type] || '';
+    }
+
+    /**
+     * Build the reference a reply keeps to its parent message. The snippet
+     * lets the quote render even when the parent is not loaded or is gone.
+     * @param {Object} message - Parent message
+     * @returns {Object} { id, author, text }
+     */
+    createReplyReference(message) {
+        const text = this.describeMessage(message);
+        return {
+            id: message.id,
+            author: message.author,
+            text: text.length > 100 ? text.substring(0, 100) + '...' : text
+        };
+    }
+
+    /**
+     * Check if a message was written by the given user
+     * @param {Object} message - Message object
+     * @param {string} userKey - User's key
+     * @param {string} username - Username, for messages without an author key
+     * @returns {boolean} True if the user is the author
+     */
+    isOwnMessage(message, userKey, username) {
+        return message.authorKey ? message.authorKey === userKey : message.author === username;
+    }
+
+    /**
+     * Edit message text, keeping an "edited" marker
+     * @param {Object} chat - Chat object
+     * @param {string} messageId - Message ID
+     * @param {string} text - New text
+     * @returns {Object|null} Edited message or null if it can't be edited
+     */
+    editMessage(chat, messageId, text) {
+        const message = this.findMessage(chat, messageId);
+        if (!message || message.deleted || !text.trim()) {
+            return null;
+        }
+
+        message.text = text.trim();
+        message.edited = true;
+        message.editedAt = new Date().toISOString();
+        message.revision = (message.revision || 0) + 1;
+        return message;
+    }
+
+    /**
+     * Replace a message with a tombstone, dropping its text and attachment
+     * @param {Object} chat - Chat object
+     * @param {string} messageId - Message ID
+     * @param {boolean} forEveryone - Also delete the other participants' copies
+     * @returns {Object|null} Tombstone or null if already deleted
+     */
+    deleteMessage(chat, messageId, forEveryone = false) {
+        const message = this.findMessage(chat, messageId);
+        if (!message || message.deleted) {
+            return null;
+        }
+
+        delete message.encrypted;
+        delete message.encryptedFile;
+        delete message.decrypted;
+        delete message.decryptFailed;
+        delete message.lazyAttachment;
+        Object.assign(message, {
+            text: '',
+            fileData: null,
+            fileName: null,
+            thumbnail: null,
+            waveform: null,
+            deleted: true,
+            deletedAt: new Date().toISOString(),
+            deletedForEveryone: forEveryone,
+            revision: (message.revision || 0) + 1
+        });
+        return message;
+    }
+
+    /**
+     * Add friend to friends list
+     * @param {string} friendKey - Friend's unique key
+     * @param {string} friendUsername - Friend's username
+     * @param {Object} publicKey - Friend's public key as JWK
+     * @param {Object} signingKey - Friend's public signing key as JWK
+     * @returns {boolean} True if friend was added, false if already exists
+     */
+    addFriend(friendKey, friendUsername, publicKey = null, signingKey = null) {
+        const existing = this.friends.find(friend => friend.key === friendKey);
+        if (existing) {
+            if (publicKey && !existing.publicKey) {
+                existing.publicKey = publicKey;
+            }
+            if (signingKey && !existing.signingKey) {
+                existing.signingKey = signingKey;
+            }
+            return false;
+        }
+
+        this.friends.push({
+            key: friendKey,
+            username: friendUsername,
+            publicKey: publicKey,
+            signingKey: signingKey,
+            addedAt: new Date().toISOString()
+        });
+        return true;
+    }
+
+    /**
+     * Search users by username
+     * @param {string} searchTerm - Search term
+     * @param {string} currentUserKey - Current user's key to exclude from results
+     * @returns {Promise<Array>} Filtered users array
+     */
+    async searchUsers(searchTerm, currentUserKey) {
+        const allUsers = await this.storage.cloudStorage.getAllUsers();
+        const filteredUsers = allUsers.filter(user => 
+            user.key !== currentUserKey &&
+            user.username.toLowerCase().includes(searchTerm.toLowerCase())
+        );
+        return filteredUsers;
+    }
+
+    /**
+     * Sign an envelope and put it into another user's inbox
+     * @param {string} type - Envelope type, see FriendInbox.TYPES
+     * @param {string} targetKey - Recipient's key
+     * @param {string} currentUserKey - Current user's key
+     * @param {string} currentUsername - Current username
+     * @param {Object} payload - Change carried by chat envelopes
+     * @returns {Promise<Object>} Sent envelope
+     */
+    async sendEnvelope(type, targetKey, currentUserKey, currentUsername, payload = undefined) {
+        const envelope = {
+            id: this.generateMessageId(),
+            type: type,
+            from: currentUserKey,
+            to: targetKey,
+            username: currentUsername,
+            publicKey: this.publicKey,
+            sentAt: new Date().toISOString()
+        };
+        if (payload !== undefined) {
+            envelope.payload = payload;
+        }
+        return await this.inbox.send(envelope);
+    }
+
+    /**
+     * Send friend request. Only our own record changes; the target gets a
+     * signed envelope in their inbox.
+     * @param {string} targetUserKey - Target user's key
+     * @param {string} currentUserKey - Current user's key
+     * @param {string} currentUsername - Current username
+     * @returns {Promise<boolean>} True if request was sent, false if it was sent before
+     *     or the user is already a friend; rejects with code 'not-found' for unknown users
+     */
+    async sendFriendRequest(targetUserKey, currentUserKey, currentUsername) {
+        if (this.sentFriendRequests.some(req => req.key === targetUserKey) ||
+            this.friends.some(friend => friend.key === targetUserKey)) {
+            return false;
+        }
+
+        const targetUserData = await this.storage.fetchUserProfile(targetUserKey);
+        if (!targetUserData) {
+            throw Object.assign(new Error('User not found'), { code: 'not-found' });
+        }
+
+        // They asked first: answering is enough
+        if (this.friendRequests.some(req => req.key === targetUserKey)) {
+            await this.acceptFriendRequest(targetUserKey, targetUserData.username, currentUserKey, currentUsername);
+            return true;
+        }
+
+        await this.sendEnvelope('friend-request', targetUserKey, currentUserKey, currentUsername);
+        this.sentFriendRequests.push({
+            key: targetUserKey,
+            username: targetUserData.username,
+            signingKey: targetUserData.signingKey || null,
+            sentAt: new Date().toISOString()
+        });
+        return true;
+    }
+
+    /**
+     * Cancel an outgoing friend request
+     * @param {string} targetUserKey - Target user's key
+     * @param {string} currentUserKey - Current user's key
+     * @param {string} currentUsername - Current username
+     */
+    async cancelFriendRequest(targetUserKey, currentUserKey, currentUsername) {
+        this.sentFriendRequests = this.sentFriendRequests.filter(req => req.key !== targetUserKey);
+        await this.sendEnvelope('friend-cancel', targetUserKey, currentUserKey, currentUsername);
+    }
+
+    /**
+     * Accept friend request
+     * @param {string} requesterKey - Requester's key
+     * @param {string} requesterUsername - Requester's username
+     * @param {string} currentUserKey - Current user's key
+     * @param {string} currentUsername - Current username
+     */
+    async acceptFriendRequest(requesterKey, requesterUsername, currentUserKey, currentUsername) {
+        const request = this.friendRequests.find(req => req.key === requesterKey);
+
+        // Add to friends, the request carries requester's keys
+        this.addFriend(
+            requesterKey,
+            requesterUsername,
+            request ? request.publicKey || null : null,
+            request ? request.signingKey || null : null
+        );
+        this.friendRequests = this.friendRequests.filter(req => req.key !== requesterKey);
+
+        await this.sendEnvelope('friend-accept', requesterKey, currentUserKey, currentUsername);
+    }
+
+    /**
+     * Reject friend request
+     * @param {string} requesterKey - Requester's key
+     * @param {string} currentUserKey - Current user's key
+     * @param {string} currentUsername - Current username
+     */
+    async rejectFriendRequest(requesterKey, currentUserKey, currentUsername) {
+        this.friendRequests = this.friendRequests.filter(req => req.key !== requesterKey);
+        await this.sendEnvelope('friend-decline', requesterKey, currentUserKey, currentUsername);
+    }
+
+    /**
+     * Remove a friend on both sides. The private chat and its history stay.
+     * @param {string} friendKey - Friend's key
+     * @param {string} currentUserKey - Current user's key
+     * @param {string} currentUsername - Current username
+     */
+    async removeFriend(friendKey, currentUserKey, currentUsername) {
+        this.friends = this.friends.filter(friend => friend.key !== friendKey);
+        await this.sendEnvelope('unfriend', friendKey, currentUserKey, currentUsername);
+    }
+
+    /**
+     * Block a user: end the friendship and pending requests, then drop their
+     * requests and private messages from now on
+     * @param {string} userKey - Blocked user's key
+     * @param {string} username - Blocked user's username
+     * @param {string} currentUserKey - Current user's key
+     * @param {string} currentUsername - Current username
+     */
+    async blockUser(userKey, username, currentUserKey, currentUsername) {
+        if (this.isBlocked(userKey)) {
+            return;
+        }
+
+        const wasFriend = this.friends.some(friend => friend.key === userKey);
+        const requestSent = this.sentFriendRequests.some(req => req.key === userKey);
+
+        this.friends = this.friends.filter(friend => friend.key !== userKey);
+        this.friendRequests = this.friendRequests.filter(req => req.key !== userKey);
+        this.sentFriendRequests = this.sentFriendRequests.filter(req => req.key !== userKey);
+        this.blockedUsers.push({ key: userKey, username: username, blockedAt: new Date().toISOString() });
+
+        try {
+            if (wasFriend) {
+                await this.sendEnvelope('unfriend', userKey, currentUserKey, currentUsername);
+            } else if (requestSent) {
+                await this.sendEnvelope('friend-cancel', userKey, currentUserKey, currentUsername);
+            }
+        } catch (error) {
+            // The block itself is local and already in place
+            console.error('Error notifying blocked user:', error);
+        }
+    }
+
+    /**
+     * Unblock a user. Their messages sent while blocked stay hidden.
+     * @param {string} userKey - Blocked user's key
+     */
+    unblockUser(userKey) {
+        this.blockedUsers = this.blockedUsers.filter(user => user.key !== userKey);
+    }
+
+    /**
+     * Check if a user is blocked
+     * @param {string} userKey - User's key
+     * @returns {boolean} True if blocked
+     */
+    isBlocked(userKey) {
+        return this.blockedUsers.some(user => user.key === userKey);
+    }
+
+    /**
+     * Check if a message is a private message a blocked user sent after the block
+     * @param {Object} chat - Chat object
+     * @param {Object} message - Message object
+     * @returns {boolean} True if the message must be hidden
+     */
+    isBlockedMessage(chat, message) {
+        if (chat.type !== 'private' || !message) {
+            return false;
+        }
+
+        const blocked = this.blockedUsers.find(user => user.key === message.authorKey);
+        return !!blocked && (message.timestamp || '') >= blocked.blockedAt;
+    }
+
+    /**
+     * Signing keys remembered for friends and users we sent requests to
+     * @returns {Map} userKey -> signing key as JWK
+     */
+    getPinnedSigningKeys() {
+        const keys = new Map();
+        [...this.sentFriendRequests, ...this.friends].forEach(user => {
+            if (user.signingKey) {
+                keys.set(user.key, user.signingKey);
+            }
+        });
+        return keys;
+    }
+
+    /**
+     * Apply envelopes waiting in the inbox, save the result and clear from the
+     * inbox what was applied and saved. Friend envelopes change the friends and
+     * requests in memory, chat envelopes are applied to the stored record: they
+     * may touch messages that are not loaded. An envelope whose apply or save
+     * failed stays in the inbox and is tried again on the next check.
+     * @param {string} userKey - Current user's key
+     * @param {string} username - Current username
+     * @returns {Promise<Object>} { friendsChanged, chatsChanged, unsynced }; after a
+     *     chat change the chats in memory are behind storage and must be reloaded,
+     *     unsynced is what was saved only on this device, see applyChatEnvelopes
+     */
+    async processInbox(userKey, username) {
+        const { envelopes, ids } = await this.inbox.receive(userKey, this.getPinnedSigningKeys());
+
+        const failed = new Set();
+        const friendEnvelopes = [];
+        const chatEnvelopes = [];
+        for (const { envelope, signingKey } of envelopes) {
+            if (this.inbox.CHAT_TYPES.includes(envelope.type)) {
+                chatEnvelopes.push(envelope);
+                continue;
+            }
+            try {
+                if (await this.applyEnvelope(envelope, signingKey, userKey, username)) {
+                    friendEnvelopes.push(envelope.id);
+                }
+            } catch (error) {
+                console.error('Error applying envelope:', error);
+                failed.add(envelope.id);
+            }
+        }
+
+        const friendsChanged = friendEnvelopes.length > 0;
+        let friendsUnsynced = false;
+        if (friendsChanged) {
+            try {
+                await this.saveChats(userKey, username);
+            } catch (error) {
+                if (error.code === 'sync-failed') {
+                    friendsUnsynced = true;
+                } else {
+                    console.error('Error saving friends:', error);
+                    friendEnvelopes.forEach(id => failed.add(id));
+                }
+            }
+        }
+
+        const result = await this.applyChatEnvelopes(userKey, chatEnvelopes);
+        result.failed.forEach(id => failed.add(id));
+        if (friendsUnsynced) {
+            result.unsynced.meta = true;
+        }
+
+        const applied = ids.filter(id => !failed.has(id));
+        if (applied.length > 0) {
+            await this.inbox.acknowledge(userKey, applied);
+        }
+        return { friendsChanged, chatsChanged: result.changed, unsynced: result.unsynced };
+    }
+
+    /**
+     * Apply chat envelopes to the stored record and save what they changed.
+     * Only the chat list and the messages the envelopes name are loaded, and
+     * only the chat info and messages they changed are written back. When the
+     * sync server can't be reached the changes stay on this device and are
+     * listed as unsynced, for the caller to push later.
+     * @param {string} userKey - Current user's key
+     * @param {Array} envelopes - Checked chat envelopes
+     * @returns {Promise<Object>} { changed, unsynced: { meta, messages: [{ chatId, messageId }] },
+     *     failed: IDs of envelopes that were not applied or not saved }
+     */
+    async applyChatEnvelopes(userKey, envelopes) {
+        const unsynced = { meta: false, messages: [] };
+        const record = envelopes.length > 0 ? await this.storage.loadUserData(userKey, { messages: false }) : null;
+        if (!record) {
+            return { changed: false, unsynced, failed: envelopes.map(envelope => envelope.id) };
+        }
+
+        const failed = new Set();
+        const metaEnvelopes = [];
+        const touchedMessages = new Map(); // chatId:messageId -> { chatId, messageId, envelopeIds }
+        for (const envelope of envelopes) {
+            try {
+                await this.loadEnvelopeMessages(userKey, record, envelope);
+                const touched = this.delivery.applyEnvelope(record, userKey, envelope);
+                if (!touched) continue;
+
+                if (touched.meta) {
+                    metaEnvelopes.push(envelope.id);
+                }
+                touched.messageIds.forEach(messageId => {
+                    const key = `${touched.chatId}:${messageId}`;
+                    if (!touchedMessages.has(key)) {
+                        touchedMessages.set(key, { chatId: touched.chatId, messageId, envelopeIds: [] });
+                    }
+                    touchedMessages.get(key).envelopeIds.push(envelope.id);
+                });
+            } catch (error) {
+                console.error('Error applying envelope:', error);
+                failed.add(envelope.id);
+            }
+        }
+
+        const changed = metaEnvelopes.length > 0 || touchedMessages.size > 0;
+        const save = async (write, envelopeIds, onSyncFailed) => {
+            try {
+                await write();
+            } catch (error) {
+                if (error.code === 'sync-failed') {
+                    onSyncFailed();
+                } else {
+                    console.error('Error saving envelope changes:', error);
+                    envelopeIds.forEach(id => failed.add(id));
+                }
+            }
+        };
+        if (metaEnvelopes.length > 0) {
+            await save(() => this.storage.saveUserMeta(userKey, record), metaEnvelopes, () => { unsynced.meta = true; });
+        }
+        for (const { chatId, messageId, envelopeIds } of touchedMessages.values()) {
+            const chat = (record.chats || []).find(c => c.id === chatId);
+            const msg = chat && (chat.messages || []).find(m => m.id === messageId);
+            if (!msg) continue;
+            await save(() => this.storage.saveMessage(userKey, chat, msg), envelopeIds, () => {
+                unsynced.messages.push({ chatId, messageId });
+            });
+        }
+        return { changed, unsynced, failed: [...failed] };
+    }
+
+    /**
+     * Load into the recipient's chat the stored messages an envelope reads:
+     * the message it names, or for a read receipt the latest of our own
+     * messages up to the read time
+     * @param {string} userKey - Current user's key
+     * @param {Object} record - Record loaded without messages
+     * @param {Object} envelope - Checked chat envelope
+     */
+    async loadEnvelopeMessages(userKey, record, envelope) {
+        const wanted = this.delivery.getEnvelopeMessages(envelope);
+        const chat = wanted && this.delivery.findRecipientChat(record, envelope.from, (envelope.payload || {}).chat);
+        if (!chat) return;
+
+        chat.messages = chat.messages || [];
+        const known = chat.messages.map(msg => msg.id);
+        const ids = wanted.ids && wanted.ids.filter(id => !known.includes(id));
+        if (ids && ids.length === 0) return;
+
+        const page = await this.storage.loadMessages(userKey, chat.id, ids
+            ? { ids }
+            : { before: wanted.before, excludeIds: known, limit: this.RECEIPT_PAGE_SIZE });
+        chat.messages.push(...page.messages);
+    }
+
+    /**
+     * Apply one checked envelope to our own friends and requests
+     * @param {Object} envelope - Envelope
+     * @param {Object|null} signingKey - Sender's signing key
+     * @param {string} userKey - Current user's key
+     * @param {string} username - Current username
+     * @returns {Promise<boolean>} True if anything changed
+     */
+    async applyEnvelope(envelope, signingKey, userKey, username) {
+        const senderKey = envelope.from;
+        if (this.isBlocked(senderKey)) {
+            return false;
+        }
+
+        const isFriend = this.friends.some(friend => friend.key === senderKey);
+        const requestSent = this.sentFriendRequests.some(req => req.key === senderKey);
+
+        switch (envelope.type) {
+            case 'friend-request':
+                // They lost the friendship on their side, confirm it again
+                if (isFriend) {
+                    await this.sendEnvelope('friend-accept', senderKey, userKey, username);
+                    return false;
+                }
+                // Both asked each other
+                if (requestSent) {
+                    this.sentFriendRequests = this.sentFriendRequests.filter(req => req.key !== senderKey);
+                    this.addFriend(senderKey, envelope.username, envelope.publicKey || null, signingKey);
+                    await this.sendEnvelope('friend-accept', senderKey, userKey, username);
+                    return true;
+                }
+                if (this.friendRequests.some(req => req.key === senderKey)) {
+                    return false;
+                }
+                this.friendRequests.push({
+                    key: senderKey,
+                    username: envelope.username,
+                    publicKey: envelope.publicKey || null,
+                    signingKey: signingKey,
+                    sentAt: envelope.sentAt
+                });
+                return true;
+
+            case 'friend-accept':
+                if (!requestSent) {
+                    return false;
+                }
+                this.sentFriendRequests = this.sentFriendRequests.filter(req => req.key !== senderKey);
+                this.addFriend(senderKey, envelope.username, envelope.publicKey || null, signingKey);
+                return true;
+
+            case 'friend-decline':
+                if (!requestSent) {
+                    return false;
+                }
+                this.sentFriendRequests = this.sentFriendRequests.filter(req => req.key !== senderKey);
+                return true;
+
+            case 'friend-cancel': {
+                const before = this.friendRequests.length;
+                this.friendRequests = this.friendRequests.filter(req => req.key !== senderKey);
+                return this.friendRequests.length !== before;
+            }
+
+            case 'unfriend':
+                if (!isFriend) {
+                    return false;
+                }
+                this.friends = this.friends.filter(friend => friend.key !== senderKey);
+                return true;
+
+            default:
+                return false;
+        }
+    }
+}
+
+/**
+ * In-memory full-text index of chat messages. Text is case-folded and
+ * ё is treated as е, so Russian queries match regardless of spelling.
+ */
+class MessageSearchIndex {
+    constructor() {
+        this.chats = new Map(); // chatId -> Map(messageId -> entry)
+        this.RESULT_LIMIT = 50;
+    }
+
+    /**
+     * Normalize text for matching: case-folded, ё and е are the same letter
+     * @param {string} text - Text
+     * @returns {string} Normalized text
+     */
+    normalize(text) {
+        return (text || '').normalize('NFC').toLocaleLowerCase('ru').replace(/ё/g, 'е');
+    }
+
+    /**
+     * Split text into normalized words
+     * @param {string} text - Text
+     * @returns {Array} Words
+     */
+    tokenize(text) {
+        return this.normalize(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    /**
+     * Check if a chat's full history has been indexed
+     * @param {number|string} chatId - Chat ID
+     * @returns {boolean} True if the chat is indexed
+     */
+    hasChat(chatId) {
+        return this.chats.has(chatId);
+    }
+
+    /**
+     * Drop the whole index
+     */
+    clear() {
+        this.chats.clear();
+    }
+
+    /**
+     * Add or refresh messages of a chat. Deleted and undecryptable messages
+     * are removed from the index.
+     * @param {number|string} chatId - Chat ID
+     * @param {Array} messages - Messages
+     */
+    indexMessages(chatId, messages) {
+        if (!this.chats.has(chatId)) {
+            this.chats.set(chatId, new Map());
+        }
+        const entries = this.chats.get(chatId);
+
+        messages.forEach(msg => {
+            if (!msg || !msg.id) return;
+
+            const text = msg.text || '';
+            const fileName = msg.fileName || '';
+            if (msg.deleted || msg.decryptFailed || (msg.encrypted && !msg.decrypted) || (!text && !fileName)) {
+                entries.delete(msg.id);
+                return;
+            }
+
+            entries.set(msg.id, {
+                messageId: msg.id,
+                author: msg.author,
+                timestamp: msg.timestamp || '',
+                text: text,
+                fileName: fileName,
+                textWords: this.tokenize(text),
+                fileWords: this.tokenize(fileName)
+            });
+        });
+    }
+
+    /**
+     * Score one query term against a word list: whole word, word start, inside a word
+     * @param {Array} words - Normalized words
+     * @param {string} term - Normalized query term
+     * @returns {number} 3, 2, 1 or 0 if the term is not found
+     */
+    scoreTerm(words, term) {
+        let best = 0;
+        for (const word of words) {
+            if (word === term) return 3;
+            if (word.startsWith(term)) {
+                best = 2;
+            } else if (best === 0 && word.includes(term)) {
+                best = 1;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Search indexed messages. Every query word must match the text or file name;
+     * whole words and the exact phrase rank higher, newer messages win ties.
+     * @param {string} query - Search query
+     * @returns {Array} Hits { chatId, messageId, author, timestamp, text, fileName, score }
+     */
+    search(query) {
+        const terms = this.tokenize(query);
+        if (terms.length === 0) return [];
+        const phrase = terms.join(' ');
+
+        const hits = [];
+        this.chats.forEach((entries, chatId) => {
+            entries.forEach(entry => {
+                let score = 0;
+                for (const term of terms) {
+                    const termScore = Math.max(this.scoreTerm(entry.textWords, term), this.scoreTerm(entry.fileWords, term));
+                    if (termScore === 0) return;
+                    score += termScore;
+                }
+                if (terms.length > 1 && entry.textWords.join(' ').includes(phrase)) {
+                    score += 5;
+                }
+
+                hits.push({
+                    chatId: chatId,
+                    messageId: entry.messageId,
+                    author: entry.author,
+                    timestamp: entry.timestamp,
+                    text: entry.text,
+                    fileName: entry.fileName,
+                    score: score
+                });
+            });
+        });
+
+        return hits
+            .sort((a, b) => b.score - a.score || b.timestamp.localeCompare(a.timestamp))
+            .slice(0, this.RESULT_LIMIT);
+    }
+
+    /**
+     * Find where query words occur in original text, for highlighting
+     * @param {string} text - Original text
+     * @param {string} query - Search query
+     * @returns {Array} Ranges { start, end }, sorted and not overlapping
+     */
+    findMatches(text, query) {
+        const terms = this.tokenize(query);
+        const ranges = [];
+        if (!text || terms.length === 0) return ranges;
+
+        for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+            const word = this.normalize(match[0]);
+            // Offsets only carry over when folding kept the length
+            if (word.length !== match[0].length) continue;
+
+            let best = null;
+            terms.forEach(term => {
+                const position = word.indexOf(term);
+                if (position !== -1 && (!best || term.length > best.end - best.start)) {
+                    best = { start: match.index + position, end: match.index + position + term.length };
+                }
+            });
+            if (best) ranges.push(best);
+        }
+        return ranges;
+    }
+}
+
+/**
+ * Renders message text as HTML with a small markdown subset: **bold**,
+ * *italic* or _italic_, ~~strikethrough~~, `code` and ```code blocks```.
+ * URLs become links and @username becomes a mention. All user text is
+ * escaped; only the tags produced here reach the page.
+ */
+class MessageFormatter {
+    constructor() {
+        this.PLACEHOLDER = '\u0000';
+        this.URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/giu;
+        this.MENTION_PATTERN = /(^|[^\p{L}\p{N}_@/.])@([\p{L}\p{N}_.-]*[\p{L}\p{N}_])/gu;
+        this.URL_TRAILING = /[.,!?;:'")\]}»*~]+$/u;
+    }
+
+    /**
+     * Escape text for use in HTML content and attribute values
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Separate a matched URL from the punctuation after it
+     * @param {string} match - Text matched by URL_PATTERN
+     * @returns {Object} { text: link as written, href: absolute URL, rest: trailing punctuation }
+     */
+    splitLink(match) {
+        const text = match.replace(this.URL_TRAILING, '');
+        return {
+            text,
+            href: /^www\./i.test(text) ? `https://${text}` : text,
+            rest: match.slice(text.length)
+        };
+    }
+
+    /**
+     * Find the links of message text, leaving out code
+     * @param {string} text - Message text
+     * @returns {Array} Absolute URLs in order of appearance
+     */
+    findLinks(text) {
+        const source = String(text || '').replace(/```[\s\S]+?```/g, ' ').replace(/`[^`\n]+`/g, ' ');
+        return (source.match(this.URL_PATTERN) || []).map(match => this.splitLink(match).href);
+    }
+
+    /**
+     * Render message text
+     * @param {string} text - Message text
+     * @param {string} currentUser - Current username, mentions of it are highlighted
+     * @returns {Object} { html, mentioned: true if the text mentions the current user }
+     */
+    format(text, currentUser = '') {
+        const tokens = [];
+        const hold = (html) => `${this.PLACEHOLDER}${tokens.push(html) - 1}${this.PLACEHOLDER}`;
+        const self = (currentUser || '').toLocaleLowerCase();
+        let mentioned = false;
+
+        // Code first, nothing inside it is formatted
+        let source = String(text || '').replace(/\u0000/g, '')
+            .replace(/```(?:[^\S\n]*\n)?([\s\S]+?)\n?```\n?/g, (match, code) =>
+                hold(`<pre class="message-code-block"><code>${this.escape(code)}</code></pre>`)
+            )
+            .replace(/`([^`\n]+)`/g, (match, code) =>
+                hold(`<code class="message-code">${this.escape(code)}</code>`)
+            );
+
+        source = source.replace(this.URL_PATTERN, (match) => {
+            const { text: url, href, rest } = this.splitLink(match);
+            return hold(`<a href="${this.escape(href)}" target="_blank" rel="noopener noreferrer">${this.escape(url)}</a>`) + rest;
+        });
+
+        source = source.replace(this.MENTION_PATTERN, (match, before, name) => {
+            const isSelf = name.toLocaleLowerCase() === self;
+            mentioned = mentioned || isSelf;
+            return before + hold(`<span class="mention${isSelf ? ' mention-self' : ''}">@${this.escape(name)}</span>`);
+        });
+
+        const html = this.escape(source)
+            .replace(/\*\*([^*\n]+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/~~([^~\n]+?)~~/g, '<del>$1</del>')
+            .replace(/(^|[^\p{L}\p{N}*])\*(?!\s)([^*\n]+?)\*(?![\p{L}\p{N}*])/gu, '$1<em>$2</em>')
+            .replace(/(^|[^\p{L}\p{N}_])_([^_\n]+?)_(?![\p{L}\p{N}_])/gu, '$1<em>$2</em>')
+            .replace(/\n/g, '<br>')
+            .replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+
+        return { html, mentioned };
+    }
+}
+
+/**
+ * Link previews of messages, fetched from the sync server's unfurl
+ * endpoint and cached per URL for each account
+ */
+class LinkPreviewManager {
+    constructor(storage, formatter) {
+        this.storage = storage;
+        this.formatter = formatter;
+        this.KEY_PREFIX = 'mmessenger_link_previews_';
+        this.CACHE_LIMIT = 200;
+        this.CACHE_TIME = 7 * 24 * 60 * 60 * 1000; // 7 дней
+        this.FAILURE_CACHE_TIME = 60 * 60 * 1000; // 1 час, ссылки без превью
+        this.userKey = null;
+        this.cache = {}; // url -> { preview, fetchedAt }
+        this.pending = new Map(); // url -> Promise
+    }
+
+    /**
+     * Switch to another account's cache
+     * @param {string|null} userKey - User's unique key, null to stop
+     */
+    setUser(userKey) {
+        this.userKey = userKey || null;
+        this.pending.clear();
+        this.cache = this.userKey ? this.load() : {};
+    }
+
+    /**
+     * Read the current account's cache
+     * @returns {Object} url -> { preview, fetchedAt }
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(`${this.KEY_PREFIX}${this.userKey}`);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.error('Error loading link previews:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Write the current account's cache, dropping the oldest entries over the limit
+     */
+    persist() {
+        if (!this.userKey) return;
+
+        const urls = Object.keys(this.cache)
+            .sort((a, b) => this.cache[b].fetchedAt - this.cache[a].fetchedAt);
+        urls.slice(this.CACHE_LIMIT).forEach(url => delete this.cache[url]);
+        try {
+            localStorage.setItem(`${this.KEY_PREFIX}${this.userKey}`, JSON.stringify(this.cache));
+        } catch (error) {
+            console.error('Error saving link previews:', error);
+        }
+    }
+
+    /**
+     * Get the link a message would show a preview for
+     * @param {Object} message - Message object
+     * @returns {string|null} First link of the text
+     */
+    getLink(message) {
+        if (!message || message.deleted || message.decryptFailed || !message.text) {
+            return null;
+        }
+        return this.formatter.findLinks(message.text)[0] || null;
+    }
+
+    /**
+     * Get a cached preview
+     * @param {string} url - Link
+     * @returns {Object|null|undefined} Preview, null if the link has none,
+     *     undefined if it was not fetched yet or the entry expired
+     */
+    get(url) {
+        const entry = this.cache[url];
+        if (!entry) return undefined;
+
+        const lifetime = entry.preview ? this.CACHE_TIME : this.FAILURE_CACHE_TIME;
+        return Date.now() - entry.fetchedAt < lifetime ? entry.preview : undefined;
+    }
+
+    /**
+     * Fetch and cache the preview of a link. Concurrent calls share one request.
+     * @param {string} url - Link
+     * @returns {Promise<Object|null>} Preview or null
+     */
+    fetch(url) {
+        if (this.pending.has(url)) {
+            return this.pending.get(url);
+        }
+
+        const userKey = this.userKey;
+        const request = this.storage.unfurl(url, userKey)
+            .then(data => this.sanitize(data))
+            .catch(error => {
+                console.error('Error fetching link preview:', error);
+                return null;
+            })
+            .then(preview => {
+                if (this.userKey === userKey) {
+                    this.pending.delete(url);
+                    this.cache[url] = { preview, fetchedAt: Date.now() };
+                    this.persist();
+                }
+                return preview;
+            });
+        this.pending.set(url, request);
+        return request;
+    }
+
+    /**
+     * Keep only the expected fields of a server response
+     * @param {Object} data - Unfurl response
+     * @returns {Object|null} { url, title, description, image, siteName } or null
+     */
+    sanitize(data) {
+        if (!data || typeof data !== 'object') return null;
+
+        const text = (value, limit) => typeof value === 'string' ? value.substring(0, limit) : '';
+        const link = (value) => typeof value === 'string' && /^https?:\/\//i.test(value) ? value : '';
+        const preview = {
+            url: link(data.url),
+            title: text(data.title, 200),
+            description: text(data.description, 300),
+            image: link(data.image),
+            siteName: text(data.siteName, 100)
+        };
+        return preview.title || preview.description ? preview : null;
+    }
+}
+
+/**
+ * Virtualized message list: only rows near the viewport are in the DOM,
+ * spacers stand in for the rest. Re-rendering a chat only adds what changed.
+ */
+class MessageListRenderer {
+    constructor(container) {
+        this.container = container;
+        this.ESTIMATED_ROW_HEIGHT = 64;
+        this.OVERSCAN = 600; // px отрисовки выше и ниже экрана
+        this.BOTTOM_THRESHOLD = 40;
+
+        this.chatId = null;
+        this.messages = [];
+        this.keys = [];
+        this.createElement = null;
+        this.elements = new Map(); // key -> rendered element
+        this.versions = new Map(); // key -> version the element was built from
+        this.heights = new Map(); // key -> measured row height
+        this.offsets = null;
+        this.pendingAnimation = new Set();
+        this.stickToBottom = true;
+        this.frameRequested = false;
+
+        this.topSpacer = document.createElement('div');
+        this.topSpacer.className = 'virtual-spacer';
+        this.bottomSpacer = document.createElement('div');
+        this.bottomSpacer.className = 'virtual-spacer';
+        this.container.appendChild(this.topSpacer);
+        this.container.appendChild(this.bottomSpacer);
+
+        this.container.addEventListener('scroll', () => this.onScroll());
+    }
+
+    /**
+     * Get a stable key for a message
+     * @param {Object} msg - Message object
+     * @param {number} index - Message index
+     * @returns {string} Row key
+     */
+    keyOf(msg, index) {
+        return msg.id || `index-${index}`;
+    }
+
+    /**
+     * Get the parts of a message that change its row after it was sent
+     * @param {Object} msg - Message object
+     * @returns {string} Version string
+     */
+    versionOf(msg) {
+        return [
+            msg.revision, msg.editedAt, msg.deletedAt, msg.decryptFailed, msg.status,
+            JSON.stringify(msg.receipts || {}), JSON.stringify(msg.reactions || {})
+        ].join('|');
+    }
+
+    /**
+     * Render a chat, reusing rows already on screen
+     * @param {Object} chat - Chat object
+     * @param {Function} createElement - Builds a row element for a message
+     */
+    render(chat, createElement) {
+        this.createElement = createElement;
+        const messages = chat.messages.filter(msg => msg && msg.author);
+        const keys = messages.map((msg, index) => this.keyOf(msg, index));
+
+        if (chat.id !== this.chatId) {
+            this.reset();
+            this.chatId = chat.id;
+        } else if (this.keys.length > 0) {
+            const previous = new Set(this.keys);
+
+            // Older history was inserted above: keep the same rows on screen
+            const prepended = keys.indexOf(this.keys[0]);
+            if (prepended > 0) {
+                const added = keys.slice(0, prepended)
+                    .reduce((sum, key) => sum + (this.heights.get(key) || this.ESTIMATED_ROW_HEIGHT), 0);
+                this.container.scrollTop += added;
+            }
+
+            // New messages at the end are the only ones that animate
+            const lastIndex = keys.lastIndexOf(this.keys[this.keys.length - 1]);
+            keys.slice(lastIndex + 1).forEach(key => {
+                if (!previous.has(key)) this.pendingAnimation.add(key);
+            });
+            if (lastIndex < keys.length - 1 && this.isAtBottom()) {
+                this.stickToBottom = true;
+            }
+        }
+
+        // Rows of edited, deleted or decrypted messages are rebuilt
+        messages.forEach((msg, index) => {
+            const key = keys[index];
+            if (this.elements.has(key) && this.versions.get(key) !== this.versionOf(msg)) {
+                this.invalidate(key);
+            }
+        });
+
+        this.messages = messages;
+        this.keys = keys;
+        this.offsets = null;
+        this.renderWindow();
+    }
+
+    /**
+     * Drop rendered state for a fresh chat
+     */
+    reset() {
+        this.elements.forEach(element => element.remove());
+        this.elements.clear();
+        this.versions.clear();
+        this.heights.clear();
+        this.pendingAnimation.clear();
+        this.messages = [];
+        this.keys = [];
+        this.offsets = null;
+        this.stickToBottom = true;
+    }
+
+    /**
+     * Re-create a message row on next render (content changed)
+     * @param {string} messageId - Message ID
+     */
+    invalidate(messageId) {
+        const element = this.elements.get(messageId);
+        if (element) {
+            element.remove();
+            this.elements.delete(messageId);
+        }
+        this.versions.delete(messageId);
+        this.heights.delete(messageId);
+        this.offsets = null;
+    }
+
+    /**
+     * Scroll to the end of the list
+     */
+    scrollToBottom() {
+        this.stickToBottom = true;
+        this.renderWindow();
+    }
+
+    /**
+     * Scroll a message into the middle of the viewport and highlight it
+     * @param {string} messageId - Message ID
+     * @returns {boolean} True if the message is in the list
+     */
+    scrollToMessage(messageId) {
+        const index = this.keys.indexOf(messageId);
+        if (index === -1) {
+            return false;
+        }
+
+        const offsets = this.getOffsets();
+        const rowHeight = offsets[index + 1] - offsets[index];
+        this.stickToBottom = false;
+        this.container.scrollTop = this.topSpacer.offsetTop + offsets[index] - (this.container.clientHeight - rowHeight) / 2;
+        this.renderWindow();
+
+        const element = this.elements.get(messageId);
+        if (element) {
+            element.classList.remove('message-highlight');
+            // Restart the animation when the same message is highlighted again
+            void element.offsetWidth;
+            element.classList.add('message-highlight');
+            setTimeout(() => element.classList.remove('message-highlight'), 2000);
+        }
+        return true;
+    }
+
+    /**
+     * Check if the list is scrolled to the end
+     * @returns {boolean} True if at the bottom
+     */
+    isAtBottom() {
+        const { scrollTop, scrollHeight, clientHeight } = this.container;
+        return scrollHeight - scrollTop - clientHeight < this.BOTTOM_THRESHOLD;
+    }
+
+    /**
+     * Row offsets from the top of the list, offsets[n] is the total height
+     * @returns {Array<number>} Prefix sums of row heights
+     */
+    getOffsets() {
+        if (!this.offsets) {
+            this.offsets = [0];
+            this.keys.forEach((key, index) => {
+                this.offsets.push(this.offsets[index] + (this.heights.get(key) || this.ESTIMATED_ROW_HEIGHT));
+            });
+        }
+        return this.offsets;
+    }
+
+    /**
+     * Handle container scroll
+     */
+    onScroll() {
+        this.stickToBottom = this.isAtBottom();
+
+        if (this.frameRequested) return;
+        this.frameRequested = true;
+        requestAnimationFrame(() => {
+            this.frameRequested = false;
+            this.renderWindow();
+        });
+    }
+
+    /**
+     * Put rows near the viewport into the DOM and remove the rest
+     */
+    renderWindow() {
+        if (!this.createElement) return;
+
+        const offsets = this.getOffsets();
+        const total = offsets[offsets.length - 1];
+        const viewport = this.container.clientHeight;
+        const viewTop = this.stickToBottom
+            ? Math.max(0, total - viewport)
+            : this.container.scrollTop - this.topSpacer.offsetTop;
+
+        let first = 0;
+        while (first < this.keys.length && offsets[first + 1] < viewTop - this.OVERSCAN) first++;
+        let last = first;
+        while (last < this.keys.length && offsets[last] < viewTop + viewport + this.OVERSCAN) last++;
+
+        const visible = new Set(this.keys.slice(first, last));
+        this.elements.forEach((element, key) => {
+            if (!visible.has(key)) {
+                element.remove();
+                this.elements.delete(key);
+                this.versions.delete(key);
+            }
+        });
+
+        // Insert rows in order, reusing existing elements
+        let cursor = this.topSpacer.nextSibling;
+        for (let index = first; index < last; index++) {
+            const key = this.keys[index];
+            let element = this.elements.get(key);
+            if (!element) {
+                element = this.createRow(this.messages[index], key);
+                if (!element) continue;
+            }
+            if (element !== cursor) {
+                this.container.insertBefore(element, cursor);
+            } else {
+                cursor = cursor.nextSibling;
+            }
+        }
+
+        this.topSpacer.style.height = `${offsets[first]}px`;
+        this.bottomSpacer.style.height = `${total - offsets[last]}px`;
+
+        this.measure(first, last);
+
+        if (this.stickToBottom) {
+            this.container.scrollTop = this.container.scrollHeight;
+        }
+    }
+
+    /**
+     * Build a row element for a message
+     * @param {Object} msg - Message object
+     * @param {string} key - Row key
+     * @returns {HTMLElement|null} Row element
+     */
+    createRow(msg, key) {
+        const element = this.createElement(msg);
+        if (!element) return null;
+
+        this.elements.set(key, element);
+        this.versions.set(key, this.versionOf(msg));
+
+        // Media changes row height once loaded
+        element.querySelectorAll('img, video').forEach(media => {
+            media.addEventListener(media.tagName === 'IMG' ? 'load' : 'loadedmetadata', () => this.onScroll());
+        });
+
+        if (this.pendingAnimation.has(key)) {
+            this.pendingAnimation.delete(key);
+            if (window.gsap) {
+                gsap.from(element, {
+                    opacity: 0,
+                    y: 20,
+                    duration: 0.3,
+                    ease: 'back.out(1.7)'
+                });
+            }
+        }
+
+        return element;
+    }
+
+    /**
+     * Measure rendered rows and keep rows above the viewport from jumping
+     * @param {number} first - First rendered index
+     * @param {number} last - Index after the last rendered row
+     */
+    measure(first, last) {
+        const viewTop = this.container.scrollTop - this.topSpacer.offsetTop;
+        let shiftAbove = 0;
+        let changed = false;
+
+        for (let index = first; index < last; index++) {
+            const key = this.keys[index];
+            const element = this.elements.get(key);
+            if (!element) continue;
+
+            const style = getComputedStyle(element);
+            const height = element.offsetHeight + parseFloat(style.marginTop || 0) + parseFloat(style.marginBottom || 0);
+            const previous = this.heights.get(key) || this.ESTIMATED_ROW_HEIGHT;
+            if (height > 0 && height !== previous) {
+                this.heights.set(key, height);
+                changed = true;
+                if (this.offsets[index] < viewTop) {
+                    shiftAbove += height - previous;
+                }
+            }
+        }
+
+        if (!changed) return;
+
+        this.offsets = null;
+        const offsets = this.getOffsets();
+        this.bottomSpacer.style.height = `${offsets[offsets.length - 1] - offsets[last]}px`;
+        if (shiftAbove && !this.stickToBottom) {
+            this.container.scrollTop += shiftAbove;
+        }
+    }
+}
+
+/**
+ * Optional bridge to the Android app hosting the WebView. The app injects
+ * an object with addJavascriptInterface as window.MMessengerAndroid; its
+ * methods take and return strings only. The app answers asynchronous calls
+ * and sends events by calling window.mmessengerNative (this bridge) with
+ * evaluateJavascript. Without the interface, or for a feature it doesn't
+ * list in getCapabilities, the browser API of the web version is used.
+ */
+class NativeBridge {
+    constructor(nativeInterface = null) {
+        this.native = nativeInterface;
+        this.FEATURES = ['notify', 'badge', 'share', 'pickFile', 'copyText', 'haptic'];
+        this.VIBRATION_PATTERNS = { light: 10, medium: 20, heavy: [30, 40, 30] };
+        this.capabilities = this.readCapabilities();
+        this.pendingPicks = new Map();
+        this.nextPickId = 1;
+        this.backHandler = null;
+        this.notificationClickHandler = null;
+    }
+
+    /**
+     * Ask the native side what it supports. Apps without getCapabilities
+     * support every method they define.
+     * @returns {Array} Supported feature names
+     */
+    readCapabilities() {
+        if (!this.native) {
+            return [];
+        }
+
+        try {
+            if (typeof this.native.getCapabilities === 'function') {
+                const listed = JSON.parse(this.native.getCapabilities());
+                return this.FEATURES.filter(feature => listed.includes(feature) && typeof this.native[feature] === 'function');
+            }
+        } catch (error) {
+            console.error('Error reading native capabilities:', error);
+        }
+        return this.FEATURES.filter(feature => typeof this.native[feature] === 'function');
+    }
+
+    /**
+     * Check whether a feature goes through the native app
+     * @param {string} feature - notify, badge, share, pickFile, copyText or haptic
+     * @returns {boolean} True if the native side handles it
+     */
+    has(feature) {
+        return this.capabilities.includes(feature);
+    }
+
+    /**
+     * Show a system notification
+     * @param {string} title - Title
+     * @param {string} body - Text
+     * @param {string} tag - Notifications with the same tag replace each other
+     * @returns {boolean} True if a notification was shown
+     */
+    notify(title, body, tag = '') {
+        if (this.has('notify')) {
+            this.native.notify(JSON.stringify({ title, body, tag }));
+            return true;
+        }
+
+        if (!('Notification' in window) || Notification.permission !== 'granted') {
+            return false;
+        }
+        try {
+            const notification = new Notification(title, { body, tag: tag || undefined });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+                this.onNotificationClicked(tag);
+            };
+            return true;
+        } catch (error) {
+            // Mobile browsers only show notifications from a service worker
+            console.error('Error showing notification:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Check whether notifications can be shown without asking first
+     * @returns {boolean} True if allowed
+     */
+    canNotify() {
+        return this.has('notify') || ('Notification' in window && Notification.permission === 'granted');
+    }
+
+    /**
+     * Set what happens when a notification is tapped
+     * @param {Function} handler - Receives the notification tag
+     */
+    setNotificationClickHandler(handler) {
+        this.notificationClickHandler = handler;
+    }
+
+    /**
+     * Called when a notification is tapped, by the native app for its own
+     * notifications
+     * @param {string} tag - Tag passed to notify
+     */
+    onNotificationClicked(tag) {
+        if (this.notificationClickHandler) {
+            this.notificationClickHandler(tag);
+        }
+    }
+
+    /**
+     * Show a number on the app icon, where the platform supports it
+     * @param {number} count - Number, 0 clears the badge
+     */
+    setBadge(count) {
+        if (this.has('badge')) {
+            this.native.badge(String(count));
+            return;
+        }
+
+        if (!navigator.setAppBadge) return;
+        const update = count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge();
+        update.catch(error => console.error('Error updating app badge:', error));
+    }
+
+    /**
+     * Ask for permission to show notifications. The native app asks for
+     * it on its own.
+     * @returns {Promise<boolean>} True if notifications may be shown
+     */
+    async requestNotificationPermission() {
+        if (this.has('notify')) {
+            return true;
+        }
+        if (!('Notification' in window)) {
+            return false;
+        }
+        if (Notification.permission === 'default') {
+            await Notification.requestPermission();
+        }
+        return Notification.permission === 'granted';
+    }
+
+    /**
+     * Open the share sheet, falling back to the clipboard
+     * @param {string} title - Subject
+     * @param {string} text - Text to share
+     * @returns {Promise<string>} shared, copied or cancelled
+     */
+    async share(title, text) {
+        if (this.has('share')) {
+            this.native.share(JSON.stringify({ title, text }));
+            return 'shared';
+        }
+
+        if (navigator.share) {
+            try {
+                await navigator.share({ title, text });
+                return 'shared';
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return 'cancelled';
+                }
+                console.error('Error sharing:', error);
+            }
+        }
+
+        await this.copyText(text);
+        return 'copied';
+    }
+
+    /**
+     * Copy text to the clipboard
+     * @param {string} text - Text
+     * @throws {Error} If the clipboard is not available
+     */
+    async copyText(text) {
+        if (this.has('copyText')) {
+            this.native.copyText(text);
+            return;
+        }
+        await navigator.clipboard.writeText(text);
+    }
+
+    /**
+     * Short vibration as touch feedback
+     * @param {string} kind - light, medium or heavy
+     */
+    haptic(kind = 'light') {
+        if (this.has('haptic')) {
+            this.native.haptic(kind);
+        } else if (navigator.vibrate) {
+            navigator.vibrate(this.VIBRATION_PATTERNS[kind] || this.VIBRATION_PATTERNS.light);
+        }
+    }
+
+    /**
+     * Pick a file with the native camera, gallery or file picker. The app
+     * answers with onFilePicked.
+     * @param {string} source - camera, gallery or file
+     * @param {string} accept - MIME types, as in the accept attribute
+     * @returns {Promise<File|null>} Picked file or null if cancelled
+     */
+    pickFile(source, accept = '*/*') {
+        if (!this.has('pickFile')) {
+            return Promise.reject(Object.assign(new Error('Native file picking is not available'), { code: 'unsupported' }));
+        }
+
+        const requestId = String(this.nextPickId++);
+        return new Promise((resolve, reject) => {
+            this.pendingPicks.set(requestId, { resolve, reject });
+            try {
+                this.native.pickFile(JSON.stringify({ requestId, source, accept }));
+            } catch (error) {
+                this.pendingPicks.delete(requestId);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Called by the native app with the result of pickFile
+     * @param {string} requestId - ID passed to pickFile
+     * @param {string} result - JSON { name, type, dataUrl }, empty if cancelled
+     */
+    async onFilePicked(requestId, result) {
+        const pick = this.pendingPicks.get(String(requestId));
+        if (!pick) return;
+        this.pendingPicks.delete(String(requestId));
+
+        try {
+            const picked = result ? JSON.parse(result) : null;
+            if (!picked || !picked.dataUrl) {
+                pick.resolve(null);
+                return;
+            }
+
+            const blob = await (await fetch(picked.dataUrl)).blob();
+            pick.resolve(new File([blob], picked.name || 'file', { type: picked.type || blob.type }));
+        } catch (error) {
+            pick.reject(error);
+        }
+    }
+
+    /**
+     * Set what the hardware back button does
+     * @param {Function} handler - Returns true if it handled the press
+     */
+    setBackHandler(handler) {
+        this.backHandler = handler;
+    }
+
+    /**
+     * Called by the native app when the back button is pressed
+     * @returns {boolean} True if the page handled it, false to let the app close
+     */
+    onBackPressed() {
+        return this.backHandler ? !!this.backHandler() : false;
+    }
+}
+
+/**
+ * Stand-in for the injected Android interface, for tests and local
+ * experiments: records every call and answers the way the app would.
+ * Open the page with ?mockNative to use it.
+ */
+class MockNativeInterface {
+    constructor(capabilities = ['notify', 'badge', 'share', 'pickFile', 'copyText', 'haptic']) {
+        this.capabilities = capabilities;
+        this.calls = [];
+        this.clipboard = '';
+        this.pickResult = null; // { name, type, dataUrl } answered to the next pick, null cancels
+    }
+
+    /**
+     * Record a call
+     * @param {string} method - Method name
+     * @param {string} argument - String argument, JSON is parsed
+     */
+    record(method, argument) {
+        let value = argument;
+        try {
+            value = JSON.parse(argument);
+        } catch (error) {
+            // Plain strings stay as they are
+        }
+        this.calls.push({ method, argument: value });
+    }
+
+    /**
+     * List supported features
+     * @returns {string} JSON array of feature names
+     */
+    getCapabilities() {
+        return JSON.stringify(this.capabilities);
+    }
+
+    /**
+     * Show a notification
+     * @param {string} payload - JSON { title, body, tag }
+     */
+    notify(payload) {
+        this.record('notify', payload);
+    }
+
+    /**
+     * Show a number on the app icon
+     * @param {string} count - Number, "0" clears it
+     */
+    badge(count) {
+        this.record('badge', count);
+    }
+
+    /**
+     * Open the share sheet
+     * @param {string} payload - JSON { title, text }
+     */
+    share(payload) {
+        this.record('share', payload);
+    }
+
+    /**
+     * Copy text to the clipboard
+     * @param {string} text - Text to copy
+     */
+    copyText(text) {
+        this.record('copyText', text);
+        this.clipboard = text;
+    }
+
+    /**
+     * Vibrate
+     * @param {string} kind - light, medium or heavy
+     */
+    haptic(kind) {
+        this.record('haptic', kind);
+    }
+
+    /**
+     * Answer with pickResult on the next tick, as the app does after its picker closes
+     * @param {string} payload - JSON { requestId, source, accept }
+     */
+    pickFile(payload) {
+        this.record('pickFile', payload);
+        const { requestId } = JSON.parse(payload);
+        const result = this.pickResult ? JSON.stringify(this.pickResult) : '';
+        setTimeout(() => window.mmessengerNative.onFilePicked(requestId, result), 0);
+    }
+
+    /**
+     * Tap a notification shown with notify
+     * @param {string} tag - Notification tag
+     */
+    tapNotification(tag) {
+        window.mmessengerNative.onNotificationClicked(tag);
+    }
+
+    /**
+     * Press the hardware back button
+     * @returns {boolean} True if the page handled it
+     */
+    pressBack() {
+        return window.mmessengerNative.onBackPressed();
+    }
+}
+
+class UIManager {
+    constructor() {
+        this.currentScreen = null;
+        this.messageList = null;
+        this.messageMenuCallback = null;
+        this.quoteClickCallback = null;
+        this.searchResultClickCallback = null;
+        this.attachmentClickCallback = null;
+        this.retryClickCallback = null;
+        this.groupMemberCallback = null;
+        this.reactionClickCallback = null;
+        this.linkPreviewProvider = null;
+        this.MESSAGE_ID_PATTERN = /^[0-9a-z]{1,12}-[0-9a-f]{16}$/; // Формат ChatManager.generateMessageId
+        this.formatter = new MessageFormatter();
+        this.voice = { audio: null, messageId: null }; // Голосовое сообщение, которое сейчас играет
+        this.VOICE_RATES = [1, 1.5, 2];
+        this.voiceRate = 1;
+        this.voiceRecordingTimer = null;
+        this.chatMenuCallback = null;
+        this.LONG_PRESS_DELAY = 500;
+    }
+
+    /**
+     * Show specific screen with animation
+     * @param {string} screenId - Screen ID to show
+     */
+    showScreen(screenId) {
+        // Hide all screens
+        document.querySelectorAll('.screen').forEach(screen => {
+            screen.classList.remove('active');
+        });
+
+        // Show target screen
+        const targetScreen = document.getElementById(screenId);
+        if (targetScreen) {
+            targetScreen.classList.add('active');
+            this.currentScreen = screenId;
+            
+            // Add entrance animation
+            if (window.gsap) {
+                gsap.from(targetScreen, {
+                    x: 100,
+                    opacity: 0,
+                    duration: 0.4,
+                    ease: 'power2.out'
+                });
+            }
+        }
+    }
+
+    /**
+     * Show modal with animation
+     * @param {string} modalId - Modal ID to show
+     */
+    showModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.add('active');
+            if (window.gsap) {
+                gsap.from('.modal-content', {
+                    scale: 0.8,
+                    opacity: 0,
+                    duration: 0.3,
+                    ease: 'back.out'
+                });
+            }
+        }
+    }
+
+    /**
+     * Hide modal
+     * @param {string} modalId - Modal ID to hide
+     */
+    hideModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.remove('active');
+        }
+    }
+
+    /**
+     * Render chat list
+     * @param {Array} chats - Chats array
+     * @param {Map} chatStates - Chat ID -> { unread, online, typing, muted, pinned }
+     */
+    renderChatList(chats, chatStates = new Map()) {
+        const list = document.getElementById('chatList');
+        if (!list) {
+            console.error('Chat list element not found');
+            return;
+        }
+
+        list.innerHTML = '';
+
+        if (!chats || chats.length === 0) {
+            list.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Нет чатов</div>';
+            return;
+        }
+
+        chats.forEach(chat => {
+            if (!chat || !chat.id || !chat.name) return;
+
+            const item = document.createElement('div');
+            item.className = 'chat-item';
+            
+            const lastMsg = chat.messages && chat.messages.length > 0 
+                ? chat.messages[chat.messages.length - 1] 
+                : null;
+            
+            const chatIcon = chat.type === 'private' ? '👤' : '💬';
+            const preview = lastMsg && lastMsg.deleted
+                ? 'Сообщение удалено'
+                : lastMsg && lastMsg.decryptFailed
+                ? '🔒 Зашифрованное сообщение'
+                : lastMsg && lastMsg.text 
+                ? (lastMsg.text.length > 30 ? lastMsg.text.substring(0, 30) + '...' : lastMsg.text)
+                : 'Нет сообщений';
+
+            const state = chatStates.get(chat.id) || {};
+            const unread = state.unread || 0;
+
+            item.innerHTML = `
+                <div class="chat-avatar${state.online ? ' online' : ''}">${chatIcon}</div>
+                <div class="chat-info">
+                    <div class="chat-name">${state.pinned ? '<span class="chat-pinned" title="Закреплён">📌</span> ' : ''}${this.escapeHtml(chat.name)}${state.muted ? ' <span class="chat-muted" title="Без звука">🔕</span>' : ''}</div>
+                    <div class="chat-preview${state.typing ? ' typing' : ''}">${this.escapeHtml(state.typing || preview)}</div>
+                </div>
+                ${unread > 0 ? `<span class="badge unread-badge${state.muted ? ' muted' : ''}">${unread > 99 ? '99+' : unread}</span>` : ''}
+            `;
+            
+            this.bindChatMenu(item, chat);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the unread total above the chat list, with the "mark all as read" action
+     * @param {number} total - Unread messages in chats that are not muted
+     * @param {boolean} hasUnread - Some chat, muted or not, has unread messages
+     */
+    renderUnreadTotal(total, hasUnread) {
+        const bar = document.getElementById('unreadBar');
+        if (!bar) return;
+
+        document.getElementById('unreadTotal').textContent = `Непрочитанных: ${total > 99 ? '99+' : total}`;
+        bar.style.display = hasUnread ? 'flex' : 'none';
+    }
+
+    /**
+     * Render messages in chat. Only rows near the viewport are kept in the DOM
+     * and only messages new to the open chat are animated
+     * @param {Object} chat - Chat object
+     * @param {string} currentUser - Current username
+     */
+    renderMessages(chat, currentUser) {
+        const container = document.getElementById('messagesContainer');
+
+        if (!container || !chat || !chat.messages) {
+            console.error('Messages container or chat data not found');
+            return;
+        }
+
+        if (!this.messageList) {
+            this.messageList = new MessageListRenderer(container);
+            this.bindMessageMenu(container);
+        }
+
+        this.messageList.render(chat, msg => this.createMessageElement(msg, currentUser, chat));
+    }
+
+    /**
+     * Open the message menu on right click or long press of a message,
+     * follow quotes and retry unsent messages on tap
+     * @param {HTMLElement} container - Messages container
+     */
+    bindMessageMenu(container) {
+        const open = (target) => {
+            const row = target.closest ? target.closest('.message') : null;
+            if (row && row.dataset.messageId && this.messageMenuCallback) {
+                this.messageMenuCallback(row.dataset.messageId);
+            }
+        };
+
+        container.addEventListener('contextmenu', (e) => {
+            if (e.target.closest && e.target.closest('.message')) {
+                e.preventDefault();
+                open(e.target);
+            }
+        });
+
+        let pressTimer = null;
+        const cancelPress = () => clearTimeout(pressTimer);
+        container.addEventListener('touchstart', (e) => {
+            cancelPress();
+            pressTimer = setTimeout(() => open(e.target), this.LONG_PRESS_DELAY);
+        }, { passive: true });
+        container.addEventListener('touchend', cancelPress);
+        container.addEventListener('touchmove', cancelPress, { passive: true });
+
+        container.addEventListener('click', (e) => {
+            const retry = e.target.closest ? e.target.closest('.message-retry') : null;
+            const failedRow = retry ? retry.closest('.message') : null;
+            if (failedRow && failedRow.dataset.messageId && this.retryClickCallback) {
+                this.retryClickCallback(failedRow.dataset.messageId);
+                return;
+            }
+
+            const chip = e.target.closest ? e.target.closest('.reaction-chip') : null;
+            const reactedRow = chip ? chip.closest('.message') : null;
+            if (reactedRow && reactedRow.dataset.messageId && this.reactionClickCallback) {
+                this.reactionClickCallback(reactedRow.dataset.messageId, chip.dataset.emoji);
+                return;
+            }
+
+            const speed = e.target.closest ? e.target.closest('.voice-speed') : null;
+            if (speed) {
+                this.cycleVoiceRate();
+                return;
+            }
+
+            const waveform = e.target.closest ? e.target.closest('.voice-waveform') : null;
+            const voiceRow = waveform ? waveform.closest('.message') : null;
+            if (voiceRow && voiceRow.dataset.messageId) {
+                const rect = waveform.getBoundingClientRect();
+                if (this.seekVoice(voiceRow.dataset.messageId, (e.clientX - rect.left) / rect.width)) {
+                    return;
+                }
+            }
+
+            const quote = e.target.closest ? e.target.closest('.message-quote') : null;
+            if (quote && quote.dataset.replyTo && this.quoteClickCallback) {
+                this.quoteClickCallback(quote.dataset.replyTo);
+                return;
+            }
+
+            const attachment = e.target.closest ? e.target.closest('.message-attachment') : null;
+            const row = attachment ? attachment.closest('.message') : null;
+            if (row && row.dataset.messageId && this.attachmentClickCallback) {
+                this.attachmentClickCallback(row.dataset.messageId);
+            }
+        });
+    }
+
+    /**
+     * Set quote click callback
+     * @param {Function} callback - Receives the quoted message ID
+     */
+    setQuoteClickCallback(callback) {
+        this.quoteClickCallback = callback;
+    }
+
+    /**
+     * Set message menu callback
+     * @param {Function} callback - Receives the message ID
+     */
+    setMessageMenuCallback(callback) {
+        this.messageMenuCallback = callback;
+    }
+
+    /**
+     * Set the function that gives the link preview to show under a message
+     * @param {Function} provider - (message, chat) => preview or null
+     */
+    setLinkPreviewProvider(provider) {
+        this.linkPreviewProvider = provider;
+    }
+
+    /**
+     * Rebuild the rows of messages whose content changed outside the message
+     * itself, such as a link preview that has arrived
+     * @param {Array} messageIds - Message IDs
+     */
+    invalidateMessages(messageIds) {
+        if (this.messageList) {
+            messageIds.forEach(messageId => this.messageList.invalidate(messageId));
+        }
+    }
+
+    /**
+     * Set callback for reactions picked in the menu or tapped under a message
+     * @param {Function} callback - Receives the message ID and the emoji
+     */
+    setReactionClickCallback(callback) {
+        this.reactionClickCallback = callback;
+    }
+
+    /**
+     * Set callback for taps on the "not sent" mark of a message
+     * @param {Function} callback - Receives the message ID
+     */
+    setRetryClickCallback(callback) {
+        this.retryClickCallback = callback;
+    }
+
+    /**
+     * Set callback for the member buttons of the group screen
+     * @param {Function} callback - Receives the action (promote, demote,
+     *     remove or invite) and the user's key
+     */
+    setGroupMemberCallback(callback) {
+        this.groupMemberCallback = callback;
+    }
+
+    /**
+     * Call the group member callback from buttons with data-action and data-key
+     * @param {HTMLElement} item - List item holding the buttons
+     */
+    bindGroupMemberButtons(item) {
+        item.querySelectorAll('button[data-action]').forEach(button => {
+            button.onclick = () => {
+                if (this.groupMemberCallback) {
+                    this.groupMemberCallback(button.dataset.action, button.dataset.key);
+                }
+            };
+        });
+    }
+
+    /**
+     * Show the action menu of a message, or another list of actions
+     * @param {Array} actions - [{ label, handler, danger }]
+     * @param {string} title - Menu title
+     * @param {Object} reactions - { message, emojis, currentUser } to offer
+     *     reactions to a message and list who reacted, or null
+     */
+    showMessageActions(actions, title = 'Сообщение', reactions = null) {
+        const list = document.getElementById('messageActionsList');
+        if (!list) return;
+
+        document.getElementById('messageActionsTitle').textContent = title;
+        this.renderReactionPicker(reactions);
+        list.innerHTML = '';
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.className = `btn modal-btn ${action.danger ? 'cancel' : 'confirm'} message-action-btn`;
+            button.textContent = action.label;
+            button.onclick = () => {
+                this.hideModal('messageActionsModal');
+                action.handler();
+            };
+            list.appendChild(button);
+        });
+
+        this.showModal('messageActionsModal');
+    }
+
+    /**
+     * Render the reaction picker of the message menu and who reacted
+     * @param {Object} reactions - { message, emojis, currentUser } or null to hide it
+     */
+    renderReactionPicker(reactions) {
+        const picker = document.getElementById('reactionPicker');
+        const details = document.getElementById('reactionDetails');
+        picker.innerHTML = '';
+        details.innerHTML = '';
+        picker.style.display = reactions ? '' : 'none';
+        if (!reactions) return;
+
+        const { message, emojis, currentUser, chat } = reactions;
+        const groups = this.summarizeReactions(message, currentUser, chat);
+        emojis.forEach(emoji => {
+            const button = document.createElement('button');
+            const group = groups.find(item => item.emoji === emoji);
+            button.className = `btn reaction-option${group && group.mine ? ' mine' : ''}`;
+            button.textContent = emoji;
+            button.onclick = () => {
+                this.hideModal('messageActionsModal');
+                if (this.reactionClickCallback) {
+                    this.reactionClickCallback(message.id, emoji);
+                }
+            };
+            picker.appendChild(button);
+        });
+
+        details.innerHTML = groups.map(group =>
+            `<div class="reaction-detail">${this.escapeHtml(group.emoji)} ${this.escapeHtml(group.users.join(', '))}</div>`
+        ).join('');
+    }
+
+    /**
+     * Show what the message input currently applies to (an edited message or a reply)
+     * @param {string} label - Context title
+     * @param {string} text - Snippet of the referenced message
+     */
+    setComposerContext(label, text) {
+        const bar = document.getElementById('composerContext');
+        if (!bar) return;
+
+        document.getElementById('composerContextLabel').textContent = label;
+        document.getElementById('composerContextText').textContent = text;
+        bar.style.display = 'flex';
+    }
+
+    /**
+     * Hide the message input context bar
+     */
+    clearComposerContext() {
+        const bar = document.getElementById('composerContext');
+        if (bar) {
+            bar.style.display = 'none';
+        }
+    }
+
+    /**
+     * Forget rendered rows so the next render starts at the bottom of the chat
+     */
+    resetMessages() {
+        if (this.messageList) {
+            this.messageList.reset();
+            this.messageList.chatId = null;
+        }
+    }
+
+    /**
+     * Scroll the open chat to a message and highlight it
+     * @param {string} messageId - Message ID
+     * @returns {boolean} True if the message is loaded
+     */
+    scrollToMessage(messageId) {
+        return this.messageList ? this.messageList.scrollToMessage(messageId) : false;
+    }
+
+    /**
+     * Create DOM element for a single message
+     * @param {Object} msg - Message object
+     * @param {string} currentUser - Current username
+     * @param {Object} chat - Chat the message belongs to, used to resolve quotes
+     * @returns {HTMLElement|null} Message element or null for invalid messages
+     */
+    createMessageElement(msg, currentUser, chat = null) {
+        if (!msg || !msg.author) return null;
+
+        const msgDiv = document.createElement('div');
+        msgDiv.className = `message ${msg.author === currentUser ? 'own' : ''}`;
+        msgDiv.dataset.messageId = msg.id || '';
+        
+        let content = '';
+        
+        // Handle different message types
+        if (msg.deleted) {
+            content = '<div class="message-deleted">🚫 Сообщение удалено</div>';
+        } else if (msg.decryptFailed) {
+            content = '<div class="message-locked">🔒 Не удалось расшифровать сообщение</div>';
+        } else if (msg.type === 'voice') {
+            content = this.renderVoice(msg);
+        } else if (msg.type === 'image' || msg.type === 'video' || msg.type === 'file') {
+            content = this.renderAttachment(msg);
+        }
+        
+        // Quote of the parent message; a reference that is not a message ID is ignored
+        if (msg.replyTo && this.MESSAGE_ID_PATTERN.test(msg.replyTo.id || '') && !msg.deleted && !msg.decryptFailed) {
+            content = this.renderQuote(msg.replyTo, chat) + content;
+        }
+
+        // Add text if exists
+        if (msg.text) {
+            const text = this.formatter.format(msg.text, currentUser);
+            content += `<div class="message-text">${text.html}</div>`;
+            msgDiv.classList.toggle('mentioned', text.mentioned && msg.author !== currentUser);
+        }
+        
+        const preview = this.linkPreviewProvider ? this.linkPreviewProvider(msg, chat) : null;
+
+        msgDiv.innerHTML = `
+            ${msg.author !== currentUser ? `<div class="message-author">${this.escapeHtml(msg.author)}</div>` : ''}
+            <div class="message-bubble">${content}</div>
+            ${preview ? this.renderLinkPreview(preview) : ''}
+            ${msg.deleted ? '' : this.renderReactions(msg, currentUser, chat)}
+            <div class="message-time">${msg.edited && !msg.deleted ? 'изменено ' : ''}${msg.time || '00:00'}${msg.author === currentUser && !msg.deleted ? this.renderMessageTicks(msg, chat) : ''}</div>
+        `;
+
+        return msgDiv;
+    }
+
+    /**
+     * Render a link preview card
+     * @param {Object} preview - { url, title, description, image, siteName }
+     * @returns {string} HTML string
+     */
+    renderLinkPreview(preview) {
+        return `
+            <a class="link-preview" href="${this.escapeHtml(preview.url)}" target="_blank" rel="noopener noreferrer">
+                ${preview.image ? `<img class="link-preview-image" src="${this.escapeHtml(preview.image)}" alt="" loading="lazy" referrerpolicy="no-referrer">` : ''}
+                <span class="link-preview-body">
+                    ${preview.siteName ? `<span class="link-preview-site">${this.escapeHtml(preview.siteName)}</span>` : ''}
+                    ${preview.title ? `<span class="link-preview-title">${this.escapeHtml(preview.title)}</span>` : ''}
+                    ${preview.description ? `<span class="link-preview-description">${this.escapeHtml(preview.description)}</span>` : ''}
+                </span>
+            </a>
+        `;
+    }
+
+    /**
+     * Group the reactions of a message by emoji. Reactions of users who are
+     * not participants of the chat are left out.
+     * @param {Object} msg - Message object
+     * @param {string} currentUser - Current username
+     * @param {Object} chat - Chat the message belongs to
+     * @returns {Array} [{ emoji, users, mine }] in order of first reaction
+     */
+    summarizeReactions(msg, currentUser, chat = null) {
+        const participants = chat && chat.participants ? chat.participants : null;
+        const groups = new Map();
+        Object.keys(msg.reactions || {})
+            .filter(key => !participants || participants.includes(key))
+            .map(key => msg.reactions[key])
+            .filter(reaction => reaction && typeof reaction.emoji === 'string' && reaction.emoji)
+            .sort((a, b) => (a.at || '').localeCompare(b.at || ''))
+            .forEach(reaction => {
+                const group = groups.get(reaction.emoji) || { emoji: reaction.emoji, users: [], mine: false };
+                group.users.push(reaction.username || '');
+                group.mine = group.mine || reaction.username === currentUser;
+                groups.set(reaction.emoji, group);
+            });
+        return [...groups.values()];
+    }
+
+    /**
+     * Render reaction counts under a message; tapping one toggles it
+     * @param {Object} msg - Message object
+     * @param {string} currentUser - Current username
+     * @param {Object} chat - Chat the message belongs to
+     * @returns {string} HTML string
+     */
+    renderReactions(msg, currentUser, chat = null) {
+        const groups = this.summarizeReactions(msg, currentUser, chat);
+        if (groups.length === 0) return '';
+
+        const chips = groups.map(group => `
+            <button class="reaction-chip${group.mine ? ' mine' : ''}" data-emoji="${this.escapeHtml(group.emoji)}" title="${this.escapeHtml(group.users.join(', '))}">
+                ${this.escapeHtml(group.emoji)} ${group.users.length}
+            </button>
+        `).join('');
+        return `<div class="message-reactions">${chips}</div>`;
+    }
+
+    /**
+     * Render the attachment of a message as a preview. The full file is not
+     * part of the message and is loaded when the preview is tapped.
+     * @param {Object} msg - Message object
+     * @returns {string} HTML string
+     */
+    renderAttachment(msg) {
+        const labels = { image: 'Изображение', video: 'Видео', file: 'Файл' };
+        const caption = `<span class="attachment-caption">${this.escapeHtml(msg.fileName || labels[msg.type])}${msg.fileSize ? ` · ${this.formatFileSize(msg.fileSize)}` : ''}</span>`;
+        const preview = this.isImageDataURL(msg.thumbnail)
+            ? msg.thumbnail
+            : msg.type === 'image' && this.isImageDataURL(msg.fileData) ? msg.fileData : null;
+
+        if (msg.type === 'image' && preview) {
+            return `<div class="message-attachment attachment-image"><img src="${preview}" alt="${labels.image}"></div>${caption}`;
+        }
+
+        if (msg.type === 'video') {
+            return `
+                <div class="message-attachment attachment-video">
+                    ${preview ? `<img src="${preview}" alt="${labels.video}">` : '<div class="attachment-video-placeholder"></div>'}
+                    <span class="attachment-play">▶</span>
+                    ${msg.duration ? `<span class="attachment-duration">${this.formatDuration(msg.duration)}</span>` : ''}
+                </div>${caption}`;
+        }
+
+        return `<div class="message-attachment attachment-file">${msg.type === 'image' ? '🖼' : '📎'} ${caption}</div>`;
+    }
+
+    /**
+     * Render the player of a voice message. The audio itself is loaded on
+     * first play, like other attachments.
+     * @param {Object} msg - Message object
+     * @returns {string} HTML string
+     */
+    renderVoice(msg) {
+        const playing = this.voice.messageId === msg.id && this.voice.audio && !this.voice.audio.paused;
+        const levels = Array.isArray(msg.waveform) && msg.waveform.length > 0
+            ? msg.waveform.slice(0, 100)
+            : new Array(40).fill(0);
+        const bars = levels.map(level => {
+            const height = Math.max(10, Math.min(100, Math.round(Number(level) || 0)));
+            return `<span class="voice-bar" style="height: ${height}%"></span>`;
+        }).join('');
+
+        return `
+            <div class="message-attachment attachment-voice" data-duration="${Number(msg.duration) || 0}">
+                <button class="voice-play" title="Воспроизвести">${playing ? '⏸' : '▶'}</button>
+                <span class="voice-waveform">${bars}</span>
+                <span class="voice-time">${this.formatDuration(Number(msg.duration) || 0)}</span>
+                <button class="voice-speed" title="Скорость">${this.voiceRate}×</button>
+            </div>`;
+    }
+
+    /**
+     * Play or pause a voice message
+     * @param {string} messageId - Message ID
+     * @param {string} fileData - Data URL of the audio
+     */
+    toggleVoice(messageId, fileData) {
+        const current = this.voice.audio;
+        if (current && this.voice.messageId === messageId) {
+            if (current.paused) {
+                current.play().catch(error => console.error('Error playing voice message:', error));
+            } else {
+                current.pause();
+            }
+            return;
+        }
+
+        this.stopVoice();
+        const audio = new Audio(fileData);
+        audio.playbackRate = this.voiceRate;
+        audio.ontimeupdate = () => this.updateVoicePlayer(messageId);
+        audio.onplay = () => this.updateVoicePlayer(messageId);
+        audio.onpause = () => this.updateVoicePlayer(messageId);
+        audio.onended = () => this.stopVoice();
+        this.voice = { audio, messageId };
+        audio.play().catch(error => {
+            console.error('Error playing voice message:', error);
+            this.stopVoice();
+        });
+    }
+
+    /**
+     * Stop the voice message that is playing
+     */
+    stopVoice() {
+        const { audio, messageId } = this.voice;
+        if (!audio) return;
+
+        audio.pause();
+        audio.removeAttribute('src');
+        this.voice = { audio: null, messageId: null };
+        this.updateVoicePlayer(messageId);
+    }
+
+    /**
+     * Jump within the voice message that is playing
+     * @param {string} messageId - Message ID
+     * @param {number} fraction - Position 0..1
+     * @returns {boolean} False if the message is not the one playing
+     */
+    seekVoice(messageId, fraction) {
+        const audio = this.voice.messageId === messageId ? this.voice.audio : null;
+        const row = this.findMessageRow(messageId);
+        const duration = audio && isFinite(audio.duration) ? audio.duration
+            : row ? Number(row.querySelector('.attachment-voice').dataset.duration) : 0;
+        if (!audio || !duration) {
+            return false;
+        }
+
+        audio.currentTime = Math.max(0, Math.min(1, fraction)) * duration;
+        return true;
+    }
+
+    /**
+     * Switch to the next playback speed; it applies to every voice message
+     */
+    cycleVoiceRate() {
+        const index = this.VOICE_RATES.indexOf(this.voiceRate);
+        this.voiceRate = this.VOICE_RATES[(index + 1) % this.VOICE_RATES.length];
+        if (this.voice.audio) {
+            this.voice.audio.playbackRate = this.voiceRate;
+        }
+        document.querySelectorAll('.voice-speed').forEach(button => {
+            button.textContent = `${this.voiceRate}×`;
+        });
+    }
+
+    /**
+     * Show the play state and progress of a voice message, if its row is on screen
+     * @param {string} messageId - Message ID
+     */
+    updateVoicePlayer(messageId) {
+        const row = this.findMessageRow(messageId);
+        const player = row ? row.querySelector('.attachment-voice') : null;
+        if (!player) return;
+
+        const audio = this.voice.messageId === messageId ? this.voice.audio : null;
+        const total = audio && isFinite(audio.duration) ? audio.duration : Number(player.dataset.duration) || 0;
+        const position = audio ? audio.currentTime : 0;
+        const played = total ? position / total : 0;
+
+        player.querySelector('.voice-play').textContent = audio && !audio.paused ? '⏸' : '▶';
+        player.querySelector('.voice-time').textContent = this.formatDuration(audio && position > 0 ? position : total);
+        const bars = player.querySelectorAll('.voice-bar');
+        bars.forEach((bar, index) => bar.classList.toggle('played', audio && index < played * bars.length));
+    }
+
+    /**
+     * Find the row of a message in the open chat
+     * @param {string} messageId - Message ID
+     * @returns {HTMLElement|null} Row element or null if it is not rendered
+     */
+    findMessageRow(messageId) {
+        if (!messageId) return null;
+        return document.querySelector(`#messagesContainer .message[data-message-id="${CSS.escape(messageId)}"]`);
+    }
+
+    /**
+     * Show the voice recording indicator in place of the message input
+     * @param {Function} getElapsed - Returns the recording length in milliseconds
+     */
+    showVoiceRecording(getElapsed) {
+        const container = document.querySelector('.message-input-container');
+        const time = document.getElementById('voiceRecordingTime');
+        container.classList.add('recording');
+        time.textContent = this.formatDuration(0);
+        clearInterval(this.voiceRecordingTimer);
+        this.voiceRecordingTimer = setInterval(() => {
+            time.textContent = this.formatDuration(Math.floor(getElapsed() / 1000));
+        }, 250);
+    }
+
+    /**
+     * Hide the voice recording indicator
+     */
+    hideVoiceRecording() {
+        clearInterval(this.voiceRecordingTimer);
+        this.voiceRecordingTimer = null;
+        document.querySelector('.message-input-container').classList.remove('recording');
+    }
+
+    /**
+     * Show the send button as a microphone while the input is empty
+     * @param {boolean} voice - Holding the button records a voice message
+     */
+    setSendButtonMode(voice) {
+        const button = document.getElementById('sendBtn');
+        button.textContent = voice ? '🎤' : 'Отправить';
+        button.title = voice ? 'Удерживайте, чтобы записать голосовое сообщение' : '';
+        button.classList.toggle('voice', voice);
+    }
+
+    /**
+     * Check that a string is an inline image and safe to put into src
+     * @param {string} value - Candidate data URL
+     * @returns {boolean} True for base64 image data URLs
+     */
+    isImageDataURL(value) {
+        return typeof value === 'string' && /^data:image\/[a-z0-9.+-]+;base64,[a-z0-9+/=]+$/i.test(value);
+    }
+
+    /**
+     * Format a file size
+     * @param {number} bytes - Size in bytes
+     * @returns {string} "512 Б", "12 КБ" or "1.5 МБ"
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} Б`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} КБ`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} МБ`;
+    }
+
+    /**
+     * Format a media duration
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} "m:ss"
+     */
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Set attachment click callback
+     * @param {Function} callback - Receives the message ID
+     */
+    setAttachmentClickCallback(callback) {
+        this.attachmentClickCallback = callback;
+    }
+
+    /**
+     * Show an image or video full screen
+     * @param {string} type - image or video
+     * @param {string} fileData - Data URL of the full file
+     */
+    showMediaViewer(type, fileData) {
+        const content = document.getElementById('mediaViewerContent');
+        if (!content) return;
+
+        const media = document.createElement(type === 'video' ? 'video' : 'img');
+        if (type === 'video') {
+            media.controls = true;
+            media.autoplay = true;
+            media.playsInline = true;
+        }
+        media.src = fileData;
+
+        content.innerHTML = '';
+        content.appendChild(media);
+        this.showModal('mediaViewerModal');
+    }
+
+    /**
+     * Close the media viewer, stopping playback
+     */
+    hideMediaViewer() {
+        const content = document.getElementById('mediaViewerContent');
+        if (content) {
+            content.innerHTML = '';
+        }
+        this.hideModal('mediaViewerModal');
+    }
+
+    /**
+     * Save a file to the device
+     * @param {string} fileData - Data URL
+     * @param {string} fileName - File name
+     */
+    downloadFile(fileData, fileName) {
+        const link = document.createElement('a');
+        link.href = fileData;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    /**
+     * Get the delivery state of an own message: read or delivered once
+     * every other participant has it, saved once stored locally, failed
+     * while some participant could not be reached
+     * @param {Object} msg - Message object
+     * @param {Object} chat - Chat the message belongs to
+     * @returns {string} sending, failed, saved, delivered or read
+     */
+    getMessageState(msg, chat) {
+        const recipients = chat && chat.participants
+            ? chat.participants.filter(key => key !== msg.authorKey)
+            : [];
+        const receipts = msg.receipts || {};
+
+        if (recipients.length > 0 && recipients.every(key => receipts[key] && receipts[key].read)) {
+            return 'read';
+        }
+        if (recipients.length > 0 && recipients.every(key => receipts[key] && receipts[key].delivered)) {
+            return 'delivered';
+        }
+        return ['sending', 'failed'].includes(msg.status) ? msg.status : 'saved';
+    }
+
+    /**
+     * Render delivery ticks of an own message
+     * @param {Object} msg - Message object
+     * @param {Object} chat - Chat the message belongs to
+     * @returns {string} HTML string
+     */
+    renderMessageTicks(msg, chat) {
+        const state = this.getMessageState(msg, chat);
+        if (state === 'failed') {
+            return ' <span class="message-retry" title="Нажмите, чтобы повторить">⚠ Не отправлено. Нажмите, чтобы повторить</span>';
+        }
+
+        const ticks = { sending: '🕓', saved: '✓', delivered: '✓✓', read: '✓✓' };
+        const titles = { sending: 'Отправляется', saved: 'Сохранено', delivered: 'Доставлено', read: 'Прочитано' };
+
+        // Groups show how many members have read it
+        let title = titles[state];
+        if (chat && chat.type === 'group' && msg.receipts) {
+            const readers = Object.keys(msg.receipts).filter(key => msg.receipts[key].read).length;
+            title += ` (прочитали: ${readers} из ${chat.participants.length - 1})`;
+        }
+
+        return ` <span class="message-ticks ${state}" title="${title}">${ticks[state]}</span>`;
+    }
+
+    /**
+     * Render the quote block of a reply. A loaded parent gives its current
+     * state; otherwise the snippet saved with the reply is used.
+     * @param {Object} replyTo - { id, author, text }
+     * @param {Object} chat - Chat object
+     * @returns {string} HTML string
+     */
+    renderQuote(replyTo, chat) {
+        const parent = chat && chat.messages ? chat.messages.find(m => m.id === replyTo.id) : null;
+        let author = replyTo.author || '';
+        let text = replyTo.text || '';
+
+        if (parent && parent.deleted) {
+            text = 'Сообщение удалено';
+        } else if (parent && parent.text) {
+            author = parent.author;
+            text = parent.text.length > 100 ? parent.text.substring(0, 100) + '...' : parent.text;
+        }
+
+        return `
+            <div class="message-quote" data-reply-to="${this.escapeHtml(replyTo.id || '')}">
+                <div class="message-quote-author">${this.escapeHtml(author)}</div>
+                <div class="message-quote-text">${this.escapeHtml(text || 'Сообщение недоступно')}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show or hide the "loading older messages" indicator
+     * @param {boolean} visible - Whether the indicator is shown
+     */
+    setHistoryLoading(visible) {
+        const loader = document.getElementById('historyLoader');
+        if (loader) {
+            loader.style.display = visible ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Render friends list, with blocked users below it
+     * @param {Array} friends - Friends array
+     * @param {Array} blockedUsers - Blocked users array
+     */
+    renderFriendsList(friends, blockedUsers = []) {
+        const list = document.getElementById('friendsList');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (friends.length === 0) {
+            list.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">У вас пока нет друзей</div>';
+        }
+
+        friends.forEach(friend => {
+            const item = document.createElement('div');
+            item.className = 'friend-item';
+            item.innerHTML = `
+                <div class="friend-info">
+                    <div class="friend-avatar">${friend.username[0].toUpperCase()}</div>
+                    <div class="friend-details">
+                        <div class="friend-name">${this.escapeHtml(friend.username)}</div>
+                        <div class="friend-status online">В сети</div>
+                    </div>
+                </div>
+                <div style="display: flex; gap: 5px;">
+                    <button class="btn chat-btn" onclick="app.startChatWithFriend(${this.escapeJsArg(friend.key)}, ${this.escapeJsArg(friend.username)})">Чат</button>
+                    <button class="btn reject-btn" title="Удалить из друзей" onclick="app.removeFriend(${this.escapeJsArg(friend.key)}, ${this.escapeJsArg(friend.username)})">✗</button>
+                    <button class="btn reject-btn" title="Заблокировать" onclick="app.blockUser(${this.escapeJsArg(friend.key)}, ${this.escapeJsArg(friend.username)})">🚫</button>
+                </div>
+            `;
+            list.appendChild(item);
+        });
+
+        if (blockedUsers.length > 0) {
+            const title = document.createElement('div');
+            title.className = 'friends-section-title';
+            title.textContent = 'Заблокированные';
+            list.appendChild(title);
+        }
+
+        blockedUsers.forEach(user => {
+            const item = document.createElement('div');
+            item.className = 'friend-item';
+            item.innerHTML = `
+                <div class="friend-info">
+                    <div class="friend-avatar">${this.escapeHtml(user.username)[0].toUpperCase()}</div>
+                    <div class="friend-details">
+                        <div class="friend-name">${this.escapeHtml(user.username)}</div>
+                        <div class="friend-status">Заблокирован</div>
+                    </div>
+                </div>
+                <button class="btn chat-btn" onclick="app.unblockUser(${this.escapeJsArg(user.key)})">Разблокировать</button>
+            `;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Render search results
+     * @param {Array} users - Users array
+     * @param {Array} friends - Current friends array
+     * @param {Array} sentRequests - Sent friend requests
+     */
+    renderSearchResults(users, friends, sentRequests = []) {
+        const results = document.getElementById('searchResults');
+        if (!results) return;
+
+        results.innerHTML = '';
+
+        if (users.length === 0) {
+            results.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Пользователи не найдены</div>';
+            return;
+        }
+
+        users.forEach(user => {
+            const isAlreadyFriend = friends.some(friend => friend.key === user.key);
+            const requestSent = sentRequests.some(req => req.key === user.key);
+            const item = document.createElement('div');
+            item.className = 'search-result-item';
+            
+            item.innerHTML = `
+                <div class="search-result-avatar">${user.username[0].toUpperCase()}</div>
+                <div class="search-result-info">
+                    <div class="search-result-name">${this.escapeHtml(user.username)}</div>
+                </div>
+                ${isAlreadyFriend ? 
+                    '<div style="color: #4caf50; font-size: 12px;">Уже в друзьях</div>' : 
+                    requestSent ?
+                    '<div style="color: #ffa726; font-size: 12px;">Заявка отправлена</div>' :
+                    `<button class="btn add-friend-btn" onclick="app.sendFriendRequestByName(${this.escapeJsArg(user.username)})">Добавить в друзья</button>`
+                }
+            `;
+            results.appendChild(item);
+        });
+    }
+
+    /**
+     * Render message search results
+     * @param {Array} hits - Hits from ChatManager.searchMessages
+     */
+    renderMessageSearchResults(hits) {
+        const results = document.getElementById('messageSearchResults');
+        if (!results) return;
+
+        results.innerHTML = '';
+
+        if (hits.length === 0) {
+            results.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Сообщения не найдены</div>';
+            return;
+        }
+
+        hits.forEach((hit, index) => {
+            const item = document.createElement('div');
+            item.className = 'search-result-item message-search-item';
+
+            const snippet = hit.textMatches.length > 0 || !hit.fileName
+                ? this.renderSnippet(hit.text, hit.textMatches)
+                : `📎 ${this.highlightRanges(hit.fileName, hit.fileMatches)}`;
+
+            item.innerHTML = `
+                <div class="search-result-info">
+                    <div class="message-search-header">
+                        <span class="search-result-name">${this.escapeHtml(hit.chat.name)}</span>
+                        <span class="message-search-date">${this.formatSearchDate(hit.timestamp)}</span>
+                    </div>
+                    <div class="message-search-author">${this.escapeHtml(hit.author || '')}</div>
+                    <div class="message-search-snippet">${snippet}</div>
+                </div>
+            `;
+
+            item.onclick = () => this.searchResultClickCallback && this.searchResultClickCallback(index);
+            results.appendChild(item);
+        });
+    }
+
+    /**
+     * Set message search result click callback
+     * @param {Function} callback - Called with the hit index
+     */
+    setSearchResultClickCallback(callback) {
+        this.searchResultClickCallback = callback;
+    }
+
+    /**
+     * Cut a snippet of long text around the first match
+     * @param {string} text - Message text
+     * @param {Array} ranges - Match ranges { start, end }
+     * @returns {string} Escaped HTML with highlighted matches
+     */
+    renderSnippet(text, ranges) {
+        const CONTEXT = 30;
+        const MAX_LENGTH = 100;
+        const first = ranges[0];
+        const start = first && first.start > CONTEXT ? first.start - CONTEXT : 0;
+        const end = Math.min(text.length, start + MAX_LENGTH);
+
+        const visible = ranges
+            .filter(range => range.start >= start && range.end <= end)
+            .map(range => ({ start: range.start - start, end: range.end - start }));
+
+        return `${start > 0 ? '…' : ''}${this.highlightRanges(text.substring(start, end), visible)}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Escape text and wrap ranges in <mark>
+     * @param {string} text - Text
+     * @param {Array} ranges - Ranges { start, end }, sorted and not overlapping
+     * @returns {string} Escaped HTML
+     */
+    highlightRanges(text, ranges) {
+        let html = '';
+        let position = 0;
+        ranges.forEach(range => {
+            html += this.escapeHtml(text.substring(position, range.start));
+            html += `<mark>${this.escapeHtml(text.substring(range.start, range.end))}</mark>`;
+            position = range.end;
+        });
+        return html + this.escapeHtml(text.substring(position));
+    }
+
+    /**
+     * Format a message date for search results
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} "14:05" for today, "12.10.2026" otherwise
+     */
+    formatSearchDate(timestamp) {
+        if (!timestamp) return '';
+        const date = new Date(timestamp);
+        if (date.toDateString() === new Date().toDateString()) {
+            return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+        }
+        return `${date.getDate().toString().padStart(2, '0')}.${(date.getMonth() + 1).toString().padStart(2, '0')}.${date.getFullYear()}`;
+    }
+
+    /**
+     * Show what an opened backup holds and which import modes are possible
+     * @param {Object} summary - { username, chats, messages, friends, createdAt }
+     * @param {boolean} canMerge - Whether the backup can be merged into the current account
+     */
+    renderBackupSummary(summary, canMerge) {
+        const element = document.getElementById('backupSummary');
+        if (!element) return;
+
+        const createdAt = summary.createdAt ? new Date(summary.createdAt).toLocaleString('ru-RU') : '—';
+        element.innerHTML = `
+            <div>Пользователь: <b>${this.escapeHtml(summary.username)}</b></div>
+            <div>Создана: ${this.escapeHtml(createdAt)}</div>
+            <div>Чатов: ${summary.chats}, сообщений: ${summary.messages}, друзей: ${summary.friends}</div>
+        `;
+        element.classList.add('active');
+
+        document.getElementById('backupMergeBtn').style.display = canMerge ? '' : 'none';
+        document.getElementById('backupReplaceBtn').style.display = '';
+    }
+
+    /**
+     * Hide the backup summary and import buttons
+     */
+    clearBackupSummary() {
+        const element = document.getElementById('backupSummary');
+        if (element) {
+            element.innerHTML = '';
+            element.classList.remove('active');
+        }
+        document.getElementById('backupMergeBtn').style.display = 'none';
+        document.getElementById('backupReplaceBtn').style.display = 'none';
+    }
+
+    /**
+     * Render friend requests
+     * @param {Array} requests - Friend requests array
+     * @param {Array} sentRequests - Outgoing requests, shown below with a cancel button
+     */
+    renderFriendRequests(requests, sentRequests = []) {
+        const list = document.getElementById('friendRequestsList');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (requests.length === 0) {
+            list.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Нет заявок в друзья</div>';
+        }
+
+        requests.forEach(request => {
+            const item = document.createElement('div');
+            item.className = 'friend-item';
+            item.innerHTML = `
+                <div class="friend-info">
+                    <div class="friend-avatar">${this.escapeHtml(request.username)[0].toUpperCase()}</div>
+                    <div class="friend-details">
+                        <div class="friend-name">${this.escapeHtml(request.username)}</div>
+                        <div class="friend-status" style="color: #ffa726;">Заявка в друзья</div>
+                    </div>
+                </div>
+                <div style="display: flex; gap: 5px;">
+                    <button class="btn accept-btn" onclick="app.acceptFriendRequest(${this.escapeJsArg(request.key)}, ${this.escapeJsArg(request.username)})">✓</button>
+                    <button class="btn reject-btn" onclick="app.rejectFriendRequest(${this.escapeJsArg(request.key)})">✗</button>
+                    <button class="btn reject-btn" title="Заблокировать" onclick="app.blockUser(${this.escapeJsArg(request.key)}, ${this.escapeJsArg(request.username)})">🚫</button>
+                </div>
+            `;
+            list.appendChild(item);
+        });
+
+        if (sentRequests.length > 0) {
+            const title = document.createElement('div');
+            title.className = 'friends-section-title';
+            title.textContent = 'Отправленные';
+            list.appendChild(title);
+        }
+
+        sentRequests.forEach(request => {
+            const username = request.username || request.key;
+            const item = document.createElement('div');
+            item.className = 'friend-item';
+            item.innerHTML = `
+                <div class="friend-info">
+                    <div class="friend-avatar">${this.escapeHtml(username)[0].toUpperCase()}</div>
+                    <div class="friend-details">
+                        <div class="friend-name">${this.escapeHtml(username)}</div>
+                        <div class="friend-status">Ожидает ответа</div>
+                    </div>
+                </div>
+                <button class="btn reject-btn" title="Отменить заявку" onclick="app.cancelFriendRequest(${this.escapeJsArg(request.key)})">✗</button>
+            `;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Render friends as a checklist to pick initial group members
+     * @param {Array} friends - Friends array
+     */
+    renderMemberPicker(friends) {
+        const list = document.getElementById('newChatMembers');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (friends.length === 0) {
+            list.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Добавьте друзей, чтобы пригласить их</div>';
+            return;
+        }
+
+        friends.forEach(friend => {
+            const item = document.createElement('label');
+            item.className = 'friend-item member-option';
+            item.innerHTML = `
+                <div class="friend-info">
+                    <div class="friend-avatar">${this.escapeHtml(friend.username)[0].toUpperCase()}</div>
+                    <div class="friend-details">
+                        <div class="friend-name">${this.escapeHtml(friend.username)}</div>
+                    </div>
+                </div>
+                <input type="checkbox" value="${this.escapeHtml(friend.key)}">
+            `;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Get keys of friends checked in the member picker
+     * @returns {Array} Selected friend keys
+     */
+    getPickedMembers() {
+        return Array.from(document.querySelectorAll('#newChatMembers input[type="checkbox"]'))
+            .filter(input => input.checked)
+            .map(input => input.value);
+    }
+
+    /**
+     * Render group info: members with their roles and allowed actions, and friends to invite
+     * @param {Object} chat - Group chat
+     * @param {Array} members - [{ key, username, role, isSelf, canRemove, canPromote, canDemote }]
+     * @param {Array} invitees - Friends that can be invited, empty if the user can't invite
+     * @param {boolean} canLeave - Whether the leave button is shown
+     */
+    renderGroupInfo(chat, members, invitees, canLeave) {
+        const roleLabels = { owner: 'Владелец', admin: 'Администратор', member: 'Участник' };
+
+        document.getElementById('groupModalTitle').textContent = chat.name;
+        document.getElementById('groupDescription').textContent = chat.description || '';
+        document.getElementById('leaveGroupBtn').style.display = canLeave ? '' : 'none';
+
+        const list = document.getElementById('groupMembersList');
+        list.innerHTML = '';
+        members.forEach(member => {
+            const item = document.createElement('div');
+            item.className = 'friend-item';
+            item.innerHTML = `
+                <div class="friend-info">
+                    <div class="friend-avatar">${this.escapeHtml(member.username)[0].toUpperCase()}</div>
+                    <div class="friend-details">
+                        <div class="friend-name">${this.escapeHtml(member.username)}${member.isSelf ? ' (вы)' : ''}</div>
+                        <div class="friend-status">${roleLabels[member.role] || ''}</div>
+                    </div>
+                </div>
+                <div style="display: flex; gap: 5px;">
+                    ${member.canPromote ? `<button class="btn accept-btn" data-action="promote" data-key="${this.escapeHtml(member.key)}" title="Сделать администратором">⬆</button>` : ''}
+                    ${member.canDemote ? `<button class="btn accept-btn" data-action="demote" data-key="${this.escapeHtml(member.key)}" title="Снять администратора">⬇</button>` : ''}
+                    ${member.canRemove ? `<button class="btn reject-btn" data-action="remove" data-key="${this.escapeHtml(member.key)}" title="Удалить из группы">✗</button>` : ''}
+                </div>
+            `;
+            this.bindGroupMemberButtons(item);
+            list.appendChild(item);
+        });
+
+        const inviteSection = document.getElementById('groupInviteSection');
+        const inviteList = document.getElementById('groupInviteList');
+        inviteSection.style.display = invitees.length > 0 ? 'block' : 'none';
+        inviteList.innerHTML = '';
+        invitees.forEach(friend => {
+            const item = document.createElement('div');
+            item.className = 'friend-item';
+            item.innerHTML = `
+                <div class="friend-info">
+                    <div class="friend-avatar">${this.escapeHtml(friend.username)[0].toUpperCase()}</div>
+                    <div class="friend-details">
+                        <div class="friend-name">${this.escapeHtml(friend.username)}</div>
+                    </div>
+                </div>
+                <button class="btn chat-btn" data-action="invite" data-key="${this.escapeHtml(friend.key)}">Пригласить</button>
+            `;
+            this.bindGroupMemberButtons(item);
+            inviteList.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the status line under the chat title
+     * @param {string} text - Status text (online, last seen, typing)
+     * @param {boolean} typing - Whether the status is a typing signal
+     */
+    renderChatStatus(text, typing = false) {
+        const status = document.getElementById('chatStatus');
+        if (status) {
+            status.textContent = text;
+            status.classList.toggle('typing', typing);
+        }
+    }
+
+    /**
+     * Show button feedback
+     * @param {HTMLElement} button - Button element
+     * @param {string} successText - Success text
+     * @param {string} successColor - Success color
+     */
+    showButtonFeedback(button, successText, successColor) {
+        const originalText = button.textContent;
+        const originalColor = button.style.background;
+        
+        button.textContent = successText;
+        button.style.background = successColor;
+        
+        setTimeout(() => {
+            button.textContent = originalText;
+            button.style.background = originalColor;
+        }, 2000);
+    }
+
+    /**
+     * Escape HTML to prevent XSS. Quotes are escaped too, so the result is
+     * safe inside quoted attributes.
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Quote a value as a JavaScript string for an inline event handler
+     * @param {string} value - Value to pass
+     * @returns {string} String literal, escaped for a double-quoted attribute
+     */
+    escapeJsArg(value) {
+        return this.escapeHtml(JSON.stringify(String(value)));
+    }
+
+    /**
+     * Handle chat click
+     * @param {Object} chat - Chat object
+     */
+    onChatClick(chat) {
+        if (this.onChatSelect) {
+            this.onChatSelect(chat);
+        }
+    }
+
+    /**
+     * Set chat selection callback
+     * @param {Function} callback - Callback function
+     */
+    setChatSelectCallback(callback) {
+        this.onChatSelect = callback;
+    }
+
+    /**
+     * Set callback for long press or right click on a chat in the list
+     * @param {Function} callback - Receives the chat object
+     */
+    setChatMenuCallback(callback) {
+        this.chatMenuCallback = callback;
+    }
+
+    /**
+     * Open a chat on tap and its menu on long press or right click
+     * @param {HTMLElement} item - Chat list item
+     * @param {Object} chat - Chat object
+     */
+    bindChatMenu(item, chat) {
+        let pressTimer = null;
+        let opened = false;
+        const open = () => {
+            opened = true;
+            if (this.chatMenuCallback) {
+                this.chatMenuCallback(chat);
+            }
+        };
+        const cancelPress = () => clearTimeout(pressTimer);
+
+        item.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            open();
+        });
+        item.addEventListener('touchstart', () => {
+            opened = false;
+            cancelPress();
+            pressTimer = setTimeout(open, this.LONG_PRESS_DELAY);
+        }, { passive: true });
+        item.addEventListener('touchend', cancelPress);
+        item.addEventListener('touchmove', cancelPress, { passive: true });
+
+        // The tap that ends a long press must not open the chat
+        item.onclick = () => {
+            if (opened) {
+                opened = false;
+                return;
+            }
+            this.onChatClick(chat);
+        };
+    }
+
+    /**
+     * Show a pinned message in the bar under the chat title
+     * @param {string|null} text - Message snippet, null hides the bar
+     * @param {number} position - 1-based number of the shown pin
+     * @param {number} count - Number of pins
+     */
+    renderPinnedBar(text, position = 1, count = 1) {
+        const bar = document.getElementById('pinnedBar');
+        if (!bar) return;
+
+        bar.style.display = text === null ? 'none' : 'flex';
+        document.getElementById('pinnedBarLabel').textContent = count > 1
+            ? `Закреплённое сообщение ${position} из ${count}`
+            : 'Закреплённое сообщение';
+        document.getElementById('pinnedBarText').textContent = text || '';
+    }
+
+    /**
+     * Render accounts signed in on this device
+     * @param {string} containerId - List element ID
+     * @param {Array} accounts - Accounts from StorageManager.getAccounts
+     * @param {string} currentKey - Key of the open account, if any
+     */
+    renderAccountList(containerId, accounts, currentKey = '') {
+        const list = document.getElementById(containerId);
+        if (!list) return;
+
+        list.innerHTML = '';
+        list.style.display = accounts.length > 0 ? '' : 'none';
+
+        accounts.forEach(account => {
+            const isCurrent = account.key === currentKey;
+            const item = document.createElement('div');
+            item.className = 'friend-item account-item';
+            item.innerHTML = `
+                <div class="friend-info">
+                    <div class="friend-avatar">${this.escapeHtml(account.username)[0].toUpperCase()}</div>
+                    <div class="friend-details">
+                        <div class="friend-name">${this.escapeHtml(account.username)}</div>
+                        <div class="friend-status${isCurrent ? ' online' : ''}">${isCurrent ? 'Открыт сейчас' : account.pin ? '🔒 Защищён PIN-кодом' : 'Нажмите, чтобы войти'}</div>
+                    </div>
+                </div>
+            `;
+            if (!isCurrent) {
+                item.addEventListener('click', () => {
+                    if (this.onAccountSelect) {
+                        this.onAccountSelect(account.key);
+                    }
+                });
+            }
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Set account selection callback
+     * @param {Function} callback - Receives the account key
+     */
+    setAccountSelectCallback(callback) {
+        this.onAccountSelect = callback;
+    }
+}
+
+class MMessengerApp {
+    constructor() {
+        this.storage = new StorageManager();
+        this.crypto = new CryptoManager();
+        this.storage.setRequestSigner((userKey, text) => this.crypto.sign(userKey, text));
+        this.recoveryPhrase = new RecoveryPhrase();
+        this.chatManager = new ChatManager(this.storage, this.crypto);
+        this.delivery = this.chatManager.delivery;
+        this.presence = new PresenceManager(this.storage);
+        this.backup = new BackupManager(this.storage, this.crypto);
+        this.outbox = new Outbox();
+        this.linkPreviews = new LinkPreviewManager(this.storage, new MessageFormatter());
+        this.bridge = new NativeBridge(window.MMessengerAndroid ||
+            (new URLSearchParams(window.location.search).has('mockNative') ? new MockNativeInterface() : null));
+        this.attachments = new AttachmentProcessor(window.MMESSENGER_ATTACHMENT_LIMITS);
+        this.voiceRecorder = new VoiceRecorder();
+        this.voiceHold = null; // Удержание кнопки записи: { startX, done }
+        this.VOICE_CANCEL_DISTANCE = 80; // px влево от точки нажатия отменяют запись
+        this.ui = new UIManager();
+        
+        this.currentUser = '';
+        this.currentUserKey = '';
+        this.currentChat = null;
+        this.pinnedIndex = null; // Закреп, показанный в панели под заголовком чата
+        this.historyLoading = null; // Идущая загрузка более старых сообщений: { chat, promise }
+        this.editingMessageId = null;
+        this.replyingTo = null;
+        this.typingTimeout = null;
+        this.presenceTimers = [];
+        this.messageSearchHits = [];
+        this.messageSearchId = 0;
+        this.pendingBackup = null;
+        this.PRESENCE_POLL_INTERVAL = 4000;
+        this.SYNC_POLL_INTERVAL = 15000; // Новые сообщения и входящие заявки
+        this.lockedAccount = null; // Аккаунт, ожидающий ввода PIN-кода
+        this.PIN_MAX_ATTEMPTS = 5;
+        this.PIN_LOCKOUT = 30000;
+        this.TYPING_IDLE_TIMEOUT = 3000;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the application
+     */
+    init() {
+        this.setupEventListeners();
+        this.loadUserData();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Set chat selection callback
+        this.ui.setChatSelectCallback((chat) => this.openChat(chat));
+        this.ui.setChatMenuCallback((chat) => this.showChatActions(chat));
+        this.ui.setMessageMenuCallback((messageId) => this.showMessageActions(messageId));
+        this.ui.setQuoteClickCallback((messageId) => this.jumpToMessage(messageId));
+        this.ui.setSearchResultClickCallback((index) => this.openSearchResult(index));
+        this.ui.setAttachmentClickCallback((messageId) => this.openAttachment(messageId));
+        this.ui.setAccountSelectCallback((userKey) => this.switchAccount(userKey));
+        this.ui.setRetryClickCallback((messageId) => this.retryMessage(messageId));
+        this.ui.setGroupMemberCallback((action, userKey) => this.handleGroupMemberAction(action, userKey));
+        this.ui.setReactionClickCallback((messageId, emoji) => this.toggleReaction(messageId, emoji));
+        this.ui.setLinkPreviewProvider((message, chat) => this.getLinkPreview(message, chat));
+        this.setupOutbox();
+
+        // The Android app calls back into the page through this global
+        window.mmessengerNative = this.bridge;
+        this.bridge.setBackHandler(() => this.handleBack());
+        this.bridge.setNotificationClickHandler((tag) => this.openNotifiedChat(tag));
+
+        // Input event listeners
+        const messageInput = document.getElementById('messageInput');
+        if (messageInput) {
+            messageInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') this.sendMessage();
+            });
+            
+            messageInput.addEventListener('input', () => {
+                this.handleTyping();
+                this.updateSendButton();
+            });
+        }
+        this.setupVoiceRecording();
+
+        const nicknameInput = document.getElementById('nicknameInput');
+        if (nicknameInput) {
+            nicknameInput.addEventListener('keypress', async (e) => {
+                if (e.key === 'Enter') await this.handleStartClick();
+            });
+        }
+
+        // Add click handler for start button
+        const startButton = document.querySelector('.primary-btn');
+        if (startButton) {
+            console.log('Start button found, adding event listener');
+            startButton.addEventListener('click', async (e) => {
+                console.log('Start button event triggered');
+                e.preventDefault();
+                await this.handleStartClick();
+            });
+            
+            // Alternative: add onclick attribute as fallback
+            startButton.onclick = async (e) => {
+                console.log('Start button onclick triggered');
+                e.preventDefault();
+                await this.handleStartClick();
+            };
+        } else {
+            console.error('Start button not found!');
+        }
+
+        // Load older history when scrolled to the top
+        const messagesContainer = document.getElementById('messagesContainer');
+        if (messagesContainer) {
+            messagesContainer.addEventListener('scroll', () => {
+                if (messagesContainer.scrollTop < 80) {
+                    this.loadOlderMessages();
+                }
+            });
+        }
+
+        const newChatName = document.getElementById('newChatName');
+        if (newChatName) {
+            newChatName.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') this.createChat();
+            });
+        }
+
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) {
+            searchInput.addEventListener('input', () => this.searchUsers());
+        }
+
+        const messageSearchInput = document.getElementById('messageSearchInput');
+        if (messageSearchInput) {
+            messageSearchInput.addEventListener('input', () => this.searchMessages());
+        }
+
+        const restoreKeyInput = document.getElementById('restoreKeyInput');
+        if (restoreKeyInput) {
+            restoreKeyInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.restoreChats();
+                }
+            });
+        }
+
+        const pinInput = document.getElementById('pinInput');
+        if (pinInput) {
+            pinInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') this.unlockAccount();
+            });
+        }
+
+        const friendKeyInput = document.getElementById('friendKeyInput');
+        if (friendKeyInput) {
+            friendKeyInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') this.addFriendByKey();
+            });
+        }
+
+        // Auto-save every 30 seconds
+        setInterval(async () => {
+            if (this.currentUserKey && this.chatManager.chats.length > 0) {
+                await this.saveUserData();
+            }
+        }, 30000);
+
+        // A hidden page may be closed without notice, save while it still runs
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.currentUserKey) {
+                this.saveUserData().catch(error => console.error('Error saving user data:', error));
+            }
+        });
+
+        // The browser doesn't wait for async work on unload, only the
+        // synchronous outbox write is sure to happen
+        window.addEventListener('beforeunload', () => this.outbox.persist());
+
+        window.addEventListener('online', async () => {
+            if (!this.currentUserKey) return;
+            await this.outbox.flush(true);
+            await this.syncFromCloud();
+        });
+    }
+
+    /**
+     * Register how each kind of outbox entry is sent
+     */
+    setupOutbox() {
+        this.outbox.setHandler('sync', () => this.chatManager.saveChats(this.currentUserKey, this.currentUser));
+        this.outbox.setHandler('push', async ({ chatId, messageId }) => {
+            const chat = this.chatManager.chats.find(c => c.id === chatId);
+            const message = chat ? chat.messages.find(m => m.id === messageId) : null;
+            if (message) {
+                await this.chatManager.saveMessage(this.currentUserKey, chat, message);
+            }
+        });
+        this.outbox.setHandler('delivery', async (job) => {
+            const { failed } = await this.runDelivery(job);
+            if (failed.length > 0) {
+                throw Object.assign(new Error('Some participants are unreachable'), {
+                    retryData: { ...job, recipients: failed }
+                });
+            }
+        });
+    }
+
+    /**
+     * Load user data from storage
+     */
+    async loadUserData() {
+        const savedKey = this.storage.getCurrentUserKey();
+        if (savedKey) {
+            // Devices from before the account list know only the current key
+            if (!this.storage.getAccounts().some(account => account.key === savedKey)) {
+                const userData = await this.storage.loadUserData(savedKey);
+                if (userData) {
+                    this.storage.rememberAccount(savedKey, userData.username);
+                }
+            }
+            await this.openAccount(savedKey);
+            return;
+        }
+        this.showWelcomeScreen();
+    }
+
+    /**
+     * Show welcome screen with the accounts of this device
+     */
+    showWelcomeScreen() {
+        this.ui.renderAccountList('welcomeAccounts', this.storage.getAccounts());
+        document.getElementById('welcomeAccountsLabel').style.display =
+            this.storage.getAccounts().length > 0 ? '' : 'none';
+        this.ui.showScreen('welcomeScreen');
+    }
+
+    /**
+     * Open an account of this device, asking for its PIN first if it has one.
+     * Every way into an account goes through here.
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<boolean>} True if the account was opened, false if it waits for the PIN
+     */
+    async openAccount(userKey) {
+        const account = this.storage.getAccounts().find(item => item.key === userKey);
+        if (account && account.pin) {
+            this.lockedAccount = account;
+            document.getElementById('lockUsername').textContent = account.username;
+            document.getElementById('pinInput').value = '';
+            this.ui.showScreen('lockScreen');
+            return false;
+        }
+        return this.enterAccount(userKey);
+    }
+
+    /**
+     * Load an account and show its chats
+     * @param {string} userKey - User's unique key
+     * @returns {Promise<boolean>} False if the account has no data on this device
+     */
+    async enterAccount(userKey) {
+        const userData = await this.storage.loadUserData(userKey);
+        if (!userData) {
+            this.storage.forgetAccount(userKey);
+            this.storage.clearCurrentUser();
+            this.showWelcomeScreen();
+            return false;
+        }
+
+        this.currentUserKey = userKey;
+        this.currentUser = userData.username;
+        this.storage.setCurrentUserKey(userKey);
+        this.storage.rememberAccount(userKey, userData.username);
+
+        await this.reloadChats();
+        this.outbox.setUser(userKey);
+        this.linkPreviews.setUser(userKey);
+        await this.ensureKeyPair();
+        this.ui.showScreen('chatsScreen');
+        this.renderChatList();
+        this.startPresence();
+        this.syncFromCloud();
+        return true;
+    }
+
+    /**
+     * Forget everything in memory about the open account, so the next one
+     * starts from a clean state
+     */
+    resetSession() {
+        this.stopTyping();
+        this.stopPresence();
+        this.cancelComposerContext();
+        this.crypto.clearCache();
+        this.outbox.setUser(null);
+        this.linkPreviews.setUser(null);
+        this.finishVoiceRecording(false);
+        this.ui.stopVoice();
+        this.chatManager.reset();
+        this.currentUser = '';
+        this.currentUserKey = '';
+        this.currentChat = null;
+        this.messageSearchHits = [];
+        this.messageSearchId++;
+        this.pendingBackup = null;
+        this.lockedAccount = null;
+        this.hideRecoveryPhrase();
+        this.updateUnreadTotal();
+        document.querySelectorAll('.modal').forEach(modal => this.ui.hideModal(modal.id));
+    }
+
+    /**
+     * Switch to another account of this device
+     * @param {string} userKey - User's unique key
+     */
+    async switchAccount(userKey) {
+        if (userKey === this.currentUserKey) return;
+
+        await this.saveUserData();
+        this.resetSession();
+        await this.openAccount(userKey);
+    }
+
+    /**
+     * Keep the open account in the list and go to the welcome screen to add another
+     */
+    async addAccount() {
+        await this.saveUserData();
+        this.resetSession();
+        this.storage.clearCurrentUser();
+        document.getElementById('nicknameInput').value = '';
+        this.showWelcomeScreen();
+    }
+
+    /**
+     * Check the PIN of the locked account and open it
+     */
+    async unlockAccount() {
+        if (!this.lockedAccount) return;
+
+        // Attempts are kept with the account, so reloading the page doesn't reset them
+        const account = this.storage.getAccounts().find(item => item.key === this.lockedAccount.key);
+        if (!account || !account.pin) {
+            this.cancelUnlock();
+            return;
+        }
+
+        const wait = (account.pinLockedUntil || 0) - Date.now();
+        if (wait > 0) {
+            alert(`Слишком много попыток. Подождите ${Math.ceil(wait / 1000)} с.`);
+            return;
+        }
+
+        const input = document.getElementById('pinInput');
+        if (!await this.crypto.verifyPin(input.value, account.pin)) {
+            input.value = '';
+            const attempts = (account.pinAttempts || 0) + 1;
+            if (attempts >= this.PIN_MAX_ATTEMPTS) {
+                this.storage.setPinAttempts(account.key, 0, Date.now() + this.PIN_LOCKOUT);
+                alert(`Неверный PIN-код. Следующая попытка через ${this.PIN_LOCKOUT / 1000} с.`);
+            } else {
+                this.storage.setPinAttempts(account.key, attempts, 0);
+                alert('Неверный PIN-код');
+            }
+            return;
+        }
+
+        this.storage.setPinAttempts(account.key, 0, 0);
+        this.lockedAccount = null;
+        input.value = '';
+        await this.enterAccount(account.key);
+    }
+
+    /**
+     * Leave the PIN screen for the account list
+     */
+    cancelUnlock() {
+        this.lockedAccount = null;
+        this.storage.clearCurrentUser();
+        this.showWelcomeScreen();
+    }
+
+    /**
+     * Reload current user's chats from storage and decrypt them
+     */
+    async reloadChats() {
+        await this.chatManager.loadChats(this.currentUserKey);
+        await this.chatManager.decryptChats(this.currentUserKey);
+    }
+
+    /**
+     * Make sure the current user has a key pair and publishes its public
+     * encryption and signing keys. Accounts created before encryption or
+     * signed friend requests existed get them on first launch.
+     */
+    async ensureKeyPair() {
+        try {
+            const publicKey = await this.crypto.ensureKeyPair(this.currentUserKey);
+            const signingKey = await this.crypto.ensureSigningKey(this.currentUserKey);
+            if ((publicKey && JSON.stringify(publicKey) !== JSON.stringify(this.chatManager.publicKey)) ||
+                (signingKey && JSON.stringify(signingKey) !== JSON.stringify(this.chatManager.signingKey))) {
+                this.chatManager.publicKey = publicKey;
+                this.chatManager.signingKey = signingKey;
+                await this.saveUserData();
+            }
+        } catch (error) {
+            console.error('Error preparing encryption keys:', error);
+        }
+    }
+
+    /**
+     * Pull current user's data from the sync server and re-render
+     */
+    async syncFromCloud() {
+        if (!this.currentUserKey) return;
+
+        // Local changes still waiting in the outbox are newer than the server copy
+        const userData = await this.storage.fetchUserData(this.currentUserKey, {
+            preferLocal: this.outbox.has('sync')
+        });
+        if (!userData) return;
+
+        await this.checkInbox(false);
+        await this.refreshFromStorage();
+    }
+
+    /**
+     * Reload the chats from storage after they changed there, keeping
+     * messages still being saved, and re-render
+     */
+    async refreshFromStorage() {
+        // Messages still being saved are not in storage yet and stay in memory
+        const knownKeys = this.chatManager.getMessageKeys();
+        const pending = this.chatManager.getPendingMessages();
+        await this.reloadChats();
+        this.chatManager.restorePendingMessages(pending);
+        this.notifyNewMessages(this.chatManager.getNewMessages(knownKeys, this.currentUserKey));
+        this.renderChatList();
+
+        // Keep the open chat pointing at the freshly loaded object
+        if (this.currentChat) {
+            const chat = this.chatManager.chats.find(c => c.id === this.currentChat.id);
+            if (chat) {
+                this.currentChat = chat;
+                this.ui.renderMessages(chat, this.currentUser);
+                this.updatePinnedBar();
+                if (this.ui.currentScreen === 'chatScreen') {
+                    await this.markChatRead(chat);
+                }
+            }
+        }
+    }
+
+    /**
+     * Save user data to storage. If the sync server can't be reached the
+     * local copy stands and the outbox pushes it later.
+     */
+    async saveUserData() {
+        if (!this.currentUserKey || !this.currentUser) return;
+
+        try {
+            await this.chatManager.saveChats(this.currentUserKey, this.currentUser);
+            this.outbox.remove('sync');
+        } catch (error) {
+            if (error.code !== 'sync-failed') throw error;
+            this.outbox.enqueue('sync', 'sync');
+        }
+    }
+
+    /**
+     * Save an own copy of a message, queueing the push to the sync server
+     * if it can't be reached
+     * @param {Object} chat - Chat object
+     * @param {Object} message - Message object
+     */
+    async storeMessage(chat, message) {
+        const key = `push:${chat.id}:${message.id}`;
+        try {
+            await this.chatManager.saveMessage(this.currentUserKey, chat, message);
+            this.outbox.remove(key);
+        } catch (error) {
+            if (error.code !== 'sync-failed') throw error;
+            this.outbox.enqueue('push', key, { chatId: chat.id, messageId: message.id });
+        }
+    }
+
+    /**
+     * Handle start button click (wrapper for async function)
+     */
+    handleStartClick = async () => {
+        console.log('Start button clicked!');
+        await this.saveNickname();
+    }
+
+    /**
+     * Save nickname and create user
+     */
+    async saveNickname() {
+        console.log('saveNickname called');
+        const input = document.getElementById('nicknameInput');
+        const nickname = input.value.trim();
+        
+        console.log('Nickname input value:', nickname);
+        
+        if (!nickname) {
+            alert('Введите имя пользователя!');
+            return;
+        }
+
+        const account = await this.createAccountKey();
+        this.currentUser = nickname;
+        this.currentUserKey = account.userKey;
+        this.storage.setCurrentUserKey(this.currentUserKey);
+        this.storage.rememberAccount(this.currentUserKey, nickname);
+        this.outbox.setUser(this.currentUserKey);
+        this.linkPreviews.setUser(this.currentUserKey);
+
+        // Initialize user data
+        await this.chatManager.loadChats(this.currentUserKey);
+        this.chatManager.secretDerivedId = account.secretDerived;
+        try {
+            this.chatManager.publicKey = await this.crypto.ensureKeyPair(this.currentUserKey);
+            this.chatManager.signingKey = await this.crypto.ensureSigningKey(this.currentUserKey);
+        } catch (error) {
+            console.error('Error generating encryption keys:', error);
+        }
+        await this.saveUserData();
+        this.startPresence();
+
+        // Show chats screen with animation
+        if (window.gsap) {
+            gsap.to('#welcomeScreen', {
+                opacity: 0,
+                duration: 0.3,
+                onComplete: () => {
+                    this.ui.showScreen('chatsScreen');
+                    this.renderChatList();
+                }
+            });
+        } else {
+            this.ui.showScreen('chatsScreen');
+            this.renderChatList();
+        }
+    }
+
+    /**
+     * Create the key of a new account. With WebCrypto the key pairs are derived
+     * from a private secret that stays on this device (see CryptoManager.ensureKeyPair)
+     * and the key is a public ID derived from the signing key; otherwise it falls
+     * back to a random key that doubles as the restore secret.
+     * @returns {Promise<Object>} { userKey, secretDerived }
+     */
+    async createAccountKey() {
+        if (!this.crypto.isSupported()) {
+            return { userKey: this.storage.generateUniqueKey(), secretDerived: false };
+        }
+
+        const secret = this.crypto.generateAccountSecret();
+        const userKey = await this.crypto.deriveAccountId(secret);
+        this.crypto.saveAccountSecret(userKey, secret);
+        return { userKey, secretDerived: true };
+    }
+
+    /**
+     * Open chat
+     * @param {Object} chat - Chat object
+     */
+    openChat(chat) {
+        if (!chat || !chat.id) {
+            console.error('Invalid chat object');
+            return;
+        }
+
+        this.currentChat = chat;
+        const chatTitle = document.getElementById('chatTitle');
+        if (chatTitle) {
+            chatTitle.textContent = chat.name || 'Безымянный чат';
+        }
+
+        const isGroup = chat.type === 'group';
+        const canMute = chat.type !== 'favorites';
+        document.getElementById('groupInfoBtn').style.display = isGroup ? '' : 'none';
+        document.getElementById('muteBtn').style.display = canMute ? '' : 'none';
+        this.updateMuteButton();
+        this.updateLinkPreviewsButton();
+        this.pinnedIndex = null;
+        this.updatePinnedBar();
+
+        this.stopTyping();
+        this.cancelComposerContext();
+        this.updateChatStatus();
+        this.ui.resetMessages();
+        this.ui.showScreen('chatScreen');
+        this.ui.renderMessages(chat, this.currentUser);
+        this.markChatRead(chat);
+    }
+
+    /**
+     * Load the previous page of the open chat's history. While a page of
+     * this chat is loading, callers wait for that load instead of getting
+     * nothing; a load of a chat left meanwhile is waited out first.
+     * @returns {Promise<void>} Resolves when the page is in the chat
+     */
+    async loadOlderMessages() {
+        while (this.historyLoading) {
+            const running = this.historyLoading;
+            await running.promise;
+            if (running.chat === this.currentChat) return;
+        }
+
+        const chat = this.currentChat;
+        if (!chat || !this.chatManager.hasOlderMessages(chat)) {
+            return;
+        }
+
+        const promise = this.loadHistoryPage(chat).finally(() => {
+            this.historyLoading = null;
+        });
+        this.historyLoading = { chat, promise };
+        await promise;
+    }
+
+    /**
+     * Load the previous page of a chat's history and show it if the chat is still open
+     * @param {Object} chat - Chat object
+     */
+    async loadHistoryPage(chat) {
+        this.ui.setHistoryLoading(true);
+
+        try {
+            const older = await this.chatManager.loadOlderMessages(this.currentUserKey, chat);
+            await this.chatManager.decryptChats(this.currentUserKey);
+
+            // The user may have left the chat while the page was loading
+            if (chat === this.currentChat && older.length > 0) {
+                this.ui.renderMessages(chat, this.currentUser);
+            }
+        } catch (error) {
+            console.error('Error loading older messages:', error);
+        } finally {
+            this.ui.setHistoryLoading(false);
+        }
+    }
+
+    /**
+     * Send message
+     * @param {File} file - Optional file to send
+     */
+    async sendMessage(file = null) {
+        const input = document.getElementById('messageInput');
+        const text = input.value.trim();
+        
+        if (!text && !file) {
+            return;
+        }
+
+        if (!this.currentChat) {
+            return;
+        }
+
+        if (this.editingMessageId && !file) {
+            await this.saveEditedMessage(text);
+            return;
+        }
+
+        if (!this.chatManager.canSendMessages(this.currentChat, this.currentUserKey)) {
+            alert('Вы больше не участник этой группы');
+            return;
+        }
+
+        const replyTo = this.replyingTo;
+
+        if (!file && !await this.checkChatEncryption(this.currentChat)) {
+            return;
+        }
+
+        try {
+            if (file) {
+                // Handle file upload
+                this.handleFileUpload(file, text, replyTo);
+            } else {
+                // Send text message
+                const message = this.chatManager.addMessage(
+                    this.currentChat,
+                    this.currentUser,
+                    text,
+                    'text',
+                    null,
+                    null,
+                    this.currentUserKey,
+                    replyTo
+                );
+                input.value = '';
+                this.cancelComposerContext();
+                this.stopTyping();
+                await this.commitMessage(this.currentChat, message);
+            }
+        } catch (error) {
+            console.error('Error sending message:', error);
+            alert('Ошибка при отправке сообщения. Попробуйте еще раз.');
+        }
+    }
+
+    /**
+     * Check that a new message to a chat can be encrypted. Private chats are
+     * only written to with the peer's key pinned when the friendship was made,
+     * otherwise the message isn't sent rather than sent in the clear.
+     * @param {Object} chat - Chat object
+     * @returns {Promise<boolean>} True if the message may be sent
+     */
+    async checkChatEncryption(chat) {
+        if (chat.type !== 'private') {
+            return true;
+        }
+
+        let key = null;
+        try {
+            key = await this.chatManager.getChatKey(chat, this.currentUserKey);
+        } catch (error) {
+            console.error('Error deriving chat key:', error);
+        }
+        if (!key) {
+            alert(this.crypto.isSupported()
+                ? 'Сообщение не отправлено: ключ шифрования собеседника неизвестен. Удалите собеседника из друзей и добавьте снова.'
+                : 'Сообщение не отправлено: для шифрования нужно защищённое соединение (HTTPS).');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Encrypt, save and deliver a new own message, updating its state on screen
+     * as it goes from sending to saved to delivered, or to not sent
+     * @param {Object} chat - Chat object
+     * @param {Object} message - Message added by addMessage
+     */
+    async commitMessage(chat, message) {
+        this.ui.renderMessages(chat, this.currentUser);
+
+        await this.chatManager.encryptMessage(chat, message, this.currentUserKey);
+        await this.storeMessage(chat, message);
+        message.status = 'saved';
+        await this.saveUserData();
+
+        await this.deliver({ kind: 'message', chatId: chat.id, messageId: message.id });
+    }
+
+    /**
+     * Send a message marked as not sent again
+     * @param {string} messageId - Message ID
+     */
+    async retryMessage(messageId) {
+        const chat = this.currentChat;
+        const message = chat ? chat.messages.find(m => m.id === messageId) : null;
+        if (!message || message.status !== 'failed') return;
+
+        message.status = 'sending';
+        this.ui.renderMessages(chat, this.currentUser);
+        try {
+            await this.deliver({ kind: 'message', chatId: chat.id, messageId });
+        } catch (error) {
+            console.error('Error resending message:', error);
+            message.status = 'failed';
+            this.ui.renderMessages(chat, this.currentUser);
+        }
+    }
+
+    /**
+     * Send a change to the other participants of a chat. Participants that
+     * can't be reached stay in the outbox and are retried with backoff.
+     * @param {Object} job - { kind: message, update, receipt, reaction or group,
+     *     chatId, messageId, readAt, previousParticipants }
+     * @returns {Promise<Array>} Keys of participants whose copy was updated
+     */
+    async deliver(job) {
+        const key = [job.kind, job.chatId, job.messageId].filter(part => part !== undefined).join(':');
+        const { delivered, failed } = await this.runDelivery(job);
+
+        if (failed.length === 0) {
+            this.outbox.remove(key);
+            return delivered;
+        }
+
+        // A newer change of the same thing replaces the queued one, but
+        // whoever missed the older one still has to get it
+        const queued = this.outbox.get(key);
+        const union = (a = [], b = []) => [...new Set([...a, ...b])];
+        const data = { ...job, recipients: union(queued ? queued.data.recipients : [], failed) };
+        if (job.kind === 'group') {
+            data.previousParticipants = union(queued ? queued.data.previousParticipants : [], job.previousParticipants);
+        }
+        this.outbox.enqueue('delivery', key, data);
+        return delivered;
+    }
+
+    /**
+     * Run one delivery against the chats in memory. A message's state
+     * becomes not sent while some participant misses it.
+     * @param {Object} job - See deliver, plus recipients: only these participants
+     * @returns {Promise<Object>} { delivered, failed } participant keys
+     */
+    async runDelivery(job) {
+        const failed = [];
+        const options = { only: job.recipients || null, failed };
+        const chat = this.chatManager.chats.find(c => c.id === job.chatId);
+        const message = chat && job.messageId ? chat.messages.find(m => m.id === job.messageId) : null;
+        let delivered = [];
+
+        // The chat or message is gone, nothing is left to send
+        if (!chat || (job.messageId && !message)) {
+            return { delivered, failed };
+        }
+
+        switch (job.kind) {
+            case 'message': {
+                const stored = this.chatManager.toStoredMessage(message);
+                delivered = await this.delivery.deliverMessage(chat, stored, this.currentUserKey, options);
+                this.chatManager.markDelivered(message, delivered);
+                message.status = failed.length > 0 ? 'failed' : 'saved';
+                await this.storeMessage(chat, message);
+                if (chat === this.currentChat) {
+                    this.ui.renderMessages(chat, this.currentUser);
+                }
+                break;
+            }
+            case 'update':
+                delivered = await this.delivery.deliverUpdate(chat, this.chatManager.toStoredMessage(message), this.currentUserKey, options);
+                break;
+            case 'receipt':
+                delivered = await this.delivery.deliverReadReceipt(
+                    chat, this.currentUserKey, this.chatManager.getReadTimestamps(chat, this.currentUserKey), options
+                );
+                break;
+            case 'reaction': {
+                const reaction = (message.reactions || {})[this.currentUserKey];
+                if (reaction) {
+                    delivered = await this.delivery.deliverReaction(chat, message.id, this.currentUserKey, reaction, options);
+                }
+                break;
+            }
+            case 'group':
+                delivered = await this.delivery.deliverGroupUpdate(chat, this.currentUserKey, job.previousParticipants || [], options);
+                break;
+        }
+
+        return { delivered, failed };
+    }
+
+    /**
+     * Mark the open chat as read and send read receipts to the authors
+     * @param {Object} chat - Chat object
+     */
+    async markChatRead(chat) {
+        const readAt = this.chatManager.markChatRead(chat, this.currentUserKey);
+        if (!readAt) return;
+
+        this.updateUnreadTotal();
+        try {
+            await this.saveUserData();
+            await this.deliver({ kind: 'receipt', chatId: chat.id, readAt });
+        } catch (error) {
+            console.error('Error sending read receipt:', error);
+        }
+    }
+
+    /**
+     * Mark every chat as read and send read receipts to the authors
+     */
+    async markAllRead() {
+        const read = this.chatManager.markAllRead(this.currentUserKey);
+        if (read.length === 0) return;
+
+        this.renderChatList();
+        try {
+            await this.saveUserData();
+            for (const { chat, readAt } of read) {
+                await this.deliver({ kind: 'receipt', chatId: chat.id, readAt });
+            }
+        } catch (error) {
+            console.error('Error sending read receipts:', error);
+        }
+    }
+
+    /**
+     * Show the unread total in the page title and on the app icon
+     */
+    updateUnreadTotal() {
+        const userKey = this.currentUserKey;
+        const total = userKey ? this.chatManager.getTotalUnread(userKey) : 0;
+        const hasUnread = !!userKey && this.chatManager.chats.some(chat => this.chatManager.getUnreadCount(chat, userKey) > 0);
+        document.title = total > 0 ? `(${total > 99 ? '99+' : total}) MMessenger` : 'MMessenger';
+        this.bridge.setBadge(total);
+        this.ui.renderUnreadTotal(total, hasUnread);
+    }
+
+    /**
+     * Show a notification per chat that got new messages, unless it is muted
+     * or open in front of the user
+     * @param {Array} updates - [{ chat, messages }] from getNewMessages
+     */
+    notifyNewMessages(updates) {
+        updates.forEach(({ chat, messages }) => {
+            const viewing = !document.hidden && this.ui.currentScreen === 'chatScreen' &&
+                this.currentChat && this.currentChat.id === chat.id;
+            if (viewing || this.chatManager.isMuted(chat)) return;
+
+            const last = messages[messages.length - 1];
+            const title = chat.type === 'group' ? `${last.author} в «${chat.name}»` : last.author;
+            const more = messages.length > 1 ? ` (ещё ${messages.length - 1})` : '';
+            this.bridge.notify(title, this.chatManager.describeMessage(last) + more, `chat-${chat.id}`);
+        });
+    }
+
+    /**
+     * Open the chat a tapped notification was about
+     * @param {string} tag - Notification tag, chat-<id>
+     */
+    openNotifiedChat(tag) {
+        const chat = this.chatManager.chats.find(c => `chat-${c.id}` === tag);
+        if (chat && this.currentUserKey && !this.lockedAccount) {
+            this.openChat(chat);
         }
     }
 
     /**
-     * Hide modal
-     * @param {string} modalId - Modal ID to hide
+     * Show how long the open chat can be muted for
      */
-    hideModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.remove('active');
+    showMuteOptions() {
+        const chat = this.currentChat;
+        if (!chat) return;
+
+        const hour = 60 * 60 * 1000;
+        const actions = [
+            { label: '🔕 На 1 час', handler: () => this.muteChat(chat, hour) },
+            { label: '🔕 На 8 часов', handler: () => this.muteChat(chat, 8 * hour) },
+            { label: '🔕 На 1 неделю', handler: () => this.muteChat(chat, 7 * 24 * hour) },
+            { label: '🔕 Навсегда', handler: () => this.muteChat(chat, null) }
+        ];
+
+        const muted = this.chatManager.isMuted(chat);
+        if (muted) {
+            actions.unshift({ label: '🔔 Включить уведомления', handler: () => this.muteChat(chat, 0) });
         }
+        this.ui.showMessageActions(actions, muted ? this.formatMutedUntil(chat.mutedUntil) : 'Без звука');
     }
 
     /**
-     * Render chat list
-     * @param {Array} chats - Chats array
+     * Mute or unmute a chat and save it
+     * @param {Object} chat - Chat object
+     * @param {number|null} duration - Milliseconds, null for good, 0 to unmute
      */
-    renderChatList(chats) {
-        const list = document.getElementById('chatList');
-        if (!list) {
-            console.error('Chat list element not found');
-            return;
+    async muteChat(chat, duration) {
+        if (duration === 0) {
+            this.chatManager.unmuteChat(chat);
+        } else {
+            this.chatManager.muteChat(chat, duration);
         }
+        this.updateMuteButton();
+        this.updateUnreadTotal();
 
-        list.innerHTML = '';
-
-        if (!chats || chats.length === 0) {
-            list.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Нет чатов</div>';
-            return;
+        try {
+            await this.saveUserData();
+        } catch (error) {
+            console.error('Error saving mute state:', error);
         }
+    }
 
-        chats.forEach(chat => {
-            if (!chat || !chat.id || !chat.name) return;
+    /**
+     * Get the link preview to show under a message. Previews that are not
+     * cached yet are fetched and the row is rebuilt when they arrive.
+     * @param {Object} message - Message object
+     * @param {Object} chat - Chat the message belongs to
+     * @returns {Object|null} Preview or null
+     */
+    getLinkPreview(message, chat) {
+        if (!chat || !this.chatManager.linkPreviewsEnabled(chat)) {
+            return null;
+        }
+        const url = this.linkPreviews.getLink(message);
+        if (!url) {
+            return null;
+        }
 
-            const item = document.createElement('div');
-            item.className = 'chat-item';
-            
-            const lastMsg = chat.messages && chat.messages.length > 0 
-                ? chat.messages[chat.messages.length - 1] 
-                : null;
-            
-            const chatIcon = chat.type === 'private' ? '👤' : '💬';
-            const preview = lastMsg && lastMsg.text 
-                ? (lastMsg.text.length > 30 ? lastMsg.text.substring(0, 30) + '...' : lastMsg.text)
-                : 'Нет сообщений';
+        const preview = this.linkPreviews.get(url);
+        if (preview === undefined) {
+            this.linkPreviews.fetch(url).then(fetched => {
+                if (fetched && chat === this.currentChat) {
+                    this.ui.invalidateMessages([message.id]);
+                    this.ui.renderMessages(chat, this.currentUser);
+                }
+            });
+        }
+        return preview || null;
+    }
 
-            item.innerHTML = `
-                <div class="chat-avatar">${chatIcon}</div>
-                <div class="chat-info">
-                    <div class="chat-name">${this.escapeHtml(chat.name)}</div>
-                    <div class="chat-preview">${this.escapeHtml(preview)}</div>
-                </div>
-            `;
-            
-            item.onclick = () => this.onChatClick(chat);
-            list.appendChild(item);
-        });
+    /**
+     * Offer to turn link previews of the open chat on or off. Pages are
+     * fetched by the sync server, so they learn its address, not the user's.
+     */
+    showLinkPreviewOptions() {
+        const chat = this.currentChat;
+        if (!chat) return;
+
+        const enabled = this.chatManager.linkPreviewsEnabled(chat);
+        const actions = [enabled
+            ? { label: '🚫 Не показывать превью ссылок', handler: () => this.setLinkPreviews(chat, false) }
+            : { label: '🔗 Показывать превью ссылок', handler: () => this.setLinkPreviews(chat, true) }
+        ];
+        this.ui.showMessageActions(actions, enabled ? 'Превью ссылок включены' : 'Превью ссылок выключены');
     }
 
     /**
-     * Render messages in chat
+     * Turn link previews of a chat on or off and save it
      * @param {Object} chat - Chat object
-     * @param {string} currentUser - Current username
+     * @param {boolean} enabled - Show previews
      */
-    renderMessages(chat, currentUser) {
-        const container = document.getElementById('messagesContainer');
-        const typingIndicator = document.getElementById('typingIndicator');
-
-        if (!container || !chat || !chat.messages) {
-            console.error('Messages container or chat data not found');
-            return;
+    async setLinkPreviews(chat, enabled) {
+        this.chatManager.setLinkPreviews(chat, enabled);
+        this.updateLinkPreviewsButton();
+        if (chat === this.currentChat) {
+            this.ui.invalidateMessages(chat.messages.filter(msg => this.linkPreviews.getLink(msg)).map(msg => msg.id));
+            this.ui.renderMessages(chat, this.currentUser);
         }
 
-        // Store typing indicator state
-        const typingDisplay = typingIndicator ? typingIndicator.style.display : 'none';
-
-        // Clear existing messages
-        const messages = container.querySelectorAll('.message');
-        messages.forEach(msg => msg.remove());
-
-        // Re-add typing indicator
-        if (typingIndicator && !container.contains(typingIndicator)) {
-            container.appendChild(typingIndicator);
+        try {
+            await this.saveUserData();
+        } catch (error) {
+            console.error('Error saving link preview setting:', error);
         }
+    }
 
-        // Show last 100 messages for performance
-        const messagesToShow = chat.messages.slice(-100);
-
-        messagesToShow.forEach((msg, index) => {
-            if (!msg || !msg.author) return;
+    /**
+     * Show whether the open chat shows link previews
+     */
+    updateLinkPreviewsButton() {
+        const button = document.getElementById('linkPreviewsBtn');
+        const enabled = !!this.currentChat && this.chatManager.linkPreviewsEnabled(this.currentChat);
+        button.classList.toggle('off', !enabled);
+        button.title = enabled ? 'Превью ссылок включены' : 'Превью ссылок выключены';
+    }
 
-            const msgDiv = document.createElement('div');
-            msgDiv.className = `message ${msg.author === currentUser ? 'own' : ''}`;
-            
-            let content = '';
-            
-            // Handle different message types
-            if (msg.type === 'image' && msg.fileData) {
-                content = `<img src="${msg.fileData}" alt="Изображение" style="max-width: 300px; max-height: 300px; border-radius: 10px; margin-bottom: 5px;"><br><span style="font-size: 12px;">${this.escapeHtml(msg.fileName || 'Изображение')}</span>`;
-            } else if (msg.type === 'video' && msg.fileData) {
-                content = `<video controls style="max-width: 300px; max-height: 300px; border-radius: 10px; margin-bottom: 5px;"><source src="${msg.fileData}"></video><br><span style="font-size: 12px;">${this.escapeHtml(msg.fileName || 'Видео')}</span>`;
-            } else if (msg.type === 'file' && msg.fileData) {
-                content = `<div style="padding: 10px; background: rgba(0,0,0,0.1); border-radius: 5px;"><a href="${msg.fileData}" download="${this.escapeHtml(msg.fileName || 'file')}" style="color: inherit; text-decoration: none;">📎 ${this.escapeHtml(msg.fileName || 'Файл')}</a></div>`;
-            }
-            
-            // Add text if exists
-            if (msg.text) {
-                content += `<div>${this.escapeHtml(msg.text)}</div>`;
-            }
-            
-            msgDiv.innerHTML = `
-                ${msg.author !== currentUser ? `<div class="message-author">${this.escapeHtml(msg.author)}</div>` : ''}
-                <div class="message-bubble">${content}</div>
-                <div class="message-time">${msg.time || '00:00'}</div>
-            `;
-            
-            container.appendChild(msgDiv);
+    /**
+     * Show whether the open chat is muted
+     */
+    updateMuteButton() {
+        const button = document.getElementById('muteBtn');
+        const muted = !!this.currentChat && this.chatManager.isMuted(this.currentChat);
+        button.textContent = muted ? '🔕' : '🔔';
+        button.title = muted ? this.formatMutedUntil(this.currentChat.mutedUntil) : 'Уведомления включены';
+    }
 
-            // Animate all messages with stagger effect
-            if (window.gsap) {
-                gsap.from(msgDiv, { 
-                    opacity: 0, 
-                    y: 20, 
-                    duration: 0.3,
-                    delay: index * 0.05,
-                    ease: 'back.out(1.7)' 
-                });
-            }
+    /**
+     * Describe until when a chat is muted
+     * @param {string} mutedUntil - ISO timestamp
+     * @returns {string} Text
+     */
+    formatMutedUntil(mutedUntil) {
+        if (mutedUntil === this.chatManager.MUTE_FOREVER) {
+            return 'Без звука';
+        }
+        const until = new Date(mutedUntil).toLocaleString('ru-RU', {
+            day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
         });
+        return `Без звука до ${until}`;
+    }
+
+    /**
+     * Show whether system notifications are allowed
+     */
+    updateNotificationsField() {
+        const allowed = this.bridge.canNotify();
+        const denied = !allowed && 'Notification' in window && Notification.permission === 'denied';
+        document.getElementById('notificationsStatus').textContent = allowed
+            ? 'Включены'
+            : denied ? 'Запрещены в настройках браузера' : 'Выключены';
+        document.getElementById('enableNotificationsBtn').style.display = allowed || denied ? 'none' : '';
+    }
 
-        // Restore typing indicator state
-        if (typingIndicator) {
-            typingIndicator.style.display = typingDisplay;
+    /**
+     * Ask for permission to show system notifications
+     */
+    async enableNotifications() {
+        try {
+            await this.bridge.requestNotificationPermission();
+        } catch (error) {
+            console.error('Error requesting notification permission:', error);
         }
+        this.updateNotificationsField();
+    }
 
-        // Scroll to bottom with smooth animation
-        setTimeout(() => {
-            container.scrollTop = container.scrollHeight;
-        }, 100);
-        
-        if (window.gsap) {
-            gsap.to(container, {
-                scrollTop: container.scrollHeight,
-                duration: 0.5,
-                ease: 'power2.out'
+    /**
+     * Render the chat list with unread counters and presence
+     */
+    renderChatList() {
+        const chatStates = new Map();
+        this.chatManager.chats.forEach(chat => {
+            const status = this.getChatStatus(chat);
+            const peerKey = chat.type === 'private' ? this.getTypingTarget(chat) : null;
+            chatStates.set(chat.id, {
+                unread: this.chatManager.getUnreadCount(chat, this.currentUserKey),
+                online: !!peerKey && this.presence.isOnline(peerKey),
+                typing: status.typing ? status.text : null,
+                muted: this.chatManager.isMuted(chat),
+                pinned: this.chatManager.isChatPinned(chat)
             });
-        }
+        });
+        this.ui.renderChatList(this.chatManager.getSortedChats(), chatStates);
+        this.updateUnreadTotal();
     }
 
     /**
-     * Render friends list
-     * @param {Array} friends - Friends array
+     * Show the action menu of a message in the open chat
+     * @param {string} messageId - Message ID
      */
-    renderFriendsList(friends) {
-        const list = document.getElementById('friendsList');
-        if (!list) return;
+    showMessageActions(messageId) {
+        const chat = this.currentChat;
+        const message = chat ? this.chatManager.findMessage(chat, messageId) : null;
+        if (!message || message.deleted) return;
 
-        list.innerHTML = '';
+        const own = this.chatManager.isOwnMessage(message, this.currentUserKey, this.currentUser);
+        const actions = [];
 
-        if (friends.length === 0) {
-            list.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">У вас пока нет друзей</div>';
-            return;
+        if (!message.decryptFailed) {
+            actions.push({ label: '↩️ Ответить', handler: () => this.startReply(message) });
+        }
+        if (!message.decryptFailed) {
+            const pinned = this.chatManager.isMessagePinned(chat, message.id);
+            actions.push({ label: pinned ? '📌 Открепить' : '📌 Закрепить', handler: () => this.togglePinnedMessage(message) });
+        }
+        if (message.text && !message.decryptFailed) {
+            actions.push({ label: '📋 Копировать', handler: () => this.copyMessageText(message) });
+            actions.push({ label: '📤 Поделиться', handler: () => this.shareText('Сообщение', message.text) });
+        }
+        if (own && !message.decryptFailed) {
+            actions.push({ label: '✏️ Редактировать', handler: () => this.startEditMessage(message) });
+        }
+        actions.push({ label: '🗑 Удалить у меня', danger: true, handler: () => this.deleteMessage(messageId, false) });
+        if (own && ['private', 'group'].includes(chat.type)) {
+            actions.push({ label: '🗑 Удалить у всех', danger: true, handler: () => this.deleteMessage(messageId, true) });
         }
 
-        friends.forEach(friend => {
-            const item = document.createElement('div');
-            item.className = 'friend-item';
-            item.innerHTML = `
-                <div class="friend-info">
-                    <div class="friend-avatar">${friend.username[0].toUpperCase()}</div>
-                    <div class="friend-details">
-                        <div class="friend-name">${this.escapeHtml(friend.username)}</div>
-                        <div class="friend-status online">В сети</div>
-                    </div>
-                </div>
-                <button class="btn chat-btn" onclick="app.startChatWithFriend('${friend.key}', '${this.escapeHtml(friend.username).replace(/'/g, "\\'")}')">Чат</button>
-            `;
-            list.appendChild(item);
-        });
+        const reactions = message.decryptFailed ? null : {
+            message,
+            emojis: this.chatManager.REACTIONS,
+            currentUser: this.currentUser,
+            chat
+        };
+        this.bridge.haptic('light');
+        this.ui.showMessageActions(actions, 'Сообщение', reactions);
     }
 
     /**
-     * Render search results
-     * @param {Array} users - Users array
-     * @param {Array} friends - Current friends array
-     * @param {Array} sentRequests - Sent friend requests
+     * Pin a message of the open chat, or unpin it, and save the chat
+     * @param {Object} message - Message object
      */
-    renderSearchResults(users, friends, sentRequests = []) {
-        const results = document.getElementById('searchResults');
-        if (!results) return;
+    async togglePinnedMessage(message) {
+        const chat = this.currentChat;
+        if (!chat) return;
 
-        results.innerHTML = '';
-
-        if (users.length === 0) {
-            results.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Пользователи не найдены</div>';
-            return;
+        const pinned = this.chatManager.togglePinnedMessage(chat, message.id);
+        if (pinned) {
+            this.pinnedIndex = null;
         }
+        this.updatePinnedBar();
 
-        users.forEach(user => {
-            const isAlreadyFriend = friends.some(friend => friend.key === user.key);
-            const requestSent = sentRequests.some(req => req.key === user.key);
-            const item = document.createElement('div');
-            item.className = 'search-result-item';
-            
-            item.innerHTML = `
-                <div class="search-result-avatar">${user.username[0].toUpperCase()}</div>
-                <div class="search-result-info">
-                    <div class="search-result-name">${this.escapeHtml(user.username)}</div>
-                </div>
-                ${isAlreadyFriend ? 
-                    '<div style="color: #4caf50; font-size: 12px;">Уже в друзьях</div>' : 
-                    requestSent ?
-                    '<div style="color: #ffa726; font-size: 12px;">Заявка отправлена</div>' :
-                    `<button class="btn add-friend-btn" onclick="app.sendFriendRequestByName('${this.escapeHtml(user.username).replace(/'/g, "\\'")}')">Добавить в друзья</button>`
-                }
-            `;
-            results.appendChild(item);
-        });
+        try {
+            await this.saveUserData();
+        } catch (error) {
+            console.error('Error saving pinned messages:', error);
+        }
     }
 
     /**
-     * Render friend requests
-     * @param {Array} requests - Friend requests array
+     * Show the current pin of the open chat under its title. The newest
+     * pin is shown first; each tap moves to an older one.
      */
-    renderFriendRequests(requests) {
-        const list = document.getElementById('friendRequestsList');
-        if (!list) return;
-
-        list.innerHTML = '';
-
-        if (requests.length === 0) {
-            list.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">Нет заявок в друзья</div>';
+    updatePinnedBar() {
+        const chat = this.currentChat;
+        const pins = chat ? this.chatManager.getPinnedMessages(chat) : [];
+        if (pins.length === 0) {
+            this.pinnedIndex = null;
+            this.ui.renderPinnedBar(null);
             return;
         }
 
-        requests.forEach(request => {
-            const item = document.createElement('div');
-            item.className = 'friend-item';
-            item.innerHTML = `
-                <div class="friend-info">
-                    <div class="friend-avatar">${this.escapeHtml(request.username)[0].toUpperCase()}</div>
-                    <div class="friend-details">
-                        <div class="friend-name">${this.escapeHtml(request.username)}</div>
-                        <div class="friend-status" style="color: #ffa726;">Заявка в друзья</div>
-                    </div>
-                </div>
-                <div style="display: flex; gap: 5px;">
-                    <button class="btn accept-btn" onclick="app.acceptFriendRequest('${request.key}', '${this.escapeHtml(request.username).replace(/'/g, "\\'")}')">✓</button>
-                    <button class="btn reject-btn" onclick="app.rejectFriendRequest('${request.key}')">✗</button>
-                </div>
-            `;
-            list.appendChild(item);
-        });
+        if (this.pinnedIndex === null || this.pinnedIndex >= pins.length) {
+            this.pinnedIndex = pins.length - 1;
+        }
+        const message = this.chatManager.findMessage(chat, pins[this.pinnedIndex]);
+        const text = message ? this.chatManager.describeMessage(message) : 'Сообщение';
+        this.ui.renderPinnedBar(text, this.pinnedIndex + 1, pins.length);
     }
 
     /**
-     * Show typing indicator
-     * @param {string} username - Username who is typing
+     * Scroll to the pinned message shown in the bar, then show the next older pin
      */
-    showTypingIndicator(username) {
-        const indicator = document.getElementById('typingIndicator');
-        if (indicator) {
-            indicator.textContent = `${username} печатает...`;
-            indicator.style.display = 'block';
-        }
+    async openPinnedMessage() {
+        const chat = this.currentChat;
+        const pins = chat ? this.chatManager.getPinnedMessages(chat) : [];
+        if (pins.length === 0 || this.pinnedIndex === null) return;
+
+        const messageId = pins[this.pinnedIndex];
+        this.pinnedIndex = (this.pinnedIndex - 1 + pins.length) % pins.length;
+        await this.jumpToMessage(messageId, 'Закреплённое сообщение недоступно');
+        this.updatePinnedBar();
     }
 
     /**
-     * Hide typing indicator
+     * Show the menu of a chat in the list
+     * @param {Object} chat - Chat object
      */
-    hideTypingIndicator() {
-        const indicator = document.getElementById('typingIndicator');
-        if (indicator) {
-            indicator.style.display = 'none';
-        }
+    showChatActions(chat) {
+        const pinned = this.chatManager.isChatPinned(chat);
+        this.bridge.haptic('light');
+        this.ui.showMessageActions([
+            pinned
+                ? { label: '📌 Открепить чат', handler: () => this.setChatPinned(chat, false) }
+                : { label: '📌 Закрепить чат', handler: () => this.setChatPinned(chat, true) }
+        ], chat.name || 'Чат');
     }
 
     /**
-     * Show button feedback
-     * @param {HTMLElement} button - Button element
-     * @param {string} successText - Success text
-     * @param {string} successColor - Success color
+     * Pin a chat to the top of the chat list, or unpin it, and save it
+     * @param {Object} chat - Chat object
+     * @param {boolean} pinned - Pin state
      */
-    showButtonFeedback(button, successText, successColor) {
-        const originalText = button.textContent;
-        const originalColor = button.style.background;
-        
-        button.textContent = successText;
-        button.style.background = successColor;
-        
-        setTimeout(() => {
-            button.textContent = originalText;
-            button.style.background = originalColor;
-        }, 2000);
+    async setChatPinned(chat, pinned) {
+        this.chatManager.setChatPinned(chat, pinned);
+        this.renderChatList();
+
+        try {
+            await this.saveUserData();
+        } catch (error) {
+            console.error('Error saving pinned chats:', error);
+        }
     }
 
     /**
-     * Escape HTML to prevent XSS
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
+     * Set, change or take back the current user's reaction to a message
+     * of the open chat and send it to the other participants
+     * @param {string} messageId - Message ID
+     * @param {string} emoji - Reaction
      */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    async toggleReaction(messageId, emoji) {
+        const chat = this.currentChat;
+        const message = chat ? this.chatManager.findMessage(chat, messageId) : null;
+        if (!message || message.deleted || !emoji) return;
+
+        this.chatManager.toggleReaction(message, this.currentUserKey, this.currentUser, emoji);
+        this.bridge.haptic('light');
+        this.ui.renderMessages(chat, this.currentUser);
+
+        try {
+            await this.storeMessage(chat, message);
+            await this.deliver({ kind: 'reaction', chatId: chat.id, messageId });
+        } catch (error) {
+            console.error('Error sending reaction:', error);
+        }
     }
 
     /**
-     * Handle chat click
-     * @param {Object} chat - Chat object
+     * Copy the text of a message
+     * @param {Object} message - Message object
      */
-    onChatClick(chat) {
-        if (this.onChatSelect) {
-            this.onChatSelect(chat);
+    async copyMessageText(message) {
+        try {
+            await this.bridge.copyText(message.text);
+            this.bridge.haptic('light');
+        } catch (error) {
+            console.error('Error copying message:', error);
+            alert('Не удалось скопировать сообщение');
         }
     }
 
     /**
-     * Set chat selection callback
-     * @param {Function} callback - Callback function
+     * Share text through the share sheet, or copy it where there is none
+     * @param {string} title - Subject
+     * @param {string} text - Text
      */
-    setChatSelectCallback(callback) {
-        this.onChatSelect = callback;
+    async shareText(title, text) {
+        try {
+            if (await this.bridge.share(title, text) === 'copied') {
+                alert('Текст скопирован в буфер обмена');
+            }
+        } catch (error) {
+            console.error('Error sharing:', error);
+            alert('Не удалось поделиться');
+        }
     }
-}
-
-class MMessengerApp {
-    constructor() {
-        this.storage = new StorageManager();
-        this.chatManager = new ChatManager(this.storage);
-        this.ui = new UIManager();
-        
-        this.currentUser = '';
-        this.currentUserKey = '';
-        this.currentChat = null;
 
-        this.init();
+    /**
+     * Close message actions modal
+     */
+    closeMessageActions() {
+        this.ui.hideModal('messageActionsModal');
     }
 
     /**
-     * Initialize the application
+     * Put a message into the input for editing
+     * @param {Object} message - Message object
      */
-    init() {
-        this.setupEventListeners();
-        this.loadUserData();
+    startEditMessage(message) {
+        const input = document.getElementById('messageInput');
+        this.replyingTo = null;
+        this.editingMessageId = message.id;
+        input.value = message.text || '';
+        input.focus();
+        this.ui.setComposerContext('Редактирование', message.text || '');
+        this.updateSendButton();
     }
 
     /**
-     * Setup event listeners
+     * Reply to a message with the next message sent
+     * @param {Object} message - Parent message
      */
-    setupEventListeners() {
-        // Set chat selection callback
-        this.ui.setChatSelectCallback((chat) => this.openChat(chat));
-
-        // Input event listeners
-        const messageInput = document.getElementById('messageInput');
-        if (messageInput) {
-            messageInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') this.sendMessage();
-            });
-            
-            messageInput.addEventListener('input', () => this.handleTyping());
+    startReply(message) {
+        if (this.editingMessageId) {
+            this.cancelComposerContext();
         }
 
-        const nicknameInput = document.getElementById('nicknameInput');
-        if (nicknameInput) {
-            nicknameInput.addEventListener('keypress', async (e) => {
-                if (e.key === 'Enter') await this.handleStartClick();
-            });
-        }
+        this.replyingTo = this.chatManager.createReplyReference(message);
+        this.ui.setComposerContext(`Ответ ${message.author}`, this.replyingTo.text);
+        document.getElementById('messageInput').focus();
+    }
 
-        // Add click handler for start button
-        const startButton = document.querySelector('.primary-btn');
-        if (startButton) {
-            console.log('Start button found, adding event listener');
-            startButton.addEventListener('click', async (e) => {
-                console.log('Start button event triggered');
-                e.preventDefault();
-                await this.handleStartClick();
-            });
-            
-            // Alternative: add onclick attribute as fallback
-            startButton.onclick = async (e) => {
-                console.log('Start button onclick triggered');
-                e.preventDefault();
-                await this.handleStartClick();
-            };
-        } else {
-            console.error('Start button not found!');
+    /**
+     * Leave edit or reply mode and clear the input context
+     */
+    cancelComposerContext() {
+        if (this.editingMessageId) {
+            document.getElementById('messageInput').value = '';
         }
+        this.editingMessageId = null;
+        this.replyingTo = null;
+        this.ui.clearComposerContext();
+        this.updateSendButton();
+    }
 
-        const newChatName = document.getElementById('newChatName');
-        if (newChatName) {
-            newChatName.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') this.createChat();
-            });
+    /**
+     * Scroll the open chat to a message, loading older history until it is found
+     * @param {string} messageId - Message ID
+     * @param {string} missingText - Alert shown when the message is gone
+     */
+    async jumpToMessage(messageId, missingText = 'Исходное сообщение недоступно') {
+        const chat = this.currentChat;
+        if (!chat) return;
+
+        while (!this.chatManager.findMessage(chat, messageId) && this.chatManager.hasOlderMessages(chat)) {
+            const loaded = chat.messages.length;
+            await this.loadOlderMessages();
+            if (chat !== this.currentChat) return;
+            if (chat.messages.length === loaded) break;
         }
 
-        const searchInput = document.getElementById('searchInput');
-        if (searchInput) {
-            searchInput.addEventListener('input', () => this.searchUsers());
+        const message = this.chatManager.findMessage(chat, messageId);
+        if (!message || !this.ui.scrollToMessage(messageId)) {
+            alert(missingText);
         }
+    }
 
-        const restoreKeyInput = document.getElementById('restoreKeyInput');
-        if (restoreKeyInput) {
-            restoreKeyInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') this.restoreChats();
-            });
+    /**
+     * Save the message being edited
+     * @param {string} text - New text
+     */
+    async saveEditedMessage(text) {
+        const chat = this.currentChat;
+        const message = this.chatManager.editMessage(chat, this.editingMessageId, text);
+        this.cancelComposerContext();
+        if (!message) return;
+
+        try {
+            if (message.encrypted) {
+                await this.chatManager.encryptMessage(chat, message, this.currentUserKey);
+            }
+            await this.saveMessageChange(chat, message);
+        } catch (error) {
+            console.error('Error editing message:', error);
+            alert('Ошибка при редактировании сообщения. Попробуйте еще раз.');
         }
+    }
 
-        const friendKeyInput = document.getElementById('friendKeyInput');
-        if (friendKeyInput) {
-            friendKeyInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') this.addFriendByKey();
-            });
+    /**
+     * Delete a message, leaving a tombstone
+     * @param {string} messageId - Message ID
+     * @param {boolean} forEveryone - Also delete the other participants' copies
+     */
+    async deleteMessage(messageId, forEveryone) {
+        const chat = this.currentChat;
+        const message = this.chatManager.deleteMessage(chat, messageId, forEveryone);
+        if (!message) return;
+
+        if (this.editingMessageId === messageId) {
+            this.cancelComposerContext();
         }
+        this.updatePinnedBar();
 
-        const friendNameInput = document.getElementById('friendNameInput');
-        if (friendNameInput) {
-            friendNameInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') this.addFriendByKey();
-            });
+        try {
+            await this.saveMessageChange(chat, message, forEveryone);
+        } catch (error) {
+            console.error('Error deleting message:', error);
+            alert('Ошибка при удалении сообщения. Попробуйте еще раз.');
         }
+    }
 
-        // Auto-save every 30 seconds
-        setInterval(async () => {
-            if (this.currentUserKey && this.chatManager.chats.length > 0) {
-                await this.saveUserData();
-            }
-        }, 30000);
+    /**
+     * Save an edited or deleted message and propagate it to the other participants
+     * @param {Object} chat - Chat object
+     * @param {Object} message - Changed message
+     * @param {boolean} propagate - Send the change to the other participants
+     */
+    async saveMessageChange(chat, message, propagate = true) {
+        await this.storeMessage(chat, message);
+        this.ui.renderMessages(chat, this.currentUser);
 
-        // Save before page unload
-        window.addEventListener('beforeunload', async () => {
-            if (this.currentUserKey) {
-                await this.saveUserData();
+        if (propagate && this.chatManager.isOwnMessage(message, this.currentUserKey, this.currentUser)) {
+            try {
+                await this.deliver({ kind: 'update', chatId: chat.id, messageId: message.id });
+            } catch (error) {
+                console.error('Error delivering message change:', error);
             }
-        });
+        }
     }
 
     /**
-     * Load user data from storage
+     * Handle file upload: check the size limit, compress and preview the
+     * file, then send it
+     * @param {File} file - File to upload
+     * @param {string} text - Optional text message
+     * @param {Object} replyTo - Reference to the parent message
      */
-    loadUserData() {
-        const savedKey = this.storage.getCurrentUserKey();
-        if (savedKey) {
-            this.currentUserKey = savedKey;
-            const userData = this.storage.loadUserData(savedKey);
-            if (userData) {
-                this.currentUser = userData.username;
-                this.chatManager.loadChats(savedKey);
-                this.ui.showScreen('chatsScreen');
-                this.ui.renderChatList(this.chatManager.chats);
-                return;
+    async handleFileUpload(file, text = '', replyTo = null) {
+        const chat = this.currentChat;
+        let attachment;
+
+        try {
+            attachment = await this.attachments.process(file);
+        } catch (error) {
+            if (error.code === 'too-large') {
+                alert(`Файл слишком большой (${this.ui.formatFileSize(file.size)}).\nМаксимальный размер: ${this.ui.formatFileSize(error.limit)}`);
+            } else {
+                console.error('Error reading file:', error);
+                alert('Ошибка при чтении файла');
             }
+            document.getElementById('fileInput').value = '';
+            return;
         }
-        this.ui.showScreen('welcomeScreen');
+
+        await this.sendAttachment(chat, attachment, text, replyTo);
     }
 
     /**
-     * Save user data to storage
+     * Send a processed attachment as a new message
+     * @param {Object} chat - Chat object
+     * @param {Object} attachment - Fields from AttachmentProcessor
+     * @param {string} text - Optional text message
+     * @param {Object} replyTo - Reference to the parent message
      */
-    async saveUserData() {
-        if (this.currentUserKey && this.currentUser) {
-            await this.chatManager.saveChats(this.currentUserKey, this.currentUser);
+    async sendAttachment(chat, attachment, text = '', replyTo = null) {
+        if (!await this.checkChatEncryption(chat)) {
+            return;
+        }
+
+        const message = this.chatManager.addMessage(
+            chat,
+            this.currentUser,
+            text,
+            attachment.type,
+            attachment.fileData,
+            attachment.fileName,
+            this.currentUserKey,
+            replyTo
+        );
+        message.fileSize = attachment.fileSize;
+        message.mimeType = attachment.mimeType;
+        message.thumbnail = attachment.thumbnail;
+        if (attachment.duration) {
+            message.duration = attachment.duration;
+        }
+        if (attachment.waveform) {
+            message.waveform = attachment.waveform;
         }
+
+        // Clear input
+        document.getElementById('messageInput').value = '';
+        document.getElementById('fileInput').value = '';
+        this.cancelComposerContext();
+        this.stopTyping();
+
+        await this.commitMessage(chat, message);
     }
 
     /**
-     * Handle start button click (wrapper for async function)
+     * Hold-to-record on the send button: pressing it with an empty input
+     * records a voice message, releasing sends it, sliding left cancels it
      */
-    handleStartClick = async () => {
-        console.log('Start button clicked!');
-        await this.saveNickname();
+    setupVoiceRecording() {
+        const button = document.getElementById('sendBtn');
+        if (!button || !this.voiceRecorder.isSupported()) return;
+
+        button.addEventListener('contextmenu', (e) => {
+            if (this.voiceHold || this.canRecordVoice()) e.preventDefault();
+        });
+        button.addEventListener('pointerdown', (e) => {
+            if (!this.canRecordVoice()) return;
+            e.preventDefault();
+            button.setPointerCapture(e.pointerId);
+            this.startVoiceRecording(e.clientX);
+        });
+        button.addEventListener('pointermove', (e) => {
+            if (this.voiceHold && this.voiceHold.startX - e.clientX > this.VOICE_CANCEL_DISTANCE) {
+                this.finishVoiceRecording(false);
+            }
+        });
+        button.addEventListener('pointerup', () => this.finishVoiceRecording(true));
+        button.addEventListener('pointercancel', () => this.finishVoiceRecording(false));
     }
 
     /**
-     * Save nickname and create user
+     * Check whether holding the send button would record a voice message
+     * @returns {boolean} True in an open chat with an empty input, outside edit mode
      */
-    async saveNickname() {
-        console.log('saveNickname called');
-        const input = document.getElementById('nicknameInput');
-        const nickname = input.value.trim();
-        
-        console.log('Nickname input value:', nickname);
-        
-        if (!nickname) {
-            alert('Введите имя пользователя!');
-            return;
-        }
-
-        this.currentUser = nickname;
-        this.currentUserKey = this.storage.generateUniqueKey();
-        this.storage.setCurrentUserKey(this.currentUserKey);
-
-        // Initialize user data
-        this.chatManager.loadChats(this.currentUserKey);
-        await this.saveUserData();
+    canRecordVoice() {
+        const input = document.getElementById('messageInput');
+        return this.voiceRecorder.isSupported() && !!this.currentChat &&
+            !this.editingMessageId && !input.value.trim();
+    }
 
-        // Show chats screen with animation
-        if (window.gsap) {
-            gsap.to('#welcomeScreen', {
-                opacity: 0,
-                duration: 0.3,
-                onComplete: () => {
-                    this.ui.showScreen('chatsScreen');
-                    this.ui.renderChatList(this.chatManager.chats);
-                }
-            });
-        } else {
-            this.ui.showScreen('chatsScreen');
-            this.ui.renderChatList(this.chatManager.chats);
-        }
+    /**
+     * Show the send button as a microphone when it would record
+     */
+    updateSendButton() {
+        this.ui.setSendButtonMode(this.canRecordVoice());
     }
 
     /**
-     * Open chat
-     * @param {Object} chat - Chat object
+     * Start recording a voice message while the send button is held
+     * @param {number} startX - Pointer position, sliding left from it cancels
      */
-    openChat(chat) {
-        if (!chat || !chat.id) {
-            console.error('Invalid chat object');
+    async startVoiceRecording(startX) {
+        if (this.voiceHold) return;
+
+        const hold = { startX, done: false };
+        this.voiceHold = hold;
+        this.bridge.haptic('light');
+        this.ui.showVoiceRecording(() => this.voiceRecorder.getElapsed());
+
+        try {
+            await this.voiceRecorder.start(() => this.finishVoiceRecording(true));
+        } catch (error) {
+            if (this.voiceHold === hold) {
+                this.voiceHold = null;
+                this.ui.hideVoiceRecording();
+            }
+            alert(error.code === 'no-microphone' ? 'Нет доступа к микрофону' : 'Запись голоса не поддерживается');
             return;
         }
 
-        this.currentChat = chat;
-        const chatTitle = document.getElementById('chatTitle');
-        if (chatTitle) {
-            chatTitle.textContent = chat.name || 'Безымянный чат';
+        // The button was released while the microphone permission was asked
+        if (hold.done) {
+            await this.voiceRecorder.stop();
         }
+    }
 
-        this.stopTyping();
-        this.ui.hideTypingIndicator();
-        this.ui.renderMessages(chat, this.currentUser);
-        this.ui.showScreen('chatScreen');
+    /**
+     * Stop the voice recording started by holding the send button
+     * @param {boolean} send - Send the recording, false discards it
+     */
+    async finishVoiceRecording(send) {
+        const hold = this.voiceHold;
+        if (!hold) return;
+
+        hold.done = true;
+        this.voiceHold = null;
+        this.ui.hideVoiceRecording();
+        if (!this.voiceRecorder.isRecording()) return;
+
+        const recording = await this.voiceRecorder.stop();
+        if (send && recording) {
+            await this.sendVoiceMessage(recording.blob, recording.duration);
+        }
     }
 
     /**
-     * Send message
-     * @param {File} file - Optional file to send
+     * Send a recorded voice message to the open chat
+     * @param {Blob} blob - Recorded audio
+     * @param {number} duration - Length in seconds
      */
-    sendMessage(file = null) {
-        const input = document.getElementById('messageInput');
-        const text = input.value.trim();
-        
-        if (!text && !file) {
+    async sendVoiceMessage(blob, duration) {
+        const chat = this.currentChat;
+        if (!chat) return;
+
+        if (!this.chatManager.canSendMessages(chat, this.currentUserKey)) {
+            alert('Вы больше не участник этой группы');
             return;
         }
 
-        if (!this.currentChat) {
+        let attachment;
+        try {
+            attachment = await this.attachments.processVoice(blob, duration);
+        } catch (error) {
+            if (error.code === 'too-large') {
+                alert(`Запись слишком большая (${this.ui.formatFileSize(blob.size)}).\nМаксимальный размер: ${this.ui.formatFileSize(error.limit)}`);
+            } else {
+                console.error('Error reading voice message:', error);
+                alert('Ошибка при обработке записи');
+            }
             return;
         }
 
+        await this.sendAttachment(chat, attachment, '', this.replyingTo);
+    }
+
+    /**
+     * Open a message attachment: images and videos in the viewer, voice
+     * messages in the player, other files are saved. The file is read from
+     * storage on first open.
+     * @param {string} messageId - Message ID
+     */
+    async openAttachment(messageId) {
+        const chat = this.currentChat;
+        const message = chat ? this.chatManager.findMessage(chat, messageId) : null;
+        if (!message || message.deleted) return;
+
         try {
-            if (file) {
-                // Handle file upload
-                this.handleFileUpload(file, text);
+            const fileData = await this.chatManager.loadAttachment(this.currentUserKey, chat, message);
+            if (!fileData) {
+                alert('Файл недоступен на этом устройстве');
+                return;
+            }
+
+            if (message.type === 'voice') {
+                this.ui.toggleVoice(message.id, fileData);
+            } else if (message.type === 'image' || message.type === 'video') {
+                this.ui.showMediaViewer(message.type, fileData);
             } else {
-                // Send text message
-                this.chatManager.addMessage(this.currentChat, this.currentUser, text);
-                await this.saveUserData();
-                this.ui.renderMessages(this.currentChat, this.currentUser);
-                input.value = '';
-                this.stopTyping();
+                this.ui.downloadFile(fileData, message.fileName || 'file');
             }
         } catch (error) {
-            console.error('Error sending message:', error);
-            alert('Ошибка при отправке сообщения. Попробуйте еще раз.');
+            console.error('Error opening attachment:', error);
+            alert('Не удалось открыть файл');
         }
     }
 
     /**
-     * Handle file upload
-     * @param {File} file - File to upload
-     * @param {string} text - Optional text message
+     * Close the media viewer
      */
-    handleFileUpload(file, text = '') {
-        const reader = new FileReader();
-        
-        reader.onload = (e) => {
-            const fileData = e.target.result;
-            const fileName = file.name;
-            let type = 'file';
-            
-            // Determine file type
-            if (file.type.startsWith('image/')) {
-                type = 'image';
-            } else if (file.type.startsWith('video/')) {
-                type = 'video';
+    closeMediaViewer() {
+        this.ui.hideMediaViewer();
+    }
+
+    /**
+     * Handle file select from input
+     * @param {Event} event - File input change event
+     */
+    handleFileSelect(event) {
+        const file = event.target.files[0];
+        if (file) {
+            // Get text from input
+            const text = document.getElementById('messageInput').value.trim();
+            this.handleFileUpload(file, text);
+        }
+    }
+
+    /**
+     * Attach a file. The native app offers its camera, gallery and file
+     * pickers; the web version opens the file input.
+     */
+    pickAttachment() {
+        if (!this.bridge.has('pickFile')) {
+            document.getElementById('fileInput').click();
+            return;
+        }
+
+        this.ui.showMessageActions([
+            { label: '📷 Камера', handler: () => this.pickNativeFile('camera', 'image/*') },
+            { label: '🖼 Галерея', handler: () => this.pickNativeFile('gallery', 'image/*,video/*') },
+            { label: '📎 Файл', handler: () => this.pickNativeFile('file', '*/*') }
+        ], 'Прикрепить');
+    }
+
+    /**
+     * Pick a file with the native app and send it
+     * @param {string} source - camera, gallery or file
+     * @param {string} accept - MIME types
+     */
+    async pickNativeFile(source, accept) {
+        try {
+            const file = await this.bridge.pickFile(source, accept);
+            if (file) {
+                const text = document.getElementById('messageInput').value.trim();
+                this.handleFileUpload(file, text);
             }
-            
-            // Add message with file
-            this.chatManager.addMessage(
-                this.currentChat, 
-                this.currentUser, 
-                text, 
-                type, 
-                fileData, 
-                fileName
-            );
-            
-            await this.saveUserData();
-            this.ui.renderMessages(this.currentChat, this.currentUser);
-            
-            // Clear input
-            document.getElementById('messageInput').value = '';
-            document.getElementById('fileInput').value = '';
-            this.stopTyping();
-        };
-        
-        reader.onerror = () => {
-            alert('Ошибка при чтении файла');
-        };
-        
-        // Read file as data URL
-        reader.readAsDataURL(file);
+        } catch (error) {
+            console.error('Error picking file:', error);
+            alert('Не удалось получить файл');
+        }
     }
 
     /**
-     * Handle file select from input
-     * @param {Event} event - File input change event
+     * Handle the hardware back button of the native app: close the top
+     * modal, then step back from a chat or the PIN screen
+     * @returns {boolean} False if there is nothing to go back from
      */
-    handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (file) {
-            // Get text from input
-            const text = document.getElementById('messageInput').value.trim();
-            this.handleFileUpload(file, text);
+    handleBack() {
+        const modals = document.querySelectorAll('.modal.active');
+        if (modals.length > 0) {
+            const modal = modals[modals.length - 1];
+            if (modal.id === 'mediaViewerModal') {
+                this.closeMediaViewer();
+            } else {
+                this.ui.hideModal(modal.id);
+            }
+            return true;
+        }
+
+        if (this.ui.currentScreen === 'chatScreen') {
+            this.backToChats();
+            return true;
         }
+        if (this.ui.currentScreen === 'lockScreen') {
+            this.cancelUnlock();
+            return true;
+        }
+        return false;
     }
 
     /**
      * Go back to chats screen
      */
     backToChats() {
-        this.ui.renderChatList(this.chatManager.chats);
+        this.renderChatList();
         this.ui.showScreen('chatsScreen');
     }
 
@@ -1323,6 +10399,7 @@ class MMessengerApp {
      * Show new chat modal
      */
     showNewChatModal() {
+        this.ui.renderMemberPicker(this.chatManager.friends);
         this.ui.showModal('newChatModal');
     }
 
@@ -1338,24 +10415,178 @@ class MMessengerApp {
     /**
      * Create new chat
      */
-    createChat() {
+    async createChat() {
         const nameInput = document.getElementById('newChatName');
         const descInput = document.getElementById('newChatDescription');
         const name = nameInput.value.trim();
         
         if (!name) {
-            alert('Введите название канала!');
+            alert('Введите название группы!');
             return;
         }
 
         try {
-            this.chatManager.createChat(name, descInput.value);
+            const members = this.ui.getPickedMembers()
+                .map(key => this.chatManager.friends.find(friend => friend.key === key))
+                .filter(Boolean)
+                .map(friend => ({ key: friend.key, username: friend.username }));
+            const chat = this.chatManager.createChat(
+                name,
+                descInput.value,
+                { key: this.currentUserKey, username: this.currentUser },
+                members
+            );
             await this.saveUserData();
-            this.ui.renderChatList(this.chatManager.chats);
+            await this.deliverGroupUpdate(chat, []);
+            this.renderChatList();
             this.closeModal();
         } catch (error) {
             console.error('Error creating chat:', error);
-            alert('Ошибка при создании канала. Попробуйте еще раз.');
+            alert('Ошибка при создании группы. Попробуйте еще раз.');
+        }
+    }
+
+    /**
+     * Show members and invites of the open group
+     */
+    showGroupModal() {
+        if (!this.currentChat || this.currentChat.type !== 'group') return;
+        this.renderGroupInfo();
+        this.ui.showModal('groupModal');
+    }
+
+    /**
+     * Close group modal
+     */
+    closeGroupModal() {
+        this.ui.hideModal('groupModal');
+    }
+
+    /**
+     * Render the group modal for the open group
+     */
+    renderGroupInfo() {
+        const chat = this.currentChat;
+        const manager = this.chatManager;
+        const me = this.currentUserKey;
+        const myRole = manager.getMemberRole(chat, me);
+
+        const members = (chat.members || []).map(member => ({
+            ...member,
+            isSelf: member.key === me,
+            canRemove: member.key !== me && member.role !== 'owner' &&
+                (myRole === 'owner' || (myRole === 'admin' && member.role === 'member')),
+            canPromote: member.role === 'member' && manager.canManageMembers(chat, me),
+            canDemote: member.role === 'admin' && myRole === 'owner'
+        }));
+        const invitees = manager.canManageMembers(chat, me)
+            ? manager.friends.filter(friend => manager.getMemberRole(chat, friend.key) === null)
+            : [];
+
+        this.ui.renderGroupInfo(chat, members, invitees, myRole !== null && myRole !== 'owner');
+    }
+
+    /**
+     * Run a button of the group screen
+     * @param {string} action - promote, demote, remove or invite
+     * @param {string} userKey - Member's or friend's key
+     */
+    async handleGroupMemberAction(action, userKey) {
+        switch (action) {
+            case 'promote':
+                await this.setGroupMemberRole(userKey, 'admin');
+                break;
+            case 'demote':
+                await this.setGroupMemberRole(userKey, 'member');
+                break;
+            case 'remove':
+                await this.removeGroupMember(userKey);
+                break;
+            case 'invite':
+                await this.inviteToGroup(userKey);
+                break;
+        }
+    }
+
+    /**
+     * Invite a friend into the open group
+     * @param {string} friendKey - Friend's key
+     */
+    async inviteToGroup(friendKey) {
+        const friend = this.chatManager.friends.find(f => f.key === friendKey);
+        if (!friend) return;
+
+        await this.changeGroup(chat => this.chatManager.addGroupMembers(chat, this.currentUserKey, [
+            { key: friend.key, username: friend.username }
+        ]).length > 0);
+    }
+
+    /**
+     * Remove a member from the open group
+     * @param {string} memberKey - Member's key
+     */
+    async removeGroupMember(memberKey) {
+        await this.changeGroup(chat => this.chatManager.removeGroupMember(chat, this.currentUserKey, memberKey));
+    }
+
+    /**
+     * Promote or demote a member of the open group
+     * @param {string} memberKey - Member's key
+     * @param {string} role - admin or member
+     */
+    async setGroupMemberRole(memberKey, role) {
+        await this.changeGroup(chat => this.chatManager.setMemberRole(chat, this.currentUserKey, memberKey, role));
+    }
+
+    /**
+     * Leave the open group
+     */
+    async leaveGroup() {
+        if (!confirm('Покинуть группу? Новые сообщения больше не будут приходить.')) return;
+
+        const left = await this.changeGroup(chat => this.chatManager.leaveGroup(chat, this.currentUserKey));
+        if (left) {
+            this.closeGroupModal();
+        }
+    }
+
+    /**
+     * Apply a membership change to the open group, save it and send it to the members
+     * @param {Function} change - Receives the chat, returns true if it changed it
+     * @returns {Promise<boolean>} True if the group was changed
+     */
+    async changeGroup(change) {
+        const chat = this.currentChat;
+        const previousParticipants = [...(chat.participants || [])];
+
+        if (!change(chat)) {
+            alert('Недостаточно прав для этого действия');
+            return false;
+        }
+
+        try {
+            await this.saveUserData();
+            await this.deliverGroupUpdate(chat, previousParticipants);
+        } catch (error) {
+            console.error('Error updating group:', error);
+            alert('Ошибка при изменении группы. Попробуйте еще раз.');
+        }
+
+        this.renderGroupInfo();
+        return true;
+    }
+
+    /**
+     * Send group metadata to its members
+     * @param {Object} chat - Group chat
+     * @param {Array} previousParticipants - Member keys before the change
+     */
+    async deliverGroupUpdate(chat, previousParticipants) {
+        try {
+            await this.deliver({ kind: 'group', chatId: chat.id, previousParticipants });
+        } catch (error) {
+            // Saved locally, members get the change on the next update
+            console.error('Error delivering group update:', error);
         }
     }
 
@@ -1365,6 +10596,10 @@ class MMessengerApp {
     showAccountModal() {
         document.getElementById('accountUsername').textContent = this.currentUser;
         document.getElementById('accountKey').textContent = this.currentUserKey;
+        document.getElementById('backendUrlInput').value = this.storage.getBackendUrl();
+        this.hideRecoveryPhrase();
+        this.updatePinField();
+        this.updateNotificationsField();
         
         // Update friend requests badge
         this.updateFriendRequestsBadge();
@@ -1397,56 +10632,261 @@ class MMessengerApp {
     }
 
     /**
-     * Copy user key to clipboard
+     * Save sync server URL from account modal
+     */
+    async saveBackendUrl() {
+        const input = document.getElementById('backendUrlInput');
+        const url = input.value.trim();
+
+        if (url && !/^https?:\/\//i.test(url)) {
+            alert('Адрес сервера должен начинаться с http:// или https://');
+            return;
+        }
+
+        this.storage.setBackendUrl(url);
+        const btn = event.target;
+        this.ui.showButtonFeedback(btn, 'Сохранено!', 'linear-gradient(180deg, #4caf50 0%, #2e7d32 100%)');
+
+        // Push local data to the new server and pull what it already has
+        await this.saveUserData();
+        await this.syncFromCloud();
+    }
+
+    /**
+     * Copy user ID to clipboard
      */
     async copyKey() {
         try {
-            await navigator.clipboard.writeText(this.currentUserKey);
+            await this.bridge.copyText(this.currentUserKey);
             const btn = document.querySelector('.copy-btn');
             this.ui.showButtonFeedback(btn, 'Скопировано!', 'linear-gradient(180deg, #4caf50 0%, #2e7d32 100%)');
         } catch (error) {
             console.error('Error copying key:', error);
-            alert('Не удалось скопировать ключ');
+            alert('Не удалось скопировать ID');
+        }
+    }
+
+    /**
+     * Share user ID so a friend can send a request
+     */
+    async shareKey() {
+        await this.shareText('Мой ID в MMessenger', `Добавьте меня в друзья в MMessenger: ${this.currentUserKey}`);
+    }
+
+    /**
+     * Build the recovery phrase of the current account
+     * @returns {Promise<string|null>} Phrase or null if the secret is not on this device
+     */
+    async getRecoveryPhrase() {
+        if (this.chatManager.secretDerivedId) {
+            const secret = this.crypto.loadAccountSecret(this.currentUserKey);
+            if (!secret) {
+                return null;
+            }
+            // Older accounts hash the secret itself into their ID
+            const version = await this.crypto.deriveUserId(secret) === this.currentUserKey
+                ? this.recoveryPhrase.VERSION_SECRET
+                : this.recoveryPhrase.VERSION_KEY_ID;
+            return this.recoveryPhrase.encode(version, secret);
+        }
+
+        // Older accounts have no secret: the phrase carries the key itself
+        const legacyKey = new TextEncoder().encode(this.currentUserKey);
+        if (legacyKey.length !== this.recoveryPhrase.PAYLOAD_LENGTH) {
+            return null;
+        }
+        return this.recoveryPhrase.encode(this.recoveryPhrase.VERSION_LEGACY_KEY, legacyKey);
+    }
+
+    /**
+     * Explain what the recovery phrase of the current account can't restore
+     * @returns {Promise<string>} Note to show under the phrase, empty if it restores everything
+     */
+    async getRecoveryPhraseNote() {
+        const backupHint = 'Ключи шифрования она не восстанавливает: сохраните резервную копию, иначе на новом устройстве аккаунт не открыть.';
+        if (!this.chatManager.secretDerivedId) {
+            return `Аккаунт создан до появления фраз: фраза содержит только ваш ID. ${backupHint}`;
+        }
+
+        // Accounts created before keys were derived from the secret have random keys
+        const secret = this.crypto.loadAccountSecret(this.currentUserKey);
+        const stored = this.crypto.loadKeyPair(this.currentUserKey);
+        const derived = secret && stored ? await this.crypto.deriveKeyPair(secret) : null;
+        if (derived && !this.crypto.isSameKey(derived.signingPublicKey, stored.signingPublicKey)) {
+            return `Аккаунт создан до того, как ключи стали выводиться из фразы. ${backupHint}`;
+        }
+        return '';
+    }
+
+    /**
+     * Reveal the recovery phrase in account modal after a warning
+     */
+    async showRecoveryPhrase() {
+        const phrase = await this.getRecoveryPhrase();
+        if (!phrase) {
+            alert('Фраза восстановления недоступна на этом устройстве. Восстановите аккаунт по фразе или из резервной копии.');
+            return;
+        }
+
+        if (!confirm('Фраза восстановления даёт полный доступ к аккаунту. Не показывайте её никому и храните в надёжном месте. Показать?')) {
+            return;
+        }
+
+        const note = await this.getRecoveryPhraseNote();
+        document.getElementById('recoveryPhrase').textContent = phrase;
+        document.getElementById('recoveryPhraseNote').textContent = note;
+        document.getElementById('recoveryPhraseNote').style.display = note ? '' : 'none';
+        document.getElementById('recoveryPhraseBox').style.display = '';
+        document.getElementById('showRecoveryPhraseBtn').style.display = 'none';
+    }
+
+    /**
+     * Hide the recovery phrase in account modal
+     */
+    hideRecoveryPhrase() {
+        document.getElementById('recoveryPhrase').textContent = '';
+        document.getElementById('recoveryPhraseBox').style.display = 'none';
+        document.getElementById('showRecoveryPhraseBtn').style.display = '';
+    }
+
+    /**
+     * Copy recovery phrase to clipboard
+     */
+    async copyRecoveryPhrase() {
+        try {
+            await this.bridge.copyText(document.getElementById('recoveryPhrase').textContent);
+            const btn = document.getElementById('copyRecoveryPhraseBtn');
+            this.ui.showButtonFeedback(btn, 'Скопировано!', 'linear-gradient(180deg, #4caf50 0%, #2e7d32 100%)');
+        } catch (error) {
+            console.error('Error copying recovery phrase:', error);
+            alert('Не удалось скопировать фразу');
         }
     }
 
     /**
-     * Logout user
+     * Sign out of the open account and remove it from this device's account
+     * list. Its data stays on the device for a later restore.
      */
-    logout() {
+    async logout() {
+        if (!confirm(`Выйти из аккаунта "${this.currentUser}"?\nОн пропадёт из списка аккаунтов, для входа понадобится фраза восстановления.`)) {
+            return;
+        }
+
+        await this.saveUserData();
+        this.storage.forgetAccount(this.currentUserKey);
         this.storage.clearCurrentUser();
-        this.currentUser = '';
-        this.currentUserKey = '';
-        this.currentChat = null;
-        this.chatManager.chats = [];
-        this.chatManager.friends = [];
-        this.ui.showScreen('welcomeScreen');
+        this.resetSession();
+        this.showWelcomeScreen();
+    }
+
+    /**
+     * Show account switcher
+     */
+    showAccountsModal() {
+        this.closeAccountModal();
+        this.ui.renderAccountList('accountsList', this.storage.getAccounts(), this.currentUserKey);
+        this.ui.showModal('accountsModal');
+    }
+
+    /**
+     * Close account switcher
+     */
+    closeAccountsModal() {
+        this.ui.hideModal('accountsModal');
+    }
+
+    /**
+     * Show PIN state of the open account in account modal
+     */
+    updatePinField() {
+        const account = this.storage.getAccounts().find(item => item.key === this.currentUserKey);
+        const hasPin = !!(account && account.pin);
+
+        document.getElementById('pinStatus').textContent = hasPin ? 'Включён' : 'Не установлен';
+        document.getElementById('setPinBtn').textContent = hasPin ? 'Изменить' : 'Установить';
+        document.getElementById('removePinBtn').style.display = hasPin ? '' : 'none';
+    }
+
+    /**
+     * Show PIN modal
+     */
+    showPinModal() {
+        if (!this.crypto.isSupported()) {
+            alert('PIN-код доступен только при защищённом соединении (HTTPS).');
+            return;
+        }
+
+        document.getElementById('newPinInput').value = '';
+        document.getElementById('newPinConfirm').value = '';
+        this.closeAccountModal();
+        this.ui.showModal('pinModal');
+    }
+
+    /**
+     * Close PIN modal
+     */
+    closePinModal() {
+        this.ui.hideModal('pinModal');
+    }
+
+    /**
+     * Set PIN of the open account
+     */
+    async savePin() {
+        const pin = document.getElementById('newPinInput').value;
+        const confirmPin = document.getElementById('newPinConfirm').value;
+
+        if (!/^\d{4,8}$/.test(pin)) {
+            alert('PIN-код должен состоять из 4–8 цифр');
+            return;
+        }
+        if (pin !== confirmPin) {
+            alert('PIN-коды не совпадают');
+            return;
+        }
+
+        try {
+            this.storage.setAccountPin(this.currentUserKey, await this.crypto.hashPin(pin));
+            this.closePinModal();
+            alert('PIN-код установлен. Он будет запрашиваться при входе в этот аккаунт.');
+        } catch (error) {
+            console.error('Error setting PIN:', error);
+            alert('Не удалось установить PIN-код');
+        }
+    }
+
+    /**
+     * Remove PIN of the open account
+     */
+    removePin() {
+        if (!confirm('Убрать PIN-код с этого аккаунта?')) return;
+
+        this.storage.setAccountPin(this.currentUserKey, null);
+        this.updatePinField();
     }
 
     /**
      * Refresh chats
      */
-    refreshChats() {
+    async refreshChats() {
+        const btn = event.target;
         try {
-            this.chatManager.loadChats(this.currentUserKey);
-            this.ui.renderChatList(this.chatManager.chats);
+            await this.syncFromCloud();
             
-            const btn = event.target;
             this.ui.showButtonFeedback(btn, '✓', 'linear-gradient(180deg, #4caf50 0%, #2e7d32 100%)');
         } catch (error) {
             console.error('Error refreshing chats:', error);
-            alert('Ошибка при обновлении чатов. Попробуйте восстановить данные по ключу.');
+            alert('Ошибка при обновлении чатов. Попробуйте восстановить данные по фразе восстановления.');
         }
     }
 
     /**
      * Show friends modal
      */
-    showFriendsModal() {
+    async showFriendsModal() {
         this.closeAccountModal();
-        // Reload chats to get latest friend requests
-        this.chatManager.loadChats(this.currentUserKey);
-        this.ui.renderFriendsList(this.chatManager.friends);
+        await this.checkInbox();
+        this.renderFriendLists();
         this.ui.showModal('friendsModal');
     }
 
@@ -1457,92 +10897,225 @@ class MMessengerApp {
         this.ui.hideModal('friendsModal');
     }
 
-    /**
-     * Show friend requests modal
-     */
-    showFriendRequestsModal() {
-        this.closeFriendsModal();
-        // Reload chats to get latest friend requests
-        this.chatManager.loadChats(this.currentUserKey);
-        this.ui.renderFriendRequests(this.chatManager.friendRequests);
-        this.ui.showModal('friendRequestsModal');
+    /**
+     * Show friend requests modal
+     */
+    async showFriendRequestsModal() {
+        this.closeFriendsModal();
+        await this.checkInbox();
+        this.renderFriendLists();
+        this.ui.showModal('friendRequestsModal');
+    }
+
+    /**
+     * Close friend requests modal
+     */
+    closeFriendRequestsModal() {
+        this.ui.hideModal('friendRequestsModal');
+    }
+
+    /**
+     * Show search modal
+     */
+    showSearchModal() {
+        this.closeFriendsModal();
+        this.ui.showModal('searchFriendsModal');
+    }
+
+    /**
+     * Close search modal
+     */
+    closeSearchModal() {
+        this.ui.hideModal('searchFriendsModal');
+        document.getElementById('searchInput').value = '';
+        document.getElementById('searchResults').innerHTML = '';
+    }
+
+    /**
+     * Search users
+     */
+    async searchUsers() {
+        const searchTerm = document.getElementById('searchInput').value.trim();
+        
+        if (searchTerm.length < 2) {
+            document.getElementById('searchResults').innerHTML = 
+                '<div style="text-align: center; padding: 20px; color: #666;">Введите минимум 2 символа</div>';
+            return;
+        }
+
+        // Show loading indicator
+        document.getElementById('searchResults').innerHTML = 
+            '<div style="text-align: center; padding: 20px; color: #666;">Поиск пользователей...</div>';
+
+        try {
+            const users = await this.chatManager.searchUsers(searchTerm, this.currentUserKey);
+            this.ui.renderSearchResults(users, this.chatManager.friends, this.chatManager.sentFriendRequests);
+        } catch (error) {
+            console.error('Error searching users:', error);
+            document.getElementById('searchResults').innerHTML = 
+                '<div style="text-align: center; padding: 20px; color: #d32f2f;">Ошибка при поиске пользователей</div>';
+        }
+    }
+
+    /**
+     * Show message search modal
+     */
+    showMessageSearchModal() {
+        this.ui.showModal('messageSearchModal');
+        document.getElementById('messageSearchInput').focus();
+    }
+
+    /**
+     * Close message search modal
+     */
+    closeMessageSearchModal() {
+        this.ui.hideModal('messageSearchModal');
+        document.getElementById('messageSearchInput').value = '';
+        document.getElementById('messageSearchResults').innerHTML = '';
+        this.messageSearchHits = [];
+    }
+
+    /**
+     * Search messages in all chats
+     */
+    async searchMessages() {
+        const query = document.getElementById('messageSearchInput').value.trim();
+        const results = document.getElementById('messageSearchResults');
+        const searchId = ++this.messageSearchId;
+
+        if (query.length < 2) {
+            results.innerHTML =
+                '<div style="text-align: center; padding: 20px; color: #666;">Введите минимум 2 символа</div>';
+            return;
+        }
+
+        // The first search reads every chat's history, which takes a moment
+        results.innerHTML =
+            '<div style="text-align: center; padding: 20px; color: #666;">Поиск сообщений...</div>';
+
+        try {
+            const hits = await this.chatManager.searchMessages(query, this.currentUserKey);
+            // A newer query was typed while this one was running
+            if (searchId !== this.messageSearchId) return;
+
+            this.messageSearchHits = hits;
+            this.ui.renderMessageSearchResults(hits);
+        } catch (error) {
+            console.error('Error searching messages:', error);
+            results.innerHTML =
+                '<div style="text-align: center; padding: 20px; color: #d32f2f;">Ошибка при поиске сообщений</div>';
+        }
     }
 
     /**
-     * Close friend requests modal
+     * Open the chat of a search hit scrolled to the found message
+     * @param {number} index - Hit index in the last results
      */
-    closeFriendRequestsModal() {
-        this.ui.hideModal('friendRequestsModal');
+    async openSearchResult(index) {
+        const hit = this.messageSearchHits[index];
+        const chat = hit && this.chatManager.chats.find(c => c.id === hit.chatId);
+        this.closeMessageSearchModal();
+        if (!chat) return;
+
+        this.openChat(chat);
+        await this.jumpToMessage(hit.messageId, 'Сообщение больше недоступно');
     }
 
     /**
-     * Show search modal
+     * Apply friend requests and answers, messages and other chat changes
+     * waiting in the inbox
+     * @param {boolean} refresh - Reload the chats if the inbox changed them
      */
-    showSearchModal() {
-        this.closeFriendsModal();
-        this.ui.showModal('searchFriendsModal');
+    async checkInbox(refresh = true) {
+        if (!this.currentUserKey) return;
+
+        try {
+            const { friendsChanged, chatsChanged, unsynced } =
+                await this.chatManager.processInbox(this.currentUserKey, this.currentUser);
+            if (friendsChanged) {
+                this.renderFriendLists();
+                this.updateFriendRequestsBadge();
+            }
+            if (chatsChanged && refresh) {
+                await this.refreshFromStorage();
+            }
+
+            // Saved on this device only, the sync server gets it later
+            if (unsynced.meta) {
+                this.outbox.enqueue('sync', 'sync');
+            }
+            unsynced.messages.forEach(({ chatId, messageId }) => {
+                this.outbox.enqueue('push', `push:${chatId}:${messageId}`, { chatId, messageId });
+            });
+        } catch (error) {
+            console.error('Error checking inbox:', error);
+        }
     }
 
     /**
-     * Close search modal
+     * Render friends, requests and blocked users in the friend modals
      */
-    closeSearchModal() {
-        this.ui.hideModal('searchFriendsModal');
-        document.getElementById('searchInput').value = '';
-        document.getElementById('searchResults').innerHTML = '';
+    renderFriendLists() {
+        this.ui.renderFriendsList(this.chatManager.friends, this.chatManager.blockedUsers);
+        this.ui.renderFriendRequests(this.chatManager.friendRequests, this.chatManager.sentFriendRequests);
     }
 
     /**
-     * Search users
+     * Send a friend request and explain why it was not sent
+     * @param {string} userKey - Target user's key
+     * @returns {Promise<boolean>} True if the request was sent
      */
-    async searchUsers() {
-        const searchTerm = document.getElementById('searchInput').value.trim();
-        
-        if (searchTerm.length < 2) {
-            document.getElementById('searchResults').innerHTML = 
-                '<div style="text-align: center; padding: 20px; color: #666;">Введите минимум 2 символа</div>';
-            return;
+    async requestFriendship(userKey) {
+        if (userKey === this.currentUserKey) {
+            alert('Нельзя отправить заявку самому себе!');
+            return false;
         }
 
-        // Show loading indicator
-        document.getElementById('searchResults').innerHTML = 
-            '<div style="text-align: center; padding: 20px; color: #666;">Поиск пользователей...</div>';
+        if (this.chatManager.isBlocked(userKey)) {
+            alert('Вы заблокировали этого пользователя. Разблокируйте его в списке друзей, чтобы отправить заявку.');
+            return false;
+        }
+
+        if (this.chatManager.friends.some(friend => friend.key === userKey)) {
+            alert('Этот пользователь уже в ваших друзьях!');
+            return false;
+        }
 
         try {
-            const users = await this.chatManager.searchUsers(searchTerm, this.currentUserKey);
-            this.ui.renderSearchResults(users, this.chatManager.friends, this.chatManager.sentFriendRequests);
+            if (!await this.chatManager.sendFriendRequest(userKey, this.currentUserKey, this.currentUser)) {
+                alert('Заявка уже отправлена этому пользователю!');
+                return false;
+            }
         } catch (error) {
-            console.error('Error searching users:', error);
-            document.getElementById('searchResults').innerHTML = 
-                '<div style="text-align: center; padding: 20px; color: #d32f2f;">Ошибка при поиске пользователей</div>';
+            console.error('Error sending friend request:', error);
+            alert(error.code === 'not-found' ?
+                'Пользователь не найден! Проверьте правильность ID.' :
+                'Не удалось отправить заявку. Проверьте подключение к серверу.');
+            return false;
         }
+
+        await this.saveUserData();
+        this.renderFriendLists();
+        return true;
     }
 
     /**
      * Send friend request by username
      * @param {string} username - Username to send request to
      */
-    sendFriendRequestByName(username) {
-        const userKey = this.storage.getUserKeyByUsername(username);
+    async sendFriendRequestByName(username) {
+        const btn = event.target;
+        const userKey = await this.storage.getUserKeyByUsername(username);
         
         if (!userKey) {
             alert('Пользователь не найден!');
             return;
         }
 
-        if (userKey === this.currentUserKey) {
-            alert('Нельзя отправить заявку самому себе!');
-            return;
-        }
-
-        if (this.chatManager.sendFriendRequest(userKey, this.currentUserKey, this.currentUser)) {
-            await this.saveUserData();
+        if (await this.requestFriendship(userKey)) {
             this.searchUsers(); // Refresh search results
             
-            const btn = event.target;
             this.ui.showButtonFeedback(btn, 'Заявка отправлена!', 'linear-gradient(180deg, #ffa726 0%, #f57c00 100%)');
-        } else {
-            alert('Заявка уже отправлена этому пользователю!');
         }
     }
 
@@ -1552,12 +11125,15 @@ class MMessengerApp {
      * @param {string} requesterUsername - Requester's username
      */
     async acceptFriendRequest(requesterKey, requesterUsername) {
-        this.chatManager.acceptFriendRequest(requesterKey, requesterUsername, this.currentUserKey, this.currentUser);
+        try {
+            await this.chatManager.acceptFriendRequest(requesterKey, requesterUsername, this.currentUserKey, this.currentUser);
+        } catch (error) {
+            // Accepted on our side, they get the answer when they ask again
+            console.error('Error answering friend request:', error);
+        }
         await this.saveUserData();
-        
-        // Reload data to get updates
-        this.chatManager.loadChats(this.currentUserKey);
-        this.ui.renderFriendRequests(this.chatManager.friendRequests);
+
+        this.renderFriendLists();
         this.updateFriendRequestsBadge();
         
         alert(`${requesterUsername} добавлен в друзья!`);
@@ -1568,33 +11144,76 @@ class MMessengerApp {
      * @param {string} requesterKey - Requester's key
      */
     async rejectFriendRequest(requesterKey) {
-        this.chatManager.rejectFriendRequest(requesterKey);
+        try {
+            await this.chatManager.rejectFriendRequest(requesterKey, this.currentUserKey, this.currentUser);
+        } catch (error) {
+            console.error('Error answering friend request:', error);
+        }
         await this.saveUserData();
-        
-        // Reload data
-        this.chatManager.loadChats(this.currentUserKey);
-        this.ui.renderFriendRequests(this.chatManager.friendRequests);
+
+        this.renderFriendLists();
         this.updateFriendRequestsBadge();
     }
 
     /**
-     * Add friend (legacy method for direct adding)
-     * @param {string} userKey - User's unique key
-     * @param {string} username - Username
+     * Cancel an outgoing friend request
+     * @param {string} targetKey - Target user's key
      */
-    addFriend(userKey, username) {
-        if (userKey === this.currentUserKey) {
-            alert('Нельзя добавить самого себя в друзья!');
+    async cancelFriendRequest(targetKey) {
+        try {
+            await this.chatManager.cancelFriendRequest(targetKey, this.currentUserKey, this.currentUser);
+        } catch (error) {
+            console.error('Error cancelling friend request:', error);
+        }
+        await this.saveUserData();
+        this.renderFriendLists();
+    }
+
+    /**
+     * Remove a friend after confirmation
+     * @param {string} friendKey - Friend's key
+     * @param {string} friendUsername - Friend's username
+     */
+    async removeFriend(friendKey, friendUsername) {
+        if (!confirm(`Удалить ${friendUsername} из друзей? Переписка сохранится.`)) {
             return;
         }
 
-        if (this.chatManager.addFriend(userKey, username)) {
-            await this.saveUserData();
-            this.searchUsers(); // Refresh search results
-            
-            const btn = event.target;
-            this.ui.showButtonFeedback(btn, 'Добавлен!', 'linear-gradient(180deg, #4caf50 0%, #2e7d32 100%)');
+        try {
+            await this.chatManager.removeFriend(friendKey, this.currentUserKey, this.currentUser);
+        } catch (error) {
+            console.error('Error removing friend:', error);
+        }
+        await this.saveUserData();
+        this.renderFriendLists();
+    }
+
+    /**
+     * Block a user after confirmation
+     * @param {string} userKey - User's key
+     * @param {string} username - Username
+     */
+    async blockUser(userKey, username) {
+        if (!confirm(`Заблокировать ${username}? Пользователь будет удалён из друзей, его заявки и личные сообщения перестанут приходить.`)) {
+            return;
         }
+
+        await this.chatManager.blockUser(userKey, username, this.currentUserKey, this.currentUser);
+        await this.saveUserData();
+
+        this.renderFriendLists();
+        this.updateFriendRequestsBadge();
+        this.renderChatList();
+    }
+
+    /**
+     * Unblock a user
+     * @param {string} userKey - User's key
+     */
+    async unblockUser(userKey) {
+        this.chatManager.unblockUser(userKey);
+        await this.saveUserData();
+        this.renderFriendLists();
     }
 
     /**
@@ -1602,7 +11221,7 @@ class MMessengerApp {
      * @param {string} friendKey - Friend's unique key
      * @param {string} friendUsername - Friend's username
      */
-    startChatWithFriend(friendKey, friendUsername) {
+    async startChatWithFriend(friendKey, friendUsername) {
         let chat = this.chatManager.findPrivateChat(friendKey);
 
         if (!chat) {
@@ -1615,77 +11234,161 @@ class MMessengerApp {
     }
 
     /**
-     * Handle typing indicator
+     * Send a throttled typing signal while the user types in the open chat
      */
     handleTyping() {
+        const target = this.currentChat ? this.getTypingTarget(this.currentChat) : null;
+        if (!target) return;
+
+        this.presence.setTyping(target);
+
         if (this.typingTimeout) {
             clearTimeout(this.typingTimeout);
         }
+        this.typingTimeout = setTimeout(() => this.stopTyping(), this.TYPING_IDLE_TIMEOUT);
+    }
 
-        this.startTyping();
-        this.typingTimeout = setTimeout(() => {
-            this.stopTyping();
-        }, 1000);
+    /**
+     * Stop the typing signal
+     */
+    stopTyping() {
+        if (this.typingTimeout) {
+            clearTimeout(this.typingTimeout);
+            this.typingTimeout = null;
+        }
+        this.presence.clearTyping();
     }
 
     /**
-     * Start typing indicator
+     * Get what a typing signal in a chat points at: the peer for private
+     * chats (their copy of the chat has a different id), the group id for groups
+     * @param {Object} chat - Chat object
+     * @returns {string|null} Typing target or null for local chats
      */
-    startTyping() {
-        if (!this.ui.isTyping && this.currentChat) {
-            this.ui.isTyping = true;
-            this.ui.showTypingIndicator(this.currentUser);
-            this.simulateTypingIndicator();
+    getTypingTarget(chat) {
+        if (chat.type === 'private' && chat.participants) {
+            return chat.participants.find(key => key !== this.currentUserKey) || null;
         }
+        return chat.type === 'group' ? chat.id : null;
     }
 
     /**
-     * Stop typing indicator
+     * Get names of users typing in a chat
+     * @param {Object} chat - Chat object
+     * @returns {Array} Usernames
      */
-    stopTyping() {
-        if (this.ui.isTyping) {
-            this.ui.isTyping = false;
-            this.ui.hideTypingIndicator();
+    getTypingUsers(chat) {
+        if (chat.type === 'private' && chat.participants) {
+            const peerKey = this.getTypingTarget(chat);
+            return peerKey && this.presence.isTypingTo(peerKey, this.currentUserKey) ? [chat.name] : [];
+        }
+        if (chat.type === 'group') {
+            return (chat.members || [])
+                .filter(member => member.key !== this.currentUserKey && this.presence.isTypingTo(member.key, chat.id))
+                .map(member => member.username);
+        }
+        return [];
+    }
+
+    /**
+     * Get the status line of a chat: who is typing, or online / last seen
+     * @param {Object} chat - Chat object
+     * @returns {Object} { text, typing }
+     */
+    getChatStatus(chat) {
+        const typers = this.getTypingUsers(chat);
+        if (typers.length > 0) {
+            const text = chat.type === 'private'
+                ? 'печатает...'
+                : `${typers.join(', ')} ${typers.length === 1 ? 'печатает' : 'печатают'}...`;
+            return { text, typing: true };
+        }
 
-            if (this.typingTimeout) {
-                clearTimeout(this.typingTimeout);
-                this.typingTimeout = null;
+        if (chat.type === 'private' && chat.participants) {
+            const peerKey = this.getTypingTarget(chat);
+            if (this.presence.isOnline(peerKey)) {
+                return { text: 'в сети', typing: false };
             }
+            const lastSeen = this.presence.getLastSeen(peerKey);
+            return { text: lastSeen ? `был(а) в сети ${this.formatLastSeen(lastSeen)}` : '', typing: false };
+        }
+
+        if (chat.type === 'group') {
+            const members = chat.participants || [];
+            const online = members.filter(key => key !== this.currentUserKey && this.presence.isOnline(key)).length;
+            return { text: `участников: ${members.length}${online > 0 ? `, в сети: ${online}` : ''}`, typing: false };
         }
+
+        return { text: '', typing: false };
     }
 
     /**
-     * Simulate typing from other users
+     * Format a last-seen time relative to today
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} "в 14:05" or "12.10 в 14:05"
      */
-    simulateTypingIndicator() {
-        if (this.currentChat && this.currentChat.type === 'private') {
-            const otherParticipant = this.currentChat.participants.find(p => p !== this.currentUserKey);
-            if (otherParticipant) {
-                try {
-                    const otherUserData = this.storage.loadUserData(otherParticipant);
-                    if (otherUserData) {
-                        setTimeout(() => {
-                            if (Math.random() > 0.7) {
-                                this.showTypingFromOther(otherUserData.username);
-                            }
-                        }, 1000 + Math.random() * 2000);
-                    }
-                } catch (error) {
-                    console.log('Error getting user data:', error);
-                }
-            }
+    formatLastSeen(timestamp) {
+        const date = new Date(timestamp);
+        const time = `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+        if (date.toDateString() === new Date().toDateString()) {
+            return `в ${time}`;
         }
+        const day = `${date.getDate().toString().padStart(2, '0')}.${(date.getMonth() + 1).toString().padStart(2, '0')}`;
+        return `${day} в ${time}`;
     }
 
     /**
-     * Show typing from other user
-     * @param {string} username - Username who is typing
+     * Update the status line of the open chat
      */
-    showTypingFromOther(username) {
-        this.ui.showTypingIndicator(username);
-        setTimeout(() => {
-            this.ui.hideTypingIndicator();
-        }, 2000 + Math.random() * 3000);
+    updateChatStatus() {
+        if (!this.currentChat) return;
+        const status = this.getChatStatus(this.currentChat);
+        this.ui.renderChatStatus(status.text, status.typing);
+    }
+
+    /**
+     * Start publishing own presence and polling presence of friends and chat members
+     */
+    startPresence() {
+        this.presence.setUser(this.currentUserKey);
+        this.presence.publish();
+        this.pollPresence();
+
+        if (this.presenceTimers.length === 0) {
+            this.presenceTimers.push(setInterval(() => {
+                if (!document.hidden) this.presence.publish();
+            }, this.presence.HEARTBEAT_INTERVAL));
+            this.presenceTimers.push(setInterval(() => this.pollPresence(), this.PRESENCE_POLL_INTERVAL));
+            this.presenceTimers.push(setInterval(() => this.syncFromCloud(), this.SYNC_POLL_INTERVAL));
+        }
+    }
+
+    /**
+     * Stop presence signals, the last-seen time stays where it was
+     */
+    stopPresence() {
+        this.presenceTimers.forEach(timer => clearInterval(timer));
+        this.presenceTimers = [];
+        this.presence.setUser(null);
+    }
+
+    /**
+     * Poll presence and refresh whatever shows it
+     */
+    async pollPresence() {
+        if (!this.currentUserKey || document.hidden) return;
+
+        const keys = new Set(this.chatManager.friends.map(friend => friend.key));
+        this.chatManager.chats.forEach(chat => (chat.participants || []).forEach(key => keys.add(key)));
+        keys.delete(this.currentUserKey);
+
+        await this.presence.refresh([...keys]);
+
+        if (this.ui.currentScreen === 'chatScreen') {
+            this.updateChatStatus();
+        } else if (this.ui.currentScreen === 'chatsScreen') {
+            this.renderChatList();
+        }
     }
 
     /**
@@ -1705,38 +11408,269 @@ class MMessengerApp {
     }
 
     /**
-     * Restore chats from key
+     * Turn restore input into an account key
+     * @param {string} input - Recovery phrase or, for older accounts, the key
+     * @returns {Promise<Object>} { userKey, secret } where secret is null for a raw key
+     */
+    async parseRestoreInput(input) {
+        if (!this.recoveryPhrase.isPhrase(input)) {
+            return { userKey: input, secret: null };
+        }
+
+        const { version, payload } = this.recoveryPhrase.decode(input);
+        if (version === this.recoveryPhrase.VERSION_LEGACY_KEY) {
+            return { userKey: new TextDecoder().decode(payload), secret: null };
+        }
+        if (!this.crypto.isSupported()) {
+            throw Object.assign(new Error('WebCrypto is not available'), { code: 'unsupported' });
+        }
+        const userKey = version === this.recoveryPhrase.VERSION_SECRET
+            ? await this.crypto.deriveUserId(payload)
+            : await this.crypto.deriveAccountId(payload);
+        return { userKey, secret: payload };
+    }
+
+    /**
+     * Restore chats from recovery phrase or key
      */
-    restoreChats() {
+    async restoreChats() {
         const keyInput = document.getElementById('restoreKeyInput');
-        const restoreKey = keyInput.value.trim();
+        const input = keyInput.value.trim();
+
+        if (!input) {
+            alert('Введите фразу восстановления!');
+            return;
+        }
 
-        if (!restoreKey) {
-            alert('Введите ключ для восстановления!');
+        let account;
+        try {
+            account = await this.parseRestoreInput(input);
+        } catch (error) {
+            console.error('Error reading recovery phrase:', error);
+            const messages = {
+                'bad-length': 'Фраза восстановления должна состоять из 18 слов.',
+                'unknown-word': `Слово "${error.word}" не входит в словарь фраз восстановления.`,
+                'bad-checksum': 'Фраза восстановления введена с ошибкой: проверьте слова и их порядок.',
+                'unknown-version': 'Фраза восстановления введена с ошибкой: проверьте слова и их порядок.',
+                'unsupported': 'Для восстановления по фразе нужно защищённое соединение (HTTPS).'
+            };
+            alert(messages[error.code] || 'Не удалось прочитать фразу восстановления.');
             return;
         }
 
+        const restoreKey = account.userKey;
         try {
-            const userData = this.storage.loadUserData(restoreKey);
-            if (!userData) {
-                alert('Данные с таким ключом не найдены!');
+            // Until the account's keys are here only its public profile can be read
+            const profile = await this.storage.fetchUserProfile(restoreKey);
+            if (!profile) {
+                alert('Аккаунт не найден!');
+                return;
+            }
+
+            // A public ID is not enough to sign in to accounts that have a secret
+            if (profile.secretDerivedId && !account.secret) {
+                alert('Этот аккаунт восстанавливается только по фразе восстановления.');
+                return;
+            }
+
+            const keys = await this.findRestoreKeys(restoreKey, account.secret, profile);
+            if (!keys) {
+                alert('Ключи шифрования этого аккаунта не восстанавливаются по фразе: он создан до того, как они стали выводиться из неё. Восстановите аккаунт из резервной копии.');
                 return;
             }
 
-            if (confirm(`Восстановить данные пользователя "${userData.username}"?\nЭто заменит ваши текущие чаты и друзей.`)) {
-                this.currentUserKey = restoreKey;
-                this.currentUser = userData.username;
-                this.chatManager.loadChats(restoreKey);
-                this.storage.setCurrentUserKey(restoreKey);
+            if (confirm(`Войти в аккаунт "${profile.username}"?\nОн добавится в список аккаунтов этого устройства.`)) {
+                if (account.secret) {
+                    this.crypto.saveAccountSecret(restoreKey, account.secret);
+                }
+                if (keys.keyPair) {
+                    this.crypto.saveKeyPair(restoreKey, keys.keyPair);
+                    this.crypto.clearCache();
+                }
+
+                // The server gives the chats to requests signed with the restored keys
+                const userData = await this.storage.fetchUserData(restoreKey);
+                if (!userData) {
+                    alert('Аккаунт не найден!');
+                    return;
+                }
 
-                this.ui.renderChatList(this.chatManager.chats);
-                this.closeRestoreModal();
+                await this.saveUserData();
+                this.resetSession();
+                // An account of this device with a PIN asks for it first
+                if (!await this.openAccount(restoreKey)) return;
 
                 alert(`Данные успешно восстановлены!\nПользователь: ${userData.username}\nЧатов: ${this.chatManager.chats.length}\nДрузей: ${this.chatManager.friends.length}`);
             }
         } catch (error) {
             console.error('Error restoring data:', error);
-            alert('Ошибка при восстановлении данных. Проверьте правильность ключа.');
+            alert('Ошибка при восстановлении данных. Проверьте подключение к серверу и попробуйте снова.');
+        }
+    }
+
+    /**
+     * Find the keys of an account being restored: the ones already on this
+     * device, or the ones derived from the secret of its recovery phrase.
+     * They have to be the keys the account published, or friends would drop
+     * its envelopes, its history couldn't be decrypted and the server would
+     * refuse its requests.
+     * @param {string} userKey - Account being restored
+     * @param {Uint8Array|null} secret - Account secret from the phrase
+     * @param {Object} profile - Account's public profile
+     * @returns {Promise<Object|null>} { keyPair: derived keys to store, or null to keep
+     *     what this device has }, null if the published keys can't be restored
+     */
+    async findRestoreKeys(userKey, secret, profile) {
+        const stored = this.crypto.loadKeyPair(userKey);
+        if (stored && (!profile.signingKey || this.crypto.isSameKey(stored.signingPublicKey, profile.signingKey))) {
+            return { keyPair: null };
+        }
+
+        const derived = secret ? await this.crypto.deriveKeyPair(secret) : null;
+        if (derived && (!profile.signingKey || this.crypto.isSameKey(derived.signingPublicKey, profile.signingKey))) {
+            return { keyPair: derived };
+        }
+
+        // Accounts that never published a key get new keys when they are opened
+        return profile.signingKey ? null : { keyPair: null };
+    }
+
+    /**
+     * Show backup modal. Without an account only import is available.
+     */
+    showBackupModal() {
+        this.closeAccountModal();
+        this.pendingBackup = null;
+        ['backupPasswordInput', 'backupPasswordConfirm', 'backupFileInput', 'backupImportPassword'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('backupExportSection').style.display = this.currentUserKey ? '' : 'none';
+        this.ui.clearBackupSummary();
+        this.ui.showModal('backupModal');
+    }
+
+    /**
+     * Close backup modal
+     */
+    closeBackupModal() {
+        this.pendingBackup = null;
+        this.ui.hideModal('backupModal');
+    }
+
+    /**
+     * Export the current account into a password-protected backup file
+     */
+    async exportBackup() {
+        const password = document.getElementById('backupPasswordInput').value;
+        const confirmation = document.getElementById('backupPasswordConfirm').value;
+
+        if (!this.crypto.isSupported()) {
+            alert('Резервная копия недоступна: браузер не поддерживает шифрование');
+            return;
+        }
+        if (password.length < this.backup.MIN_PASSWORD_LENGTH) {
+            alert(`Пароль должен быть не короче ${this.backup.MIN_PASSWORD_LENGTH} символов`);
+            return;
+        }
+        if (password !== confirmation) {
+            alert('Пароли не совпадают');
+            return;
+        }
+
+        const btn = event.target;
+        try {
+            await this.saveUserData();
+            const contents = await this.backup.createBackup(this.currentUserKey, password);
+
+            const date = new Date().toISOString().slice(0, 10);
+            const name = this.currentUser.replace(/[^\p{L}\p{N}_-]+/gu, '_');
+            const url = URL.createObjectURL(new Blob([contents], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `mmessenger-${name}-${date}.mmbackup`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            document.getElementById('backupPasswordInput').value = '';
+            document.getElementById('backupPasswordConfirm').value = '';
+            this.ui.showButtonFeedback(btn, 'Сохранено!', 'linear-gradient(180deg, #4caf50 0%, #2e7d32 100%)');
+        } catch (error) {
+            console.error('Error exporting backup:', error);
+            alert('Не удалось создать резервную копию');
+        }
+    }
+
+    /**
+     * Decrypt the chosen backup file and show what it holds
+     */
+    async readBackupFile() {
+        const file = document.getElementById('backupFileInput').files[0];
+        const password = document.getElementById('backupImportPassword').value;
+        this.pendingBackup = null;
+        this.ui.clearBackupSummary();
+
+        if (!file) {
+            alert('Выберите файл резервной копии');
+            return;
+        }
+        if (!password) {
+            alert('Введите пароль резервной копии');
+            return;
+        }
+        if (!this.crypto.isSupported()) {
+            alert('Восстановление недоступно: браузер не поддерживает шифрование');
+            return;
+        }
+
+        try {
+            const contents = await file.text();
+            this.pendingBackup = await this.backup.readBackup(contents, password);
+            this.ui.renderBackupSummary(
+                this.backup.summarize(this.pendingBackup),
+                this.pendingBackup.userKey === this.currentUserKey
+            );
+        } catch (error) {
+            console.error('Error reading backup:', error);
+            const messages = {
+                'invalid-file': 'Файл не является резервной копией MMessenger или повреждён',
+                'unsupported-version': 'Копия создана более новой версией приложения',
+                'wrong-password': 'Неверный пароль или файл повреждён'
+            };
+            alert(messages[error.code] || 'Не удалось прочитать резервную копию');
+        }
+    }
+
+    /**
+     * Import the opened backup
+     * @param {string} mode - 'merge' into the current account or 'replace' it
+     */
+    async importBackup(mode) {
+        const backup = this.pendingBackup;
+        if (!backup) return;
+
+        const { username } = backup.record;
+        const question = mode === 'merge'
+            ? `Добавить чаты и друзей из копии в аккаунт "${username}"?`
+            : `Заменить данные на этом устройстве аккаунтом "${username}" из копии?\nТекущие чаты этого аккаунта на устройстве будут удалены.`;
+        if (!confirm(question)) return;
+
+        try {
+            await this.saveUserData();
+            try {
+                await this.backup.restoreBackup(backup, mode);
+            } catch (error) {
+                // Restored on this device, the server copy catches up with the next save
+                if (error.code !== 'sync-failed') throw error;
+            }
+            this.resetSession();
+            if (!await this.openAccount(backup.userKey)) return;
+
+            alert(`Резервная копия восстановлена!\nПользователь: ${username}\nЧатов: ${this.chatManager.chats.length}\nДрузей: ${this.chatManager.friends.length}`);
+        } catch (error) {
+            console.error('Error importing backup:', error);
+            alert('Ошибка при восстановлении резервной копии');
         }
     }
 
@@ -1746,7 +11680,6 @@ class MMessengerApp {
     showAddFriendByKeyModal() {
         this.closeFriendsModal();
         document.getElementById('friendKeyInput').value = '';
-        document.getElementById('friendNameInput').value = '';
         this.ui.showModal('addFriendByKeyModal');
     }
 
@@ -1758,45 +11691,32 @@ class MMessengerApp {
     }
 
     /**
-     * Add friend by key
+     * Send a friend request by user ID
      */
-    addFriendByKey() {
+    async addFriendByKey() {
         const keyInput = document.getElementById('friendKeyInput');
-        const nameInput = document.getElementById('friendNameInput');
         const friendKey = keyInput.value.trim();
-        const friendName = nameInput.value.trim();
 
-        if (!friendKey || !friendName) {
-            alert('Введите ключ и имя друга!');
+        if (!friendKey) {
+            alert('Введите ID друга!');
             return;
         }
 
-        if (friendKey === this.currentUserKey) {
-            alert('Нельзя добавить самого себя в друзья!');
-            return;
-        }
-
-        try {
-            // Check if friend already exists
-            if (this.chatManager.friends.some(friend => friend.key === friendKey)) {
-                alert('Этот пользователь уже в ваших друзьях!');
-                return;
-            }
-
-            // Try to add friend by key
-            if (this.chatManager.addUserByKey(friendKey, friendName)) {
-                await this.saveUserData();
-                this.closeAddFriendModal();
-                alert(`${friendName} успешно добавлен в друзья!`);
-            } else {
-                alert('Не удалось найти пользователя с таким ключом. Проверьте правильность ключа.');
-            }
-        } catch (error) {
-            console.error('Error adding friend by key:', error);
-            alert('Ошибка при добавлении друга. Проверьте правильность ключа.');
+        if (await this.requestFriendship(friendKey)) {
+            this.closeAddFriendModal();
+            alert('Заявка в друзья отправлена!');
         }
     }
 }
 
-// Initialize the application
-const app = new MMessengerApp();
+// Initialize the application. Under Node (the tests) only the classes are loaded.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LocalStorageStore, LocalBackendAdapter, RestBackendAdapter, ChatMergeRules, CloudStorageManager, StorageManager,
+        StorageTransport, MemoryTransport, MessageDeliveryManager, FriendInbox, Outbox,
+        CryptoManager, RecoveryPhrase, ChatManager, MessageSearchIndex, MessageFormatter,
+        NativeBridge, MockNativeInterface
+    };
+} else {
+    window.app = new MMessengerApp();
+}
@@ -0,0 +1,988 @@
+/**
+ * MMessenger - Self-hosted sync server
+ * Dependency-free Node.js HTTP server: user directory, user records, chats, inboxes, presence
+ * and link previews. Requests that read or change an account's data are signed with the
+ * account's signing key, see verifyRequest.
+ *
+ * Usage: node server.js
+ *   PORT             - port to listen on (default 8080)
+ *   MMESSENGER_DATA  - path to the JSON data file (default ./mmessenger-data.json)
+ *   MMESSENGER_UNFURL - "off" disables link previews
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const dns = require('dns');
+const { ChatMergeRules, CryptoManager } = require('./app.js');
+
+const STATIC_FILES = {
+    '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+    '/index.html': { file: 'index.html', type: 'text/html; charset=utf-8' },
+    '/app.js': { file: 'app.js', type: 'application/javascript; charset=utf-8' },
+    '/styles.css': { file: 'styles.css', type: 'text/css; charset=utf-8' }
+};
+
+const MAX_BODY_SIZE = 50 * 1024 * 1024; // 50 МБ, чаты хранят вложения в base64
+const INBOX_LIMIT = 2000; // Конвертов на получателя; сообщения идут через входящие, поэтому не вытесняются
+const INBOX_SENDER_LIMIT = 500; // Конвертов от одного отправителя, чтобы один не занял все входящие
+const SIGNATURE_WINDOW = 5 * 60 * 1000; // Допустимое расхождение часов клиента и сервера
+// Поля записи пользователя, которые видны всем: имя, открытые ключи и способ входа
+const PUBLIC_PROFILE_FIELDS = ['username', 'publicKey', 'signingKey', 'secretDerivedId'];
+const NONCE_PATTERN = /^[A-Za-z0-9+/=_-]{16,64}$/;
+const UNFURL_TIMEOUT = 5000;
+const UNFURL_MAX_BYTES = 512 * 1024; // Метаданные в <head>, дальше не читаем
+const UNFURL_MAX_REDIRECTS = 3;
+const UNFURL_CACHE_SIZE = 500;
+const UNFURL_CACHE_TIME = 60 * 60 * 1000; // 1 час
+const mergeRules = new ChatMergeRules(); // Те же правила слияния, что у клиента
+const accountIds = new CryptoManager(); // ID аккаунта по ключу подписи, как у клиента
+
+class MessengerStore {
+    constructor(dataFile) {
+        this.dataFile = dataFile;
+        this.data = { users: {}, chats: {}, inbox: {} };
+        this.presence = {}; // userKey -> { lastSeen, typing }, kept in memory only
+        this.nonces = new Map(); // "userKey nonce" -> until when it is remembered, in memory only
+        this.load();
+    }
+
+    /**
+     * Load data file from disk
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.dataFile)) {
+                const parsed = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+                this.data.users = parsed.users || {};
+                this.data.chats = parsed.chats || {};
+                this.data.inbox = parsed.inbox || {};
+            }
+        } catch (error) {
+            console.error('Error loading data file:', error);
+        }
+    }
+
+    /**
+     * Write data file atomically
+     */
+    save() {
+        const tmpFile = `${this.dataFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(this.data));
+        fs.renameSync(tmpFile, this.dataFile);
+    }
+
+    /**
+     * Get user record
+     * @param {string} userKey - User's unique key
+     * @returns {Object|null} User record or null
+     */
+    getUser(userKey) {
+        return this.data.users[userKey] || null;
+    }
+
+    /**
+     * Replace user record. A copy older than the stored one, pushed by a
+     * device that was offline, is ignored so it never undoes newer changes.
+     * @param {string} userKey - User's unique key
+     * @param {Object} profile - User record (without chats)
+     * @returns {boolean} False if the stored record is newer
+     */
+    putUser(userKey, profile) {
+        const { chats, ...record } = profile;
+        const stored = this.data.users[userKey];
+        if (stored && stored.updatedAt && (record.updatedAt || '') < stored.updatedAt) {
+            return false;
+        }
+
+        this.data.users[userKey] = record;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Search users by username
+     * @param {string} query - Search term
+     * @returns {Array} Array of directory entries
+     */
+    listUsers(query = '') {
+        const term = query.toLowerCase();
+        return Object.keys(this.data.users)
+            .map(key => ({ key, username: this.data.users[key].username }))
+            .filter(user => user.username)
+            .map(user => ({ ...user, searchKey: user.username.toLowerCase() }))
+            .filter(user => user.searchKey.includes(term));
+    }
+
+    /**
+     * Store a user's presence
+     * @param {string} userKey - User's unique key
+     * @param {Object} presence - { lastSeen, typing }
+     */
+    putPresence(userKey, presence) {
+        const typing = presence.typing;
+        this.presence[userKey] = {
+            lastSeen: typeof presence.lastSeen === 'string' ? presence.lastSeen : new Date().toISOString(),
+            typing: typing && typeof typing.to === 'string' && typeof typing.at === 'string'
+                ? { to: typing.to, at: typing.at }
+                : null
+        };
+    }
+
+    /**
+     * Get presence of several users as one user sees it. Whom a user is
+     * typing to is only shown to that peer, or to members of that group in
+     * the typing user's own copy of it.
+     * @param {Array} userKeys - User keys
+     * @param {string} viewerKey - User asking
+     * @returns {Object} userKey -> presence, unknown users are left out
+     */
+    getPresence(userKeys, viewerKey) {
+        const result = {};
+        userKeys.forEach(key => {
+            const presence = this.presence[key];
+            if (!presence) return;
+
+            const typing = presence.typing;
+            const visible = typing && (typing.to === viewerKey || (this.data.chats[key] || []).some(chat =>
+                chat.type === 'group' && chat.id === typing.to && (chat.participants || []).includes(viewerKey)
+            ));
+            result[key] = { lastSeen: presence.lastSeen, typing: visible ? typing : null };
+        });
+        return result;
+    }
+
+    /**
+     * Remember a signed request's nonce so the request can't be replayed.
+     * Nonces are kept until their request's time leaves the signature window.
+     * @param {string} userKey - Account that signed the request
+     * @param {string} nonce - Request nonce
+     * @param {number} expiresAt - Time in milliseconds after which the request is refused anyway
+     * @returns {boolean} False if the nonce was already used
+     */
+    useNonce(userKey, nonce, expiresAt) {
+        const now = Date.now();
+        for (const [key, until] of this.nonces) {
+            if (until > now) break; // Added in time order, give or take the clocks
+            this.nonces.delete(key);
+        }
+
+        const key = `${userKey} ${nonce}`;
+        if (this.nonces.has(key)) {
+            return false;
+        }
+        this.nonces.set(key, expiresAt);
+        return true;
+    }
+
+    /**
+     * Append an envelope to a user's inbox. The server only stores envelopes,
+     * signatures are checked by the recipient. Envelopes carry messages, so
+     * a full inbox refuses new ones instead of dropping old ones; the sender
+     * retries later.
+     * @param {string} userKey - Recipient's key
+     * @param {Object} envelope - { id, type, from, to, ... }
+     * @returns {boolean} False if the inbox, or the sender's share of it, is full
+     */
+    postInbox(userKey, envelope) {
+        const inbox = this.data.inbox[userKey] || [];
+        if (inbox.some(item => item.id === envelope.id)) {
+            return true;
+        }
+        if (inbox.length >= INBOX_LIMIT ||
+            inbox.filter(item => item.from === envelope.from).length >= INBOX_SENDER_LIMIT) {
+            return false;
+        }
+
+        inbox.push(envelope);
+        this.data.inbox[userKey] = inbox;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Get envelopes waiting in a user's inbox
+     * @param {string} userKey - User's unique key
+     * @returns {Array} Envelopes, oldest first
+     */
+    getInbox(userKey) {
+        return this.data.inbox[userKey] || [];
+    }
+
+    /**
+     * Remove processed envelopes from a user's inbox
+     * @param {string} userKey - User's unique key
+     * @param {Array} ids - Envelope ids
+     */
+    deleteInbox(userKey, ids) {
+        const inbox = this.getInbox(userKey).filter(envelope => !ids.includes(envelope.id));
+        if (inbox.length) {
+            this.data.inbox[userKey] = inbox;
+        } else {
+            delete this.data.inbox[userKey];
+        }
+        this.save();
+    }
+
+    /**
+     * Get user's chats
+     * @param {string} userKey - User's unique key
+     * @returns {Array|null} Chats array or null if user not found
+     */
+    getChats(userKey) {
+        if (!this.data.users[userKey]) return null;
+        return this.data.chats[userKey] || [];
+    }
+
+    /**
+     * Merge pushed chats into stored ones, chats by id and messages by id,
+     * so concurrent writers never drop each other's messages. A pushed copy
+     * never replaces a newer edit or deletion of the same message, delivery
+     * receipts and reactions of both copies are kept, and a copy without its
+     * attachment payload keeps the stored one. Chat info only moves forward:
+     * an older pushed copy never replaces it, read state never goes back and
+     * the latest change of each per-user setting (mute, link previews, pins) wins.
+     * @param {string} userKey - User's unique key
+     * @param {Array} chats - Pushed chats
+     */
+    mergeChats(userKey, chats) {
+        const stored = this.data.chats[userKey] || [];
+
+        chats.forEach(pushed => {
+            const existing = stored.find(chat => chat.id === pushed.id);
+            if (!existing) {
+                stored.push(pushed);
+                return;
+            }
+
+            const messages = existing.messages || [];
+            (pushed.messages || []).forEach(msg => {
+                const index = messages.findIndex(m => m.id === msg.id);
+                if (index === -1) {
+                    messages.push(msg);
+                } else {
+                    const newer = mergeRules.compareRevisions(msg, messages[index]) >= 0 ? msg : messages[index];
+                    const older = newer === msg ? messages[index] : msg;
+                    const receipts = mergeRules.mergeReceipts(messages[index].receipts, msg.receipts);
+                    const merged = receipts ? { ...newer, receipts } : { ...newer };
+                    const reactions = mergeRules.mergeReactions(messages[index].reactions, msg.reactions);
+                    if (reactions) {
+                        merged.reactions = reactions;
+                    }
+
+                    // Clients push messages loaded without their attachment payload
+                    if (!merged.deleted && !merged.fileData && !merged.encryptedFile) {
+                        merged.fileData = older.fileData || null;
+                        merged.encryptedFile = older.encryptedFile || null;
+                    }
+                    messages[index] = merged;
+                }
+            });
+            messages.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+
+            const readState = mergeRules.latestReadState(existing, pushed);
+            const settings = mergeRules.latestChatSettings(existing, pushed);
+            if ((pushed.updatedAt || '') >= (existing.updatedAt || '')) {
+                Object.assign(existing, pushed);
+            }
+            existing.messages = messages;
+            Object.assign(existing, readState, settings);
+        });
+
+        this.data.chats[userKey] = stored;
+        this.save();
+    }
+}
+
+/**
+ * Read the raw request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Body text, empty if there is none
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parse a JSON request body
+ * @param {string} body - Body text
+ * @returns {any} Parsed body, null if it is empty
+ */
+function parseJsonBody(body) {
+    try {
+        return body ? JSON.parse(body) : null;
+    } catch (error) {
+        throw Object.assign(new Error('Invalid JSON'), { status: 400 });
+    }
+}
+
+/**
+ * Check that a request is signed by an account. The client signs
+ * "METHOD host/path?query", the time in milliseconds, a random nonce and the
+ * body with the account's signing key (ECDSA P-256, see CryptoManager.sign in
+ * app.js) and sends them in the X-MMessenger-User, -Time, -Nonce and -Signature
+ * headers. A request is accepted once, within SIGNATURE_WINDOW of its time, and
+ * only for the host it was sent to.
+ * The key is the one the account published. An account that has none yet is
+ * claimed by the key it publishes with its first signed record, if the account's
+ * ID is the one derived from that key (see CryptoManager.deriveUserIdFromKey);
+ * a later key change has to be signed with the current key.
+ * @param {MessengerStore} store - Data store
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} body - Raw request body
+ * @param {string} userKey - Account the request must come from
+ * @param {Object} firstKey - Signing key (JWK) to accept if the account has none yet
+ * @returns {Promise<boolean>} True if the signature is valid, recent and not replayed
+ */
+async function verifyRequest(store, req, body, userKey, firstKey = null) {
+    const time = Number(req.headers['x-mmessenger-time']);
+    const nonce = req.headers['x-mmessenger-nonce'];
+    const signature = req.headers['x-mmessenger-signature'];
+    if (!userKey || req.headers['x-mmessenger-user'] !== userKey || !signature ||
+        !NONCE_PATTERN.test(nonce || '') ||
+        !Number.isFinite(time) || Math.abs(Date.now() - time) > SIGNATURE_WINDOW) {
+        return false;
+    }
+
+    const user = store.getUser(userKey);
+    let signingKey = user && user.signingKey;
+    if (!signingKey) {
+        if (!firstKey || typeof firstKey !== 'object' || typeof firstKey.x !== 'string' || typeof firstKey.y !== 'string' ||
+            await accountIds.deriveUserIdFromKey(firstKey) !== userKey) {
+            return false;
+        }
+        signingKey = firstKey;
+    }
+
+    let valid;
+    try {
+        const { kty, crv, x, y } = signingKey;
+        valid = crypto.verify(
+            'sha256',
+            Buffer.from(`${req.method} ${req.headers.host}${req.url}\n${time}\n${nonce}\n${body}`, 'utf8'),
+            { key: crypto.createPublicKey({ key: { kty, crv, x, y }, format: 'jwk' }), dsaEncoding: 'ieee-p1363' },
+            Buffer.from(signature, 'base64')
+        );
+    } catch (error) {
+        return false;
+    }
+    return valid && store.useNonce(userKey, nonce, time + SIGNATURE_WINDOW);
+}
+
+/**
+ * Check the shape of pushed chats before they are merged into the stored ones:
+ * chats and messages are objects with ids, receipts and reactions are maps of
+ * objects and the times the merge compares as text are strings
+ * @param {any} chats - Parsed request body
+ * @returns {boolean} True if the chats can be merged
+ */
+function isValidChatList(chats) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isId = value => typeof value === 'string' || typeof value === 'number';
+    const isOptional = (value, check) => value === undefined || value === null || check(value);
+    const isText = value => typeof value === 'string';
+    const isMap = value => isObject(value) && Object.values(value).every(isObject);
+
+    const isValidMessage = msg => isObject(msg) && isId(msg.id) &&
+        ['timestamp', 'editedAt', 'deletedAt'].every(field => isOptional(msg[field], isText)) &&
+        isOptional(msg.receipts, isMap) && isOptional(msg.reactions, isMap);
+
+    return Array.isArray(chats) && chats.every(chat => isObject(chat) && isId(chat.id) &&
+        isOptional(chat.messages, messages => Array.isArray(messages) && messages.every(isValidMessage)));
+}
+
+/**
+ * Keep only the fields of a user record that anyone may see
+ * @param {Object} user - Stored user record
+ * @returns {Object} Username and public keys
+ */
+function publicProfile(user) {
+    const profile = {};
+    PUBLIC_PROFILE_FIELDS.forEach(field => {
+        if (user[field] !== undefined) {
+            profile[field] = user[field];
+        }
+    });
+    return profile;
+}
+
+/**
+ * Get the IPv4 address an IPv6 address carries: IPv4-mapped, IPv4-compatible
+ * or NAT64, dotted or in hex groups as URLs write them
+ * @param {string} address - Lowercase IPv6 address
+ * @returns {string|null} Dotted IPv4 address or null
+ */
+function embeddedIPv4(address) {
+    for (const prefix of ['::ffff:', '64:ff9b::', '::']) {
+        if (!address.startsWith(prefix)) continue;
+
+        const rest = address.slice(prefix.length);
+        if (net.isIPv4(rest)) {
+            return rest;
+        }
+        const groups = /^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(rest);
+        if (groups) {
+            const high = parseInt(groups[1], 16);
+            const low = parseInt(groups[2], 16);
+            return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether an IP address is not a public unicast address: this host, a
+ * private or special-purpose network, multicast or broadcast. IPv6 forms that
+ * carry an IPv4 address are judged by that address.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be fetched
+ */
+function isPrivateAddress(address) {
+    const lower = address.toLowerCase();
+    if (net.isIPv6(lower)) {
+        const ipv4 = embeddedIPv4(lower);
+        if (ipv4) {
+            return isPrivateAddress(ipv4);
+        }
+        return lower.startsWith('::') || lower.startsWith('64:ff9b:') ||
+            /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+    }
+
+    const [a, b, c] = lower.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+        (a === 100 && b >= 64 && b <= 127) ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 0 && c === 0) ||
+        (a === 192 && b === 168) ||
+        (a === 198 && (b === 18 || b === 19));
+}
+
+/**
+ * Decode HTML character references
+ * @param {string} text - HTML text
+ * @returns {string} Plain text
+ */
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] !== '#') {
+            return named[entity.toLowerCase()] || match;
+        }
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    });
+}
+
+/**
+ * Read the link preview of a page from its Open Graph, Twitter and plain HTML metadata
+ * @param {string} html - Page HTML (the head is enough)
+ * @param {string} pageUrl - Final page URL, relative image URLs resolve against it
+ * @returns {Object|null} { url, title, description, image, siteName } or null without a title or description
+ */
+function parseLinkPreview(html, pageUrl) {
+    const meta = {};
+    for (const tag of html.match(/<meta\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi) || []) {
+        const attrs = {};
+        for (const match of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+            attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+        }
+        const key = (attrs.property || attrs.name || '').toLowerCase();
+        if (key && attrs.content !== undefined && !(key in meta)) {
+            meta[key] = attrs.content;
+        }
+    }
+
+    const clean = (text, limit) => {
+        const value = decodeEntities(text || '').replace(/\s+/g, ' ').trim();
+        return value.length > limit ? value.substring(0, limit - 1) + '…' : value;
+    };
+    const titleTag = html.match(/<title\b[^>]*>([^<]*)<\/title>/i);
+    const title = clean(meta['og:title'] || meta['twitter:title'] || (titleTag ? titleTag[1] : ''), 200);
+    const description = clean(meta['og:description'] || meta['twitter:description'] || meta.description, 300);
+    if (!title && !description) {
+        return null;
+    }
+
+    let image = '';
+    const imageUrl = decodeEntities(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || '').trim();
+    if (imageUrl) {
+        try {
+            const resolved = new URL(imageUrl, pageUrl);
+            image = ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : '';
+        } catch (error) {
+            image = '';
+        }
+    }
+
+    return {
+        url: pageUrl,
+        title,
+        description,
+        image,
+        siteName: clean(meta['og:site_name'], 100) || new URL(pageUrl).hostname
+    };
+}
+
+/**
+ * Fetches pages linked in messages and reads their preview. Hosts on
+ * loopback and private networks are refused unless allowed, so clients
+ * cannot use the server to reach its internal network.
+ */
+class LinkUnfurler {
+    constructor(options = {}) {
+        this.allowPrivateHosts = !!options.allowPrivateHosts;
+        this.timeout = options.timeout || UNFURL_TIMEOUT;
+        this.resolve = options.lookup || dns.lookup; // Как dns.lookup, в тестах подменяется
+        this.cache = new Map(); // url -> { preview, expires }, в порядке добавления
+    }
+
+    /**
+     * Get the preview of a link, cached for an hour
+     * @param {string} url - http(s) URL
+     * @returns {Promise<Object|null>} Preview or null if the page has none
+     * @throws {Error} With status 400, 403 or 502 when the link cannot be previewed
+     */
+    async unfurl(url) {
+        const cached = this.cache.get(url);
+        if (cached && cached.expires > Date.now()) {
+            return cached.preview;
+        }
+
+        const page = await this.fetchPage(url);
+        const preview = page ? parseLinkPreview(page.html, page.url) : null;
+
+        this.cache.delete(url);
+        this.cache.set(url, { preview, expires: Date.now() + UNFURL_CACHE_TIME });
+        if (this.cache.size > UNFURL_CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return preview;
+    }
+
+    /**
+     * Refuse links that are not http(s), and links to this host or private
+     * networks given as an address. Host names are checked when connecting,
+     * see lookup.
+     * @param {URL} url - Parsed URL
+     * @throws {Error} With status 400 or 403
+     */
+    checkHost(url) {
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw Object.assign(new Error('Only http and https links can be previewed'), { status: 400 });
+        }
+
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        if (!this.allowPrivateHosts && net.isIP(hostname) && isPrivateAddress(hostname)) {
+            throw Object.assign(new Error('Link host is not allowed'), { status: 403 });
+        }
+    }
+
+    /**
+     * Resolve a host name for an outgoing connection, refusing names with
+     * any private address. The socket connects to the addresses checked here,
+     * so a name that resolves differently a second time (DNS rebinding)
+     * can't reach this host or the local network.
+     * @param {string} hostname - Host name
+     * @param {Object} options - dns.lookup options from the socket
+     * @param {Function} callback - dns.lookup callback
+     */
+    lookup(hostname, options, callback) {
+        this.resolve(hostname, { ...options, all: true }, (error, entries) => {
+            if (error) {
+                callback(error);
+                return;
+            }
+            if (!entries.length || (!this.allowPrivateHosts && entries.some(entry => isPrivateAddress(entry.address)))) {
+                callback(Object.assign(new Error('Link host is not allowed'), { status: 403 }));
+                return;
+            }
+
+            if (options.all) {
+                callback(null, entries);
+            } else {
+                callback(null, entries[0].address, entries[0].family);
+            }
+        });
+    }
+
+    /**
+     * Send a GET request for a page, connecting through lookup
+     * @param {URL} url - Page URL
+     * @returns {Promise<http.IncomingMessage>} Response, its body not read yet
+     */
+    request(url) {
+        const client = url.protocol === 'https:' ? https : http;
+        return new Promise((resolve, reject) => {
+            const req = client.get(url, {
+                headers: { 'User-Agent': 'MMessenger link preview', 'Accept': 'text/html' },
+                lookup: (hostname, options, callback) => this.lookup(hostname, options, callback),
+                signal: AbortSignal.timeout(this.timeout)
+            }, resolve);
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Fetch the beginning of an HTML page, following a few redirects
+     * @param {string} pageUrl - http(s) URL
+     * @returns {Promise<Object|null>} { html, url } or null if the link is not an HTML page
+     * @throws {Error} With status 400, 403 or 502
+     */
+    async fetchPage(pageUrl) {
+        let url = new URL(pageUrl);
+
+        for (let redirects = 0; redirects <= UNFURL_MAX_REDIRECTS; redirects++) {
+            this.checkHost(url);
+
+            let response;
+            try {
+                response = await this.request(url);
+            } catch (error) {
+                throw error.status ? error : Object.assign(new Error('Could not fetch the link'), { status: 502 });
+            }
+
+            const status = response.statusCode;
+            const location = response.headers.location;
+            if (status >= 300 && status < 400 && location) {
+                response.destroy();
+                url = new URL(location, url);
+                continue;
+            }
+
+            const contentType = response.headers['content-type'] || '';
+            if (status < 200 || status >= 300 || !contentType.includes('text/html')) {
+                response.destroy();
+                return null;
+            }
+
+            try {
+                return { html: await this.readHead(response, contentType), url: url.href };
+            } catch (error) {
+                throw Object.assign(new Error('Could not fetch the link'), { status: 502 });
+            }
+        }
+
+        throw Object.assign(new Error('Too many redirects'), { status: 502 });
+    }
+
+    /**
+     * Read a response body up to UNFURL_MAX_BYTES or the end of <head>
+     * @param {http.IncomingMessage} response - Page response
+     * @param {string} contentType - Content-Type header, may name the charset
+     * @returns {Promise<string>} HTML text
+     */
+    async readHead(response, contentType) {
+        const charset = (contentType.match(/charset=["']?([\w-]+)/i) || [])[1] || 'utf-8';
+        let decoder;
+        try {
+            decoder = new TextDecoder(charset);
+        } catch (error) {
+            decoder = new TextDecoder('utf-8');
+        }
+
+        let html = '';
+        let size = 0;
+        try {
+            for await (const chunk of response) {
+                size += chunk.length;
+                html += decoder.decode(chunk, { stream: true });
+                if (size >= UNFURL_MAX_BYTES || /<\/head>/i.test(html)) break;
+            }
+        } finally {
+            response.destroy();
+        }
+        return html;
+    }
+}
+
+/**
+ * Send JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {any} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Handle /api requests. The directory and public profiles are open; an
+ * account's full record, chats, inbox and presence updates need a request
+ * signed by that account, and reading presence one signed by any account,
+ * see verifyRequest.
+ * @param {MessengerStore} store - Data store
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+async function handleApi(store, req, res, url) {
+    let parts;
+    try {
+        parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent); // ['api', 'users', key, 'chats']
+    } catch (error) {
+        return sendJson(res, 400, { error: 'Malformed path' });
+    }
+
+    const body = await readBody(req);
+
+    if (parts[1] === 'presence') {
+        return handlePresence(store, req, res, url, parts[2], body);
+    }
+
+    if (parts[1] === 'inbox' && parts[2]) {
+        return handleInbox(store, req, res, url, parts[2], body);
+    }
+
+    if (parts[1] !== 'users') {
+        return sendJson(res, 404, { error: 'Not found' });
+    }
+
+    const userKey = parts[2];
+    const resource = parts[3];
+
+    if (!userKey && req.method === 'GET') {
+        return sendJson(res, 200, store.listUsers(url.searchParams.get('q') || ''));
+    }
+
+    if (userKey && !resource) {
+        if (req.method === 'GET') {
+            const user = store.getUser(userKey);
+            if (!user) {
+                return sendJson(res, 404, { error: 'User not found' });
+            }
+            return sendJson(res, 200, await verifyRequest(store, req, body, userKey) ? user : publicProfile(user));
+        }
+        if (req.method === 'PUT') {
+            const profile = parseJsonBody(body);
+            if (!profile || typeof profile !== 'object' || !profile.username) {
+                return sendJson(res, 400, { error: 'User record must have a username' });
+            }
+            if (!await verifyRequest(store, req, body, userKey, profile.signingKey)) {
+                return sendJson(res, 401, { error: 'Request must be signed by the account' });
+            }
+            store.putUser(userKey, profile);
+            return sendJson(res, 204);
+        }
+    }
+
+    if (userKey && resource === 'chats' && ['GET', 'PUT'].includes(req.method)) {
+        if (!store.getUser(userKey)) {
+            return sendJson(res, 404, { error: 'User not found' });
+        }
+        if (!await verifyRequest(store, req, body, userKey)) {
+            return sendJson(res, 401, { error: 'Request must be signed by the account' });
+        }
+        if (req.method === 'GET') {
+            return sendJson(res, 200, store.getChats(userKey));
+        }
+
+        const chats = parseJsonBody(body);
+        if (!isValidChatList(chats)) {
+            return sendJson(res, 400, { error: 'Chats must be an array of chats with ids and messages' });
+        }
+        store.mergeChats(userKey, chats);
+        return sendJson(res, 204);
+    }
+
+    return sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+/**
+ * Handle /api/presence requests
+ * @param {MessengerStore} store - Data store
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ * @param {string} userKey - User key from the path, if any
+ * @param {string} body - Raw request body
+ */
+async function handlePresence(store, req, res, url, userKey, body) {
+    if (!userKey && req.method === 'GET') {
+        const viewerKey = req.headers['x-mmessenger-user'];
+        if (!store.getUser(viewerKey) || !await verifyRequest(store, req, body, viewerKey)) {
+            return sendJson(res, 401, { error: 'Request must be signed by an account' });
+        }
+        const keys = (url.searchParams.get('keys') || '').split(',').filter(Boolean);
+        return sendJson(res, 200, store.getPresence(keys, viewerKey));
+    }
+
+    if (userKey && req.method === 'PUT') {
+        const presence = parseJsonBody(body);
+        if (!presence || typeof presence !== 'object') {
+            return sendJson(res, 400, { error: 'Presence must be an object' });
+        }
+        if (!store.getUser(userKey)) {
+            return sendJson(res, 404, { error: 'User not found' });
+        }
+        if (!await verifyRequest(store, req, body, userKey)) {
+            return sendJson(res, 401, { error: 'Request must be signed by the account' });
+        }
+        store.putPresence(userKey, presence);
+        return sendJson(res, 204);
+    }
+
+    return sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+/**
+ * Handle /api/inbox/:userKey requests. Only the owner reads and clears an
+ * inbox; an envelope is posted by its sender.
+ * @param {MessengerStore} store - Data store
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ * @param {string} userKey - Inbox owner's key
+ * @param {string} body - Raw request body
+ */
+async function handleInbox(store, req, res, url, userKey, body) {
+    if (req.method === 'GET' || req.method === 'DELETE') {
+        if (!await verifyRequest(store, req, body, userKey)) {
+            return sendJson(res, 401, { error: 'Request must be signed by the account' });
+        }
+        if (req.method === 'GET') {
+            return sendJson(res, 200, store.getInbox(userKey));
+        }
+
+        const ids = (url.searchParams.get('ids') || '').split(',').filter(Boolean);
+        store.deleteInbox(userKey, ids);
+        return sendJson(res, 204);
+    }
+
+    if (req.method === 'POST') {
+        const envelope = parseJsonBody(body);
+        const valid = envelope && typeof envelope === 'object' &&
+            ['id', 'type', 'from', 'to'].every(field => typeof envelope[field] === 'string');
+        if (!valid || envelope.to !== userKey) {
+            return sendJson(res, 400, { error: 'Envelope must have id, type, from and to' });
+        }
+        if (!store.getUser(userKey)) {
+            return sendJson(res, 404, { error: 'User not found' });
+        }
+        if (!await verifyRequest(store, req, body, envelope.from)) {
+            return sendJson(res, 401, { error: 'Envelope must be posted by its sender' });
+        }
+        if (!store.postInbox(userKey, envelope)) {
+            return sendJson(res, 507, { error: 'Inbox is full' });
+        }
+        return sendJson(res, 204);
+    }
+
+    return sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+/**
+ * Handle /api/unfurl?url= requests. Only accounts may have the server fetch
+ * pages, so it can't be used as an open proxy.
+ * @param {MessengerStore} store - Data store
+ * @param {LinkUnfurler|null} unfurler - Link unfurler, null when previews are off
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+async function handleUnfurl(store, unfurler, req, res, url) {
+    if (!unfurler) {
+        return sendJson(res, 404, { error: 'Link previews are disabled' });
+    }
+    if (req.method !== 'GET') {
+        return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+    const userKey = req.headers['x-mmessenger-user'];
+    if (!store.getUser(userKey) || !await verifyRequest(store, req, '', userKey)) {
+        return sendJson(res, 401, { error: 'Request must be signed by an account' });
+    }
+
+    let link;
+    try {
+        link = new URL(url.searchParams.get('url') || '');
+    } catch (error) {
+        return sendJson(res, 400, { error: 'A valid url parameter is required' });
+    }
+
+    const preview = await unfurler.unfurl(link.href);
+    return preview ? sendJson(res, 200, preview) : sendJson(res, 204);
+}
+
+/**
+ * Create the HTTP server
+ * @param {Object} options - { dataFile, unfurler: LinkUnfurler or null to turn link previews off }
+ * @returns {http.Server} Server instance (not listening yet)
+ */
+function createServer(options = {}) {
+    const store = new MessengerStore(options.dataFile || path.join(__dirname, 'mmessenger-data.json'));
+    const unfurler = options.unfurler !== undefined ? options.unfurler : new LinkUnfurler();
+
+    return http.createServer(async (req, res) => {
+        // The app usually runs from a WebView file:// origin
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers',
+            'Content-Type, X-MMessenger-User, X-MMessenger-Time, X-MMessenger-Nonce, X-MMessenger-Signature');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (url.pathname === '/api/unfurl') {
+                await handleUnfurl(store, unfurler, req, res, url);
+                return;
+            }
+
+            if (url.pathname.startsWith('/api/')) {
+                await handleApi(store, req, res, url);
+                return;
+            }
+
+            const staticFile = STATIC_FILES[url.pathname];
+            if (staticFile && req.method === 'GET') {
+                res.writeHead(200, { 'Content-Type': staticFile.type });
+                fs.createReadStream(path.join(__dirname, staticFile.file)).pipe(res);
+                return;
+            }
+
+            sendJson(res, 404, { error: 'Not found' });
+        } catch (error) {
+            // Errors with a status are the client's, only unexpected ones are logged
+            if (!error.status) {
+                console.error('Error handling request:', error);
+            }
+            sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+        }
+    });
+}
+
+module.exports = { createServer, MessengerStore, LinkUnfurler };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8080;
+    createServer({
+        dataFile: process.env.MMESSENGER_DATA,
+        unfurler: process.env.MMESSENGER_UNFURL === 'off' ? null : new LinkUnfurler()
+    }).listen(port, () => {
+        console.log(`MMessenger server listening on http://localhost:${port}`);
+    });
+}
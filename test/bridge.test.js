@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NativeBridge, MockNativeInterface } = require('./helpers.js');
+
+/**
+ * Bridge over a mock interface, reachable as window.mmessengerNative like in the app
+ * @param {Array} capabilities - Features the mock lists
+ * @returns {Object} { bridge, native }
+ */
+function setup(capabilities) {
+    const native = new MockNativeInterface(capabilities);
+    const bridge = new NativeBridge(native);
+    window.mmessengerNative = bridge;
+    return { bridge, native };
+}
+
+test('only listed features that the interface defines go native', () => {
+    assert.deepEqual(setup(['notify', 'share', 'teleport']).bridge.capabilities, ['notify', 'share']);
+
+    // Apps without getCapabilities support every method they define
+    const bridge = new NativeBridge({ notify() {}, haptic() {} });
+    assert.deepEqual(bridge.capabilities, ['notify', 'haptic']);
+    assert.deepEqual(new NativeBridge(null).capabilities, []);
+});
+
+test('calls reach the interface as strings and JSON', async () => {
+    const { bridge, native } = setup();
+
+    assert.equal(bridge.notify('Alice', 'Hello', 'chat-1'), true);
+    bridge.setBadge(3);
+    assert.equal(await bridge.share('ID', 'Add me'), 'shared');
+    await bridge.copyText('phrase');
+    bridge.haptic('heavy');
+
+    assert.deepEqual(native.calls, [
+        { method: 'notify', argument: { title: 'Alice', body: 'Hello', tag: 'chat-1' } },
+        { method: 'badge', argument: 3 },
+        { method: 'share', argument: { title: 'ID', text: 'Add me' } },
+        { method: 'copyText', argument: 'phrase' },
+        { method: 'haptic', argument: 'heavy' }
+    ]);
+    assert.equal(native.clipboard, 'phrase');
+});
+
+test('calls are recorded without writing to the console', (t) => {
+    const log = t.mock.method(console, 'log');
+    setup().bridge.haptic('light');
+    assert.equal(log.mock.callCount(), 0);
+});
+
+test('a picked file comes back as a File, a cancelled pick as null', async () => {
+    const { bridge, native } = setup();
+
+    native.pickResult = { name: 'note.txt', type: 'text/plain', dataUrl: 'data:text/plain;base64,aGk=' };
+    const file = await bridge.pickFile('file', 'text/plain');
+    assert.equal(file.name, 'note.txt');
+    assert.equal(file.type, 'text/plain');
+    assert.equal(await file.text(), 'hi');
+    assert.deepEqual(native.calls[0].argument, { requestId: '1', source: 'file', accept: 'text/plain' });
+
+    native.pickResult = null;
+    assert.equal(await bridge.pickFile('camera', 'image/*'), null);
+    assert.equal(bridge.pendingPicks.size, 0);
+});
+
+test('picking without native support is refused', async () => {
+    const { bridge } = setup(['notify']);
+    await assert.rejects(bridge.pickFile('camera'), error => error.code === 'unsupported');
+});
+
+test('notification taps and the back button reach their handlers', () => {
+    const { bridge, native } = setup();
+    const tapped = [];
+    bridge.setNotificationClickHandler(tag => tapped.push(tag));
+    native.tapNotification('chat-1');
+    assert.deepEqual(tapped, ['chat-1']);
+
+    assert.equal(native.pressBack(), false);
+    bridge.setBackHandler(() => true);
+    assert.equal(native.pressBack(), true);
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const nodeCrypto = require('crypto');
+const { CryptoManager } = require('./helpers.js');
+
+test.beforeEach(() => localStorage.clear());
+
+test('the same secret always gives the same keys', async () => {
+    const cryptoManager = new CryptoManager();
+    const secret = cryptoManager.generateAccountSecret();
+
+    const first = await cryptoManager.deriveKeyPair(secret);
+    const second = await cryptoManager.deriveKeyPair(secret);
+    assert.deepEqual(first, second);
+    assert.ok(!cryptoManager.isSameKey(first.publicKey, first.signingPublicKey));
+
+    const other = await cryptoManager.deriveKeyPair(cryptoManager.generateAccountSecret());
+    assert.ok(!cryptoManager.isSameKey(first.publicKey, other.publicKey));
+});
+
+test('derived public keys are the points of the private keys', async () => {
+    const cryptoManager = new CryptoManager();
+    const keys = await cryptoManager.deriveKeyPair(cryptoManager.generateAccountSecret());
+
+    for (const [privateKey, publicKey] of [[keys.privateKey, keys.publicKey], [keys.signingPrivateKey, keys.signingPublicKey]]) {
+        const ecdh = nodeCrypto.createECDH('prime256v1');
+        ecdh.setPrivateKey(Buffer.from(privateKey.d, 'base64url'));
+        const point = ecdh.getPublicKey();
+        assert.equal(point.subarray(1, 33).toString('base64url'), publicKey.x);
+        assert.equal(point.subarray(33).toString('base64url'), publicKey.y);
+    }
+});
+
+test('an account restored from its secret reads its history and signs as before', async () => {
+    const cryptoManager = new CryptoManager();
+    const secret = cryptoManager.generateAccountSecret();
+    const userKey = await cryptoManager.deriveUserId(secret);
+
+    cryptoManager.saveAccountSecret(userKey, secret);
+    const publicKey = await cryptoManager.ensureKeyPair(userKey);
+    const signingKey = await cryptoManager.ensureSigningKey(userKey);
+
+    // A friend pinned the published keys and wrote to the account
+    await cryptoManager.ensureKeyPair('friend1');
+    const friendPublicKey = cryptoManager.loadKeyPair('friend1').publicKey;
+    const sent = await cryptoManager.encrypt(await cryptoManager.deriveChatKey('friend1', userKey, publicKey), { text: 'hi' });
+
+    // A new device knows only the secret from the phrase
+    localStorage.removeItem(`${cryptoManager.KEYS_PREFIX}${userKey}`);
+    cryptoManager.clearCache();
+    cryptoManager.saveAccountSecret(userKey, secret);
+    assert.deepEqual(await cryptoManager.ensureKeyPair(userKey), publicKey);
+
+    const chatKey = await cryptoManager.deriveChatKey(userKey, 'friend1', friendPublicKey);
+    assert.deepEqual(await cryptoManager.decrypt(chatKey, sent), { text: 'hi' });
+    assert.ok(await cryptoManager.verify(signingKey, 'envelope', await cryptoManager.sign(userKey, 'envelope')));
+});
+
+test('a new account\'s ID belongs to its signing key', async () => {
+    const cryptoManager = new CryptoManager();
+    const secret = cryptoManager.generateAccountSecret();
+    const userKey = await cryptoManager.deriveAccountId(secret);
+
+    assert.match(userKey, /^[A-Za-z0-9]{16}$/);
+    cryptoManager.saveAccountSecret(userKey, secret);
+    await cryptoManager.ensureKeyPair(userKey);
+    assert.equal(await cryptoManager.deriveUserIdFromKey(await cryptoManager.ensureSigningKey(userKey)), userKey);
+    assert.notEqual(await cryptoManager.deriveUserId(secret), userKey);
+});
@@ -0,0 +1,320 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryTransport, MessageDeliveryManager } = require('./helpers.js');
+
+const REACTIONS = ['👍', '❤️'];
+
+/**
+ * Deliver through a fresh MemoryTransport and apply what each recipient got
+ * @returns {Object} { transport, delivery, receive(record, userKey) => applied flags }
+ */
+function setup() {
+    const transport = new MemoryTransport();
+    const delivery = new MessageDeliveryManager(transport, REACTIONS);
+    const receive = (record, userKey) =>
+        transport.take(userKey).map(envelope => delivery.applyEnvelope(record, userKey, envelope) !== null);
+    return { transport, delivery, receive };
+}
+
+function privateChat(...participants) {
+    return { id: 1, type: 'private', name: 'Chat', participants, messages: [] };
+}
+
+function message(id, authorKey, text = 'hello', extra = {}) {
+    return { id, authorKey, author: authorKey, text, type: 'text', timestamp: '2026-01-01T10:00:00.000Z', ...extra };
+}
+
+function group(members, updatedAt = '2026-01-01T00:00:00.000Z') {
+    return {
+        id: 'group-1',
+        type: 'group',
+        name: 'Team',
+        members,
+        participants: members.map(member => member.key),
+        updatedAt
+    };
+}
+
+test('a private message reaches a friend and starts their chat', async () => {
+    const { delivery, receive } = setup();
+    const bob = { friends: [{ key: 'bob1', username: 'Bob' }, { key: 'alice1', username: 'Alice' }], chats: [] };
+
+    const delivered = await delivery.deliverMessage(privateChat('alice1', 'bob1'), message('m1', 'alice1'), 'alice1');
+    assert.deepEqual(delivered, ['bob1']);
+    assert.deepEqual(receive(bob, 'bob1'), [true]);
+
+    const chat = bob.chats[0];
+    assert.equal(chat.name, 'Alice');
+    assert.deepEqual(chat.participants, ['bob1', 'alice1']);
+    assert.equal(chat.messages[0].text, 'hello');
+    assert.equal(chat.messages[0].status, undefined);
+});
+
+test('a received copy keeps its receive time and the name the recipient knows', async () => {
+    const { delivery, receive } = setup();
+    const bob = { friends: [{ key: 'alice1', username: 'Alice' }], chats: [] };
+    const forged = message('m1', 'alice1', 'hello', {
+        author: 'Admin',
+        timestamp: '2000-01-01T00:00:00.000Z',
+        reactions: { bob1: { emoji: '👍', username: 'Bob', at: '2026-01-02T00:00:00.000Z' } }
+    });
+
+    await delivery.deliverMessage(privateChat('alice1', 'bob1'), forged, 'alice1');
+    await delivery.deliverMessage(privateChat('alice1', 'bob1'), message('m2', 'alice1'), 'alice1');
+    assert.deepEqual(receive(bob, 'bob1'), [true, true]);
+
+    const [copy] = bob.chats[0].messages;
+    assert.equal(copy.author, 'Alice');
+    assert.equal(copy.reactions, undefined);
+    assert.ok(copy.receivedAt > copy.timestamp);
+    assert.equal(bob.chats[0].unreadCount, 2);
+
+    // An author field naming someone else is refused even without the envelope check
+    assert.equal(delivery.applyMessage(bob, 'bob1', 'alice1', message('m3', 'carol1'), privateChat('alice1', 'bob1')), null);
+});
+
+test('an applied envelope names the chat and messages it changed', async () => {
+    const { transport, delivery } = setup();
+    const chat = privateChat('alice1', 'bob1');
+    const bob = { friends: [{ key: 'alice1', username: 'Alice' }], chats: [] };
+
+    await delivery.deliverMessage(chat, message('m1', 'alice1'), 'alice1');
+    await delivery.deliverReaction(chat, 'm1', 'alice1', { emoji: '👍', at: '2026-01-01T10:01:00.000Z' });
+    const [sent, reacted] = transport.take('bob1');
+    assert.deepEqual(delivery.getEnvelopeMessages(reacted), { ids: ['m1'] });
+
+    const created = delivery.applyEnvelope(bob, 'bob1', sent);
+    assert.deepEqual(created, { chatId: bob.chats[0].id, messageIds: ['m1'], meta: true });
+    assert.deepEqual(delivery.applyEnvelope(bob, 'bob1', reacted), { chatId: bob.chats[0].id, messageIds: ['m1'], meta: false });
+});
+
+test('the same message is not written twice', async () => {
+    const { delivery, receive } = setup();
+    const bob = { friends: [{ key: 'alice1', username: 'Alice' }], chats: [] };
+    const chat = privateChat('alice1', 'bob1');
+
+    await delivery.deliverMessage(chat, message('m1', 'alice1'), 'alice1');
+    await delivery.deliverMessage(chat, message('m1', 'alice1'), 'alice1');
+    assert.deepEqual(receive(bob, 'bob1'), [true, false]);
+    assert.equal(bob.chats[0].messages.length, 1);
+});
+
+test('strangers, blocked users and forged authors are refused', async () => {
+    const { delivery, receive } = setup();
+    const chat = privateChat('alice1', 'bob1');
+
+    const stranger = { friends: [], chats: [] };
+    await delivery.deliverMessage(chat, message('m1', 'alice1'), 'alice1');
+    assert.deepEqual(receive(stranger, 'bob1'), [false]);
+
+    const blocking = {
+        friends: [{ key: 'alice1', username: 'Alice' }],
+        blockedUsers: [{ key: 'alice1', username: 'Alice', blockedAt: '2026-01-01T00:00:00.000Z' }],
+        chats: []
+    };
+    await delivery.deliverMessage(chat, message('m2', 'alice1'), 'alice1');
+    assert.deepEqual(receive(blocking, 'bob1'), [false]);
+
+    const friend = { friends: [{ key: 'alice1', username: 'Alice' }], chats: [] };
+    await delivery.deliverMessage(chat, message('m3', 'carol1'), 'alice1');
+    assert.deepEqual(receive(friend, 'bob1'), [false]);
+    assert.equal(friend.chats.length, 0);
+});
+
+test('edits are ordered by revision and a deletion is final', async () => {
+    const { delivery, receive } = setup();
+    const chat = privateChat('alice1', 'bob1');
+    const bob = { friends: [{ key: 'alice1', username: 'Alice' }], chats: [] };
+
+    await delivery.deliverMessage(chat, message('m1', 'alice1', 'v0'), 'alice1');
+    receive(bob, 'bob1');
+
+    // The later edit has an earlier clock: the revision decides
+    await delivery.deliverUpdate(chat, message('m1', 'alice1', 'v2', { revision: 2, editedAt: '2026-01-01T10:01:00.000Z' }), 'alice1');
+    await delivery.deliverUpdate(chat, message('m1', 'alice1', 'v1', { revision: 1, editedAt: '2026-01-01T10:05:00.000Z' }), 'alice1');
+    assert.deepEqual(receive(bob, 'bob1'), [true, false]);
+    assert.equal(bob.chats[0].messages[0].text, 'v2');
+
+    await delivery.deliverUpdate(chat, message('m1', 'alice1', '', { revision: 3, deleted: true }), 'alice1');
+    await delivery.deliverUpdate(chat, message('m1', 'alice1', 'v4', { revision: 4 }), 'alice1');
+    assert.deepEqual(receive(bob, 'bob1'), [true, false]);
+    assert.equal(bob.chats[0].messages[0].deleted, true);
+});
+
+test('only the author can change a message', async () => {
+    const { delivery, receive } = setup();
+    const members = [
+        { key: 'alice1', username: 'Alice', role: 'owner' },
+        { key: 'bob1', username: 'Bob', role: 'member' },
+        { key: 'carol1', username: 'Carol', role: 'member' }
+    ];
+    const carol = { chats: [{ ...group(members), messages: [message('m1', 'alice1')] }] };
+
+    await delivery.deliverUpdate(group(members), message('m1', 'alice1', 'hacked', { revision: 1 }), 'bob1');
+    assert.deepEqual(receive(carol, 'carol1'), [false]);
+    assert.equal(carol.chats[0].messages[0].text, 'hello');
+});
+
+test('an update changes only the text and deletion state', async () => {
+    const { delivery, receive } = setup();
+    const chat = privateChat('alice1', 'bob1');
+    const reactions = { bob1: { emoji: '👍', username: 'Bob', at: '2026-01-02T00:00:00.000Z' } };
+    const original = message('m1', 'alice1', 'photo', { type: 'image', fileData: 'data:image/png;base64,AA==', reactions });
+    const bob = { chats: [{ ...privateChat('bob1', 'alice1'), messages: [original] }] };
+
+    await delivery.deliverUpdate(chat, message('m1', 'alice1', 'caption', {
+        type: 'image',
+        revision: 1,
+        edited: true,
+        fileData: 'data:text/html,forged',
+        author: 'Admin',
+        reactions: { carol1: { emoji: '❤️', username: 'Carol', at: '2026-01-03T00:00:00.000Z' } }
+    }), 'alice1');
+    assert.deepEqual(receive(bob, 'bob1'), [true]);
+    assert.deepEqual(bob.chats[0].messages[0], { ...original, text: 'caption', edited: true, revision: 1 });
+
+    // Who wrote it and what kind of message it is never change
+    await delivery.deliverUpdate(chat, message('m1', 'alice1', 'v2', { type: 'text', revision: 2 }), 'alice1');
+    await delivery.deliverUpdate(chat, message('m1', 'carol1', 'v2', { type: 'image', revision: 2 }), 'alice1');
+    assert.deepEqual(receive(bob, 'bob1'), [false, false]);
+
+    await delivery.deliverUpdate(chat, message('m1', 'alice1', '', { type: 'image', revision: 3, deleted: true }), 'alice1');
+    assert.deepEqual(receive(bob, 'bob1'), [true]);
+    assert.equal(bob.chats[0].messages[0].fileData, null);
+    assert.deepEqual(bob.chats[0].messages[0].reactions, reactions);
+});
+
+test('reactions use the name the recipient knows and only known emoji', async () => {
+    const { delivery, receive } = setup();
+    const chat = privateChat('alice1', 'bob1');
+    const bob = { chats: [{ ...privateChat('bob1', 'alice1'), name: 'Alice', messages: [message('m1', 'bob1')] }] };
+
+    await delivery.deliverReaction(chat, 'm1', 'alice1', { emoji: '👍', username: '<img onerror=x>', at: '2026-01-02T00:00:00.000Z' });
+    await delivery.deliverReaction(chat, 'm1', 'alice1', { emoji: '<b>', username: 'Alice', at: '2026-01-03T00:00:00.000Z' });
+    assert.deepEqual(receive(bob, 'bob1'), [true, false]);
+    assert.deepEqual(bob.chats[0].messages[0].reactions, {
+        alice1: { emoji: '👍', username: 'Alice', at: '2026-01-02T00:00:00.000Z' }
+    });
+});
+
+test('read receipts mark the recipient\'s own messages up to the read time', async () => {
+    const { delivery, receive } = setup();
+    const alice = {
+        chats: [{
+            ...privateChat('alice1', 'bob1'),
+            messages: [
+                message('m1', 'alice1', 'one', { timestamp: '2026-01-01T10:00:00.000Z' }),
+                message('m2', 'bob1', 'two', { timestamp: '2026-01-01T10:01:00.000Z' }),
+                message('m3', 'alice1', 'three', { timestamp: '2026-01-01T10:02:00.000Z' })
+            ]
+        }]
+    };
+
+    await delivery.deliverReadReceipt(privateChat('bob1', 'alice1'), 'bob1', { alice1: '2026-01-01T10:01:00.000Z' });
+    assert.deepEqual(receive(alice, 'alice1'), [true]);
+
+    const [first, second, third] = alice.chats[0].messages;
+    assert.ok(first.receipts.bob1.read);
+    assert.equal(second.receipts, undefined);
+    assert.equal(third.receipts, undefined);
+});
+
+test('groups are created by admins and changed only by their admins', async () => {
+    const { delivery, receive } = setup();
+    const members = [
+        { key: 'alice1', username: 'Alice', role: 'owner' },
+        { key: 'bob1', username: 'Bob', role: 'member' },
+        { key: 'carol1', username: 'Carol', role: 'member' }
+    ];
+    const carol = { chats: [] };
+
+    await delivery.deliverGroupUpdate({ ...group(members), messages: [], lastReadAt: '' }, 'alice1');
+    assert.deepEqual(receive(carol, 'carol1'), [true]);
+    assert.equal(carol.chats[0].name, 'Team');
+    assert.equal(carol.chats[0].lastReadAt, '');
+
+    const promoted = members.map(member => member.key === 'bob1' ? { ...member, role: 'owner' } : member);
+    await delivery.deliverGroupUpdate(group(promoted, '2026-01-02T00:00:00.000Z'), 'bob1');
+    assert.deepEqual(receive(carol, 'carol1'), [false]);
+    assert.equal(carol.chats[0].members[1].role, 'member');
+
+    const renamed = { ...group(members, '2026-01-03T00:00:00.000Z'), name: 'Renamed' };
+    await delivery.deliverGroupUpdate(renamed, 'alice1');
+    assert.deepEqual(receive(carol, 'carol1'), [true]);
+    assert.equal(carol.chats[0].name, 'Renamed');
+});
+
+test('a group update changes only the shared metadata', async () => {
+    const { delivery, receive } = setup();
+    const members = [
+        { key: 'alice1', username: 'Alice', role: 'owner' },
+        { key: 'carol1', username: 'Carol', role: 'member' }
+    ];
+    const own = { lastReadAt: '2026-01-01T12:00:00.000Z', mutedUntil: 'forever', pinnedMessages: ['m1'] };
+    const carol = { chats: [{ ...group(members), ...own, messages: [message('m1', 'alice1')] }] };
+
+    // An admin's envelope carrying another member's read state, settings and history
+    await delivery.deliverTo(['carol1'], 'alice1', 'group-update', {
+        group: {
+            ...group(members, '2026-01-02T00:00:00.000Z'),
+            name: 'Renamed',
+            lastReadAt: '',
+            mutedUntil: null,
+            pinnedMessages: [],
+            messages: []
+        }
+    });
+    assert.deepEqual(receive(carol, 'carol1'), [true]);
+    assert.equal(carol.chats[0].name, 'Renamed');
+    assert.deepEqual({ ...carol.chats[0], ...own }, carol.chats[0]);
+    assert.equal(carol.chats[0].messages.length, 1);
+
+    // A change time from the future can't shut out the next change
+    await delivery.deliverGroupUpdate({ ...group(members, '2999-01-01T00:00:00.000Z'), name: 'Future' }, 'alice1');
+    assert.deepEqual(receive(carol, 'carol1'), [true]);
+    assert.ok(carol.chats[0].updatedAt <= new Date().toISOString());
+
+    await delivery.deliverGroupUpdate({ ...group(members, new Date(Date.now() + 1000).toISOString()), name: 'Next' }, 'alice1');
+    assert.deepEqual(receive(carol, 'carol1'), [true]);
+    assert.equal(carol.chats[0].name, 'Next');
+});
+
+test('group members must have user keys', async () => {
+    const { delivery, receive } = setup();
+    const members = [
+        { key: 'alice1', username: 'Alice', role: 'owner' },
+        { key: "x', 'admin'); alert(1); //", username: 'Mallory', role: 'member' },
+        { key: 'carol1', username: 'Carol', role: 'member' }
+    ];
+    const carol = { chats: [] };
+
+    await delivery.deliverGroupUpdate(group(members), 'alice1');
+    assert.deepEqual(receive(carol, 'carol1'), [false]);
+    assert.equal(carol.chats.length, 0);
+});
+
+test('unreachable recipients are reported and can be retried alone', async () => {
+    const { transport, delivery } = setup();
+    const send = transport.send.bind(transport);
+    transport.send = async envelope => {
+        if (envelope.to === 'carol1') throw new Error('offline');
+        return send(envelope);
+    };
+
+    const members = [
+        { key: 'alice1', username: 'Alice', role: 'owner' },
+        { key: 'bob1', username: 'Bob', role: 'member' },
+        { key: 'carol1', username: 'Carol', role: 'member' }
+    ];
+    const failed = [];
+    const delivered = await delivery.deliverMessage(group(members), message('m1', 'alice1'), 'alice1', { failed });
+    assert.deepEqual(delivered, ['bob1']);
+    assert.deepEqual(failed, ['carol1']);
+
+    transport.send = send;
+    const retried = await delivery.deliverMessage(group(members), message('m1', 'alice1'), 'alice1', { only: failed });
+    assert.deepEqual(retried, ['carol1']);
+    assert.equal(transport.take('bob1').length, 1);
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * app.js is a browser script: give it the globals it uses before loading it.
+ * localStorage is kept in memory and can be emptied between tests.
+ */
+const items = new Map();
+
+global.window = globalThis;
+global.localStorage = {
+    get length() {
+        return items.size;
+    },
+    key(index) {
+        return [...items.keys()][index] ?? null;
+    },
+    getItem(key) {
+        return items.has(key) ? items.get(key) : null;
+    },
+    setItem(key, value) {
+        items.set(key, String(value));
+    },
+    removeItem(key) {
+        items.delete(key);
+    },
+    clear() {
+        items.clear();
+    }
+};
+
+module.exports = require('../app.js');
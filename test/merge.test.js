@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CloudStorageManager } = require('./helpers.js');
+const { MessengerStore } = require('../server.js');
+
+/**
+ * The client and the server merge chats the same way; each case runs on both
+ * @type {Array} [name, merge(storedChats, pushedChats) => merged chats]
+ */
+const MERGERS = [
+    ['client', (stored, pushed) => new CloudStorageManager().mergeChats(stored, pushed)],
+    ['server', (stored, pushed) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mmessenger-test-'));
+        try {
+            const store = new MessengerStore(path.join(dir, 'data.json'));
+            store.data.users.alice1 = { username: 'Alice' };
+            store.mergeChats('alice1', stored);
+            store.mergeChats('alice1', pushed);
+            return store.getChats('alice1');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }]
+];
+
+function chat(messages, extra = {}) {
+    return { id: 1, type: 'private', name: 'Bob', participants: ['alice1', 'bob1'], messages, ...extra };
+}
+
+function message(id, timestamp, extra = {}) {
+    return { id, authorKey: 'alice1', text: id, type: 'text', timestamp, ...extra };
+}
+
+// Every merge gets its own copies, the server keeps what it is given
+const copy = value => JSON.parse(JSON.stringify(value));
+
+for (const [name, merge] of MERGERS) {
+    test(`${name}: messages from both copies are kept in time order`, () => {
+        const stored = [chat([message('a', '2026-01-01T10:00:00Z'), message('c', '2026-01-01T10:02:00Z')])];
+        const pushed = [chat([message('b', '2026-01-01T10:01:00Z'), message('c', '2026-01-01T10:02:00Z')])];
+
+        const [merged] = merge(copy(stored), copy(pushed));
+        assert.deepEqual(merged.messages.map(msg => msg.id), ['a', 'b', 'c']);
+    });
+
+    test(`${name}: chats only one side has are added`, () => {
+        const stored = [chat([])];
+        const pushed = [chat([], { id: 2, name: 'Carol' })];
+
+        const merged = merge(copy(stored), copy(pushed));
+        assert.deepEqual(merged.map(item => item.id), [1, 2]);
+    });
+
+    test(`${name}: the higher revision wins whatever the clocks say`, () => {
+        const newer = message('a', '2026-01-01T10:00:00Z', { text: 'v2', revision: 2, editedAt: '2026-01-01T10:01:00Z' });
+        const older = message('a', '2026-01-01T10:00:00Z', { text: 'v1', revision: 1, editedAt: '2026-01-01T11:00:00Z' });
+
+        assert.equal(merge(copy([chat([newer])]), copy([chat([older])]))[0].messages[0].text, 'v2');
+        assert.equal(merge(copy([chat([older])]), copy([chat([newer])]))[0].messages[0].text, 'v2');
+    });
+
+    test(`${name}: a deletion is never undone by an edit`, () => {
+        const deleted = message('a', '2026-01-01T10:00:00Z', { text: '', deleted: true, revision: 1 });
+        const edited = message('a', '2026-01-01T10:00:00Z', { text: 'v5', revision: 5 });
+
+        assert.equal(merge(copy([chat([deleted])]), copy([chat([edited])]))[0].messages[0].deleted, true);
+        assert.equal(merge(copy([chat([edited])]), copy([chat([deleted])]))[0].messages[0].deleted, true);
+    });
+
+    test(`${name}: receipts and reactions from both copies are kept`, () => {
+        const stored = message('a', '2026-01-01T10:00:00Z', {
+            receipts: { bob1: { delivered: '2026-01-01T10:05:00Z' } },
+            reactions: { bob1: { emoji: '👍', username: 'Bob', at: '2026-01-01T10:06:00Z' } }
+        });
+        const pushed = message('a', '2026-01-01T10:00:00Z', {
+            receipts: { bob1: { delivered: '2026-01-01T10:04:00Z', read: '2026-01-01T10:07:00Z' } },
+            reactions: {
+                bob1: { emoji: '❤️', username: 'Bob', at: '2026-01-01T10:03:00Z' },
+                carol1: { emoji: '😂', username: 'Carol', at: '2026-01-01T10:08:00Z' }
+            }
+        });
+
+        const [merged] = merge(copy([chat([stored])]), copy([chat([pushed])]))[0].messages;
+        assert.deepEqual(merged.receipts, { bob1: { delivered: '2026-01-01T10:04:00Z', read: '2026-01-01T10:07:00Z' } });
+        assert.equal(merged.reactions.bob1.emoji, '👍');
+        assert.equal(merged.reactions.carol1.emoji, '😂');
+    });
+
+    test(`${name}: read state and chat settings only move forward`, () => {
+        const stored = [chat([], { lastReadAt: '2026-01-02T00:00:00Z', mutedUntil: 'forever', muteChangedAt: '2026-01-03T00:00:00Z' })];
+        const pushed = [chat([], { lastReadAt: '2026-01-01T00:00:00Z', mutedUntil: null, muteChangedAt: '2026-01-02T00:00:00Z' })];
+
+        const [merged] = merge(copy(stored), copy(pushed));
+        assert.equal(merged.lastReadAt, '2026-01-02T00:00:00Z');
+        assert.equal(merged.mutedUntil, 'forever');
+    });
+}
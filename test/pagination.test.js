@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LocalStorageStore, StorageManager, ChatManager } = require('./helpers.js');
+
+const PREFIX = 'mmessenger_user_';
+
+/**
+ * Store a user with one chat of `count` messages, a minute apart
+ * @param {number} count - Number of messages
+ * @returns {Promise<LocalStorageStore>} Store holding the record
+ */
+async function storeChat(count) {
+    const store = new LocalStorageStore(PREFIX);
+    const messages = Array.from({ length: count }, (_, i) => ({
+        id: `m${i}`,
+        authorKey: 'alice1',
+        text: `message ${i}`,
+        timestamp: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString()
+    }));
+    await store.putRecord('alice1', {
+        username: 'Alice',
+        chats: [{ id: 1, type: 'private', name: 'Bob', participants: ['alice1', 'bob1'], messages }]
+    });
+    return store;
+}
+
+test.beforeEach(() => localStorage.clear());
+
+test('a record loads only the latest messages of each chat', async () => {
+    const store = await storeChat(5);
+
+    const record = await store.getRecord('alice1', { messageLimit: 3 });
+    assert.deepEqual(record.chats[0].messages.map(msg => msg.id), ['m2', 'm3', 'm4']);
+    assert.equal(record.chats[0].hasOlderMessages, true);
+
+    const full = await store.getRecord('alice1', { messageLimit: 5 });
+    assert.equal(full.chats[0].messages.length, 5);
+    assert.equal(full.chats[0].hasOlderMessages, false);
+});
+
+test('pages end at the given time and skip messages already shown', async () => {
+    const store = await storeChat(5);
+    const before = new Date(Date.UTC(2026, 0, 1, 0, 3)).toISOString();
+
+    const page = await store.getMessages('alice1', 1, { before, excludeIds: ['m3'], limit: 2 });
+    assert.deepEqual(page.messages.map(msg => msg.id), ['m1', 'm2']);
+    assert.equal(page.hasMore, true);
+
+    const last = await store.getMessages('alice1', 1, { before, excludeIds: ['m1', 'm2', 'm3'], limit: 2 });
+    assert.deepEqual(last.messages.map(msg => msg.id), ['m0']);
+    assert.equal(last.hasMore, false);
+});
+
+test('messages sharing a timestamp are not lost between pages', async () => {
+    const store = new LocalStorageStore(PREFIX);
+    const timestamp = '2026-01-01T00:00:00.000Z';
+    await store.putRecord('alice1', {
+        username: 'Alice',
+        chats: [{ id: 1, type: 'private', messages: ['a', 'b', 'c'].map(id => ({ id, timestamp })) }]
+    });
+
+    const first = await store.getMessages('alice1', 1, { before: timestamp, excludeIds: ['c'], limit: 1 });
+    const second = await store.getMessages('alice1', 1, {
+        before: timestamp,
+        excludeIds: ['c', ...first.messages.map(msg => msg.id)],
+        limit: 1
+    });
+    assert.equal(new Set([...first.messages, ...second.messages].map(msg => msg.id)).size, 2);
+    assert.equal(second.hasMore, false);
+});
+
+test('the chat manager prepends older pages until the history ends', async () => {
+    await storeChat(7);
+    const chatManager = new ChatManager(new StorageManager());
+    chatManager.PAGE_SIZE = 3;
+
+    const record = await new LocalStorageStore(PREFIX).getRecord('alice1', { messageLimit: 2 });
+    const chat = record.chats[0];
+
+    const first = await chatManager.loadOlderMessages('alice1', chat);
+    assert.deepEqual(first.map(msg => msg.id), ['m2', 'm3', 'm4']);
+    assert.equal(chatManager.hasOlderMessages(chat), true);
+
+    await chatManager.loadOlderMessages('alice1', chat);
+    assert.deepEqual(chat.messages.map(msg => msg.id), ['m0', 'm1', 'm2', 'm3', 'm4', 'm5', 'm6']);
+    assert.equal(chatManager.hasOlderMessages(chat), false);
+});
+
+test('unread counts cover history that is not loaded', async () => {
+    const store = await storeChat(5);
+    const stored = await store.getRecord('alice1');
+    stored.chats[0].messages.forEach(msg => { msg.authorKey = 'bob1'; });
+    Object.assign(stored.chats[0], { lastReadAt: '', unreadCount: 5 });
+    await store.putRecord('alice1', stored);
+
+    const chatManager = new ChatManager(new StorageManager());
+    const chat = (await store.getRecord('alice1', { messageLimit: 2 })).chats[0];
+    assert.equal(chatManager.getUnreadCount(chat, 'alice1'), 5);
+
+    // Read receipts carry the sender's own send times, not the reader's clock
+    assert.ok(chatManager.markChatRead(chat, 'alice1'));
+    assert.equal(chatManager.getUnreadCount(chat, 'alice1'), 0);
+    assert.deepEqual(chatManager.getReadTimestamps(chat, 'alice1'), { bob1: chat.messages[1].timestamp });
+});
+
+test('inbox envelopes load only the messages they name and stay queued if they fail', async (t) => {
+    await storeChat(5);
+    const chatManager = new ChatManager(new StorageManager());
+    const reaction = (id, messageId) => ({
+        id,
+        type: 'reaction',
+        from: 'bob1',
+        to: 'alice1',
+        payload: { chat: { id: 1, type: 'private' }, messageId, reaction: { emoji: '👍', at: '2026-01-02T00:00:00.000Z' } }
+    });
+    const envelopes = [reaction('e1', 'm1'), reaction('e2', 'm3')];
+
+    t.mock.method(chatManager.inbox, 'receive', async () => ({
+        envelopes: envelopes.map(envelope => ({ envelope, signingKey: null })),
+        ids: ['e1', 'e2']
+    }));
+    const acknowledge = t.mock.method(chatManager.inbox, 'acknowledge', async () => {});
+    const loadMessages = t.mock.method(chatManager.storage, 'loadMessages');
+    const apply = chatManager.delivery.applyEnvelope.bind(chatManager.delivery);
+    t.mock.method(chatManager.delivery, 'applyEnvelope', (record, userKey, envelope) => {
+        if (envelope.id === 'e2') throw new Error('broken');
+        return apply(record, userKey, envelope);
+    });
+    t.mock.method(console, 'error', () => {});
+
+    const result = await chatManager.processInbox('alice1', 'Alice');
+    assert.equal(result.chatsChanged, true);
+    assert.deepEqual(loadMessages.mock.calls.map(call => call.arguments[2]), [{ ids: ['m1'] }, { ids: ['m3'] }]);
+    assert.deepEqual(acknowledge.mock.calls.map(call => call.arguments[1]), [['e1']]);
+
+    const stored = (await new LocalStorageStore(PREFIX).getRecord('alice1')).chats[0];
+    assert.equal(stored.messages.length, 5);
+    assert.equal(stored.messages[1].reactions.bob1.emoji, '👍');
+    assert.equal(stored.messages[3].reactions, undefined);
+});
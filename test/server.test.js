@@ -0,0 +1,205 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RestBackendAdapter, CryptoManager } = require('./helpers.js');
+const { createServer } = require('../server.js');
+
+let server;
+let baseUrl;
+let dataDir;
+const cryptoManager = new CryptoManager();
+
+/**
+ * Client of a device that holds one new account's keys. All accounts share the
+ * test's localStorage, so the signer refuses to sign as anyone else.
+ * @returns {Promise<Object>} { userKey, adapter, profile }
+ */
+async function account() {
+    const secret = cryptoManager.generateAccountSecret();
+    const userKey = await cryptoManager.deriveAccountId(secret);
+    cryptoManager.saveAccountSecret(userKey, secret);
+    const publicKey = await cryptoManager.ensureKeyPair(userKey);
+    const signingKey = await cryptoManager.ensureSigningKey(userKey);
+    const adapter = new RestBackendAdapter(baseUrl, (key, text) => key === userKey ? cryptoManager.sign(key, text) : null);
+    return { userKey, adapter, profile: { username: userKey, publicKey, signingKey, friends: ['secret-friend'] } };
+}
+
+/**
+ * Publish a new account's record
+ * @returns {Promise<Object>} { userKey, adapter, profile }
+ */
+async function publishedAccount() {
+    const result = await account();
+    await result.adapter.putUser(result.userKey, result.profile);
+    return result;
+}
+
+test.before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mmessenger-test-'));
+    server = createServer({ dataFile: path.join(dataDir, 'data.json'), unfurler: null });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('an account reads its full record, everyone else its public profile', async () => {
+    const alice = await publishedAccount();
+
+    const own = await alice.adapter.fetchUser(alice.userKey);
+    assert.deepEqual(own.friends, ['secret-friend']);
+
+    const response = await fetch(`${baseUrl}/api/users/${alice.userKey}`);
+    assert.deepEqual(Object.keys(await response.json()).sort(), ['publicKey', 'signingKey', 'username']);
+});
+
+test('chats, inboxes and presence need the account\'s signature', async () => {
+    const bob = await publishedAccount();
+    await bob.adapter.pushChats(bob.userKey, [{ id: 1, messages: [] }]);
+    assert.deepEqual(await bob.adapter.pullChats(bob.userKey), [{ id: 1, messages: [] }]);
+
+    for (const [method, route] of [
+        ['GET', `/users/${bob.userKey}/chats`],
+        ['PUT', `/users/${bob.userKey}/chats`],
+        ['GET', `/inbox/${bob.userKey}`],
+        ['DELETE', `/inbox/${bob.userKey}?ids=x`],
+        ['PUT', `/presence/${bob.userKey}`]
+    ]) {
+        const response = await fetch(`${baseUrl}/api${route}`, {
+            method,
+            body: method === 'PUT' ? '{}' : undefined
+        });
+        assert.equal(response.status, 401, `${method} ${route}`);
+    }
+
+    // Signed, but by someone else
+    const mallory = await publishedAccount();
+    await assert.rejects(mallory.adapter.request('GET', `/users/${bob.userKey}/chats`, undefined, mallory.userKey), /401/);
+    await assert.rejects(mallory.adapter.request('PUT', `/users/${bob.userKey}`, { username: 'Bob' }, mallory.userKey), /401/);
+});
+
+test('an envelope is posted by its sender only', async () => {
+    const carol = await publishedAccount();
+    const dave = await publishedAccount();
+    const bob = await publishedAccount();
+
+    await carol.adapter.postInbox(dave.userKey, { id: 'e1', type: 'message', from: carol.userKey, to: dave.userKey });
+    await assert.rejects(
+        carol.adapter.postInbox(dave.userKey, { id: 'e2', type: 'message', from: bob.userKey, to: dave.userKey }),
+        /401/
+    );
+
+    const inbox = await dave.adapter.getInbox(dave.userKey);
+    assert.deepEqual(inbox.map(envelope => envelope.id), ['e1']);
+    await dave.adapter.deleteInbox(dave.userKey, ['e1']);
+    assert.deepEqual(await dave.adapter.getInbox(dave.userKey), []);
+});
+
+test('an account is claimed only by the key its ID is derived from', async () => {
+    const mallory = await account();
+
+    // Publishing a key for an ID that belongs to another key
+    const victim = await account();
+    await assert.rejects(
+        mallory.adapter.request('PUT', `/users/${victim.userKey}`, { ...mallory.profile, username: 'victim' }, mallory.userKey),
+        /401/
+    );
+    const signedAsVictim = new RestBackendAdapter(baseUrl, (key, text) => cryptoManager.sign(mallory.userKey, text));
+    await assert.rejects(signedAsVictim.putUser(victim.userKey, { ...mallory.profile, username: 'victim' }), /401/);
+    assert.equal((await fetch(`${baseUrl}/api/users/${victim.userKey}`)).status, 404);
+
+    await mallory.adapter.putUser(mallory.userKey, mallory.profile);
+    assert.equal((await fetch(`${baseUrl}/api/users/${mallory.userKey}`)).status, 200);
+});
+
+test('a signing key is changed only with the current key', async () => {
+    const erin = await publishedAccount();
+
+    // Someone else publishing their key for the account
+    const mallory = await account();
+    await assert.rejects(
+        mallory.adapter.request('PUT', `/users/${erin.userKey}`, { ...mallory.profile, username: erin.userKey }, mallory.userKey),
+        /401/
+    );
+
+    // The owner rotating to a new key, signed with the old one
+    const next = await account();
+    const rotated = new RestBackendAdapter(baseUrl, (key, text) => cryptoManager.sign(next.userKey, text));
+    await erin.adapter.putUser(erin.userKey, { ...erin.profile, signingKey: next.profile.signingKey });
+    assert.deepEqual(await rotated.pullChats(erin.userKey), []);
+    await assert.rejects(erin.adapter.pullChats(erin.userKey), /401/);
+});
+
+test('old, replayed, misdirected and tampered requests are refused', async () => {
+    const frank = await publishedAccount();
+    const url = `${baseUrl}/api/users/${frank.userKey}/chats`;
+    const host = new URL(baseUrl).host;
+
+    const time = String(Date.now() - 10 * 60 * 1000);
+    const nonce = 'c3RhbGUtcmVxdWVzdC1ub25jZQ==';
+    const stale = await fetch(url, {
+        headers: {
+            'X-MMessenger-User': frank.userKey,
+            'X-MMessenger-Time': time,
+            'X-MMessenger-Nonce': nonce,
+            'X-MMessenger-Signature': await cryptoManager.sign(frank.userKey, `GET ${host}/api/users/${frank.userKey}/chats\n${time}\n${nonce}\n`)
+        }
+    });
+    assert.equal(stale.status, 401);
+
+    const headers = await frank.adapter.signRequest('GET', url, '', frank.userKey);
+    assert.equal((await fetch(url, { headers })).status, 200);
+    assert.equal((await fetch(url, { headers })).status, 401);
+
+    // Signed for another server that shares the account
+    const elsewhere = await frank.adapter.signRequest('GET', `http://other.example/api/users/${frank.userKey}/chats`, '', frank.userKey);
+    assert.equal((await fetch(url, { headers: elsewhere })).status, 401);
+
+    const signed = await frank.adapter.signRequest('PUT', url, '[]', frank.userKey);
+    const tampered = await fetch(url, { method: 'PUT', headers: signed, body: '[{"id":2}]' });
+    assert.equal(tampered.status, 401);
+});
+
+test('presence is read by accounts and typing is shown only to its peer', async () => {
+    const henry = await publishedAccount();
+    const iris = await publishedAccount();
+    const jack = await publishedAccount();
+
+    await henry.adapter.putPresence(henry.userKey, { lastSeen: new Date().toISOString(), typing: { to: iris.userKey, at: new Date().toISOString() } });
+    assert.equal((await fetch(`${baseUrl}/api/presence?keys=${henry.userKey}`)).status, 401);
+
+    const seenByIris = await iris.adapter.getPresence([henry.userKey], iris.userKey);
+    assert.equal(seenByIris[henry.userKey].typing.to, iris.userKey);
+
+    const seenByJack = await jack.adapter.getPresence([henry.userKey], jack.userKey);
+    assert.ok(seenByJack[henry.userKey].lastSeen);
+    assert.equal(seenByJack[henry.userKey].typing, null);
+});
+
+test('chats that cannot be merged are bad requests', async () => {
+    const grace = await publishedAccount();
+
+    for (const chats of [
+        {},
+        [null],
+        [{ messages: [] }],
+        [{ id: 1, messages: [null] }],
+        [{ id: 1, messages: [{ id: 'm1', timestamp: 5 }] }],
+        [{ id: 1, messages: [{ id: 'm1', reactions: { bob1: null } }] }]
+    ]) {
+        await assert.rejects(grace.adapter.pushChats(grace.userKey, chats), /400/, JSON.stringify(chats));
+    }
+    assert.deepEqual(await grace.adapter.pullChats(grace.userKey), []);
+});
+
+test('a malformed path is a bad request', async () => {
+    const response = await fetch(`${baseUrl}/api/users/%E0%A4%A`);
+    assert.equal(response.status, 400);
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RestBackendAdapter, CryptoManager } = require('./helpers.js');
+const { createServer, LinkUnfurler } = require('../server.js');
+
+const PAGE = `<html><head>
+<meta property="og:title" content="Stub &amp; page">
+<meta property="og:description" content="A page served by the test">
+</head><body>body</body></html>`;
+
+let stub;
+let stubPort;
+let stubRequests = 0;
+let dataDir;
+const cryptoManager = new CryptoManager();
+
+/**
+ * Start the messenger server with the given unfurler and ask it for a preview
+ * as a new account
+ * @param {LinkUnfurler} unfurler - Link unfurler
+ * @param {string} link - Link to preview
+ * @param {boolean} signed - Sign the request
+ * @returns {Promise<Object>} { status, body }
+ */
+async function unfurl(unfurler, link, signed = true) {
+    const server = createServer({ dataFile: path.join(dataDir, 'data.json'), unfurler });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        const secret = cryptoManager.generateAccountSecret();
+        const userKey = await cryptoManager.deriveAccountId(secret);
+        cryptoManager.saveAccountSecret(userKey, secret);
+        const publicKey = await cryptoManager.ensureKeyPair(userKey);
+        const signingKey = await cryptoManager.ensureSigningKey(userKey);
+        const adapter = new RestBackendAdapter(baseUrl, (key, text) => cryptoManager.sign(key, text));
+        await adapter.putUser(userKey, { username: userKey, publicKey, signingKey });
+
+        const url = `${baseUrl}/api/unfurl?url=${encodeURIComponent(link)}`;
+        const headers = signed ? await adapter.signRequest('GET', url, '', userKey) : {};
+        const response = await fetch(url, { headers });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+/**
+ * A resolver that answers every name with the stub's loopback address
+ */
+function loopbackLookup(hostname, options, callback) {
+    callback(null, [{ address: '127.0.0.1', family: 4 }]);
+}
+
+test.before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mmessenger-test-'));
+    stub = http.createServer((req, res) => {
+        stubRequests++;
+        if (req.url === '/redirect') {
+            res.writeHead(302, { Location: '/page' });
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(PAGE);
+    });
+    await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+    stubPort = stub.address().port;
+});
+
+test.after(async () => {
+    await new Promise(resolve => stub.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a page on an allowed host is previewed, following redirects', async () => {
+    const { status, body } = await unfurl(new LinkUnfurler({ allowPrivateHosts: true }), `http://127.0.0.1:${stubPort}/redirect`);
+    assert.equal(status, 200);
+    assert.equal(body.title, 'Stub & page');
+    assert.equal(body.description, 'A page served by the test');
+    assert.equal(body.url, `http://127.0.0.1:${stubPort}/page`);
+});
+
+test('private addresses are refused', async () => {
+    const before = stubRequests;
+    assert.equal((await unfurl(new LinkUnfurler(), `http://127.0.0.1:${stubPort}/page`)).status, 403);
+    assert.equal((await unfurl(new LinkUnfurler(), `http://localhost:${stubPort}/page`)).status, 403);
+    assert.equal((await unfurl(new LinkUnfurler(), `http://[::1]:${stubPort}/page`)).status, 403);
+    for (const host of ['[::127.0.0.1]', '[::ffff:10.0.0.1]', '[64:ff9b::7f00:1]', '198.18.0.1', '192.0.0.8', '224.0.0.1', '255.255.255.255', '[ff02::1]']) {
+        assert.equal((await unfurl(new LinkUnfurler(), `http://${host}:${stubPort}/page`)).status, 403, host);
+    }
+    assert.equal(stubRequests, before);
+});
+
+test('previews are fetched only for accounts', async () => {
+    const before = stubRequests;
+    const { status } = await unfurl(new LinkUnfurler({ allowPrivateHosts: true }), `http://127.0.0.1:${stubPort}/page`, false);
+    assert.equal(status, 401);
+    assert.equal(stubRequests, before);
+});
+
+test('the connection goes to the address that was checked', async () => {
+    // The name resolves only through the unfurler's lookup: reaching the stub proves the socket used it
+    const allowed = await unfurl(new LinkUnfurler({ allowPrivateHosts: true, lookup: loopbackLookup }), `http://stub.test:${stubPort}/page`);
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.body.title, 'Stub & page');
+
+    // A public-looking name that rebinds to this host is refused at connect time
+    const before = stubRequests;
+    const refused = await unfurl(new LinkUnfurler({ lookup: loopbackLookup }), `http://rebind.test:${stubPort}/page`);
+    assert.equal(refused.status, 403);
+    assert.equal(stubRequests, before);
+});
+
+test('links that are not http are bad requests', async () => {
+    assert.equal((await unfurl(new LinkUnfurler(), 'ftp://example.com/')).status, 400);
+});